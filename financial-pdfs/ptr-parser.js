@@ -0,0 +1,1291 @@
+/**
+ * Periodic Transaction Report Parser
+ * Reads the text layer of the clerk's electronically filed PTR PDFs and
+ * extracts their transaction tables
+ */
+
+/**
+ * Minimal PDF reader for the clerk's electronically filed PTRs
+ * Supports classic cross-reference files, FlateDecode streams and the Standard
+ * security handler (RC4, revisions 2 and 3) with the empty user password the
+ * clerk's PDFs are published with. Scanned paper filings are not supported.
+ */
+class PdfDocument {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.text = PdfDocument.toBinaryString(bytes);
+        this.objects = new Map();
+        this.trailer = null;
+        this.encryptionKey = null;
+        this.encryptRef = null;
+    }
+
+    /**
+     * Padding string used to derive RC4 keys (PDF 32000-1, 7.6.3.3)
+     * @returns {Uint8Array} 32 padding bytes
+     */
+    static get passwordPadding() {
+        return Uint8Array.from([
+            0x28, 0xBF, 0x4E, 0x5E, 0x4E, 0x75, 0x8A, 0x41, 0x64, 0x00, 0x4E, 0x56, 0xFF, 0xFA, 0x01, 0x08,
+            0x2E, 0x2E, 0x00, 0xB6, 0xD0, 0x68, 0x3E, 0x80, 0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A
+        ]);
+    }
+
+    /**
+     * Parse a PDF file
+     * @param {ArrayBuffer|Uint8Array} buffer - PDF bytes
+     * @returns {PdfDocument} Parsed document
+     */
+    static load(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const pdf = new PdfDocument(bytes);
+
+        if (!pdf.text.startsWith('%PDF-')) {
+            throw new Error('Not a PDF file');
+        }
+
+        pdf.readObjects();
+        pdf.readTrailer();
+        pdf.setupEncryption();
+        return pdf;
+    }
+
+    /**
+     * Convert bytes to a string with one character per byte
+     * @param {Uint8Array} bytes - Bytes to convert
+     * @returns {string} Binary string
+     */
+    static toBinaryString(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    /**
+     * Read every "N G obj ... endobj" in file order, skipping over stream data
+     */
+    readObjects() {
+        const header = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+
+        while ((match = header.exec(this.text)) !== null) {
+            const number = parseInt(match[1], 10);
+            const lexer = new PdfLexer(this.text, header.lastIndex);
+            const value = lexer.readObject();
+            lexer.skipWhitespace();
+
+            const entry = { number, generation: parseInt(match[2], 10), value, stream: null };
+
+            if (this.text.startsWith('stream', lexer.position)) {
+                let start = lexer.position + 'stream'.length;
+                if (this.text[start] === '\r') start++;
+                if (this.text[start] === '\n') start++;
+
+                // Lengths given by reference are resolved once every object is known
+                const length = value.get('Length');
+                const end = typeof length === 'number' ? start + length : this.text.indexOf('endstream', start);
+                entry.stream = { start, end, dictionary: value };
+                header.lastIndex = this.text.indexOf('endobj', end);
+            } else {
+                header.lastIndex = lexer.position;
+            }
+
+            this.objects.set(number, entry);
+        }
+
+        this.objects.forEach(entry => {
+            const length = entry.stream && entry.stream.dictionary.get('Length');
+            if (length instanceof PdfRef) {
+                entry.stream.end = entry.stream.start + this.resolve(length);
+            }
+        });
+    }
+
+    /**
+     * Read the trailer dictionary
+     */
+    readTrailer() {
+        const position = this.text.lastIndexOf('trailer');
+        if (position === -1) {
+            throw new Error('Unsupported PDF: no trailer (cross-reference streams are not supported)');
+        }
+
+        this.trailer = new PdfLexer(this.text, position + 'trailer'.length).readObject();
+    }
+
+    /**
+     * Derive the document key for the Standard security handler with an empty user password
+     */
+    setupEncryption() {
+        const encryptRef = this.trailer.get('Encrypt');
+        if (!encryptRef) return;
+
+        const encrypt = this.resolve(encryptRef);
+        const version = encrypt.get('V') || 0;
+        const revision = encrypt.get('R');
+        if (encrypt.get('Filter') !== 'Standard' || version > 2 || revision > 3) {
+            throw new Error(`Unsupported PDF encryption (V${version} R${revision})`);
+        }
+
+        const keyLength = version === 1 ? 5 : (encrypt.get('Length') || 40) / 8;
+        const owner = encrypt.get('O');
+        const permissions = encrypt.get('P') >>> 0;
+        const fileId = this.trailer.get('ID') ? this.trailer.get('ID')[0] : new Uint8Array(0);
+
+        // Algorithm 2: MD5 of padding, owner entry, permissions and file identifier
+        const input = new Uint8Array(32 + owner.length + 4 + fileId.length);
+        input.set(PdfDocument.passwordPadding, 0);
+        input.set(owner, 32);
+        input.set([permissions & 0xFF, (permissions >>> 8) & 0xFF, (permissions >>> 16) & 0xFF, permissions >>> 24], 32 + owner.length);
+        input.set(fileId, 36 + owner.length);
+
+        let hash = PdfCrypto.md5(input);
+        if (revision >= 3) {
+            for (let i = 0; i < 50; i++) {
+                hash = PdfCrypto.md5(hash.subarray(0, keyLength));
+            }
+        }
+
+        this.encryptionKey = hash.subarray(0, keyLength);
+        this.encryptRef = encryptRef;
+    }
+
+    /**
+     * Get the RC4 key of a single object (Algorithm 1)
+     * @param {number} number - Object number
+     * @param {number} generation - Generation number
+     * @returns {Uint8Array} Object key
+     */
+    getObjectKey(number, generation) {
+        const key = this.encryptionKey;
+        const input = new Uint8Array(key.length + 5);
+        input.set(key, 0);
+        input.set([number & 0xFF, (number >>> 8) & 0xFF, (number >>> 16) & 0xFF, generation & 0xFF, (generation >>> 8) & 0xFF], key.length);
+        return PdfCrypto.md5(input).subarray(0, Math.min(key.length + 5, 16));
+    }
+
+    /**
+     * Resolve a reference to its (decrypted) value
+     * @param {*} value - Value that may be a PdfRef
+     * @returns {*} Resolved value
+     */
+    resolve(value) {
+        if (!(value instanceof PdfRef)) return value;
+
+        const entry = this.objects.get(value.number);
+        if (!entry) return null;
+
+        if (!entry.decrypted) {
+            const isEncryptDictionary = this.encryptRef && this.encryptRef.number === entry.number;
+            if (this.encryptionKey && !isEncryptDictionary) {
+                const key = this.getObjectKey(entry.number, entry.generation);
+                entry.value = PdfDocument.decryptStrings(entry.value, key);
+            }
+            entry.decrypted = true;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Decrypt every string inside a value
+     * @param {*} value - Parsed value
+     * @param {Uint8Array} key - Object key
+     * @returns {*} Value with decrypted strings
+     */
+    static decryptStrings(value, key) {
+        if (value instanceof Uint8Array) {
+            return PdfCrypto.rc4(key, value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => PdfDocument.decryptStrings(item, key));
+        }
+        if (value instanceof Map) {
+            const decrypted = new Map();
+            value.forEach((item, name) => decrypted.set(name, PdfDocument.decryptStrings(item, key)));
+            return decrypted;
+        }
+        return value;
+    }
+
+    /**
+     * Get the decoded data of a stream object
+     * @param {PdfRef} ref - Reference to the stream
+     * @returns {Promise<Uint8Array>} Decrypted, decompressed stream data
+     */
+    async getStreamData(ref) {
+        const entry = this.objects.get(ref.number);
+        if (!entry || !entry.stream) {
+            throw new Error(`Object ${ref.number} is not a stream`);
+        }
+
+        let data = this.bytes.subarray(entry.stream.start, entry.stream.end);
+        if (this.encryptionKey) {
+            data = PdfCrypto.rc4(this.getObjectKey(entry.number, entry.generation), data);
+        }
+
+        const filter = this.resolve(entry.stream.dictionary.get('Filter'));
+        const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+        for (const name of filters) {
+            if (name !== 'FlateDecode') {
+                throw new Error(`Unsupported stream filter ${name}`);
+            }
+            data = await PdfCrypto.inflate(data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the dictionary of a stream object
+     * @param {PdfRef} ref - Reference to the stream
+     * @returns {Map} Stream dictionary
+     */
+    getStreamDictionary(ref) {
+        this.resolve(ref);
+        const entry = this.objects.get(ref.number);
+        return entry && entry.stream ? entry.value : new Map();
+    }
+
+    /**
+     * List the page dictionaries in order, with inherited resources applied
+     * @returns {Array<Map>} Page dictionaries
+     */
+    getPages() {
+        const root = this.resolve(this.trailer.get('Root'));
+        const pages = [];
+
+        const walk = (node, inherited) => {
+            const dictionary = this.resolve(node);
+            if (!dictionary) return;
+
+            const resources = dictionary.get('Resources') || inherited;
+            if (dictionary.get('Type') === 'Pages') {
+                (this.resolve(dictionary.get('Kids')) || []).forEach(kid => walk(kid, resources));
+            } else {
+                const page = new Map(dictionary);
+                page.set('Resources', resources);
+                pages.push(page);
+            }
+        };
+
+        walk(root.get('Pages'), null);
+        return pages;
+    }
+}
+
+/**
+ * Reference to an indirect object
+ */
+class PdfRef {
+    constructor(number, generation) {
+        this.number = number;
+        this.generation = generation;
+    }
+}
+
+/**
+ * Content stream operator token
+ */
+class PdfOperator {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Tokenizer for PDF objects and content streams
+ * Names become strings, strings become Uint8Arrays and dictionaries become Maps.
+ */
+class PdfLexer {
+    constructor(text, position = 0) {
+        this.text = text;
+        this.position = position;
+    }
+
+    /**
+     * Skip whitespace and comments
+     */
+    skipWhitespace() {
+        const text = this.text;
+        while (this.position < text.length) {
+            const char = text[this.position];
+            if (char === '%') {
+                while (this.position < text.length && text[this.position] !== '\n' && text[this.position] !== '\r') {
+                    this.position++;
+                }
+            } else if (' \t\r\n\f\0'.includes(char)) {
+                this.position++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Read one object, resolving "N G R" into a PdfRef
+     * @returns {*} Parsed value, a PdfOperator for bare keywords, or undefined at the end
+     */
+    readObject() {
+        const value = this.readToken();
+
+        // Look ahead for "generation R" after an integer
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            const saved = this.position;
+            const generation = this.readToken();
+            if (typeof generation === 'number' && Number.isInteger(generation)) {
+                const keyword = this.readToken();
+                if (keyword instanceof PdfOperator && keyword.name === 'R') {
+                    return new PdfRef(value, generation);
+                }
+            }
+            this.position = saved;
+        }
+
+        return value;
+    }
+
+    /**
+     * Read a single token
+     * @returns {*} Parsed token
+     */
+    readToken() {
+        this.skipWhitespace();
+        const text = this.text;
+        const char = text[this.position];
+
+        if (char === undefined) return undefined;
+
+        if (char === '/') {
+            return this.readName();
+        }
+        if (char === '(') {
+            return this.readLiteralString();
+        }
+        if (char === '<') {
+            if (text[this.position + 1] === '<') {
+                this.position += 2;
+                return this.readDictionary();
+            }
+            return this.readHexString();
+        }
+        if (char === '[') {
+            this.position++;
+            const items = [];
+            for (;;) {
+                this.skipWhitespace();
+                if (text[this.position] === ']' || this.position >= text.length) break;
+                items.push(this.readObject());
+            }
+            this.position++;
+            return items;
+        }
+        if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+            this.position++;
+            return new PdfOperator(char);
+        }
+
+        const match = /^[^\s()<>\[\]{}\/%]+/.exec(text.slice(this.position, this.position + 64));
+        const word = match ? match[0] : char;
+        this.position += word.length;
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return new PdfOperator(word);
+    }
+
+    /**
+     * Read a name, decoding #xx escapes
+     * @returns {string} Name without the leading slash
+     */
+    readName() {
+        const match = /^\/[^\s()<>\[\]{}\/%]*/.exec(this.text.slice(this.position, this.position + 256));
+        this.position += match[0].length;
+        return match[0].slice(1).replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    /**
+     * Read a dictionary after its opening "<<"
+     * @returns {Map} Dictionary
+     */
+    readDictionary() {
+        const dictionary = new Map();
+        for (;;) {
+            this.skipWhitespace();
+            if (this.text.startsWith('>>', this.position) || this.position >= this.text.length) {
+                this.position += 2;
+                return dictionary;
+            }
+            const key = this.readToken();
+            dictionary.set(key, this.readObject());
+        }
+    }
+
+    /**
+     * Read a hexadecimal string
+     * @returns {Uint8Array} String bytes
+     */
+    readHexString() {
+        const end = this.text.indexOf('>', this.position);
+        let hex = this.text.slice(this.position + 1, end).replace(/[^0-9A-Fa-f]/g, '');
+        this.position = end + 1;
+
+        if (hex.length % 2) hex += '0';
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Read a literal string, handling escapes and balanced parentheses
+     * @returns {Uint8Array} String bytes
+     */
+    readLiteralString() {
+        const text = this.text;
+        const bytes = [];
+        let depth = 0;
+        this.position++;
+
+        while (this.position < text.length) {
+            const char = text[this.position++];
+
+            if (char === '\\') {
+                const next = text[this.position++];
+                const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12, '(': 40, ')': 41, '\\': 92 };
+                if (next in escapes) {
+                    bytes.push(escapes[next]);
+                } else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(text[this.position])) {
+                        octal += text[this.position++];
+                    }
+                    bytes.push(parseInt(octal, 8) & 0xFF);
+                } else if (next === '\r') {
+                    if (text[this.position] === '\n') this.position++;
+                } else if (next !== '\n') {
+                    bytes.push(next.charCodeAt(0));
+                }
+                continue;
+            }
+
+            if (char === '(') depth++;
+            if (char === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            bytes.push(char.charCodeAt(0));
+        }
+
+        return Uint8Array.from(bytes);
+    }
+}
+
+/**
+ * Hashing, decryption and decompression helpers for PdfDocument
+ */
+class PdfCrypto {
+    /**
+     * RC4 stream cipher
+     * @param {Uint8Array} key - Key
+     * @param {Uint8Array} data - Data to encrypt or decrypt
+     * @returns {Uint8Array} Output
+     */
+    static rc4(key, data) {
+        const state = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) state[i] = i;
+
+        for (let i = 0, j = 0; i < 256; i++) {
+            j = (j + state[i] + key[i % key.length]) & 0xFF;
+            [state[i], state[j]] = [state[j], state[i]];
+        }
+
+        const output = new Uint8Array(data.length);
+        for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+            i = (i + 1) & 0xFF;
+            j = (j + state[i]) & 0xFF;
+            [state[i], state[j]] = [state[j], state[i]];
+            output[k] = data[k] ^ state[(state[i] + state[j]) & 0xFF];
+        }
+        return output;
+    }
+
+    /**
+     * MD5 digest (RFC 1321); Web Crypto does not offer MD5
+     * @param {Uint8Array} data - Input
+     * @returns {Uint8Array} 16-byte digest
+     */
+    static md5(data) {
+        const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const constants = new Uint32Array(64);
+        for (let i = 0; i < 64; i++) {
+            constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+        }
+
+        // Pad to 56 bytes mod 64, then append the bit length
+        const paddedLength = (((data.length + 8) >> 6) + 1) << 6;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const bitLength = data.length * 8;
+        const view = new DataView(padded.buffer);
+        view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+        view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+        let a0 = 0x67452301;
+        let b0 = 0xefcdab89;
+        let c0 = 0x98badcfe;
+        let d0 = 0x10325476;
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            let a = a0;
+            let b = b0;
+            let c = c0;
+            let d = d0;
+
+            for (let i = 0; i < 64; i++) {
+                let f;
+                let g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+
+                const sum = (a + f + constants[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+                const shift = shifts[(i >> 4) * 4 + (i % 4)];
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) >>> 0;
+            }
+
+            a0 = (a0 + a) >>> 0;
+            b0 = (b0 + b) >>> 0;
+            c0 = (c0 + c) >>> 0;
+            d0 = (d0 + d) >>> 0;
+        }
+
+        const digest = new Uint8Array(16);
+        const digestView = new DataView(digest.buffer);
+        [a0, b0, c0, d0].forEach((word, index) => digestView.setUint32(index * 4, word, true));
+        return digest;
+    }
+
+    /**
+     * Decompress zlib (FlateDecode) data
+     * @param {Uint8Array} data - Compressed data
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    static async inflate(data) {
+        const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
+
+/**
+ * Extracts positioned text from PDF pages
+ * Handles the text operators, form XObjects and ToUnicode-mapped fonts the
+ * clerk's filing system produces.
+ */
+class PdfTextExtractor {
+    constructor(pdf) {
+        this.document = pdf;
+        this.fontCache = new Map();
+    }
+
+    /**
+     * Extract the text items of every page
+     * @returns {Promise<Array<Array<Object>>>} Per page, items { text, x, y, width, size } in page space
+     */
+    async extractPages() {
+        const pages = [];
+        for (const page of this.document.getPages()) {
+            const items = [];
+            const contents = this.document.resolve(page.get('Contents'));
+            const refs = Array.isArray(contents) ? contents : [page.get('Contents')];
+
+            const chunks = [];
+            for (const ref of refs.filter(Boolean)) {
+                chunks.push(PdfDocument.toBinaryString(await this.document.getStreamData(ref)));
+            }
+
+            await this.runContent(chunks.join('\n'), this.document.resolve(page.get('Resources')), [1, 0, 0, 1, 0, 0], items);
+            pages.push(items);
+        }
+        return pages;
+    }
+
+    /**
+     * Multiply two transformation matrices
+     * @param {Array<number>} m1 - First matrix [a b c d e f]
+     * @param {Array<number>} m2 - Second matrix
+     * @returns {Array<number>} m1 × m2
+     */
+    static multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[1] * m2[2],
+            m1[0] * m2[1] + m1[1] * m2[3],
+            m1[2] * m2[0] + m1[3] * m2[2],
+            m1[2] * m2[1] + m1[3] * m2[3],
+            m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+            m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+        ];
+    }
+
+    /**
+     * Interpret a content stream, collecting text items
+     * @param {string} content - Content stream as a binary string
+     * @param {Map} resources - Resource dictionary
+     * @param {Array<number>} baseMatrix - CTM at the start of the stream
+     * @param {Array<Object>} items - Output items
+     */
+    async runContent(content, resources, baseMatrix, items) {
+        const lexer = new PdfLexer(content);
+        const stack = [];
+        let operands = [];
+        let ctm = baseMatrix;
+        let textMatrix = [1, 0, 0, 1, 0, 0];
+        let lineMatrix = [1, 0, 0, 1, 0, 0];
+        let font = null;
+        let fontSize = 0;
+        let leading = 0;
+        let charSpacing = 0;
+        let wordSpacing = 0;
+        let horizontalScale = 1;
+
+        const fonts = resources ? this.document.resolve(resources.get('Font')) : null;
+        const xObjects = resources ? this.document.resolve(resources.get('XObject')) : null;
+
+        const moveLine = (tx, ty) => {
+            lineMatrix = PdfTextExtractor.multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+            textMatrix = lineMatrix.slice();
+        };
+
+        const showText = (bytes) => {
+            if (!font) return;
+
+            const matrix = PdfTextExtractor.multiply(textMatrix, ctm);
+            let text = '';
+            let advance = 0;
+
+            for (const code of font.codes(bytes)) {
+                text += font.toUnicode(code);
+                advance += (font.width(code) / 1000) * fontSize + charSpacing + (code === 32 && font.isSimple ? wordSpacing : 0);
+            }
+            advance *= horizontalScale;
+
+            if (text.trim()) {
+                items.push({
+                    text,
+                    x: matrix[4],
+                    y: matrix[5],
+                    width: advance * Math.hypot(matrix[0], matrix[1]),
+                    size: fontSize * Math.hypot(matrix[2], matrix[3])
+                });
+            }
+
+            textMatrix = PdfTextExtractor.multiply([1, 0, 0, 1, advance, 0], textMatrix);
+        };
+
+        for (;;) {
+            const token = lexer.readObject();
+            if (token === undefined) break;
+
+            if (!(token instanceof PdfOperator)) {
+                operands.push(token);
+                continue;
+            }
+
+            switch (token.name) {
+                case 'q':
+                    stack.push(ctm);
+                    break;
+                case 'Q':
+                    ctm = stack.pop() || baseMatrix;
+                    break;
+                case 'cm':
+                    ctm = PdfTextExtractor.multiply(operands, ctm);
+                    break;
+                case 'BT':
+                    textMatrix = [1, 0, 0, 1, 0, 0];
+                    lineMatrix = [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'Tf':
+                    font = fonts ? await this.getFont(fonts.get(operands[0])) : null;
+                    fontSize = operands[1];
+                    break;
+                case 'Tm':
+                    lineMatrix = operands.slice(0, 6);
+                    textMatrix = lineMatrix.slice();
+                    break;
+                case 'Td':
+                    moveLine(operands[0], operands[1]);
+                    break;
+                case 'TD':
+                    leading = -operands[1];
+                    moveLine(operands[0], operands[1]);
+                    break;
+                case 'TL':
+                    leading = operands[0];
+                    break;
+                case 'Tc':
+                    charSpacing = operands[0];
+                    break;
+                case 'Tw':
+                    wordSpacing = operands[0];
+                    break;
+                case 'Tz':
+                    horizontalScale = operands[0] / 100;
+                    break;
+                case 'T*':
+                    moveLine(0, -leading);
+                    break;
+                case 'Tj':
+                    showText(operands[0]);
+                    break;
+                case "'":
+                    moveLine(0, -leading);
+                    showText(operands[0]);
+                    break;
+                case '"':
+                    wordSpacing = operands[0];
+                    charSpacing = operands[1];
+                    moveLine(0, -leading);
+                    showText(operands[2]);
+                    break;
+                case 'TJ':
+                    for (const part of operands[0] || []) {
+                        if (typeof part === 'number') {
+                            textMatrix = PdfTextExtractor.multiply(
+                                [1, 0, 0, 1, (-part / 1000) * fontSize * horizontalScale, 0], textMatrix);
+                        } else {
+                            showText(part);
+                        }
+                    }
+                    break;
+                case 'Do': {
+                    const ref = xObjects ? xObjects.get(operands[0]) : null;
+                    const dictionary = ref ? this.document.getStreamDictionary(ref) : null;
+                    if (dictionary && dictionary.get('Subtype') === 'Form') {
+                        const matrix = dictionary.get('Matrix') || [1, 0, 0, 1, 0, 0];
+                        const formContent = PdfDocument.toBinaryString(await this.document.getStreamData(ref));
+                        const formResources = this.document.resolve(dictionary.get('Resources')) || resources;
+                        await this.runContent(formContent, formResources, PdfTextExtractor.multiply(matrix, ctm), items);
+                    }
+                    break;
+                }
+                case 'BI': {
+                    // Inline images carry raw bytes up to "EI"
+                    const end = content.indexOf('EI', lexer.position);
+                    lexer.position = end === -1 ? content.length : end + 2;
+                    break;
+                }
+            }
+
+            operands = [];
+        }
+    }
+
+    /**
+     * Load a font's code-to-Unicode mapping and widths
+     * @param {PdfRef|Map} ref - Font reference
+     * @returns {Promise<Object|null>} Font helper with codes(), toUnicode() and width()
+     */
+    async getFont(ref) {
+        if (!ref) return null;
+        if (ref instanceof PdfRef && this.fontCache.has(ref.number)) {
+            return this.fontCache.get(ref.number);
+        }
+
+        const dictionary = this.document.resolve(ref);
+        const isComposite = dictionary.get('Subtype') === 'Type0';
+        const toUnicodeRef = dictionary.get('ToUnicode');
+        const unicodeMap = toUnicodeRef
+            ? PdfTextExtractor.parseToUnicode(PdfDocument.toBinaryString(await this.document.getStreamData(toUnicodeRef)))
+            : new Map();
+
+        const widths = new Map();
+        let defaultWidth = 1000;
+
+        if (isComposite) {
+            const descendant = this.document.resolve(this.document.resolve(dictionary.get('DescendantFonts'))[0]);
+            defaultWidth = descendant.get('DW') || 1000;
+            const list = this.document.resolve(descendant.get('W')) || [];
+            for (let i = 0; i < list.length;) {
+                const first = list[i];
+                const next = this.document.resolve(list[i + 1]);
+                if (Array.isArray(next)) {
+                    next.forEach((width, offset) => widths.set(first + offset, width));
+                    i += 2;
+                } else {
+                    for (let code = first; code <= next; code++) widths.set(code, list[i + 2]);
+                    i += 3;
+                }
+            }
+        } else {
+            const firstChar = dictionary.get('FirstChar') || 0;
+            (this.document.resolve(dictionary.get('Widths')) || []).forEach((width, offset) => {
+                widths.set(firstChar + offset, width);
+            });
+            defaultWidth = 500;
+        }
+
+        const font = {
+            isSimple: !isComposite,
+            codes: (bytes) => {
+                const codes = [];
+                if (isComposite) {
+                    for (let i = 0; i + 1 < bytes.length; i += 2) codes.push((bytes[i] << 8) | bytes[i + 1]);
+                } else {
+                    bytes.forEach(byte => codes.push(byte));
+                }
+                return codes;
+            },
+            toUnicode: (code) => {
+                if (unicodeMap.has(code)) return unicodeMap.get(code);
+                return isComposite ? '' : String.fromCharCode(code);
+            },
+            width: (code) => (widths.has(code) ? widths.get(code) : defaultWidth)
+        };
+
+        if (ref instanceof PdfRef) {
+            this.fontCache.set(ref.number, font);
+        }
+        return font;
+    }
+
+    /**
+     * Parse a ToUnicode CMap
+     * @param {string} cmap - CMap program
+     * @returns {Map<number, string>} Unicode text keyed by character code
+     */
+    static parseToUnicode(cmap) {
+        const map = new Map();
+        const hexToString = (hex) => {
+            let text = '';
+            for (let i = 0; i + 3 < hex.length + 1; i += 4) {
+                const unit = parseInt(hex.substr(i, 4), 16);
+                if (unit) text += String.fromCharCode(unit);
+            }
+            return text;
+        };
+
+        for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const pair of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+                map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+            }
+        }
+
+        for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const range of block[1].matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(<[0-9A-Fa-f]*>|\[[^\]]*\])/g)) {
+                const start = parseInt(range[1], 16);
+                const end = parseInt(range[2], 16);
+
+                if (range[3].startsWith('[')) {
+                    Array.from(range[3].matchAll(/<([0-9A-Fa-f]*)>/g)).forEach((target, offset) => {
+                        map.set(start + offset, hexToString(target[1]));
+                    });
+                } else {
+                    const base = parseInt(range[3].slice(1, -1), 16);
+                    for (let code = start; code <= end; code++) {
+                        map.set(code, String.fromCharCode(base + code - start));
+                    }
+                }
+            }
+        }
+
+        return map;
+    }
+}
+
+/**
+ * Extracts transaction records from electronically filed PTRs
+ * Rows are read from the table's column layout: the header row gives each
+ * column's left edge, dated lines start a transaction, following lines in
+ * the row font continue the asset name and amount band, and smaller
+ * "Label: value" lines carry the filing status, subholding and description.
+ */
+class PtrParser {
+    /**
+     * Table columns keyed by the first word of their header cell
+     * @returns {Object} Record property keyed by header word
+     */
+    static get columnHeaders() {
+        return {
+            ID: 'id',
+            Owner: 'owner',
+            Asset: 'asset',
+            Transaction: 'type',
+            Date: 'transactionDate',
+            Notification: 'notificationDate',
+            Amount: 'amount',
+            'Cap.': 'capitalGains'
+        };
+    }
+
+    /**
+     * Detail line labels, by the initials the clerk's small-caps headings extract as
+     * @returns {Object} Record property keyed by label initials
+     */
+    static get detailLabels() {
+        return {
+            FS: 'filingStatus',
+            SO: 'subholdingOf',
+            D: 'description',
+            C: 'comments'
+        };
+    }
+
+    /**
+     * Owner codes used in the Owner column; an empty cell is the filer
+     * @returns {Object} Description keyed by owner code
+     */
+    static get ownerCodes() {
+        return {
+            SP: 'Spouse',
+            JT: 'Joint',
+            DC: 'Dependent Child'
+        };
+    }
+
+    /**
+     * Transaction type codes
+     * @returns {Object} Description keyed by transaction type code
+     */
+    static get transactionTypes() {
+        return {
+            P: 'Purchase',
+            S: 'Sale',
+            E: 'Exchange'
+        };
+    }
+
+    /**
+     * Fetch and parse a PTR
+     * @param {string} url - PDF URL
+     * @param {string} docID - Document ID of the filing
+     * @returns {Promise<Object>} Parsed report, see parse()
+     */
+    static async fetch(url, docID) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return PtrParser.parse(await response.arrayBuffer(), docID);
+    }
+
+    /**
+     * Parse a PTR
+     * @param {ArrayBuffer|Uint8Array} buffer - PDF bytes
+     * @param {string} docID - Document ID of the filing
+     * @returns {Promise<Object>} Report with filer details and transaction records
+     */
+    static async parse(buffer, docID) {
+        const pdf = PdfDocument.load(buffer);
+        const pages = await new PdfTextExtractor(pdf).extractPages();
+        return PtrParser.parsePages(pages, docID);
+    }
+
+    /**
+     * Parse extracted page text
+     * @param {Array<Array<Object>>} pages - Text items per page, from PdfTextExtractor
+     * @param {string} docID - Document ID of the filing
+     * @returns {Object} { docID, filer, transactions }
+     */
+    static parsePages(pages, docID) {
+        const filer = { name: '', status: '', stateDst: '' };
+        const transactions = [];
+        let columns = null;
+        let current = null;
+        let rowSize = 0;
+
+        pages.forEach(items => {
+            // The header is repeated on every page the table continues onto
+            let inTable = false;
+
+            PtrParser.groupLines(items).forEach(line => {
+                const first = line.chunks[0];
+                const text = line.chunks.map(chunk => chunk.text).join(' ');
+
+                const filerField = !columns && /^(Name|Status|State\/District):\s*(.+)$/.exec(text);
+                if (filerField) {
+                    filer[{ Name: 'name', Status: 'status', 'State/District': 'stateDst' }[filerField[1]]] = filerField[2];
+                }
+
+                if (line.chunks.some(chunk => chunk.text === 'Owner') && line.chunks.some(chunk => chunk.text === 'Asset')) {
+                    columns = PtrParser.getColumns(line.chunks);
+                    inTable = true;
+                    return;
+                }
+
+                if (!inTable) return;
+
+                // Table ends at the asset type footnote or the next section heading
+                if (text.startsWith('* ') || first.size > columns.headerSize + 1) {
+                    inTable = false;
+                    current = null;
+                    return;
+                }
+
+                // Header continuation lines ("Type", "Gains >", "$200?")
+                if (Math.abs(first.size - columns.headerSize) < 0.2) return;
+
+                const cells = PtrParser.assignColumns(line.items, columns);
+
+                if (/^\d{2}\/\d{2}\/\d{4}$/.test(cells.transactionDate || '')) {
+                    current = PtrParser.createRecord(docID, cells);
+                    transactions.push(current);
+                    rowSize = first.size;
+                    return;
+                }
+
+                if (!current) return;
+
+                if (Math.abs(first.size - rowSize) < 0.2) {
+                    if (cells.asset) current.asset = `${current.asset} ${cells.asset}`.trim();
+                    if (cells.amount) current.amount = `${current.amount} ${cells.amount}`.trim();
+                    if (cells.capitalGains) current.capitalGains = true;
+                } else {
+                    PtrParser.applyDetailLine(current, line.chunks);
+                }
+            });
+        });
+
+        transactions.forEach(record => PtrParser.finalizeRecord(record));
+
+        return { docID, filer, transactions };
+    }
+
+    /**
+     * Group text items into lines
+     * @param {Array<Object>} items - Text items { text, x, y, width, size }
+     * @returns {Array<Object>} Lines { y, items, chunks } from top to bottom
+     */
+    static groupLines(items) {
+        const lines = [];
+        const sorted = items.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+
+        sorted.forEach(item => {
+            let line = lines.find(candidate => Math.abs(candidate.y - item.y) < 1.5);
+            if (!line) {
+                line = { y: item.y, items: [] };
+                lines.push(line);
+            }
+            line.items.push(item);
+        });
+
+        lines.forEach(line => {
+            line.items.sort((a, b) => a.x - b.x);
+            line.chunks = PtrParser.mergeRuns(line.items);
+        });
+
+        return lines.filter(line => line.chunks.length > 0);
+    }
+
+    /**
+     * Merge runs of glyphs into words and cells
+     * @param {Array<Object>} items - Text items of one line, sorted by x
+     * @returns {Array<Object>} Chunks { text, x, width, size }
+     */
+    static mergeRuns(items) {
+        const chunks = [];
+
+        items.forEach(item => {
+            const last = chunks[chunks.length - 1];
+            const gap = last ? item.x - (last.x + last.width) : Infinity;
+
+            if (last && gap > -1 && gap < item.size * 0.6) {
+                // Some fonts drop the space glyph from their ToUnicode map, so restore
+                // word breaks from the gap between runs
+                const needsSpace = gap > item.size * 0.12 && !/\s$/.test(last.text) && !/^\s/.test(item.text);
+                last.text += (needsSpace ? ' ' : '') + item.text;
+                last.width = item.x + item.width - last.x;
+            } else {
+                chunks.push({ text: item.text, x: item.x, width: item.width, size: item.size });
+            }
+        });
+
+        chunks.forEach(chunk => {
+            chunk.text = chunk.text.replace(/\s+/g, ' ').trim();
+        });
+
+        return chunks.filter(chunk => chunk.text);
+    }
+
+    /**
+     * Read column positions from the table header row
+     * @param {Array<Object>} chunks - Header row cells
+     * @returns {Object} { headerSize, edges: [{ key, x }] } with edges sorted by x
+     */
+    static getColumns(chunks) {
+        const edges = [];
+
+        chunks.forEach(chunk => {
+            const key = PtrParser.columnHeaders[chunk.text.split(' ')[0]];
+            if (key && !edges.some(edge => edge.key === key)) {
+                edges.push({ key, x: chunk.x });
+            }
+        });
+
+        return {
+            headerSize: chunks[0].size,
+            edges: edges.sort((a, b) => a.x - b.x)
+        };
+    }
+
+    /**
+     * Assign a row's text to the column whose left edge precedes it
+     * Runs are split per column before merging, since a long asset name can
+     * end right up against the transaction type.
+     * @param {Array<Object>} items - Text items of the row, sorted by x
+     * @param {Object} columns - Column layout from getColumns()
+     * @returns {Object} Cell text keyed by record property
+     */
+    static assignColumns(items, columns) {
+        const buckets = new Map();
+
+        items.forEach(item => {
+            let key = null;
+            columns.edges.forEach(edge => {
+                if (item.x >= edge.x - 3) key = edge.key;
+            });
+
+            if (key) {
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(item);
+            }
+        });
+
+        const cells = {};
+        buckets.forEach((bucket, key) => {
+            cells[key] = PtrParser.mergeRuns(bucket).map(chunk => chunk.text).join(' ');
+        });
+        return cells;
+    }
+
+    /**
+     * Start a transaction record from its first row
+     * @param {string} docID - Document ID of the filing
+     * @param {Object} cells - Cell text keyed by record property
+     * @returns {Object} Transaction record
+     */
+    static createRecord(docID, cells) {
+        return {
+            docID,
+            owner: cells.owner || '',
+            asset: cells.asset || '',
+            assetType: '',
+            ticker: '',
+            type: cells.type || '',
+            partial: false,
+            transactionDate: cells.transactionDate,
+            notificationDate: cells.notificationDate || '',
+            amount: cells.amount || '',
+            capitalGains: Boolean(cells.capitalGains),
+            filingStatus: '',
+            subholdingOf: '',
+            description: '',
+            comments: ''
+        };
+    }
+
+    /**
+     * Apply a "Label: value" detail line to a record
+     * @param {Object} record - Transaction record
+     * @param {Array<Object>} chunks - Line cells
+     */
+    static applyDetailLine(record, chunks) {
+        const text = chunks.map(chunk => chunk.text).join(' ');
+        const label = /^([A-Z](?: [A-Z])*) ?:/.exec(text);
+        const property = label ? PtrParser.detailLabels[label[1].replace(/ /g, '')] : null;
+
+        if (property) {
+            record[property] = text.slice(label[0].length).trim();
+            record.lastDetail = property;
+        } else if (record.lastDetail) {
+            // Wrapped continuation of the previous detail value
+            record[record.lastDetail] = `${record[record.lastDetail]} ${text}`.trim();
+        }
+    }
+
+    /**
+     * Normalize a record once all of its lines are read
+     * @param {Object} record - Transaction record
+     */
+    static finalizeRecord(record) {
+        delete record.lastDetail;
+
+        // "Company Name (TICK) [ST]": asset type code, then ticker or CUSIP
+        const assetType = record.asset.match(/\s*\[([A-Z0-9]{2})\]$/);
+        if (assetType) {
+            record.assetType = assetType[1];
+            record.asset = record.asset.slice(0, assetType.index).trim();
+        }
+
+        const identifier = record.asset.match(/\(([A-Z][A-Z0-9.$/-]{0,9})\)$/);
+        if (identifier && !/\d{3}/.test(identifier[1])) {
+            record.ticker = identifier[1];
+        }
+
+        const partial = record.type.match(/^([PSE])\s*\(partial\)$/i);
+        if (partial) {
+            record.type = partial[1].toUpperCase();
+            record.partial = true;
+        }
+
+        record.transactionDate = PtrParser.toIsoDate(record.transactionDate);
+        record.notificationDate = PtrParser.toIsoDate(record.notificationDate);
+        record.amount = record.amount.replace(/\s*-\s*/g, ' - ');
+    }
+
+    /**
+     * Build the per-transaction dataset the Transactions tab loads (see TransactionManager)
+     * No build time is recorded, so rebuilding from the same PDFs yields an identical file
+     * @param {Array<Object>} reports - Reports from parse()
+     * @returns {Object} Dataset with transactions grouped by docID; empty and false fields are omitted
+     */
+    static toDataset(reports) {
+        const filings = {};
+
+        reports.forEach(report => {
+            filings[report.docID] = {
+                filer: report.filer.name,
+                stateDst: report.filer.stateDst,
+                transactions: report.transactions.map(record => {
+                    const entry = {};
+                    Object.entries(record).forEach(([key, value]) => {
+                        if (key !== 'docID' && value !== '' && value !== false) entry[key] = value;
+                    });
+                    return entry;
+                })
+            };
+        });
+
+        return { version: 1, filings };
+    }
+
+    /**
+     * Convert an MM/DD/YYYY date to YYYY-MM-DD
+     * @param {string} value - Date as printed on the report
+     * @returns {string} ISO date, or the input when it is not MM/DD/YYYY
+     */
+    static toIsoDate(value) {
+        const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+        return match ? `${match[3]}-${match[1]}-${match[2]}` : (value || '');
+    }
+}
@@ -4,10 +4,141 @@
  */
 
 class DataManager {
+    /**
+     * Descriptions of the clerk's filing type codes
+     * @returns {Object} Description keyed by filing type code
+     */
+    static get filingTypeDescriptions() {
+        return {
+            P: 'Periodic Transaction Report',
+            A: 'Annual Financial Disclosure',
+            C: 'Candidate Financial Disclosure',
+            T: 'Termination Report',
+            D: 'Disclosure Statement',
+            X: 'Extension Request',
+            W: 'Waiver Request',
+            E: 'Ethics Agreement'
+        };
+    }
+
+    /**
+     * Names of the states, DC and territories by postal code (the first two characters of stateDst)
+     * @returns {Object} Name keyed by postal code
+     */
+    static get stateNames() {
+        return {
+            AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+            CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+            HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa',
+            KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+            MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri',
+            MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+            NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+            OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+            SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+            VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+            DC: 'District of Columbia', PR: 'Puerto Rico', GU: 'Guam', VI: 'U.S. Virgin Islands',
+            AS: 'American Samoa', MP: 'Northern Mariana Islands'
+        };
+    }
+
+    /**
+     * Postal codes of DC and the territories, which elect a non-voting delegate
+     * @returns {Array<string>} Postal codes
+     */
+    static get territoryCodes() {
+        return ['DC', 'PR', 'GU', 'VI', 'AS', 'MP'];
+    }
+
+    /**
+     * Split a StateDst value ("MI12", "AK00", "GU00") into its parts
+     * @param {string} stateDst - Raw StateDst value
+     * @returns {Object} { stateCode, stateName, districtNumber, atLarge, territory }; districtNumber
+     *     is 0 for a single statewide seat and null when the value has no district
+     */
+    static parseStateDst(stateDst) {
+        const code = String(stateDst || '').trim().toUpperCase();
+        const match = code.match(/^([A-Z]{2})(\d{1,2})?$/);
+        const stateCode = match ? match[1] : code.substring(0, 2);
+        const districtNumber = match && match[2] !== undefined ? parseInt(match[2], 10) : null;
+
+        return {
+            stateCode,
+            stateName: DataManager.stateNames[stateCode] || '',
+            districtNumber,
+            atLarge: districtNumber === 0,
+            territory: DataManager.territoryCodes.includes(stateCode)
+        };
+    }
+
+    /**
+     * Format the district part of a parsed StateDst for display
+     * @param {Object} location - Object with districtNumber, atLarge and territory (a member or parseStateDst result)
+     * @returns {string} District number, "At-large", "Delegate", or '' without a district
+     */
+    static formatDistrict(location) {
+        if (location.districtNumber == null) return '';
+        if (location.atLarge) return location.territory ? 'Delegate' : 'At-large';
+        return String(location.districtNumber);
+    }
+
+    /**
+     * Describe a StateDst value in words
+     * @param {Object} location - Object with stateDst, stateCode, stateName and the district fields
+     * @returns {string} e.g. "Michigan, District 12", "Alaska, at-large", or the raw value when unparsed
+     */
+    static describeStateDst(location) {
+        if (!location.stateName) return location.stateDst || '';
+        const district = DataManager.formatDistrict(location);
+        if (!district) return location.stateName;
+        return /^\d+$/.test(district)
+            ? `${location.stateName}, District ${district}`
+            : `${location.stateName}, ${district.toLowerCase()}`;
+    }
+
     constructor() {
         this.members = [];
         this.filteredMembers = [];
-        this.currentSort = { column: null, direction: 'asc' };
+        // Facet bases collected by the last applyFilters pass
+        this.facetPass = null;
+        // Sort keys in priority order, e.g. [{ column: 'stateName', direction: 'asc' }, ...]
+        this.sortCriteria = [];
+        this.collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+        this.currentSearchTerm = '';
+        this.currentQuery = null;
+        // Query language for this record type; subclasses swap in their own fields
+        this.queryParser = QueryParser;
+        this.facetFilters = {
+            filingType: new Set(),
+            state: new Set(),
+            district: new Set(),
+            year: new Set(),
+            month: new Set(),
+            change: new Set(),
+            watch: new Set()
+        };
+        this.dateRange = { from: null, to: null, preset: null };
+        this.relevanceScores = new Map();
+        this.listeners = new Set();
+
+        // Year datasets keyed by dataset year, loaded lazily on first activation
+        this.datasets = new Map();
+        this.activeYears = new Set();
+
+        // Filer entities keyed by filerId, rebuilt whenever a dataset loads
+        this.filers = new Map();
+        this.filerDecisions = { confirmed: [], split: [], merged: [] };
+        this.watchedFilers = new Set();
+
+        // IDs issued for parts the reviewer split off, with their name variant keys, and IDs
+        // that no longer head a filer after a merge or split, pointing at the one that took over
+        this.filerIds = new Map();
+        this.filerAliases = new Map();
+        // Optional FilerIdStore keeping the split-off IDs across visits
+        this.filerIdStore = null;
+
+        // Optional ChangeTracker diffing each dataset against its last snapshot as it loads
+        this.changeTracker = null;
     }
 
     /**
@@ -41,9 +172,6 @@ class DataManager {
                 }
             });
 
-            this.members = members;
-            this.filteredMembers = [...members];
-
             console.log(`Successfully parsed ${members.length} member records`);
             return members;
         } catch (error) {
@@ -52,6 +180,92 @@ class DataManager {
         }
     }
 
+    /**
+     * Parse tab-delimited (FDxxxx.txt) content and extract member data
+     * @param {string} tsvString - The TSV content as string
+     * @returns {Array} Array of member objects
+     */
+    parseTSV(tsvString) {
+        try {
+            // Header names match the XML element names
+            const columnMap = {
+                Prefix: 'prefix',
+                Last: 'lastName',
+                First: 'firstName',
+                Suffix: 'suffix',
+                FilingType: 'filingType',
+                StateDst: 'stateDst',
+                Year: 'year',
+                FilingDate: 'filingDate',
+                DocID: 'docID'
+            };
+
+            const lines = tsvString.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+            const header = lines.shift().split('\t').map(name => name.trim());
+
+            const missing = Object.keys(columnMap).filter(name => !header.includes(name));
+            if (missing.length > 0) {
+                throw new Error(`TSV parsing failed: missing columns ${missing.join(', ')}`);
+            }
+
+            const members = [];
+
+            lines.forEach((line, lineIndex) => {
+                if (line.trim() === '') return;
+
+                try {
+                    const values = line.split('\t');
+                    const fields = {};
+                    header.forEach((name, column) => {
+                        if (columnMap[name]) {
+                            fields[columnMap[name]] = (values[column] || '').trim();
+                        }
+                    });
+
+                    members.push(this.createMember(fields));
+                } catch (error) {
+                    console.warn(`Failed to parse TSV line ${lineIndex + 2}:`, error);
+                    // Continue processing other members
+                }
+            });
+
+            console.log(`Successfully parsed ${members.length} member records`);
+            return members;
+        } catch (error) {
+            console.error('TSV parsing error:', error);
+            throw new Error(`Failed to parse TSV data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Detect the format of a data file from its content
+     * @param {string} text - File content
+     * @returns {string} 'xml' or 'tsv'
+     */
+    detectFormat(text) {
+        const head = text.replace(/^\uFEFF/, '').trimStart();
+
+        if (head.startsWith('<')) {
+            return 'xml';
+        }
+
+        const firstLine = head.split(/\r\n|\n|\r/, 1)[0];
+        if (firstLine.includes('\t') && /\bDocID\b/.test(firstLine)) {
+            return 'tsv';
+        }
+
+        throw new Error('Unrecognized data format (expected FD XML or tab-delimited text)');
+    }
+
+    /**
+     * Parse data file content in either supported format
+     * @param {string} text - File content
+     * @returns {Array} Array of member objects
+     */
+    parse(text) {
+        return this.detectFormat(text) === 'xml' ? this.parseXML(text) : this.parseTSV(text);
+    }
+
     /**
      * Extract member data from XML element
      * @param {Element} memberEl - Member XML element
@@ -63,15 +277,26 @@ class DataManager {
             return element ? element.textContent.trim() : '';
         };
 
-        const prefix = getTextContent('Prefix');
-        const lastName = getTextContent('Last');
-        const firstName = getTextContent('First');
-        const suffix = getTextContent('Suffix');
-        const filingType = getTextContent('FilingType');
-        const stateDst = getTextContent('StateDst');
-        const year = getTextContent('Year');
-        const filingDate = getTextContent('FilingDate');
-        const docID = getTextContent('DocID');
+        return this.createMember({
+            prefix: getTextContent('Prefix'),
+            lastName: getTextContent('Last'),
+            firstName: getTextContent('First'),
+            suffix: getTextContent('Suffix'),
+            filingType: getTextContent('FilingType'),
+            stateDst: getTextContent('StateDst'),
+            year: getTextContent('Year'),
+            filingDate: getTextContent('FilingDate'),
+            docID: getTextContent('DocID')
+        });
+    }
+
+    /**
+     * Build a member object from raw field strings, shared by the XML and TSV parsers
+     * @param {Object} fields - Raw string fields keyed by member property
+     * @returns {Object} Member object
+     */
+    createMember(fields) {
+        const { prefix, lastName, firstName, suffix, filingType, stateDst, year, filingDate, docID } = fields;
 
         // Validate required fields
         if (!lastName && !firstName) {
@@ -90,6 +315,12 @@ class DataManager {
             console.warn(`Invalid year for member ${firstName} ${lastName}: ${year}`);
         }
 
+        const location = DataManager.parseStateDst(stateDst);
+
+        const searchIndex = this.createSearchIndex({
+            prefix, lastName, firstName, suffix, filingType, stateDst, stateName: location.stateName, year, filingDate, docID
+        });
+
         return {
             prefix: prefix || '',
             lastName: lastName || '',
@@ -101,10 +332,10 @@ class DataManager {
             filingDate: parsedDate,
             filingDateString: filingDate || '',
             docID: docID || '',
+            ...location,
             // Add search index for performance
-            searchIndex: this.createSearchIndex({
-                prefix, lastName, firstName, suffix, filingType, stateDst, year, filingDate, docID
-            })
+            searchIndex,
+            searchWords: this.createSearchWords(searchIndex)
         };
     }
 
@@ -161,13 +392,35 @@ class DataManager {
     /**
      * Create search index for a member
      * @param {Object} memberData - Member data object
-     * @returns {string} Lowercase search index string
+     * @returns {string} Lowercase, diacritic-free search index string
      */
     createSearchIndex(memberData) {
-        return Object.values(memberData)
+        return QueryParser.normalizeText(Object.values(memberData)
             .filter(value => value != null)
-            .join(' ')
-            .toLowerCase();
+            .join(' '));
+    }
+
+    /**
+     * Split a search index into the words bare query terms are matched against
+     * @param {string} searchIndex - Normalized search index
+     * @returns {Array<string>} Whole tokens, their punctuation-separated parts and
+     *     the tokens with punctuation removed ("abu-ghazalah" also yields "abughazalah")
+     */
+    createSearchWords(searchIndex) {
+        const words = new Set();
+
+        searchIndex.split(/\s+/).forEach(token => {
+            if (!token) return;
+            words.add(token);
+
+            const parts = token.split(/[-\/.,'()]+/).filter(Boolean);
+            parts.forEach(part => words.add(part));
+            if (parts.length > 1) {
+                words.add(parts.join(''));
+            }
+        });
+
+        return Array.from(words);
     }
 
     /**
@@ -187,2143 +440,11746 @@ class DataManager {
     }
 
     /**
-     * Filter members by search term
-     * @param {string} searchTerm - Search term to filter by
+     * Filter members by search query
+     * @param {string} searchTerm - Search query to filter by
+     * @param {Object|null} [query] - Query already parsed by QueryParser; parsed here when omitted
      * @returns {Array} Array of filtered member objects
+     * @throws {QuerySyntaxError} When the search term is not a valid query
      */
-    filterMembers(searchTerm) {
-        if (!searchTerm || searchTerm.trim() === '') {
-            this.filteredMembers = [...this.members];
-        } else {
-            const term = searchTerm.toLowerCase().trim();
-            this.filteredMembers = this.members.filter(member =>
-                member.searchIndex.includes(term)
-            );
-        }
-
-        // Re-apply current sort to filtered results
-        if (this.currentSort.column) {
-            this.sortMembers(this.currentSort.column, this.currentSort.direction);
-        }
+    filterMembers(searchTerm, query = null) {
+        this.currentSearchTerm = searchTerm || '';
+        this.currentQuery = query || this.queryParser.parse(this.currentSearchTerm.trim());
 
-        return this.filteredMembers;
+        return this.applyFilters();
     }
 
     /**
-     * Sort members by column and direction
-     * @param {string} column - Column to sort by
-     * @param {string} direction - Sort direction ('asc' or 'desc')
-     * @returns {Array} Array of sorted member objects
+     * Re-run the search query and all filters over the loaded members
+     * One pass checks the query and date range once per member and collects the facet
+     * bases on the way: a member failing exactly one facet joins that facet's base, so its
+     * other options stay selectable.
+     * @returns {Array} Array of filtered member objects
      */
-    sortMembers(column, direction = 'asc') {
-        this.currentSort = { column, direction };
-
-        this.filteredMembers.sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
-
-            // Handle null/undefined values
-            if (aVal == null && bVal == null) return 0;
-            if (aVal == null) return direction === 'asc' ? 1 : -1;
-            if (bVal == null) return direction === 'asc' ? -1 : 1;
-
-            // Special handling for dates
-            if (column === 'filingDate') {
-                if (aVal instanceof Date && bVal instanceof Date) {
-                    const result = aVal.getTime() - bVal.getTime();
-                    return direction === 'asc' ? result : -result;
-                }
-                // Fallback to string comparison for invalid dates
-                aVal = a.filingDateString || '';
-                bVal = b.filingDateString || '';
-            }
-
-            // Special handling for numeric values
-            if (column === 'year' || column === 'docID') {
-                const aNum = parseInt(aVal, 10);
-                const bNum = parseInt(bVal, 10);
-                if (!isNaN(aNum) && !isNaN(bNum)) {
-                    const result = aNum - bNum;
-                    return direction === 'asc' ? result : -result;
-                }
+    applyFilters() {
+        const active = Object.entries(this.facetFilters).filter(([, values]) => values.size > 0);
+        const bases = new Map(active.map(([facet]) => [facet, []]));
+
+        this.filteredMembers = this.members.filter(member => {
+            if (this.currentQuery && !this.matchesQuery(member, this.currentQuery)) return false;
+            if (!this.matchesDateRange(member)) return false;
+
+            // Values within a facet are ORed; facets are ANDed
+            let failedFacet = null;
+            for (const [facet, values] of active) {
+                if (values.has(this.getFacetKey(member, facet))) continue;
+                if (failedFacet) return false;
+                failedFacet = facet;
             }
 
-            // String comparison (case-insensitive)
-            const aStr = String(aVal).toLowerCase();
-            const bStr = String(bVal).toLowerCase();
+            if (failedFacet) {
+                bases.get(failedFacet).push(member);
+                return false;
+            }
 
-            if (aStr < bStr) return direction === 'asc' ? -1 : 1;
-            if (aStr > bStr) return direction === 'asc' ? 1 : -1;
-            return 0;
+            bases.forEach(base => base.push(member));
+            return true;
         });
 
+        this.facetPass = { members: this.members, bases };
+
+        // Scores drive the "relevance" sort mode
+        this.relevanceScores = new Map();
+        if (this.currentQuery) {
+            this.filteredMembers.forEach(member => {
+                this.relevanceScores.set(member, this.getRelevance(member, this.currentQuery));
+            });
+        }
+
+        // Re-apply current sort to filtered results
+        if (this.sortCriteria.length > 0) {
+            this.sortMembersBy(this.sortCriteria);
+        }
+
+        this.notifyListeners();
         return this.filteredMembers;
     }
 
     /**
-     * Get summary statistics
-     * @returns {Object} Statistics object
+     * Check a member against the search query and every active filter
+     * @param {Object} member - Member object
+     * @param {string} [skipFacet] - Facet to ignore, used for facet counts
+     * @returns {boolean} Whether the member passes
      */
-    getStatistics() {
-        const members = this.members;
-
-        if (members.length === 0) {
-            return {
-                totalRecords: 0,
-                filteredRecords: 0,
-                dateRange: 'No data',
-                uniqueStates: 0,
-                filingTypes: {}
-            };
+    matchesFilters(member, skipFacet = null) {
+        if (this.currentQuery && !this.matchesQuery(member, this.currentQuery)) {
+            return false;
         }
 
-        // Get date range
-        const validDates = members
-            .map(m => m.filingDate)
-            .filter(date => date instanceof Date)
-            .sort((a, b) => a.getTime() - b.getTime());
-
-        let dateRange = 'No dates available';
-        if (validDates.length > 0) {
-            const earliest = validDates[0];
-            const latest = validDates[validDates.length - 1];
-            dateRange = `${this.formatDate(earliest)} - ${this.formatDate(latest)}`;
+        if (!this.matchesDateRange(member)) {
+            return false;
         }
 
-        // Get unique states
-        const uniqueStates = new Set(
-            members
-                .map(m => m.stateDst)
-                .filter(state => state && state.trim() !== '')
-        ).size;
-
-        // Get filing type counts
-        const filingTypes = {};
-        members.forEach(member => {
-            const type = member.filingType || 'Unknown';
-            filingTypes[type] = (filingTypes[type] || 0) + 1;
-        });
+        // Values within a facet are ORed; facets are ANDed
+        for (const [facet, values] of Object.entries(this.facetFilters)) {
+            if (facet !== skipFacet && values.size > 0 && !values.has(this.getFacetKey(member, facet))) {
+                return false;
+            }
+        }
 
-        return {
-            totalRecords: members.length,
-            filteredRecords: this.filteredMembers.length,
-            dateRange,
-            uniqueStates,
-            filingTypes
-        };
+        return true;
     }
 
     /**
-     * Format date for display
-     * @param {Date} date - Date object
-     * @returns {string} Formatted date string
+     * Get the facet bucket a member falls into
+     * @param {Object} member - Member object
+     * @param {string} facet - One of filingType, state, district, year, month, change, watch
+     * @returns {string} Facet key, 'Unknown' when the field is empty
      */
-    formatDate(date) {
-        if (!(date instanceof Date) || isNaN(date.getTime())) {
-            return '';
+    getFacetKey(member, facet) {
+        switch (facet) {
+            case 'filingType':
+                return member.filingType || 'Unknown';
+            case 'state':
+                return member.stateCode || 'Unknown';
+            case 'district':
+                // Records without a district number share the "no district" bucket
+                return member.districtNumber != null ? member.stateDst.trim().toUpperCase() : 'Unknown';
+            case 'year':
+                return member.year ? String(member.year) : 'Unknown';
+            case 'month': {
+                const date = member.filingDate;
+                if (!(date instanceof Date)) return 'Unknown';
+                return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            }
+            case 'change':
+                return member.changeStatus || 'unchanged';
+            case 'watch':
+                return this.isWatched(member.filerId) ? 'watched' : 'unwatched';
+            default:
+                throw new Error(`Unknown facet: ${facet}`);
         }
-
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
     }
 
     /**
-     * Load XML data from file
-     * @param {string} filename - XML filename to load
-     * @returns {Promise} Promise that resolves when data is loaded
+     * Replace the selected values of a facet and re-filter
+     * @param {string} facet - Facet name
+     * @param {Array<string>} values - Selected facet keys (empty clears the facet)
+     * @returns {Array} Array of filtered member objects
      */
-    async loadXMLFile(filename) {
-        try {
-            const response = await fetch(filename);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const xmlText = await response.text();
-            return this.parseXML(xmlText);
-        } catch (error) {
-            console.error('Failed to load XML file:', error);
-            throw new Error(`Failed to load data file: ${error.message}`);
+    setFacetFilter(facet, values) {
+        if (!this.facetFilters[facet]) {
+            throw new Error(`Unknown facet: ${facet}`);
         }
+
+        this.facetFilters[facet] = new Set(values.map(String));
+        return this.applyFilters();
     }
-}/**
- * Uti
-lity class for data validation and sanitization
- */
-class DataValidator {
+
     /**
-     * Sanitize HTML content to prevent XSS
-     * @param {string} input - Input string to sanitize
-     * @returns {string} Sanitized string
+     * Clear every facet selection and the date range, then re-filter
+     * @returns {Array} Array of filtered member objects
      */
-    static sanitizeHTML(input) {
-        if (typeof input !== 'string') {
-            return String(input || '');
-        }
-
-        // Create a temporary div element to leverage browser's HTML parsing
-        const temp = document.createElement('div');
-        temp.textContent = input;
-        return temp.innerHTML;
+    clearFilters() {
+        Object.keys(this.facetFilters).forEach(facet => {
+            this.facetFilters[facet] = new Set();
+        });
+        this.dateRange = { from: null, to: null, preset: null };
+        return this.applyFilters();
     }
 
     /**
-     * Sanitize search input
-     * @param {string} input - Search input to sanitize
-     * @returns {string} Sanitized search input
+     * Restrict results to a filing date range
+     * @param {Date|null} from - First day to include, or null for no lower bound
+     * @param {Date|null} to - Last day to include, or null for no upper bound
+     * @param {string|null} [preset] - Preset the range was computed from, if any
+     * @returns {Array} Array of filtered member objects
      */
-    static sanitizeSearchInput(input) {
-        if (typeof input !== 'string') {
-            return '';
-        }
+    setDateRange(from, to, preset = null) {
+        const startOfDay = (date) => date instanceof Date && !isNaN(date.getTime())
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate())
+            : null;
 
-        // Remove potentially dangerous characters but keep search-friendly ones
-        return input
-            .replace(/[<>\"'&]/g, '') // Remove HTML/script injection chars
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim()
-            .substring(0, 200); // Limit length
+        this.dateRange = { from: startOfDay(from), to: startOfDay(to), preset: preset || null };
+        return this.applyFilters();
     }
 
     /**
-     * Validate and sanitize member data
-     * @param {Object} member - Member object to validate
-     * @returns {Object} Validated and sanitized member object
+     * Get the active filing date range
+     * @returns {Object} Range with from/to dates (null when open) and preset name
      */
-    static validateMember(member) {
-        if (!member || typeof member !== 'object') {
-            throw new Error('Invalid member data');
-        }
+    getDateRange() {
+        return { ...this.dateRange };
+    }
 
-        const sanitized = {};
+    /**
+     * Check a member's filing date against the active date range
+     * @param {Object} member - Member object
+     * @returns {boolean} Whether the member passes
+     */
+    matchesDateRange(member) {
+        const { from, to } = this.dateRange;
+        if (!from && !to) return true;
+        if (!(member.filingDate instanceof Date)) return false;
 
-        // Sanitize string fields
-        const stringFields = ['prefix', 'lastName', 'firstName', 'suffix', 'filingType', 'stateDst', 'docID', 'filingDateString'];
-        stringFields.forEach(field => {
-            sanitized[field] = this.sanitizeHTML(member[field] || '');
-        });
+        const time = member.filingDate.getTime();
+        if (from && time < from.getTime()) return false;
 
-        // Validate and sanitize numeric fields
-        sanitized.year = this.validateYear(member.year);
+        // "to" is inclusive, so compare against the start of the following day
+        if (to && time >= new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1).getTime()) return false;
 
-        // Validate date field
-        sanitized.filingDate = this.validateDate(member.filingDate);
+        return true;
+    }
 
-        // Preserve search index
-        sanitized.searchIndex = member.searchIndex || '';
-
-        return sanitized;
+    /**
+     * Get the selected values of every facet
+     * @returns {Object} Arrays of selected keys keyed by facet
+     */
+    getFacetFilters() {
+        const selected = {};
+        Object.entries(this.facetFilters).forEach(([facet, values]) => {
+            selected[facet] = Array.from(values);
+        });
+        return selected;
     }
 
     /**
-     * Validate year value
-     * @param {*} year - Year value to validate
-     * @returns {number|null} Valid year or null
+     * Get the members a facet's counts are based on: everything that passes
+     * the query and the other facets, so options within a facet stay selectable
+     * @param {string} facet - Facet name
+     * @returns {Array} Array of member objects
      */
-    static validateYear(year) {
-        if (year == null) return null;
-
-        const numYear = parseInt(year, 10);
-        if (isNaN(numYear) || numYear < 1900 || numYear > 2100) {
-            return null;
+    getFacetBase(facet) {
+        if (!this.isFacetPassCurrent()) {
+            return this.members.filter(member => this.matchesFilters(member, facet));
         }
 
-        return numYear;
+        // Facets without a selection are based on the results themselves
+        return this.facetPass.bases.get(facet) || this.filteredMembers;
     }
 
     /**
-     * Validate date value
-     * @param {*} date - Date value to validate
-     * @returns {Date|null} Valid date or null
+     * Whether the facet bases of the last filter pass still describe the loaded members
+     * @returns {boolean} True when they can be reused
      */
-    static validateDate(date) {
-        if (!date) return null;
-
-        if (date instanceof Date) {
-            return isNaN(date.getTime()) ? null : date;
-        }
+    isFacetPassCurrent() {
+        return Boolean(this.facetPass) && this.facetPass.members === this.members;
+    }
 
-        return null;
+    /**
+     * Get everything that determines the current result set
+     * @returns {Object} Search term, facet selections, date range and sort keys
+     */
+    getViewState() {
+        return {
+            searchTerm: this.currentSearchTerm,
+            facets: this.getFacetFilters(),
+            dateRange: this.getDateRange(),
+            sortCriteria: this.getSortCriteria()
+        };
     }
 
     /**
-     * Validate filing type
-     * @param {string} filingType - Filing type to validate
-     * @returns {string} Validated filing type
+     * Replace search, filters and sort in one step, filtering only once
+     * @param {Object} state - State as returned by getViewState; omitted parts are cleared
+     * @returns {Array} Array of filtered member objects
+     * @throws {QuerySyntaxError} When the search term is not a valid query
      */
-    static validateFilingType(filingType) {
-        const validTypes = ['P', 'A', 'C', 'T', 'D', 'X', 'W', 'E'];
-        const type = String(filingType || '').toUpperCase().trim();
+    setViewState(state) {
+        const searchTerm = state.searchTerm || '';
+        const query = this.queryParser.parse(searchTerm.trim());
+        const facets = state.facets || {};
+        const dateRange = state.dateRange || {};
+
+        this.currentSearchTerm = searchTerm;
+        this.currentQuery = query;
+        Object.keys(this.facetFilters).forEach(facet => {
+            this.facetFilters[facet] = new Set((facets[facet] || []).map(String));
+        });
+        this.dateRange = { from: dateRange.from || null, to: dateRange.to || null, preset: dateRange.preset || null };
+        this.sortCriteria = (state.sortCriteria || []).map(({ column, direction }) => ({ column, direction }));
 
-        return validTypes.includes(type) ? type : filingType || '';
+        // Start from the unsorted order so ties land where a fresh sort would put them
+        return this.applyFilters();
     }
 
     /**
-     * Validate state/district code
-     * @param {string} stateDst - State/district code to validate
-     * @returns {string} Validated state/district code
+     * Register a callback run after the filtered result set changes
+     * @param {Function} listener - Called with the filtered members
+     * @returns {Function} Unsubscribe function
      */
-    static validateStateDst(stateDst) {
-        if (!stateDst) return '';
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
 
-        const code = String(stateDst).trim().toUpperCase();
+    /**
+     * Notify listeners that the filtered result set changed
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.filteredMembers);
+            } catch (error) {
+                console.error('Filter listener failed:', error);
+            }
+        });
+    }
 
-        // Basic validation for US state codes (2 letters) + district numbers
-        if (/^[A-Z]{2}\d{0,2}$/.test(code)) {
-            return code;
+    /**
+     * Evaluate a parsed query against a member
+     * @param {Object} member - Member object
+     * @param {Object} node - Expression node from QueryParser
+     * @returns {boolean} Whether the member matches
+     */
+    matchesQuery(member, node) {
+        switch (node.type) {
+            case 'and':
+                return node.children.every(child => this.matchesQuery(member, child));
+            case 'or':
+                return node.children.some(child => this.matchesQuery(member, child));
+            case 'not':
+                return !this.matchesQuery(member, node.child);
+            default:
+                return this.matchesTerm(member, node);
         }
-
-        return stateDst; // Return original if doesn't match expected format
     }
-}
 
-/**
- * Error handling utility class
- */
-class ErrorHandler {
     /**
-     * Handle and display errors to user
-     * @param {Error} error - Error object
-     * @param {string} context - Context where error occurred
+     * Evaluate a single query term against a member
+     * @param {Object} member - Member object
+     * @param {Object} term - Term node from QueryParser
+     * @returns {boolean} Whether the member matches
      */
-    static handleError(error, context = 'Application') {
-        console.error(`${context} Error:`, error);
-
-        // Show user-friendly error message
-        this.showErrorMessage(this.getUserFriendlyMessage(error, context));
+    matchesTerm(member, term) {
+        return this.scoreTerm(member, term) > 0;
     }
 
     /**
-     * Get user-friendly error message
-     * @param {Error} error - Error object
-     * @param {string} context - Error context
-     * @returns {string} User-friendly error message
+     * Score how well a single query term matches a member
+     * @param {Object} member - Member object
+     * @param {Object} term - Term node from QueryParser
+     * @returns {number} 0 for no match; see scoreWords for word terms, 1-2 otherwise
      */
-    static getUserFriendlyMessage(error, context) {
-        const message = error.message || 'An unknown error occurred';
-
-        if (message.includes('XML parsing')) {
-            return 'The data file appears to be corrupted or invalid. Please check the file format.';
+    scoreTerm(member, term) {
+        // Bare terms match the start of any indexed word
+        if (!term.field) {
+            if (term.pattern) {
+                return member.searchWords.some(word => term.pattern.test(word)) ? 1 : 0;
+            }
+            if (term.phrase) {
+                const fullName = QueryParser.normalizeText(`${member.firstName} ${member.lastName}`);
+                return member.searchIndex.replace(/\s+/g, ' ').includes(term.value) || fullName.includes(term.value) ? 2 : 0;
+            }
+            return this.scoreWords(member.searchWords, term.value);
         }
 
-        if (message.includes('Failed to load')) {
-            return 'Could not load the data file. Please check your internet connection and try again.';
-        }
+        const { properties } = this.queryParser.fields[term.field];
 
-        if (message.includes('HTTP error')) {
-            return 'Network error occurred while loading data. Please try again later.';
-        }
+        switch (term.kind) {
+            case 'number': {
+                const number = member[properties[0]];
+                return number != null && this.compareValues(number, term.number, term.op) ? 1 : 0;
+            }
 
-        return `${context}: ${message}`;
+            case 'date': {
+                const date = member[properties[0]];
+                if (!(date instanceof Date)) return 0;
+                const time = date.getTime();
+                let matches;
+                switch (term.op) {
+                    case '>=': matches = time >= term.range.start; break;
+                    case '>': matches = time >= term.range.end; break;
+                    case '<=': matches = time < term.range.end; break;
+                    case '<': matches = time < term.range.start; break;
+                    default: matches = time >= term.range.start && time < term.range.end;
+                }
+                return matches ? 1 : 0;
+            }
+
+            case 'code':
+                return properties.some(property => {
+                    const value = QueryParser.normalizeText(member[property]);
+                    return term.pattern ? term.pattern.test(value) : value === term.value;
+                }) ? 1 : 0;
+
+            default: {
+                const value = QueryParser.normalizeText(properties
+                    .map(property => member[property])
+                    .filter(Boolean)
+                    .join(' '));
+
+                if (term.phrase) {
+                    return value.includes(term.value) ? 2 : 0;
+                }
+
+                const words = this.createSearchWords(value);
+                if (term.pattern) {
+                    return words.some(word => term.pattern.test(word)) ? 1 : 0;
+                }
+                return this.scoreWords(words, term.value);
+            }
+        }
     }
 
     /**
-     * Show error message to user
-     * @param {string} message - Error message to display
+     * Score a search word against indexed words, tolerating small typos
+     * @param {Array<string>} words - Normalized indexed words
+     * @param {string} value - Normalized search word
+     * @returns {number} 3 exact, 2 prefix, between 0 and 1 for a fuzzy match, 0 for none
      */
-    static showErrorMessage(message) {
-        // Remove existing error messages
-        const existingErrors = document.querySelectorAll('.error-message');
-        existingErrors.forEach(el => el.remove());
-
-        // Create error message element
-        const errorEl = document.createElement('div');
-        errorEl.className = 'error-message';
-        errorEl.innerHTML = `
-      <div class="error-content">
-        <strong>Error:</strong> ${DataValidator.sanitizeHTML(message)}
-        <button type="button" class="error-close" aria-label="Close error message">×</button>
-      </div>
-    `;
+    scoreWords(words, value) {
+        let best = 0;
 
-        // Add error styles if not already present
-        if (!document.querySelector('#error-styles')) {
-            const styles = document.createElement('style');
-            styles.id = 'error-styles';
-            styles.textContent = `
-        .error-message {
-          position: fixed;
-          top: 20px;
-          right: 20px;
-          background-color: var(--error);
-          color: white;
-          padding: var(--space-4);
-          border-radius: var(--radius-md);
-          box-shadow: var(--shadow-lg);
-          z-index: var(--z-modal);
-          max-width: 400px;
-          animation: slideInRight 0.3s ease-out;
-        }
-        
-        .error-content {
-          display: flex;
-          align-items: flex-start;
-          gap: var(--space-3);
-        }
-        
-        .error-close {
-          background: none;
-          border: none;
-          color: white;
-          font-size: var(--font-size-lg);
-          cursor: pointer;
-          padding: 0;
-          line-height: 1;
-          margin-left: auto;
-          flex-shrink: 0;
-        }
-        
-        @keyframes slideInRight {
-          from {
-            transform: translateX(100%);
-            opacity: 0;
-          }
-          to {
-            transform: translateX(0);
-            opacity: 1;
-          }
+        for (const word of words) {
+            if (word === value) return 3;
+            if (word.startsWith(value)) best = 2;
         }
-      `;
-            document.head.appendChild(styles);
+
+        // Only letters are fuzzy-matched, so years, districts and doc IDs stay exact
+        if (best > 0 || value.length < 4 || !/^[a-z]+$/.test(value)) {
+            return best;
         }
 
-        // Add to page
-        document.body.appendChild(errorEl);
+        const maxDistance = value.length >= 8 ? 2 : 1;
+        for (const word of words) {
+            if (!/^[a-z]+$/.test(word) || value.length - word.length > maxDistance) {
+                continue;
+            }
 
-        // Add close functionality
-        const closeBtn = errorEl.querySelector('.error-close');
-        closeBtn.addEventListener('click', () => {
-            errorEl.remove();
-        });
+            // Compare against the whole word and, for partially typed names, its prefix
+            const distance = Math.min(
+                this.editDistance(value, word),
+                word.length > value.length ? this.editDistance(value, word.slice(0, value.length)) : Infinity
+            );
 
-        // Auto-remove after 10 seconds
-        setTimeout(() => {
-            if (errorEl.parentNode) {
-                errorEl.remove();
+            if (distance <= maxDistance) {
+                best = Math.max(best, 1 - distance / (maxDistance + 1));
             }
-        }, 10000);
+        }
+
+        return best;
     }
 
     /**
-     * Handle promise rejections
-     * @param {PromiseRejectionEvent} event - Unhandled promise rejection event
+     * Damerau-Levenshtein (optimal string alignment) distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of insertions, deletions, substitutions and transpositions
      */
-    static handleUnhandledRejection(event) {
-        console.error('Unhandled promise rejection:', event.reason);
-        this.handleError(new Error(event.reason), 'System');
-        event.preventDefault();
-    }
-}
-
-// Set up global error handling
-window.addEventListener('error', (event) => {
-    ErrorHandler.handleError(event.error, 'JavaScript');
-});
-
-window.addEventListener('unhandledrejection', ErrorHandler.handleUnhandledRejection);
+    editDistance(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                nextRow.push(value);
+            }
+            previousRow = row;
+            row = nextRow;
+        }
 
-/**
- * Performance monitoring utility
- */
-class PerformanceMonitor {
-    constructor() {
-        this.timers = new Map();
+        return row[b.length];
     }
 
     /**
-     * Start timing an operation
-     * @param {string} name - Operation name
+     * Rank a matching member against the current query
+     * @param {Object} member - Member object
+     * @param {Object} query - Parsed query
+     * @returns {number} Relevance score, higher is closer
      */
-    startTimer(name) {
-        this.timers.set(name, performance.now());
+    getRelevance(member, query) {
+        return QueryParser.getPositiveTerms(query).reduce((total, term) => {
+            let score = this.scoreTerm(member, term);
+
+            // Prefer records where a bare word hits the surname
+            if (score > 0 && !term.field && !term.pattern && !term.phrase) {
+                const lastNameWords = this.createSearchWords(QueryParser.normalizeText(member.lastName));
+                score += this.scoreWords(lastNameWords, term.value) / 2;
+            }
+
+            return total + score;
+        }, 0);
     }
 
     /**
-     * End timing an operation and log result
-     * @param {string} name - Operation name
-     * @returns {number} Duration in milliseconds
+     * Find the parts of a displayed value that the current query matched
+     * @param {Object} member - Member object the value belongs to
+     * @param {string} property - Member property shown in the cell (e.g. "lastName")
+     * @param {string} text - Text as displayed in the cell
+     * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end) offsets into text
      */
-    endTimer(name) {
-        const startTime = this.timers.get(name);
-        if (!startTime) {
-            console.warn(`Timer '${name}' was not started`);
-            return 0;
+    getHighlightRanges(member, property, text) {
+        if (!this.currentQuery || !text) {
+            return [];
         }
 
-        const duration = performance.now() - startTime;
-        console.log(`${name} took ${duration.toFixed(2)}ms`);
-        this.timers.delete(name);
-        return duration;
+        const ranges = [];
+
+        QueryParser.getPositiveTerms(this.currentQuery).forEach(term => {
+            if (!term.field) {
+                // Bare terms were matched against the indexed value, not the formatted date
+                if (!(member[property] instanceof Date)) {
+                    ranges.push(...this.findTextMatches(text, term));
+                }
+                return;
+            }
+
+            const { kind, properties } = this.queryParser.fields[term.field];
+
+            // dst: matches the raw StateDst, which the table shows as the District column
+            if (term.field === 'dst' && property === 'districtNumber') {
+                if (this.scoreTerm(member, term) > 0) ranges.push([0, text.length]);
+                return;
+            }
+
+            if (!properties.includes(property)) return;
+
+            if (kind === 'text') {
+                ranges.push(...this.findTextMatches(text, term));
+            } else if (this.scoreTerm(member, term) > 0) {
+                ranges.push([0, text.length]);
+            }
+        });
+
+        // Merge overlaps so each character is highlighted at most once
+        return ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push([...range]);
+                }
+                return merged;
+            }, []);
     }
 
     /**
-     * Monitor memory usage (if available)
+     * Locate the words in a piece of text that a text term matches
+     * @param {string} text - Original text
+     * @param {Object} term - Query term node
+     * @returns {Array<Array<number>>} [start, end) offsets into text
      */
-    logMemoryUsage() {
-        if (performance.memory) {
-            const memory = performance.memory;
-            console.log('Memory usage:', {
-                used: `${(memory.usedJSHeapSize / 1024 / 1024).toFixed(2)} MB`,
-                total: `${(memory.totalJSHeapSize / 1024 / 1024).toFixed(2)} MB`,
-                limit: `${(memory.jsHeapSizeLimit / 1024 / 1024).toFixed(2)} MB`
-            });
+    findTextMatches(text, term) {
+        // Normalize character by character so offsets can be mapped back to the original
+        let normalized = '';
+        const offsets = [];
+        let start = 0;
+        for (const char of text) {
+            const folded = QueryParser.normalizeText(char);
+            for (let i = 0; i < folded.length; i++) {
+                normalized += folded[i];
+                offsets.push(start);
+            }
+            start += char.length;
         }
-    }
-}
+        offsets.push(text.length);
 
-// Create global performance monitor instance
-const performanceMonitor = new PerformanceMonitor();/**
+        const toRange = (from, to) => [offsets[from], offsets[to]];
+        const ranges = [];
+
+        if (term.phrase) {
+            let index = normalized.indexOf(term.value);
+            while (index !== -1 && term.value) {
+                ranges.push(toRange(index, index + term.value.length));
+                index = normalized.indexOf(term.value, index + term.value.length);
+            }
+
+            // A name phrase spans the first and last name cells; mark its words in each
+            if (ranges.length === 0 && term.value.includes(' ')) {
+                term.value.split(/\s+/).filter(Boolean).forEach(value => {
+                    ranges.push(...this.findTextMatches(text, { value, phrase: false, exact: true }));
+                });
+            }
+            return ranges;
+        }
+
+        const matchWord = (word) => {
+            if (term.pattern) return term.pattern.test(word) ? word.length : 0;
+            if (word.startsWith(term.value)) return term.value.length;
+            if (term.exact) return 0;
+            return this.scoreWords([word], term.value) > 0 ? word.length : 0;
+        };
+
+        for (const token of normalized.matchAll(/\S+/g)) {
+            // Whole token first, then its punctuation-separated parts ("abu-ghazalah")
+            const joined = token[0].replace(/[-\/.,'()]+/g, '');
+            if (joined !== token[0] && matchWord(joined) > 0) {
+                ranges.push(toRange(token.index, token.index + token[0].length));
+                continue;
+            }
+
+            for (const part of token[0].matchAll(/[^-\/.,'()]+/g)) {
+                const length = matchWord(part[0]);
+                if (length > 0) {
+                    const start = token.index + part.index;
+                    ranges.push(toRange(start, start + length));
+                }
+            }
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Compare two numbers with a query operator
+     * @param {number} actual - Member value
+     * @param {number} expected - Query value
+     * @param {string} op - One of =, >, >=, <, <=
+     * @returns {boolean} Comparison result
+     */
+    compareValues(actual, expected, op) {
+        switch (op) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            default: return actual === expected;
+        }
+    }
+
+    /**
+     * Sort members by column and direction
+     * @param {string} column - Column to sort by
+     * @param {string} direction - Sort direction ('asc' or 'desc')
+     * @returns {Array} Array of sorted member objects
+     */
+    sortMembers(column, direction = 'asc') {
+        return this.sortMembersBy([{ column, direction }]);
+    }
+
+    /**
+     * Sort members by several columns, earlier criteria taking priority
+     * @param {Array<Object>} criteria - Sort keys ({ column, direction }) in priority order
+     * @returns {Array} Array of sorted member objects
+     */
+    sortMembersBy(criteria) {
+        this.sortCriteria = criteria.map(({ column, direction }) => ({ column, direction }));
+
+        // Ties on every key keep their position in the unsorted results, i.e. load order,
+        // not the order left behind by the previous sort
+        const position = new Map(this.members.map((member, index) => [member, index]));
+        this.filteredMembers.sort((a, b) => {
+            for (const { column, direction } of this.sortCriteria) {
+                const result = this.compareMembers(a, b, column, direction);
+                if (result !== 0) return result;
+            }
+            return position.get(a) - position.get(b);
+        });
+
+        return this.filteredMembers;
+    }
+
+    /**
+     * Compare two members on a single column
+     * @param {Object} a - First member
+     * @param {Object} b - Second member
+     * @param {string} column - Column to compare
+     * @param {string} direction - Sort direction ('asc' or 'desc')
+     * @returns {number} Negative if a sorts first, positive if b does, 0 if equal
+     */
+    compareMembers(a, b, column, direction) {
+        // Relevance ranks closer matches first whatever the direction
+        if (column === 'relevance') {
+            return (this.relevanceScores.get(b) || 0) - (this.relevanceScores.get(a) || 0);
+        }
+
+        const sign = direction === 'asc' ? 1 : -1;
+        let aVal = a[column];
+        let bVal = b[column];
+
+        // Missing values sort after present ones when ascending
+        const aMissing = aVal == null || aVal === '';
+        const bMissing = bVal == null || bVal === '';
+        if (aMissing && bMissing) return 0;
+        if (aMissing) return sign;
+        if (bMissing) return -sign;
+
+        // Special handling for dates
+        if (aVal instanceof Date || bVal instanceof Date) {
+            if (aVal instanceof Date && bVal instanceof Date) {
+                return sign * (aVal.getTime() - bVal.getTime());
+            }
+            // Fallback to string comparison for invalid dates
+            aVal = a[`${column}String`] || '';
+            bVal = b[`${column}String`] || '';
+        }
+
+        if (typeof aVal === 'number' && typeof bVal === 'number') {
+            return sign * (aVal - bVal);
+        }
+
+        // Special handling for numeric values
+        if (column === 'year' || column === 'docID') {
+            const aNum = parseInt(aVal, 10);
+            const bNum = parseInt(bVal, 10);
+            if (!isNaN(aNum) && !isNaN(bNum)) {
+                return sign * (aNum - bNum);
+            }
+        }
+
+        // Locale-aware, case- and accent-insensitive comparison
+        return sign * this.collator.compare(String(aVal), String(bVal));
+    }
+
+    /**
+     * Drop all sort keys and restore the filtered results to their original order
+     * @returns {Array} Array of member objects in original order
+     */
+    clearSort() {
+        this.sortCriteria = [];
+        return this.applyFilters();
+    }
+
+    /**
+     * Get the active sort keys
+     * @returns {Array<Object>} Sort keys ({ column, direction }) in priority order
+     */
+    getSortCriteria() {
+        return this.sortCriteria.map(criterion => ({ ...criterion }));
+    }
+
+    /**
+     * Get summary statistics
+     * @returns {Object} Statistics object
+     */
+    getStatistics() {
+        const members = this.members;
+
+        if (members.length === 0) {
+            return {
+                totalRecords: 0,
+                filteredRecords: 0,
+                dateRange: 'No data',
+                uniqueStates: 0,
+                filingTypes: {}
+            };
+        }
+
+        // Get date range
+        const validDates = members
+            .map(m => m.filingDate)
+            .filter(date => date instanceof Date)
+            .sort((a, b) => a.getTime() - b.getTime());
+
+        let dateRange = 'No dates available';
+        if (validDates.length > 0) {
+            const earliest = validDates[0];
+            const latest = validDates[validDates.length - 1];
+            dateRange = `${this.formatDate(earliest)} - ${this.formatDate(latest)}`;
+        }
+
+        // Get unique states
+        const uniqueStates = new Set(
+            members
+                .map(m => m.stateCode)
+                .filter(Boolean)
+        ).size;
+
+        // Get filing type counts
+        const filingTypes = {};
+        members.forEach(member => {
+            const type = member.filingType || 'Unknown';
+            filingTypes[type] = (filingTypes[type] || 0) + 1;
+        });
+
+        return {
+            totalRecords: members.length,
+            filteredRecords: this.filteredMembers.length,
+            dateRange,
+            uniqueStates,
+            filingTypes
+        };
+    }
+
+    /**
+     * Format date for display
+     * @param {Date} date - Date object
+     * @returns {string} Formatted date string
+     */
+    formatDate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            return '';
+        }
+
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Load XML data from file
+     * @param {string} filename - XML filename to load
+     * @returns {Promise} Promise that resolves when data is loaded
+     */
+    async loadXMLFile(filename) {
+        try {
+            const response = await fetch(filename);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const xmlText = await response.text();
+            return this.parseXML(xmlText);
+        } catch (error) {
+            console.error('Failed to load XML file:', error);
+            throw new Error(`Failed to load data file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a data file in either XML or tab-delimited format
+     * @param {string} url - Data file URL
+     * @returns {Promise<Array>} Promise resolving to the parsed members
+     */
+    async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const text = await response.text();
+            return this.parse(text);
+        } catch (error) {
+            console.error('Failed to load data file:', error);
+            throw new Error(`Failed to load data file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record fields compared between two versions of a dataset
+     * @returns {Array<string>} Member properties
+     */
+    static get recordFields() {
+        return ['prefix', 'lastName', 'firstName', 'suffix', 'filingType', 'stateDst', 'year', 'filingDateString', 'docID'];
+    }
+
+    /**
+     * Key records by docID for comparing two versions of a dataset.
+     * The clerk files occasionally repeat a docID, so repeats are numbered to pair them in order.
+     * @param {Array} members - Members in file order
+     * @returns {Map<string, Object>} Member keyed by "docID#occurrence"
+     */
+    static keyRecords(members) {
+        const keyed = new Map();
+        const occurrences = {};
+        members.forEach((member, index) => {
+            const base = member.docID || `row-${index}`;
+            occurrences[base] = (occurrences[base] || 0) + 1;
+            keyed.set(`${base}#${occurrences[base]}`, member);
+        });
+        return keyed;
+    }
+
+    /**
+     * Compare two record sets for the same year, keyed by docID
+     * @param {Array} primary - Members from the primary file
+     * @param {Array} secondary - Members from the alternate file
+     * @returns {Object} Rows missing from either side and rows whose fields differ
+     */
+    compareRecordSets(primary, secondary) {
+        const fields = DataManager.recordFields;
+        const primaryByKey = DataManager.keyRecords(primary);
+        const secondaryByKey = DataManager.keyRecords(secondary);
+
+        const report = {
+            primaryCount: primary.length,
+            secondaryCount: secondary.length,
+            onlyInPrimary: [],
+            onlyInSecondary: [],
+            changed: []
+        };
+
+        primaryByKey.forEach((member, key) => {
+            const other = secondaryByKey.get(key);
+            if (!other) {
+                report.onlyInPrimary.push(member);
+                return;
+            }
+
+            const differences = fields
+                .filter(field => String(member[field] ?? '') !== String(other[field] ?? ''))
+                .map(field => ({ field, primary: member[field], secondary: other[field] }));
+
+            if (differences.length > 0) {
+                report.changed.push({ docID: member.docID, member, differences });
+            }
+        });
+
+        secondaryByKey.forEach((member, key) => {
+            if (!primaryByKey.has(key)) {
+                report.onlyInSecondary.push(member);
+            }
+        });
+
+        report.isConsistent = report.onlyInPrimary.length === 0 &&
+            report.onlyInSecondary.length === 0 &&
+            report.changed.length === 0;
+
+        return report;
+    }
+
+    /**
+     * Check a year's primary file against its alternate-format file
+     * @param {number} year - Dataset year
+     * @returns {Promise<Object>} Promise resolving to the comparison report
+     */
+    async checkDatasetConsistency(year) {
+        const dataset = this.datasets.get(year);
+        if (!dataset) {
+            throw new Error(`Unknown dataset year: ${year}`);
+        }
+        if (!dataset.alternateFile) {
+            throw new Error(`No alternate file listed for ${dataset.label}`);
+        }
+
+        const [primary, secondary] = await Promise.all([
+            this.loadDataset(year),
+            this.load(dataset.alternateFile)
+        ]);
+
+        return {
+            year,
+            primaryFile: dataset.file,
+            secondaryFile: dataset.alternateFile,
+            ...this.compareRecordSets(primary, secondary)
+        };
+    }
+
+    /**
+     * Load the manifest of available year datasets
+     * @param {string} filename - Manifest JSON filename
+     * @returns {Promise<Array>} Promise resolving to the registered datasets
+     */
+    async loadManifest(filename) {
+        try {
+            const response = await fetch(filename);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const manifest = await response.json();
+            if (!manifest || !Array.isArray(manifest.datasets)) {
+                throw new Error('Manifest has no datasets list');
+            }
+            return this.registerDatasets(manifest.datasets);
+        } catch (error) {
+            console.error('Failed to load dataset manifest:', error);
+            throw new Error(`Failed to load dataset manifest: ${error.message}`);
+        }
+    }
+
+    /**
+     * Register year datasets that can be activated later
+     * @param {Array} entries - Dataset entries ({ year, file, alternateFile?, label?, default? })
+     * @returns {Array} Array of registered dataset descriptors
+     */
+    registerDatasets(entries) {
+        entries.forEach(entry => {
+            const year = parseInt(entry.year, 10);
+            if (isNaN(year) || !entry.file) {
+                console.warn('Skipping invalid dataset entry:', entry);
+                return;
+            }
+
+            const existing = this.datasets.get(year);
+            this.datasets.set(year, {
+                year,
+                file: entry.file,
+                alternateFile: entry.alternateFile || null,
+                label: entry.label || String(year),
+                isDefault: Boolean(entry.default),
+                members: existing ? existing.members : null,
+                pending: null
+            });
+        });
+
+        return this.getDatasets();
+    }
+
+    /**
+     * Get registered datasets, newest year first
+     * @returns {Array} Array of dataset descriptors
+     */
+    getDatasets() {
+        return Array.from(this.datasets.values()).sort((a, b) => b.year - a.year);
+    }
+
+    /**
+     * Get the dataset years to activate on first load
+     * @returns {Array<number>} Years flagged as default, or the newest year
+     */
+    getDefaultYears() {
+        const datasets = this.getDatasets();
+        const flagged = datasets.filter(dataset => dataset.isDefault).map(dataset => dataset.year);
+
+        if (flagged.length > 0) return flagged;
+        return datasets.length > 0 ? [datasets[0].year] : [];
+    }
+
+    /**
+     * Get the currently active dataset years
+     * @returns {Array<number>} Active years, newest first
+     */
+    getActiveYears() {
+        return Array.from(this.activeYears).sort((a, b) => b - a);
+    }
+
+    /**
+     * Load a year dataset if it has not been loaded yet
+     * @param {number} year - Dataset year
+     * @returns {Promise<Array>} Promise resolving to the dataset's members
+     */
+    async loadDataset(year) {
+        const dataset = this.datasets.get(year);
+        if (!dataset) {
+            throw new Error(`Unknown dataset year: ${year}`);
+        }
+
+        if (dataset.members) {
+            return dataset.members;
+        }
+
+        // Share one request between concurrent activations of the same year
+        if (!dataset.pending) {
+            dataset.pending = this.load(dataset.file)
+                .then(async members => {
+                    members.forEach(member => {
+                        member.datasetYear = year;
+                    });
+                    // Mark what changed since the last snapshot before the records are shown
+                    if (this.changeTracker) {
+                        await this.changeTracker.track(year, members);
+                    }
+                    dataset.members = members;
+                    // A new year can join name variants across years
+                    this.resolveFilers();
+                    return members;
+                })
+                .finally(() => {
+                    dataset.pending = null;
+                });
+        }
+
+        return dataset.pending;
+    }
+
+    /**
+     * Activate a set of year datasets, loading any that are missing
+     * @param {Array<number>} years - Dataset years to activate
+     * @returns {Promise<Array>} Promise resolving to the merged members
+     */
+    async setActiveDatasets(years) {
+        const validYears = years.filter(year => this.datasets.has(year));
+        if (validYears.length === 0) {
+            throw new Error('No dataset selected');
+        }
+
+        await Promise.all(validYears.map(year => this.loadDataset(year)));
+
+        this.activeYears = new Set(validYears);
+        this.mergeActiveDatasets();
+
+        return this.members;
+    }
+
+    /**
+     * Merge active datasets into a single record set and re-apply filters
+     */
+    mergeActiveDatasets() {
+        const merged = [];
+        const seenDocIDs = new Set();
+
+        // Newest dataset wins when the clerk re-publishes a docID in a later file
+        this.getActiveYears().forEach(year => {
+            const dataset = this.datasets.get(year);
+            const docIDs = new Set();
+
+            (dataset.members || []).forEach(member => {
+                if (member.docID && seenDocIDs.has(member.docID)) return;
+                if (member.docID) docIDs.add(member.docID);
+                merged.push(member);
+            });
+
+            docIDs.forEach(docID => seenDocIDs.add(docID));
+        });
+
+        this.members = merged;
+        this.filterMembers(this.currentSearchTerm, this.currentQuery);
+    }
+
+    /**
+     * Titles and ranks the clerk's files sometimes carry in the first name ("Richard Dr")
+     * @returns {Set<string>} Normalized tokens dropped from first names
+     */
+    static get nameTitles() {
+        return new Set(['dr', 'mr', 'mrs', 'ms', 'miss', 'hon', 'rev', 'prof', 'col', 'colonel', 'gen', 'capt', 'maj', 'sgt']);
+    }
+
+    /**
+     * Split a name field into lowercase tokens without accents or punctuation
+     * @param {string} text - Name field
+     * @returns {Array<string>} Name tokens
+     */
+    static tokenizeName(text) {
+        return QueryParser.normalizeText(text)
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize the name and StateDst of a record for identity resolution
+     * @param {Object} member - Member object
+     * @returns {Object} { key, last, given, middle, suffix, stateDst, state }
+     */
+    static normalizeFiler(member) {
+        const titles = DataManager.nameTitles;
+        const last = DataManager.tokenizeName(member.lastName).join(' ');
+        const [given = '', ...middle] = DataManager.tokenizeName(member.firstName).filter(token => !titles.has(token));
+        const suffix = DataManager.tokenizeName(member.suffix).join(' ');
+        const stateDst = (member.stateDst || '').trim().toUpperCase();
+
+        return {
+            key: [last, [given, ...middle].join(' '), suffix, stateDst].join('|'),
+            last,
+            given,
+            middle,
+            suffix,
+            stateDst,
+            state: stateDst.substring(0, 2)
+        };
+    }
+
+    /**
+     * Check whether two name variants can belong to the same person, ignoring StateDst
+     * Middle names may be missing or abbreviated ("William P." / "William Paul" / "William");
+     * a suffix may be missing on one side but not differ ("Jr" / "Sr").
+     * @param {Object} a - Normalized filer
+     * @param {Object} b - Normalized filer
+     * @returns {boolean} Whether the names are compatible
+     */
+    static areNamesCompatible(a, b) {
+        if (a.last !== b.last || a.given !== b.given) return false;
+        if (a.suffix && b.suffix && a.suffix !== b.suffix) return false;
+
+        const length = Math.min(a.middle.length, b.middle.length);
+        for (let i = 0; i < length; i++) {
+            const [short, long] = a.middle[i].length <= b.middle[i].length
+                ? [a.middle[i], b.middle[i]]
+                : [b.middle[i], a.middle[i]];
+            if (short.length === 1 ? !long.startsWith(short) : short !== long) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Replace the reviewer's identity decisions and re-cluster
+     * @param {Object} decisions - { confirmed, split, merged } as saved by FilerDecisionStore
+     */
+    setFilerDecisions(decisions) {
+        this.filerDecisions = {
+            confirmed: decisions.confirmed || [],
+            split: decisions.split || [],
+            merged: decisions.merged || []
+        };
+        this.resolveFilers();
+        this.notifyListeners();
+    }
+
+    /**
+     * Keep the IDs issued for split-off filers in a store and re-cluster with those it holds
+     * @param {Object} store - Store with load() and save(ids), e.g. FilerIdStore
+     */
+    setFilerIdStore(store) {
+        this.filerIdStore = store;
+        this.filerIds = store.load();
+        this.resolveFilers();
+    }
+
+    /**
+     * Replace the watched filers and re-filter
+     * @param {Iterable<string>} filerIds - Watched filer IDs
+     * @returns {Array} Array of filtered member objects
+     */
+    setWatchedFilers(filerIds) {
+        this.watchedFilers = new Set(filerIds);
+        return this.applyFilters();
+    }
+
+    /**
+     * Whether a filer is on the watchlist
+     * @param {string} filerId - Filer ID
+     * @returns {boolean} True when watched
+     */
+    isWatched(filerId) {
+        return Boolean(filerId) && this.watchedFilers.has(filerId);
+    }
+
+    /**
+     * Cluster the records of every loaded dataset into filer entities
+     *
+     * Records are grouped into name variants (same normalized name, suffix and StateDst).
+     * Variants with the same last and given name are one filer when their middle names and
+     * suffixes are compatible and they share a state, so a redistricted member stays one
+     * filer. Variants without a StateDst join the only compatible filer, if there is just one.
+     * The reviewer's decisions then split variants off or merge them. Each record gets the
+     * entity's filerId, derived from the records alone (see assignFilerIds).
+     * @returns {Map<string, Object>} Filer entities keyed by filerId
+     */
+    resolveFilers() {
+        performanceMonitor.startTimer('filer-resolution');
+
+        const decisions = this.filerDecisions;
+        const variants = new Map();
+
+        this.getDatasets().forEach(dataset => {
+            (dataset.members || []).forEach(member => {
+                const filer = DataManager.normalizeFiler(member);
+                if (!variants.has(filer.key)) {
+                    variants.set(filer.key, { ...filer, members: [] });
+                }
+                variants.get(filer.key).members.push(member);
+            });
+        });
+
+        const clusters = this.clusterVariants(variants, decisions);
+        // IDs come from the clustering the records give on their own
+        const natural = decisions.split.length > 0 || decisions.merged.length > 0
+            ? this.clusterVariants(variants, { split: [], merged: [] })
+            : clusters;
+
+        const confirmed = new Set(decisions.confirmed);
+        const nameCounts = new Map();
+        clusters.forEach(cluster => {
+            const block = `${cluster[0].last}|${cluster[0].given}`;
+            nameCounts.set(block, (nameCounts.get(block) || 0) + 1);
+        });
+
+        this.filers = new Map();
+        const ids = this.assignFilerIds(clusters, natural);
+        clusters.forEach((cluster, index) => {
+            const entity = this.createFilerEntity(ids[index], cluster, nameCounts, confirmed);
+            entity.members.forEach(member => {
+                member.filerId = entity.id;
+            });
+            this.filers.set(entity.id, entity);
+        });
+
+        performanceMonitor.endTimer('filer-resolution');
+        return this.filers;
+    }
+
+    /**
+     * Group name variants into filers
+     * @param {Map<string, Object>} variants - Name variants keyed by variant key
+     * @param {Object} decisions - { split, merged } variant keys from the reviewer
+     * @returns {Array<Array<Object>>} Name variants per filer, most records first
+     */
+    clusterVariants(variants, decisions) {
+        const isolated = new Set(decisions.split);
+
+        // Union-find over variant keys
+        const parent = new Map(Array.from(variants.keys()).map(key => [key, key]));
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        const union = (a, b) => parent.set(find(a), find(b));
+
+        const blocks = new Map();
+        variants.forEach(variant => {
+            if (isolated.has(variant.key)) return;
+            const block = `${variant.last}|${variant.given}`;
+            if (!blocks.has(block)) blocks.set(block, []);
+            blocks.get(block).push(variant);
+        });
+
+        blocks.forEach(block => {
+            const located = block.filter(variant => variant.state);
+            const unlocated = block.filter(variant => !variant.state);
+
+            located.forEach((a, i) => {
+                located.slice(i + 1).forEach(b => {
+                    if (a.state === b.state && DataManager.areNamesCompatible(a, b)) union(a.key, b.key);
+                });
+            });
+
+            unlocated.forEach(variant => {
+                const roots = new Set(located
+                    .filter(other => DataManager.areNamesCompatible(variant, other))
+                    .map(other => find(other.key)));
+                if (roots.size === 1) {
+                    union(variant.key, [...roots][0]);
+                } else if (roots.size === 0) {
+                    // Without a state there is nothing to tell same-named records apart
+                    unlocated
+                        .filter(other => other !== variant && DataManager.areNamesCompatible(variant, other))
+                        .forEach(other => union(variant.key, other.key));
+                }
+            });
+        });
+
+        decisions.merged.forEach(([a, b]) => {
+            if (variants.has(a) && variants.has(b)) union(a, b);
+        });
+
+        const clusters = new Map();
+        variants.forEach(variant => {
+            const root = find(variant.key);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(variant);
+        });
+
+        return Array.from(clusters.values()).sort((a, b) =>
+            b.reduce((total, variant) => total + variant.members.length, 0) -
+            a.reduce((total, variant) => total + variant.members.length, 0) ||
+            this.collator.compare(a[0].key, b[0].key));
+    }
+
+    /**
+     * Give each filer an ID derived from the records alone, so every browser gives the same
+     * records the same ID whatever order their years were loaded in
+     *
+     * IDs come from the clustering before the reviewer's decisions (see deriveFilerIds).
+     * After a merge or split, each filer keeps the ID covering most of its records and a part
+     * split off is named like a namesake. The IDs issued for split-off parts are kept in
+     * filerIdStore, so once a decision is undone, those and any ID left without a filer lead
+     * to the filer now holding most of their records, and saved links and watchlists work.
+     * @param {Array<Array<Object>>} clusters - Name variants per filer, most records first
+     * @param {Array<Array<Object>>} natural - The same variants clustered without decisions
+     * @returns {Array<string>} IDs in cluster order
+     */
+    assignFilerIds(clusters, natural) {
+        const naturalIds = DataManager.deriveFilerIds(natural);
+        let ids = naturalIds;
+
+        if (natural !== clusters) {
+            const naturalIdOf = new Map();
+            natural.forEach((cluster, index) => {
+                cluster.forEach(variant => naturalIdOf.set(variant.key, naturalIds[index]));
+            });
+
+            const taken = new Set([...naturalIds, ...this.filerIds.keys()]);
+            const claimed = new Set();
+            let issued = false;
+            ids = clusters.map(cluster => {
+                const coverage = new Map();
+                cluster.forEach(variant => {
+                    const id = naturalIdOf.get(variant.key);
+                    if (!claimed.has(id)) coverage.set(id, (coverage.get(id) || 0) + variant.members.length);
+                });
+
+                let [id] = Array.from(coverage.keys()).sort((a, b) => coverage.get(b) - coverage.get(a) || a.localeCompare(b));
+                if (!id) {
+                    const { slug, docID } = DataManager.describeFilerCluster(cluster);
+                    const base = docID ? `${slug}-${docID}` : slug;
+                    const keys = cluster.map(variant => variant.key).sort();
+                    // A split made before keeps its ID, whoever took the name since
+                    id = Array.from(this.filerIds.keys()).find(saved =>
+                        !claimed.has(saved) && [...this.filerIds.get(saved)].sort().join('||') === keys.join('||'));
+                    if (!id) {
+                        id = base;
+                        for (let n = 2; taken.has(id); n++) {
+                            id = `${base}-${n}`;
+                        }
+                        taken.add(id);
+                        this.filerIds.set(id, new Set(keys));
+                        issued = true;
+                    }
+                }
+                claimed.add(id);
+                return id;
+            });
+
+            if (issued && this.filerIdStore) {
+                this.filerIdStore.save(this.filerIds);
+            }
+        }
+
+        // An ID without a filer of its own leads to the one holding most of its records
+        const idOf = new Map();
+        const countOf = new Map();
+        clusters.forEach((cluster, index) => {
+            cluster.forEach(variant => {
+                idOf.set(variant.key, ids[index]);
+                countOf.set(variant.key, variant.members.length);
+            });
+        });
+        const current = new Set(ids);
+        const orphans = [
+            ...natural.map((cluster, index) => [naturalIds[index], cluster.map(variant => variant.key)]),
+            ...Array.from(this.filerIds, ([id, keys]) => [id, Array.from(keys)])
+        ].filter(([id]) => !current.has(id));
+
+        this.filerAliases = new Map();
+        orphans.forEach(([id, keys]) => {
+            const holders = new Map();
+            keys.filter(key => idOf.has(key)).forEach(key => {
+                holders.set(idOf.get(key), (holders.get(idOf.get(key)) || 0) + countOf.get(key));
+            });
+            const [holder] = Array.from(holders.keys()).sort((a, b) => holders.get(b) - holders.get(a) || a.localeCompare(b));
+            if (holder && !this.filerAliases.has(id)) this.filerAliases.set(id, holder);
+        });
+
+        return ids;
+    }
+
+    /**
+     * Name a cluster of variants after its earliest filing
+     * @param {Array<Object>} cluster - Name variants of one filer
+     * @returns {Object} { slug, docID }: "last-given" slug and the earliest filing's docID,
+     *     taking the lowest docID among filings of the same date
+     */
+    static describeFilerCluster(cluster) {
+        const time = (member) => (member.filingDate instanceof Date ? member.filingDate.getTime() : Infinity);
+        const earliest = cluster.flatMap(variant => variant.members).reduce((best, member) =>
+            time(member) < time(best) || (time(member) === time(best) && String(member.docID) < String(best.docID))
+                ? member
+                : best);
+        const { last, given } = DataManager.normalizeFiler(earliest);
+
+        return {
+            slug: [last, given].join(' ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+            docID: String(earliest.docID || '').toLowerCase().replace(/[^a-z0-9]+/g, '')
+        };
+    }
+
+    /**
+     * Derive filer IDs from the records alone
+     * An ID is the last and given name ("mcguire-john"); filers sharing one add the docID of
+     * their earliest filing ("miller-brian-10061234"). Only the loaded records count, not
+     * the order they loaded in.
+     * @param {Array<Array<Object>>} clusters - Name variants per filer, most records first
+     * @returns {Array<string>} IDs in cluster order
+     */
+    static deriveFilerIds(clusters) {
+        const names = clusters.map(cluster => DataManager.describeFilerCluster(cluster));
+        const slugCounts = new Map();
+        names.forEach(({ slug }) => slugCounts.set(slug, (slugCounts.get(slug) || 0) + 1));
+
+        const taken = new Set();
+        return names.map(({ slug, docID }) => {
+            const base = slugCounts.get(slug) > 1 && docID ? `${slug}-${docID}` : slug;
+            let id = base;
+            for (let n = 2; taken.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            taken.add(id);
+            return id;
+        });
+    }
+
+    /**
+     * Build a filer entity from its name variants and score the clustering
+     * @param {string} id - Filer ID from assignFilerIds
+     * @param {Array<Object>} cluster - Name variants of one filer
+     * @param {Map<string, number>} nameCounts - Number of filers per last and given name
+     * @param {Set<string>} confirmed - Cluster keys the reviewer confirmed
+     * @returns {Object} Entity: id, key, name, stateDsts, variants, members, confidence,
+     *     reasons and confirmed
+     */
+    createFilerEntity(id, cluster, nameCounts, confirmed) {
+        const members = cluster.flatMap(variant => variant.members);
+        const time = (member) => (member.filingDate instanceof Date ? member.filingDate.getTime() : 0);
+        const latest = members.reduce((best, member) => (time(member) > time(best) ? member : best), members[0]);
+        const key = cluster.map(variant => variant.key).sort().join('||');
+
+        const states = new Set(cluster.map(variant => variant.state).filter(Boolean));
+        const stateDsts = Array.from(new Set(cluster.map(variant => variant.stateDst).filter(Boolean))).sort();
+
+        const reasons = [];
+        let confidence = 1;
+        const penalize = (amount, reason) => {
+            confidence -= amount;
+            reasons.push(reason);
+        };
+
+        const names = new Set(cluster.map(variant => [variant.given, ...variant.middle].join(' ')));
+        if (names.size > 1) {
+            penalize(0.1, `Name variants: ${Array.from(new Set(members.map(member => member.firstName))).join(', ')}`);
+        }
+        if (new Set(cluster.map(variant => variant.suffix)).size > 1) {
+            penalize(0.1, 'Suffix missing on some filings');
+        }
+        if (states.size > 1) {
+            penalize(0.3, `Filed from several states: ${[...states].sort().join(', ')}`);
+        } else if (stateDsts.length > 1) {
+            penalize(0.1, `Changed district: ${stateDsts.join(', ')}`);
+        }
+        const unlocated = cluster.filter(variant => !variant.stateDst)
+            .reduce((total, variant) => total + variant.members.length, 0);
+        if (unlocated > 0 && unlocated < members.length) {
+            penalize(0.2, `${unlocated} ${unlocated === 1 ? 'filing' : 'filings'} without a state/district`);
+        }
+        const namesakes = (nameCounts.get(`${cluster[0].last}|${cluster[0].given}`) || 1) - 1;
+        if (namesakes > 0) {
+            penalize(0.1, `${namesakes} other ${namesakes === 1 ? 'filer shares' : 'filers share'} this name`);
+        }
+
+        const isConfirmed = confirmed.has(key);
+
+        return {
+            id,
+            key,
+            name: [latest.firstName, latest.lastName, latest.suffix].filter(Boolean).join(' '),
+            stateDsts,
+            variants: cluster.map(variant => ({
+                key: variant.key,
+                name: [variant.members[0].firstName, variant.members[0].lastName, variant.members[0].suffix]
+                    .filter(Boolean).join(' '),
+                stateDst: variant.stateDst,
+                count: variant.members.length,
+                years: Array.from(new Set(variant.members.map(member => member.year).filter(Boolean))).sort()
+            })),
+            members,
+            confidence: isConfirmed ? 1 : Math.max(Math.round(confidence * 100) / 100, 0),
+            reasons,
+            confirmed: isConfirmed
+        };
+    }
+
+    /**
+     * Get the resolved filer entities
+     * @returns {Array<Object>} Filer entities
+     */
+    getFilers() {
+        return Array.from(this.filers.values());
+    }
+
+    /**
+     * Get a filer entity by ID, following IDs that another filer took over
+     * @param {string} filerId - Filer ID
+     * @returns {Object|null} Filer entity
+     */
+    getFiler(filerId) {
+        return this.filers.get(filerId) || this.filers.get(this.filerAliases.get(filerId)) || null;
+    }
+
+    /**
+     * Find other filers that might be the same person as a filer
+     * Same last name plus a shared state, or a shared first initial when either side has
+     * filings without a state ("Bill" and "William").
+     * @param {string} filerId - Filer ID
+     * @param {number} [limit] - Maximum number of candidates
+     * @returns {Array<Object>} Candidate filer entities, most likely first
+     */
+    getFilerCandidates(filerId, limit = 5) {
+        const filer = this.getFiler(filerId);
+        if (!filer) return [];
+
+        const describe = (entity) => {
+            const normalized = entity.members.map(member => DataManager.normalizeFiler(member));
+            return {
+                lastNames: new Set(normalized.map(variant => variant.last)),
+                initials: new Set(normalized.map(variant => variant.given.charAt(0))),
+                states: new Set(normalized.map(variant => variant.state).filter(Boolean))
+            };
+        };
+        const own = describe(filer);
+
+        return this.getFilers()
+            .filter(other => other !== filer)
+            .map(other => {
+                const candidate = describe(other);
+                if (![...candidate.lastNames].some(last => own.lastNames.has(last))) return null;
+
+                const sharesState = [...candidate.states].some(state => own.states.has(state));
+                const sharesInitial = [...candidate.initials].some(initial => own.initials.has(initial));
+                const unlocated = candidate.states.size === 0 || own.states.size === 0;
+                if (!sharesState && !(sharesInitial && unlocated)) return null;
+
+                return { filer: other, score: (sharesState ? 2 : 0) + (sharesInitial ? 1 : 0) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || b.filer.members.length - a.filer.members.length)
+            .slice(0, limit)
+            .map(candidate => candidate.filer);
+    }
+}/**
+ * Uti
+lity class for data validation and sanitization
+ */
+class DataValidator {
+    /**
+     * Sanitize HTML content to prevent XSS
+     * @param {string} input - Input string to sanitize
+     * @returns {string} Sanitized string
+     */
+    static sanitizeHTML(input) {
+        if (typeof input !== 'string') {
+            return String(input || '');
+        }
+
+        // Create a temporary div element to leverage browser's HTML parsing
+        const temp = document.createElement('div');
+        temp.textContent = input;
+        return temp.innerHTML;
+    }
+
+    /**
+     * Sanitize search input
+     * @param {string} input - Search input to sanitize
+     * @returns {string} Sanitized search input
+     */
+    static sanitizeSearchInput(input) {
+        if (typeof input !== 'string') {
+            return '';
+        }
+
+        // Quotes and comparison operators are query syntax, and the term is only ever
+        // rendered as text, so just drop control characters
+        return input
+            .replace(/\s+/g, ' ') // Normalize whitespace
+            .replace(/[\u0000-\u001F\u007F]/g, '') // Remove control characters
+            .trim()
+            .substring(0, 200); // Limit length
+    }
+
+    /**
+     * Validate and sanitize member data
+     * @param {Object} member - Member object to validate
+     * @returns {Object} Validated and sanitized member object
+     */
+    static validateMember(member) {
+        if (!member || typeof member !== 'object') {
+            throw new Error('Invalid member data');
+        }
+
+        const sanitized = {};
+
+        // Sanitize string fields
+        const stringFields = ['prefix', 'lastName', 'firstName', 'suffix', 'filingType', 'stateDst', 'docID', 'filingDateString'];
+        stringFields.forEach(field => {
+            sanitized[field] = this.sanitizeHTML(member[field] || '');
+        });
+
+        // Validate and sanitize numeric fields
+        sanitized.year = this.validateYear(member.year);
+
+        // Validate date field
+        sanitized.filingDate = this.validateDate(member.filingDate);
+
+        // Preserve search index
+        sanitized.searchIndex = member.searchIndex || '';
+
+        return sanitized;
+    }
+
+    /**
+     * Validate year value
+     * @param {*} year - Year value to validate
+     * @returns {number|null} Valid year or null
+     */
+    static validateYear(year) {
+        if (year == null) return null;
+
+        const numYear = parseInt(year, 10);
+        if (isNaN(numYear) || numYear < 1900 || numYear > 2100) {
+            return null;
+        }
+
+        return numYear;
+    }
+
+    /**
+     * Validate date value
+     * @param {*} date - Date value to validate
+     * @returns {Date|null} Valid date or null
+     */
+    static validateDate(date) {
+        if (!date) return null;
+
+        if (date instanceof Date) {
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate filing type
+     * @param {string} filingType - Filing type to validate
+     * @returns {string} Validated filing type
+     */
+    static validateFilingType(filingType) {
+        const validTypes = ['P', 'A', 'C', 'T', 'D', 'X', 'W', 'E'];
+        const type = String(filingType || '').toUpperCase().trim();
+
+        return validTypes.includes(type) ? type : filingType || '';
+    }
+
+    /**
+     * Validate state/district code
+     * @param {string} stateDst - State/district code to validate
+     * @returns {string} Validated state/district code
+     */
+    static validateStateDst(stateDst) {
+        if (!stateDst) return '';
+
+        const code = String(stateDst).trim().toUpperCase();
+
+        // Basic validation for US state codes (2 letters) + district numbers
+        if (/^[A-Z]{2}\d{0,2}$/.test(code)) {
+            return code;
+        }
+
+        return stateDst; // Return original if doesn't match expected format
+    }
+}
+
+/**
+ * Error handling utility class
+ */
+class ErrorHandler {
+    /**
+     * Handle and display errors to user
+     * @param {Error} error - Error object
+     * @param {string} context - Context where error occurred
+     */
+    static handleError(error, context = 'Application') {
+        console.error(`${context} Error:`, error);
+
+        // Show user-friendly error message
+        this.showErrorMessage(this.getUserFriendlyMessage(error, context));
+    }
+
+    /**
+     * Get user-friendly error message
+     * @param {Error} error - Error object
+     * @param {string} context - Error context
+     * @returns {string} User-friendly error message
+     */
+    static getUserFriendlyMessage(error, context) {
+        const message = error.message || 'An unknown error occurred';
+
+        if (message.includes('XML parsing') || message.includes('TSV parsing') || message.includes('Unrecognized data format')) {
+            return 'The data file appears to be corrupted or invalid. Please check the file format.';
+        }
+
+        if (message.includes('Failed to load')) {
+            return 'Could not load the data file. Please check your internet connection and try again.';
+        }
+
+        if (message.includes('HTTP error')) {
+            return 'Network error occurred while loading data. Please try again later.';
+        }
+
+        return `${context}: ${message}`;
+    }
+
+    /**
+     * Show error message to user
+     * @param {string} message - Error message to display
+     */
+    static showErrorMessage(message) {
+        // Remove existing error messages
+        const existingErrors = document.querySelectorAll('.error-message');
+        existingErrors.forEach(el => el.remove());
+
+        // Create error message element
+        const errorEl = document.createElement('div');
+        errorEl.className = 'error-message';
+        errorEl.innerHTML = `
+      <div class="error-content">
+        <strong>Error:</strong> ${DataValidator.sanitizeHTML(message)}
+        <button type="button" class="error-close" aria-label="Close error message">×</button>
+      </div>
+    `;
+
+        // Add error styles if not already present
+        if (!document.querySelector('#error-styles')) {
+            const styles = document.createElement('style');
+            styles.id = 'error-styles';
+            styles.textContent = `
+        .error-message {
+          position: fixed;
+          top: 20px;
+          right: 20px;
+          background-color: var(--error);
+          color: white;
+          padding: var(--space-4);
+          border-radius: var(--radius-md);
+          box-shadow: var(--shadow-lg);
+          z-index: var(--z-modal);
+          max-width: 400px;
+          animation: slideInRight 0.3s ease-out;
+        }
+        
+        .error-content {
+          display: flex;
+          align-items: flex-start;
+          gap: var(--space-3);
+        }
+        
+        .error-close {
+          background: none;
+          border: none;
+          color: white;
+          font-size: var(--font-size-lg);
+          cursor: pointer;
+          padding: 0;
+          line-height: 1;
+          margin-left: auto;
+          flex-shrink: 0;
+        }
+        
+        @keyframes slideInRight {
+          from {
+            transform: translateX(100%);
+            opacity: 0;
+          }
+          to {
+            transform: translateX(0);
+            opacity: 1;
+          }
+        }
+      `;
+            document.head.appendChild(styles);
+        }
+
+        // Add to page
+        document.body.appendChild(errorEl);
+
+        // Add close functionality
+        const closeBtn = errorEl.querySelector('.error-close');
+        closeBtn.addEventListener('click', () => {
+            errorEl.remove();
+        });
+
+        // Auto-remove after 10 seconds
+        setTimeout(() => {
+            if (errorEl.parentNode) {
+                errorEl.remove();
+            }
+        }, 10000);
+    }
+
+    /**
+     * Handle promise rejections
+     * @param {PromiseRejectionEvent} event - Unhandled promise rejection event
+     */
+    static handleUnhandledRejection(event) {
+        console.error('Unhandled promise rejection:', event.reason);
+        this.handleError(new Error(event.reason), 'System');
+        event.preventDefault();
+    }
+}
+
+// Set up global error handling
+window.addEventListener('error', (event) => {
+    ErrorHandler.handleError(event.error, 'JavaScript');
+});
+
+window.addEventListener('unhandledrejection', ErrorHandler.handleUnhandledRejection);
+
+/**
+ * Performance monitoring utility
+ */
+class PerformanceMonitor {
+    constructor() {
+        this.timers = new Map();
+    }
+
+    /**
+     * Start timing an operation
+     * @param {string} name - Operation name
+     */
+    startTimer(name) {
+        this.timers.set(name, performance.now());
+    }
+
+    /**
+     * End timing an operation and log result
+     * @param {string} name - Operation name
+     * @returns {number} Duration in milliseconds
+     */
+    endTimer(name) {
+        const startTime = this.timers.get(name);
+        if (!startTime) {
+            console.warn(`Timer '${name}' was not started`);
+            return 0;
+        }
+
+        const duration = performance.now() - startTime;
+        console.log(`${name} took ${duration.toFixed(2)}ms`);
+        this.timers.delete(name);
+        return duration;
+    }
+
+    /**
+     * Monitor memory usage (if available)
+     */
+    logMemoryUsage() {
+        if (performance.memory) {
+            const memory = performance.memory;
+            console.log('Memory usage:', {
+                used: `${(memory.usedJSHeapSize / 1024 / 1024).toFixed(2)} MB`,
+                total: `${(memory.totalJSHeapSize / 1024 / 1024).toFixed(2)} MB`,
+                limit: `${(memory.jsHeapSizeLimit / 1024 / 1024).toFixed(2)} MB`
+            });
+        }
+    }
+}
+
+// Create global performance monitor instance
+const performanceMonitor = new PerformanceMonitor();
+
+/**
+ * Resolves a filing's document ID to its PDF, preferring the copy mirrored in this
+ * repository (pdfs/{docID}.pdf) over the House Clerk's site
+ */
+class PdfLinkResolver {
+    constructor(mirrorPath = '../pdfs/', clerkBaseUrl = 'https://disclosures-clerk.house.gov/public_disc/') {
+        this.mirrorPath = mirrorPath;
+        this.clerkBaseUrl = clerkBaseUrl;
+        this.mirrored = new Set();
+        this.isIndexLoaded = false;
+    }
+
+    /**
+     * Load the list of mirrored PDFs written by scripts/dl_pdfs.py
+     * @param {string} [filename] - Index file inside the mirror directory
+     * @returns {Promise<number>} Number of mirrored documents
+     */
+    async loadMirrorIndex(filename = 'index.json') {
+        try {
+            const response = await fetch(`${this.mirrorPath}${filename}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const index = await response.json();
+            if (!Array.isArray(index.docIDs)) {
+                throw new Error('Mirror index has no docIDs list');
+            }
+
+            this.mirrored = new Set(index.docIDs.map(String));
+            this.isIndexLoaded = true;
+            return this.mirrored.size;
+        } catch (error) {
+            throw new Error(`Failed to load PDF mirror index: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check whether a document is mirrored locally
+     * @param {string} docID - Document ID
+     * @returns {boolean} Whether pdfs/{docID}.pdf exists
+     */
+    isMirrored(docID) {
+        return this.mirrored.has(String(docID));
+    }
+
+    /**
+     * Get the clerk's URL for a filing's PDF
+     * PTRs live under ptr-pdfs/, every other filing type under financial-pdfs/
+     * @param {Object} member - Member object
+     * @returns {string|null} PDF URL, or null without a docID or year
+     */
+    getClerkUrl(member) {
+        const year = member.year || member.datasetYear;
+        if (!member.docID || !year) return null;
+
+        const folder = member.filingType === 'P' ? 'ptr-pdfs' : 'financial-pdfs';
+        return `${this.clerkBaseUrl}${folder}/${year}/${encodeURIComponent(member.docID)}.pdf`;
+    }
+
+    /**
+     * Resolve a filing to the PDF to link
+     * @param {Object} member - Member object
+     * @returns {Object|null} { url, mirrored, clerkUrl }, or null when no link can be built
+     */
+    resolve(member) {
+        if (!member.docID) return null;
+
+        const clerkUrl = this.getClerkUrl(member);
+        if (this.isMirrored(member.docID)) {
+            return { url: `${this.mirrorPath}${encodeURIComponent(member.docID)}.pdf`, mirrored: true, clerkUrl };
+        }
+
+        return clerkUrl ? { url: clerkUrl, mirrored: false, clerkUrl } : null;
+    }
+}
+
+/**
 
  * Table rendering class for efficient DOM manipulation
  */
-class TableRenderer {
-    constructor(tableElement, dataManager) {
-        this.table = tableElement;
-        this.tbody = tableElement.querySelector('tbody');
+class TableRenderer {
+    /**
+     * @param {HTMLTableElement} tableElement - Table to render into
+     * @param {DataManager} dataManager - Records shown, used for search highlights
+     * @param {PdfLinkResolver} [linkResolver] - Links document IDs to their PDFs
+     * @param {Object} [elements] - Section, empty state and loading elements; the filings
+     *     view's are looked up when omitted
+     */
+    constructor(tableElement, dataManager, linkResolver = null, elements = {}) {
+        this.table = tableElement;
+        this.tbody = tableElement.querySelector('tbody');
+        this.dataManager = dataManager;
+        this.linkResolver = linkResolver;
+        this.columnCount = tableElement.querySelectorAll('thead th').length || 9;
+
+        const element = (key, id) => (key in elements ? elements[key] : document.getElementById(id));
+        this.section = element('section', 'tableSection');
+        this.emptyState = element('emptyState', 'emptyState');
+        this.loadingState = element('loadingState', 'loadingState');
+        this.isVirtualScrolling = false;
+        this.virtualScrollThreshold = 1000;
+        this.visibleRowCount = 50;
+        this.scrollTop = 0;
+        this.rowHeight = 41; // Approximate row height in pixels
+        this.renderedMembers = [];
+        this.selectedMember = null;
+
+        this.setupVirtualScrolling();
+    }
+
+    /**
+     * Setup virtual scrolling container
+     */
+    setupVirtualScrolling() {
+        const tableContainer = this.table.closest('.table-container');
+        if (tableContainer) {
+            tableContainer.addEventListener('scroll', this.handleScroll.bind(this));
+        }
+    }
+
+    /**
+     * Handle scroll events for virtual scrolling
+     * @param {Event} event - Scroll event
+     */
+    handleScroll(event) {
+        if (!this.isVirtualScrolling) return;
+
+        this.scrollTop = event.target.scrollTop;
+        this.renderVisibleRows();
+    }
+
+    /**
+     * Render all members in the table
+     * @param {Array} members - Array of member objects to render
+     */
+    render(members) {
+        performanceMonitor.startTimer('table-render');
+
+        try {
+            // Keep what is on screen, since the filtered list changes before the next render
+            this.renderedMembers = members ? members.slice() : [];
+
+            if (!members || members.length === 0) {
+                this.renderEmptyState();
+                return;
+            }
+
+            // Decide whether to use virtual scrolling
+            this.isVirtualScrolling = members.length > this.virtualScrollThreshold;
+
+            if (this.isVirtualScrolling) {
+                this.renderVirtualTable(members);
+            } else {
+                this.renderStandardTable(members);
+            }
+
+            this.showTable();
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Table Rendering');
+        } finally {
+            performanceMonitor.endTimer('table-render');
+        }
+    }
+
+    /**
+     * Render table using standard DOM manipulation
+     * @param {Array} members - Array of member objects
+     */
+    renderStandardTable(members) {
+        // Clear existing content
+        this.tbody.innerHTML = '';
+
+        // Create document fragment for efficient DOM manipulation
+        const fragment = document.createDocumentFragment();
+
+        members.forEach((member, index) => {
+            const row = this.createTableRow(member, index);
+            fragment.appendChild(row);
+        });
+
+        this.tbody.appendChild(fragment);
+    }
+
+    /**
+     * Render table using virtual scrolling
+     * @param {Array} members - Array of member objects
+     */
+    renderVirtualTable(members) {
+        this.currentMembers = members;
+
+        // Set up virtual scrolling container height
+        const totalHeight = members.length * this.rowHeight;
+        const tableContainer = this.table.closest('.table-container');
+
+        if (tableContainer) {
+            tableContainer.style.height = '600px'; // Fixed height for virtual scrolling
+            this.tbody.style.height = `${totalHeight}px`;
+            this.tbody.style.position = 'relative';
+        }
+
+        this.renderVisibleRows();
+    }
+
+    /**
+     * Render only visible rows for virtual scrolling
+     */
+    renderVisibleRows() {
+        if (!this.currentMembers) return;
+
+        const containerHeight = 600; // Fixed container height
+        const startIndex = Math.floor(this.scrollTop / this.rowHeight);
+        const endIndex = Math.min(
+            startIndex + Math.ceil(containerHeight / this.rowHeight) + 5, // Buffer rows
+            this.currentMembers.length
+        );
+
+        // Clear existing rows
+        this.tbody.innerHTML = '';
+
+        // Create spacer for rows above viewport
+        if (startIndex > 0) {
+            const topSpacer = document.createElement('tr');
+            topSpacer.style.height = `${startIndex * this.rowHeight}px`;
+            topSpacer.innerHTML = `<td colspan="${this.columnCount}"></td>`;
+            this.tbody.appendChild(topSpacer);
+        }
+
+        // Create document fragment for visible rows
+        const fragment = document.createDocumentFragment();
+
+        for (let i = startIndex; i < endIndex; i++) {
+            const member = this.currentMembers[i];
+            if (member) {
+                const row = this.createTableRow(member, i);
+                fragment.appendChild(row);
+            }
+        }
+
+        this.tbody.appendChild(fragment);
+
+        // Create spacer for rows below viewport
+        const remainingRows = this.currentMembers.length - endIndex;
+        if (remainingRows > 0) {
+            const bottomSpacer = document.createElement('tr');
+            bottomSpacer.style.height = `${remainingRows * this.rowHeight}px`;
+            bottomSpacer.innerHTML = `<td colspan="${this.columnCount}"></td>`;
+            this.tbody.appendChild(bottomSpacer);
+        }
+    }
+
+    /**
+     * Create a table row element for a member
+     * @param {Object} member - Member object
+     * @param {number} index - Row index
+     * @returns {HTMLElement} Table row element
+     */
+    createTableRow(member, index) {
+        const row = document.createElement('tr');
+        row.setAttribute('data-index', index);
+
+        // Add alternating row classes for styling
+        if (index % 2 === 0) {
+            row.classList.add('even-row');
+        }
+
+        if (member === this.selectedMember) {
+            row.classList.add('row--selected');
+            row.setAttribute('aria-selected', 'true');
+        }
+
+        // Create cells, highlighting what the current search matched
+        const columns = [
+            ['prefix', member.prefix, 'prefix'],
+            ['lastName', member.lastName, 'last-name'],
+            ['firstName', member.firstName, 'first-name'],
+            ['suffix', member.suffix, 'suffix'],
+            ['filingType', member.filingType, 'filing-type'],
+            ['stateName', member.stateName || member.stateCode, 'state'],
+            ['districtNumber', DataManager.formatDistrict(member), 'district'],
+            ['year', member.year ? String(member.year) : '', 'year'],
+            ['filingDate', this.formatDateForDisplay(member.filingDate, member.filingDateString), 'filing-date'],
+            ['docID', member.docID, 'doc-id']
+        ];
+
+        const cells = columns.map(([property, content, className]) => {
+            const highlights = this.dataManager ? this.dataManager.getHighlightRanges(member, property, content || '') : [];
+            if (property === 'docID') {
+                return this.createDocIdCell(member, highlights);
+            }
+            if ((property === 'lastName' || property === 'firstName') && content) {
+                return this.createProfileLinkCell(member, content, className, highlights);
+            }
+            return this.createCell(content, className, highlights);
+        });
+
+        if (member.changeStatus) {
+            cells[1].appendChild(TableRenderer.createChangeBadge(member.changeStatus, member));
+        }
+
+        row.appendChild(this.createWatchCell(member));
+        cells.forEach(cell => row.appendChild(cell));
+
+        return row;
+    }
+
+    /**
+     * Create the cell holding the watchlist star of the row's filer
+     * @param {Object} member - Member object
+     * @returns {HTMLElement} Table cell element
+     */
+    createWatchCell(member) {
+        const cell = document.createElement('td');
+        cell.className = 'watch';
+
+        if (member.filerId) {
+            const name = [member.firstName, member.lastName].filter(Boolean).join(' ');
+            cell.appendChild(WatchlistController.createStar(member.filerId, Boolean(this.dataManager?.isWatched(member.filerId)), name));
+        }
+
+        return cell;
+    }
+
+    /**
+     * Create the badge marking a record new, modified or removed since the last visit
+     * @param {string} status - 'new', 'modified' or 'removed'
+     * @param {Object} [member] - Member the badge belongs to, for the tooltip's dates
+     * @returns {HTMLElement} Badge element
+     */
+    static createChangeBadge(status, member = null) {
+        const badge = document.createElement('span');
+        badge.className = `change-badge change-badge--${status}`;
+        badge.textContent = { new: 'New', modified: 'Modified', removed: 'Removed' }[status] || status;
+
+        const date = member && (status === 'new' ? member.firstSeen : member.modifiedAt);
+        badge.title = {
+            new: 'Added since your last visit',
+            modified: 'Changed since your last visit',
+            removed: 'No longer in the dataset'
+        }[status] + (date ? ` (detected ${date.toLocaleDateString('en-US')})` : '');
+
+        return badge;
+    }
+
+    /**
+     * Create a table cell element
+     * @param {string} content - Cell content
+     * @param {string} className - CSS class name
+     * @param {Array<Array<number>>} [highlights] - [start, end) offsets to mark as search matches
+     * @returns {HTMLElement} Table cell element
+     */
+    createCell(content, className, highlights = []) {
+        const cell = document.createElement('td');
+        cell.className = className;
+
+        const text = String(content || '');
+
+        // Handle empty content
+        if (!text.trim()) {
+            cell.innerHTML = '<span class="empty-cell">—</span>';
+            cell.classList.add('empty');
+        } else {
+            this.appendHighlightedText(cell, text, highlights);
+
+            // Add tooltip for long content
+            if (text.length > 20) {
+                cell.title = text;
+                cell.classList.add('truncated');
+            }
+        }
+
+        return cell;
+    }
+
+    /**
+     * Append text to an element, wrapping search matches in <mark>
+     * Text nodes only, so record values are never parsed as HTML.
+     * @param {HTMLElement} parent - Element to append to
+     * @param {string} text - Text to append
+     * @param {Array<Array<number>>} highlights - [start, end) offsets to mark
+     */
+    appendHighlightedText(parent, text, highlights) {
+        let position = 0;
+        highlights.forEach(([start, end]) => {
+            if (start > position) {
+                parent.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            parent.appendChild(mark);
+            position = end;
+        });
+        if (position < text.length) {
+            parent.appendChild(document.createTextNode(text.slice(position)));
+        }
+    }
+
+    /**
+     * Create the document ID cell, linking the filing's PDF
+     * @param {Object} member - Member object
+     * @param {Array<Array<number>>} [highlights] - [start, end) offsets to mark as search matches
+     * @returns {HTMLElement} Table cell element
+     */
+    createDocIdCell(member, highlights = []) {
+        const link = this.linkResolver ? this.linkResolver.resolve(member) : null;
+        if (!link) {
+            return this.createCell(member.docID, 'doc-id', highlights);
+        }
+
+        const cell = document.createElement('td');
+        cell.className = 'doc-id';
+
+        const anchor = document.createElement('a');
+        anchor.className = 'doc-link';
+        anchor.href = link.url;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.setAttribute('aria-label',
+            `Open PDF of filing ${member.docID} (${link.mirrored ? 'local mirror' : 'House Clerk'})`);
+        this.appendHighlightedText(anchor, member.docID, highlights);
+
+        const badge = document.createElement('span');
+        badge.className = `doc-badge ${link.mirrored ? 'doc-badge--mirrored' : 'doc-badge--clerk'}`;
+        badge.textContent = link.mirrored ? 'Local' : 'Clerk';
+        badge.title = link.mirrored
+            ? 'PDF mirrored in this repository'
+            : 'Not mirrored; PDF served by the House Clerk';
+        badge.setAttribute('aria-hidden', 'true');
+
+        cell.appendChild(anchor);
+        cell.appendChild(badge);
+        return cell;
+    }
+
+    /**
+     * Create a name cell linking to the filer's profile
+     * @param {Object} member - Member object
+     * @param {string} content - Name shown in the cell
+     * @param {string} className - CSS class name
+     * @param {Array<Array<number>>} [highlights] - [start, end) offsets to mark as search matches
+     * @returns {HTMLElement} Table cell element
+     */
+    createProfileLinkCell(member, content, className, highlights = []) {
+        const cell = document.createElement('td');
+        cell.className = className;
+
+        const anchor = document.createElement('a');
+        anchor.className = 'member-link';
+        anchor.href = MemberProfileController.routeFor(member);
+        anchor.title = `All filings of ${member.firstName} ${member.lastName}`.trim();
+        this.appendHighlightedText(anchor, content, highlights);
+
+        cell.appendChild(anchor);
+        return cell;
+    }
+
+    /**
+     * Format date for display
+     * @param {Date} date - Date object
+     * @param {string} fallback - Fallback string if date is invalid
+     * @returns {string} Formatted date string
+     */
+    formatDateForDisplay(date, fallback) {
+        if (date instanceof Date && !isNaN(date.getTime())) {
+            return date.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        }
+        return fallback || '';
+    }
+
+    /**
+     * Update table display with new data
+     * @param {Array} members - Array of member objects
+     */
+    updateDisplay(members) {
+        // Add updating class for smooth transition
+        this.table.classList.add('table-updating');
+
+        setTimeout(() => {
+            this.render(members);
+            this.table.classList.remove('table-updating');
+            this.table.classList.add('table-updated');
+
+            setTimeout(() => {
+                this.table.classList.remove('table-updated');
+            }, 300);
+        }, 50);
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        const loadingState = this.loadingState;
+        const tableSection = this.section;
+
+        if (loadingState) loadingState.style.display = 'flex';
+        if (tableSection) tableSection.style.display = 'none';
+
+        // Show skeleton loading in table
+        this.renderSkeletonRows();
+    }
+
+    /**
+     * Hide loading state and show table
+     */
+    hideLoading() {
+        const loadingState = this.loadingState;
+        if (loadingState) loadingState.style.display = 'none';
+        this.showTable();
+    }
+
+    /**
+     * Show the table section
+     */
+    showTable() {
+        const tableSection = this.section;
+        const emptyState = this.emptyState;
+
+        if (tableSection) tableSection.style.display = 'block';
+        if (emptyState) emptyState.style.display = 'none';
+    }
+
+    /**
+     * Render empty state when no data is available
+     */
+    renderEmptyState() {
+        const tableSection = this.section;
+        const emptyState = this.emptyState;
+
+        if (tableSection) tableSection.style.display = 'block';
+        if (emptyState) emptyState.style.display = 'block';
+
+        // Clear table body
+        this.tbody.innerHTML = '';
+    }
+
+    /**
+     * Render skeleton loading rows
+     */
+    renderSkeletonRows() {
+        this.tbody.innerHTML = '';
+
+        const fragment = document.createDocumentFragment();
+
+        // Create 10 skeleton rows
+        for (let i = 0; i < 10; i++) {
+            const row = document.createElement('tr');
+            row.className = 'skeleton-loading';
+
+            // Create skeleton cells matching the column count
+            for (let j = 0; j < this.columnCount; j++) {
+                const cell = document.createElement('td');
+                const skeleton = document.createElement('div');
+                skeleton.className = 'skeleton-row';
+                skeleton.style.width = `${60 + Math.random() * 40}%`; // Random width for variety
+                cell.appendChild(skeleton);
+                row.appendChild(cell);
+            }
+
+            fragment.appendChild(row);
+        }
+
+        this.tbody.appendChild(fragment);
+    }
+
+    /**
+     * Get current scroll position for virtual scrolling
+     * @returns {number} Current scroll position
+     */
+    getScrollPosition() {
+        const tableContainer = this.table.closest('.table-container');
+        return tableContainer ? tableContainer.scrollTop : 0;
+    }
+
+    /**
+     * Get the index of the first row in view, used as a scroll anchor
+     * @returns {number} Index into the rendered members
+     */
+    getFirstVisibleIndex() {
+        const tableContainer = this.table.closest('.table-container');
+        if (!tableContainer) return 0;
+
+        if (this.isVirtualScrolling) {
+            return Math.floor(tableContainer.scrollTop / this.rowHeight);
+        }
+
+        // Rows sit under the sticky header, so compare against its bottom edge
+        const header = this.table.querySelector('thead');
+        const top = tableContainer.getBoundingClientRect().top + (header ? header.offsetHeight : 0);
+        const row = Array.from(this.tbody.querySelectorAll('tr[data-index]'))
+            .find(candidate => candidate.getBoundingClientRect().bottom > top);
+
+        return row ? parseInt(row.getAttribute('data-index'), 10) : 0;
+    }
+
+    /**
+     * Scroll so the row at an index is the first one in view
+     * @param {number} index - Index into the rendered members
+     */
+    scrollToIndex(index) {
+        const tableContainer = this.table.closest('.table-container');
+        if (!tableContainer || index <= 0) return;
+
+        if (this.isVirtualScrolling) {
+            tableContainer.scrollTop = index * this.rowHeight;
+            this.scrollTop = tableContainer.scrollTop;
+            this.renderVisibleRows();
+            return;
+        }
+
+        const row = this.tbody.querySelector(`tr[data-index="${index}"]`);
+        if (row) {
+            const header = this.table.querySelector('thead');
+            const offset = row.getBoundingClientRect().top - tableContainer.getBoundingClientRect().top;
+            tableContainer.scrollTop += offset - (header ? header.offsetHeight : 0);
+        }
+    }
+
+    /**
+     * Mark the row of the member shown in the preview drawer
+     * @param {Object|null} member - Selected member, or null to clear
+     * @returns {number} Index of the member's row in the rendered list, -1 when not rendered
+     */
+    setSelectedMember(member) {
+        this.selectedMember = member;
+
+        this.tbody.querySelectorAll('tr.row--selected').forEach(row => {
+            row.classList.remove('row--selected');
+            row.removeAttribute('aria-selected');
+        });
+
+        const index = member ? this.renderedMembers.indexOf(member) : -1;
+        const row = index >= 0 ? this.tbody.querySelector(`tr[data-index="${index}"]`) : null;
+        if (row) {
+            row.classList.add('row--selected');
+            row.setAttribute('aria-selected', 'true');
+        }
+
+        return index;
+    }
+
+    /**
+     * Scroll the minimum needed to bring a row into view
+     * @param {number} index - Index into the rendered members
+     */
+    ensureIndexVisible(index) {
+        const tableContainer = this.table.closest('.table-container');
+        if (!tableContainer || index < 0) return;
+
+        // Virtual scrolling only renders rows near the viewport
+        const row = this.tbody.querySelector(`tr[data-index="${index}"]`);
+        if (row) {
+            row.scrollIntoView({ block: 'nearest' });
+        } else if (index === 0) {
+            this.scrollToTop();
+        } else {
+            this.scrollToIndex(index);
+        }
+    }
+
+    /**
+     * Scroll to top of table
+     */
+    scrollToTop() {
+        const tableContainer = this.table.closest('.table-container');
+        if (tableContainer) {
+            tableContainer.scrollTop = 0;
+        }
+    }
+
+    /**
+     * Get table statistics
+     * @returns {Object} Table statistics
+     */
+    getTableStats() {
+        const rows = this.tbody.querySelectorAll('tr:not(.skeleton-loading)');
+        return {
+            visibleRows: rows.length,
+            isVirtualScrolling: this.isVirtualScrolling,
+            scrollPosition: this.getScrollPosition()
+        };
+    }
+}/**
+ * Syntax error raised while parsing a search query
+ */
+class QuerySyntaxError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - Character offset in the query where the error was found
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Parser for the fielded search query language
+ *
+ * Supports field prefixes (last:cohen state:CA filed:>=2026-03-01 doc:2003*),
+ * quoted phrases, AND/OR/NOT, -term and parentheses. Adjacent terms are ANDed.
+ */
+class QueryParser {
+    /**
+     * Query fields and the member properties they match
+     * @returns {Object} Field definitions keyed by field name
+     */
+    static get fields() {
+        return {
+            last: { kind: 'text', properties: ['lastName'] },
+            first: { kind: 'text', properties: ['firstName'] },
+            name: { kind: 'text', properties: ['prefix', 'firstName', 'lastName', 'suffix'] },
+            prefix: { kind: 'text', properties: ['prefix'] },
+            suffix: { kind: 'text', properties: ['suffix'] },
+            type: { kind: 'code', properties: ['filingType'] },
+            state: { kind: 'code', properties: ['stateCode', 'stateName'] },
+            dst: { kind: 'code', properties: ['stateDst'] },
+            doc: { kind: 'code', properties: ['docID'] },
+            year: { kind: 'number', properties: ['year'] },
+            filed: { kind: 'date', properties: ['filingDate'] }
+        };
+    }
+
+    /**
+     * Field name aliases accepted in queries
+     * @returns {Object} Alias to field name map
+     */
+    static get aliases() {
+        return {
+            lastname: 'last',
+            firstname: 'first',
+            district: 'dst',
+            statedst: 'dst',
+            docid: 'doc',
+            filingtype: 'type',
+            date: 'filed'
+        };
+    }
+
+    /**
+     * Parse a query string into an expression tree
+     * @param {string} input - Query string
+     * @returns {Object|null} Expression tree, or null for an empty query
+     * @throws {QuerySyntaxError} When the query is malformed
+     */
+    static parse(input) {
+        const tokens = this.tokenize(input || '');
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        const state = { tokens, index: 0, length: input.length };
+        const tree = this.parseOr(state);
+
+        if (state.index < tokens.length) {
+            const token = tokens[state.index];
+            throw new QuerySyntaxError(`Unexpected "${token.text}"`, token.position);
+        }
+
+        return tree;
+    }
+
+    /**
+     * Split a query string into tokens
+     * @param {string} input - Query string
+     * @returns {Array} Array of tokens
+     */
+    static tokenize(input) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position: i });
+                i++;
+                continue;
+            }
+
+            // "-term" negates; a lone or trailing "-" negates nothing, so it is dropped
+            // rather than searched for as text
+            if (char === '-') {
+                if (i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+                    tokens.push({ type: 'not', text: '-', position: i });
+                }
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let word = '';
+            while (i < input.length && !/[\s()"]/.test(input[i])) {
+                word += input[i];
+                i++;
+            }
+
+            if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                tokens.push({ type: word.toLowerCase(), text: word, position: start });
+                continue;
+            }
+
+            let field = null;
+            let value = word;
+            const fieldMatch = word.match(/^([A-Za-z]+):(.*)$/);
+            if (fieldMatch) {
+                field = this.resolveField(fieldMatch[1], start);
+                value = fieldMatch[2];
+            }
+
+            // Quoted phrase, either bare or directly after "field:" (optionally with an operator)
+            let phrase = false;
+            if (input[i] === '"' && (word === '' || (field && /^(>=|<=|>|<|=)?$/.test(value)))) {
+                const closing = input.indexOf('"', i + 1);
+                if (closing === -1) {
+                    throw new QuerySyntaxError('Missing closing quote', i);
+                }
+                value += input.slice(i + 1, closing);
+                phrase = true;
+                i = closing + 1;
+            }
+
+            tokens.push({ type: 'term', text: input.slice(start, i), position: start, field, value, phrase });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Resolve a field name or alias
+     * @param {string} name - Field name as typed
+     * @param {number} position - Position of the field in the query
+     * @returns {string} Canonical field name
+     */
+    static resolveField(name, position) {
+        const key = name.toLowerCase();
+        const field = this.aliases[key] || key;
+
+        if (!this.fields[field]) {
+            const known = Object.keys(this.fields).join(', ');
+            throw new QuerySyntaxError(`Unknown field "${name}:" (use one of ${known})`, position);
+        }
+
+        return field;
+    }
+
+    /**
+     * Parse an OR expression
+     * @param {Object} state - Parser state
+     * @returns {Object} Expression node
+     */
+    static parseOr(state) {
+        const children = [this.parseAnd(state)];
+
+        while (this.peek(state, 'or')) {
+            const token = state.tokens[state.index++];
+            if (!this.startsOperand(state)) {
+                throw new QuerySyntaxError('Expected a search term after OR', token.position);
+            }
+            children.push(this.parseAnd(state));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    /**
+     * Parse an AND expression (explicit AND or adjacent terms)
+     * @param {Object} state - Parser state
+     * @returns {Object} Expression node
+     */
+    static parseAnd(state) {
+        const children = [this.parseNot(state)];
+
+        while (state.index < state.tokens.length) {
+            if (this.peek(state, 'and')) {
+                const token = state.tokens[state.index++];
+                if (!this.startsOperand(state)) {
+                    throw new QuerySyntaxError('Expected a search term after AND', token.position);
+                }
+            } else if (!this.startsOperand(state)) {
+                break;
+            }
+            children.push(this.parseNot(state));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    /**
+     * Parse a NOT / -term expression
+     * @param {Object} state - Parser state
+     * @returns {Object} Expression node
+     */
+    static parseNot(state) {
+        if (this.peek(state, 'not')) {
+            const token = state.tokens[state.index++];
+            if (!this.startsOperand(state)) {
+                throw new QuerySyntaxError(`Expected a search term after ${token.text}`, token.position);
+            }
+            return { type: 'not', child: this.parseNot(state) };
+        }
+
+        return this.parsePrimary(state);
+    }
+
+    /**
+     * Parse a parenthesized group or a single term
+     * @param {Object} state - Parser state
+     * @returns {Object} Expression node
+     */
+    static parsePrimary(state) {
+        const token = state.tokens[state.index];
+
+        if (!token) {
+            throw new QuerySyntaxError('Query ends unexpectedly', state.length);
+        }
+
+        if (token.type === 'lparen') {
+            state.index++;
+            if (this.peek(state, 'rparen')) {
+                throw new QuerySyntaxError('Empty parentheses', token.position);
+            }
+            const node = this.parseOr(state);
+            if (!this.peek(state, 'rparen')) {
+                throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+            }
+            state.index++;
+            return node;
+        }
+
+        if (token.type === 'term') {
+            state.index++;
+            return this.buildTerm(token);
+        }
+
+        throw new QuerySyntaxError(`Unexpected "${token.text}"`, token.position);
+    }
+
+    /**
+     * Build a term node, validating and pre-compiling its value
+     * @param {Object} token - Term token
+     * @returns {Object} Term node
+     */
+    static buildTerm(token) {
+        const definition = token.field ? this.fields[token.field] : null;
+        let value = token.value;
+        let op = '=';
+
+        const opMatch = value.match(/^(>=|<=|>|<|=)(.*)$/);
+        if (definition && opMatch) {
+            op = opMatch[1];
+            value = opMatch[2];
+        }
+
+        value = value.trim();
+        if (value === '') {
+            const message = token.field ? `Missing value after "${token.field}:"` : 'Empty search term';
+            throw new QuerySyntaxError(message, token.position);
+        }
+
+        const kind = definition ? definition.kind : 'text';
+        if (op !== '=' && kind !== 'number' && kind !== 'date') {
+            const comparable = Object.keys(this.fields)
+                .filter(field => ['number', 'date'].includes(this.fields[field].kind))
+                .map(field => `${field}:`);
+            const list = comparable.length > 1
+                ? `${comparable.slice(0, -1).join(', ')} and ${comparable[comparable.length - 1]}`
+                : comparable.join('');
+            throw new QuerySyntaxError(`Comparison operators only work with ${list}`, token.position);
+        }
+
+        const node = {
+            type: 'term',
+            field: token.field,
+            kind,
+            op,
+            value: this.normalizeText(value),
+            phrase: token.phrase,
+            position: token.position
+        };
+
+        if (value.includes('*') && (kind === 'text' || kind === 'code')) {
+            const pattern = this.normalizeText(value)
+                .split('*')
+                .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            node.pattern = new RegExp(`^${pattern}$`);
+        }
+
+        if (kind === 'number') {
+            const number = parseInt(value, 10);
+            if (!/^\d{4}$/.test(value)) {
+                throw new QuerySyntaxError(`Invalid year "${value}"`, token.position);
+            }
+            node.number = number;
+        }
+
+        if (kind === 'date') {
+            node.range = this.parseDateRange(value, token.position);
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a date value into the time range it covers
+     * @param {string} value - YYYY, YYYY-MM, YYYY-MM-DD or M/D/YYYY
+     * @param {number} position - Position of the term in the query
+     * @returns {Object} Range with inclusive start and exclusive end timestamps
+     */
+    static parseDateRange(value, position) {
+        let match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        let year, month, day;
+
+        if (match) {
+            [, year, month, day] = match;
+        } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+            [, month, day, year] = match;
+        } else {
+            throw new QuerySyntaxError(`Invalid date "${value}" (use YYYY-MM-DD)`, position);
+        }
+
+        year = parseInt(year, 10);
+        month = month ? parseInt(month, 10) : null;
+        day = day ? parseInt(day, 10) : null;
+
+        if ((month !== null && (month < 1 || month > 12)) ||
+            (day !== null && (day < 1 || day > new Date(year, month, 0).getDate()))) {
+            throw new QuerySyntaxError(`Invalid date "${value}"`, position);
+        }
+
+        let start, end;
+        if (day !== null) {
+            start = new Date(year, month - 1, day);
+            end = new Date(year, month - 1, day + 1);
+        } else if (month !== null) {
+            start = new Date(year, month - 1, 1);
+            end = new Date(year, month, 1);
+        } else {
+            start = new Date(year, 0, 1);
+            end = new Date(year + 1, 0, 1);
+        }
+
+        return { start: start.getTime(), end: end.getTime() };
+    }
+
+    /**
+     * Fold text for matching: lowercase, strip diacritics, straighten apostrophes
+     * @param {*} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    static normalizeText(text) {
+        return String(text ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\u2018\u2019]/g, "'")
+            .toLowerCase();
+    }
+
+    /**
+     * Collect the term nodes of an expression that are not negated
+     * @param {Object|null} node - Expression node
+     * @param {boolean} [negated] - Whether the node sits under a NOT
+     * @returns {Array} Array of positive term nodes
+     */
+    static getPositiveTerms(node, negated = false) {
+        if (!node) return [];
+
+        switch (node.type) {
+            case 'term':
+                return negated ? [] : [node];
+            case 'not':
+                return this.getPositiveTerms(node.child, !negated);
+            default:
+                return node.children.flatMap(child => this.getPositiveTerms(child, negated));
+        }
+    }
+
+    /**
+     * Check whether the next token has the given type
+     * @param {Object} state - Parser state
+     * @param {string} type - Token type
+     * @returns {boolean} Whether the next token matches
+     */
+    static peek(state, type) {
+        const token = state.tokens[state.index];
+        return Boolean(token && token.type === type);
+    }
+
+    /**
+     * Check whether the next token can start an operand
+     * @param {Object} state - Parser state
+     * @returns {boolean} Whether an operand follows
+     */
+    static startsOperand(state) {
+        const token = state.tokens[state.index];
+        return Boolean(token && (token.type === 'term' || token.type === 'lparen' || token.type === 'not'));
+    }
+}
+
+/**
+ * 
+Search controller for handling search functionality
+ */
+class SearchController {
+    /**
+     * @param {HTMLInputElement} searchInput - Search box
+     * @param {DataManager} dataManager - Records to search
+     * @param {TableRenderer} tableRenderer - Table showing the results
+     * @param {Object} [elements] - Clear button, suggestion list, error message and result count
+     *     elements; the filings view's elements are looked up when omitted
+     */
+    constructor(searchInput, dataManager, tableRenderer, elements = {}) {
+        this.searchInput = searchInput;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.currentSearchTerm = '';
+        this.debounceDelay = 300;
+        this.debounceTimer = null;
+
+        const element = (key, id) => (key in elements ? elements[key] : document.getElementById(id));
+        this.clearButton = element('clearButton', 'clearSearch');
+        this.errorElement = element('errorElement', 'searchError');
+        this.resultCountElement = element('resultCount', 'filteredRecords');
+
+        // Autocomplete state
+        this.suggestionList = element('suggestionList', 'searchSuggestions');
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.blurTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for search functionality
+     */
+    setupEventListeners() {
+        // Search input event
+        this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
+
+        // Clear search button
+        if (this.clearButton) {
+            this.clearButton.addEventListener('click', this.clearSearch.bind(this));
+        }
+
+        // Keyboard shortcuts
+        this.searchInput.addEventListener('keydown', this.handleKeydown.bind(this));
+
+        // Focus management
+        this.searchInput.addEventListener('focus', this.handleFocus.bind(this));
+        this.searchInput.addEventListener('blur', this.handleBlur.bind(this));
+
+        // Autocomplete options; mousedown keeps focus in the input
+        if (this.suggestionList) {
+            this.suggestionList.addEventListener('mousedown', this.handleSuggestionMousedown.bind(this));
+        }
+    }
+
+    /**
+     * Handle search input events
+     * @param {Event} event - Input event
+     */
+    handleSearchInput(event) {
+        const searchTerm = DataValidator.sanitizeSearchInput(event.target.value);
+
+        // Clear existing debounce timer
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        // Set new debounce timer
+        this.debounceTimer = setTimeout(() => {
+            this.performSearch(searchTerm);
+        }, this.debounceDelay);
+
+        // Update clear button visibility
+        this.updateClearButtonVisibility(searchTerm);
+
+        // Suggestions follow every keystroke; they are cheap compared to a search
+        this.updateSuggestions();
+    }
+
+    /**
+     * Handle keydown events for keyboard shortcuts
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        const isOpen = this.isSuggestionListOpen();
+
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (!isOpen) {
+                    this.updateSuggestions();
+                }
+                if (this.suggestions.length > 0) {
+                    this.moveActiveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+                    event.preventDefault();
+                }
+                break;
+            case 'Tab':
+                this.closeSuggestions();
+                break;
+            case 'Escape':
+                // First Escape closes the dropdown, the next clears the search
+                if (isOpen) {
+                    this.closeSuggestions();
+                } else {
+                    this.clearSearch();
+                }
+                event.preventDefault();
+                break;
+            case 'Enter':
+                if (isOpen && this.activeSuggestion >= 0) {
+                    this.selectSuggestion(this.suggestions[this.activeSuggestion]);
+                    event.preventDefault();
+                    break;
+                }
+                this.closeSuggestions();
+
+                // Immediate search on Enter
+                if (this.debounceTimer) {
+                    clearTimeout(this.debounceTimer);
+                }
+                const searchTerm = DataValidator.sanitizeSearchInput(event.target.value);
+                this.performSearch(searchTerm);
+                event.preventDefault();
+                break;
+        }
+    }
+
+    /**
+     * Handle focus events
+     * @param {Event} event - Focus event
+     */
+    handleFocus(event) {
+        event.target.classList.add('focused');
+    }
+
+    /**
+     * Handle blur events
+     * @param {Event} event - Blur event
+     */
+    handleBlur(event) {
+        event.target.classList.remove('focused');
+
+        // Delay so a click on an option can still land
+        clearTimeout(this.blurTimer);
+        this.blurTimer = setTimeout(() => this.closeSuggestions(), 150);
+    }
+
+    /**
+     * Handle mouse selection of a suggestion
+     * @param {MouseEvent} event - Mousedown event
+     */
+    handleSuggestionMousedown(event) {
+        const option = event.target.closest('[role="option"]');
+        if (!option) return;
+
+        event.preventDefault();
+        const index = parseInt(option.getAttribute('data-index'), 10);
+        if (this.suggestions[index]) {
+            this.selectSuggestion(this.suggestions[index]);
+        }
+    }
+
+    /**
+     * Get the word currently being typed at the end of the input
+     * @returns {Object} The partial word, its field prefix if any, and where it starts
+     */
+    getPartialTerm() {
+        const value = this.searchInput.value;
+
+        // An open quote means the user is typing a phrase; leave it alone
+        if ((value.match(/"/g) || []).length % 2 === 1) {
+            return { text: '', field: null, start: value.length };
+        }
+
+        const match = value.match(/(?:^|[\s(])-?([A-Za-z]+:)?([^\s():"]*)$/);
+        if (!match) {
+            return { text: '', field: null, start: value.length };
+        }
+
+        const start = value.length - match[0].length + (/^[\s(]/.test(match[0]) ? 1 : 0);
+        return {
+            text: match[2],
+            field: match[1] ? match[1].slice(0, -1).toLowerCase() : null,
+            start
+        };
+    }
+
+    /**
+     * Recompute and render suggestions for the word being typed
+     */
+    updateSuggestions() {
+        if (!this.suggestionList) return;
+
+        const partial = this.getPartialTerm();
+        this.suggestions = this.getSearchSuggestions(partial.text, partial.field);
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    /**
+     * Render suggestions grouped by kind
+     */
+    renderSuggestions() {
+        const list = this.suggestionList;
+        list.innerHTML = '';
+
+        if (this.suggestions.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+
+        const groups = this.getSuggestionGroups();
+
+        groups.forEach(group => {
+            const items = this.suggestions
+                .map((suggestion, index) => ({ suggestion, index }))
+                .filter(item => item.suggestion.kind === group.kind);
+            if (items.length === 0) return;
+
+            const groupEl = document.createElement('li');
+            groupEl.setAttribute('role', 'group');
+            groupEl.setAttribute('aria-labelledby', `${list.id}-group-${group.kind}`);
+
+            const heading = document.createElement('div');
+            heading.id = `${list.id}-group-${group.kind}`;
+            heading.className = 'search-suggestions__group';
+            heading.setAttribute('role', 'presentation');
+            heading.textContent = group.label;
+            groupEl.appendChild(heading);
+
+            const options = document.createElement('ul');
+            options.setAttribute('role', 'presentation');
+
+            items.forEach(({ suggestion, index }) => {
+                const option = document.createElement('li');
+                option.id = `${list.id}-${index}`;
+                option.className = 'search-suggestion';
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                option.setAttribute('data-index', index);
+
+                const label = document.createElement('span');
+                label.className = 'search-suggestion__label';
+                label.textContent = suggestion.label;
+
+                const count = document.createElement('span');
+                count.className = 'search-suggestion__count';
+                count.textContent = suggestion.count.toLocaleString();
+                count.setAttribute('aria-label', `${suggestion.count} records`);
+
+                option.appendChild(label);
+                option.appendChild(count);
+                options.appendChild(option);
+            });
+
+            groupEl.appendChild(options);
+            list.appendChild(groupEl);
+        });
+
+        list.hidden = false;
+        this.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Suggestion groups in display order
+     * @returns {Array<Object>} Groups ({ kind, label }) matching the kinds from getSearchSuggestions
+     */
+    getSuggestionGroups() {
+        return [
+            { kind: 'member', label: 'Member' },
+            { kind: 'location', label: 'State/District' },
+            { kind: 'filingType', label: 'Filing type' }
+        ];
+    }
+
+    /**
+     * Move the active suggestion up or down, wrapping at the ends
+     * @param {number} step - 1 for down, -1 for up
+     */
+    moveActiveSuggestion(step) {
+        const count = this.suggestions.length;
+        this.activeSuggestion = (this.activeSuggestion + step + count + (this.activeSuggestion < 0 && step < 0 ? 1 : 0)) % count;
+
+        this.suggestionList.querySelectorAll('[role="option"]').forEach(option => {
+            const isActive = parseInt(option.getAttribute('data-index'), 10) === this.activeSuggestion;
+            option.classList.toggle('highlighted', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                option.scrollIntoView({ block: 'nearest' });
+                this.searchInput.setAttribute('aria-activedescendant', option.id);
+            }
+        });
+    }
+
+    /**
+     * Replace the word being typed with a suggestion's fielded filter and search
+     * @param {Object} suggestion - Suggestion from getSearchSuggestions
+     */
+    selectSuggestion(suggestion) {
+        const partial = this.getPartialTerm();
+        const value = this.searchInput.value;
+        const prefix = value.slice(0, partial.start);
+        const negation = value.slice(partial.start).startsWith('-') ? '-' : '';
+
+        // Multi-term filters are grouped so a leading "-" negates all of them
+        const filter = negation && suggestion.query.includes(' ') ? `(${suggestion.query})` : suggestion.query;
+        const newValue = `${prefix}${negation}${filter} `;
+
+        this.searchInput.value = newValue;
+        this.closeSuggestions();
+
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        const searchTerm = DataValidator.sanitizeSearchInput(newValue);
+        this.updateClearButtonVisibility(searchTerm);
+        this.performSearch(searchTerm);
+        this.searchInput.focus();
+    }
+
+    /**
+     * Check whether the suggestion dropdown is showing
+     * @returns {boolean} Whether the dropdown is open
+     */
+    isSuggestionListOpen() {
+        return Boolean(this.suggestionList && !this.suggestionList.hidden);
+    }
+
+    /**
+     * Close the suggestion dropdown
+     */
+    closeSuggestions() {
+        if (!this.suggestionList) return;
+
+        this.suggestionList.hidden = true;
+        this.activeSuggestion = -1;
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Perform search operation
+     * @param {string} searchTerm - Search term to filter by
+     */
+    performSearch(searchTerm) {
+        performanceMonitor.startTimer('search-operation');
+
+        try {
+            // Parse first so a malformed query keeps the current results on screen
+            let query;
+            try {
+                query = this.parseQuery(searchTerm);
+                this.hideQueryError();
+            } catch (error) {
+                if (error instanceof QuerySyntaxError) {
+                    this.showQueryError(error, searchTerm);
+                    return;
+                }
+                throw error;
+            }
+
+            this.currentSearchTerm = searchTerm;
+
+            // Show loading state for long searches
+            if (searchTerm.length > 0) {
+                this.showSearchLoading();
+            }
+
+            // Filter members
+            const filteredMembers = this.dataManager.filterMembers(searchTerm, query);
+
+            // Update table display
+            this.tableRenderer.updateDisplay(filteredMembers);
+
+            // Update statistics
+            this.updateSearchStats(filteredMembers.length);
+
+            // Hide loading state
+            this.hideSearchLoading();
+
+            // Scroll to top of results
+            this.tableRenderer.scrollToTop();
+
+            // Log search analytics
+            this.logSearchAnalytics(searchTerm, filteredMembers.length);
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Search');
+            this.hideSearchLoading();
+        } finally {
+            performanceMonitor.endTimer('search-operation');
+        }
+    }
+
+    /**
+     * Clear search and reset to all results
+     */
+    clearSearch() {
+        this.searchInput.value = '';
+        this.currentSearchTerm = '';
+
+        // Clear debounce timer
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        this.hideQueryError();
+
+        // Reset to all members
+        const allMembers = this.dataManager.filterMembers('');
+
+        // Update display
+        this.tableRenderer.updateDisplay(allMembers);
+
+        // Update statistics
+        this.updateSearchStats(allMembers.length);
+
+        // Update clear button visibility
+        this.updateClearButtonVisibility('');
+
+        // Focus search input
+        this.searchInput.focus();
+    }
+
+    /**
+     * Parse a search term with the fielded query language
+     * @param {string} searchTerm - Raw search term
+     * @returns {Object|null} Parsed query, or null for an empty term
+     * @throws {QuerySyntaxError} When the term is not a valid query
+     */
+    parseQuery(searchTerm) {
+        return this.dataManager.queryParser.parse((searchTerm || '').trim());
+    }
+
+    /**
+     * Show a query syntax error under the search box
+     * @param {QuerySyntaxError} error - Syntax error
+     * @param {string} searchTerm - Sanitized term that was parsed; the error position is an
+     *     offset into it, not into the raw input value
+     */
+    showQueryError(error, searchTerm) {
+        const errorEl = this.errorElement;
+        if (!errorEl) return;
+
+        const query = (searchTerm || '').trim();
+        const position = Math.min(error.position, query.length);
+
+        // Point at the offending part of the query
+        errorEl.textContent = '';
+        const message = document.createElement('span');
+        message.className = 'search-error__message';
+        message.textContent = error.message;
+
+        const context = document.createElement('code');
+        context.className = 'search-error__context';
+        context.textContent = query.slice(Math.max(0, position - 20), position);
+        const marker = document.createElement('mark');
+        marker.textContent = query.slice(position, position + 20) || ' ';
+        context.appendChild(marker);
+
+        errorEl.appendChild(message);
+        errorEl.appendChild(context);
+        errorEl.hidden = false;
+
+        this.searchInput.setAttribute('aria-invalid', 'true');
+        this.searchInput.classList.add('invalid');
+    }
+
+    /**
+     * Hide the query syntax error
+     */
+    hideQueryError() {
+        const errorEl = this.errorElement;
+        if (errorEl) {
+            errorEl.hidden = true;
+            errorEl.textContent = '';
+        }
+
+        this.searchInput.removeAttribute('aria-invalid');
+        this.searchInput.classList.remove('invalid');
+    }
+
+    /**
+     * Update search statistics display
+     * @param {number} resultCount - Number of filtered results
+     */
+    updateSearchStats(resultCount) {
+        const filteredRecordsEl = this.resultCountElement;
+        if (filteredRecordsEl) {
+            filteredRecordsEl.textContent = resultCount.toLocaleString();
+
+            // Add visual indicator for filtered results
+            if (resultCount < this.dataManager.getMembers().length) {
+                filteredRecordsEl.classList.add('filtered');
+                filteredRecordsEl.title = `Showing ${resultCount} of ${this.dataManager.getMembers().length} total records`;
+            } else {
+                filteredRecordsEl.classList.remove('filtered');
+                filteredRecordsEl.title = '';
+            }
+        }
+    }
+
+    /**
+     * Update clear button visibility
+     * @param {string} searchTerm - Current search term
+     */
+    updateClearButtonVisibility(searchTerm) {
+        const clearButton = this.clearButton;
+        if (clearButton) {
+            if (searchTerm.trim().length > 0) {
+                clearButton.style.display = 'inline-flex';
+                clearButton.disabled = false;
+            } else {
+                clearButton.style.display = 'none';
+                clearButton.disabled = true;
+            }
+        }
+    }
+
+    /**
+     * Show search loading indicator
+     */
+    showSearchLoading() {
+        this.searchInput.classList.add('searching');
+
+        // Add loading indicator to search input
+        if (!this.searchInput.parentNode.querySelector('.search-loading')) {
+            const loadingIndicator = document.createElement('div');
+            loadingIndicator.className = 'search-loading';
+            loadingIndicator.innerHTML = '<div class="search-spinner"></div>';
+            this.searchInput.parentNode.appendChild(loadingIndicator);
+        }
+    }
+
+    /**
+     * Hide search loading indicator
+     */
+    hideSearchLoading() {
+        this.searchInput.classList.remove('searching');
+
+        const loadingIndicator = this.searchInput.parentNode.querySelector('.search-loading');
+        if (loadingIndicator) {
+            loadingIndicator.remove();
+        }
+    }
+
+    /**
+     * Log search analytics for performance monitoring
+     * @param {string} searchTerm - Search term used
+     * @param {number} resultCount - Number of results found
+     */
+    logSearchAnalytics(searchTerm, resultCount) {
+        if (searchTerm.trim().length > 0) {
+            console.log(`Search: "${searchTerm}" returned ${resultCount} results`);
+
+            // Track search performance
+            const totalRecords = this.dataManager.getMembers().length;
+            const filterRatio = resultCount / totalRecords;
+
+            if (filterRatio < 0.1 && resultCount > 0) {
+                console.log('Highly specific search - good filtering');
+            } else if (resultCount === 0) {
+                console.log('No results found - consider search suggestions');
+            }
+        }
+    }
+
+    /**
+     * Get current search term
+     * @returns {string} Current search term
+     */
+    getCurrentSearchTerm() {
+        return this.currentSearchTerm;
+    }
+
+    /**
+     * Set search term programmatically
+     * @param {string} searchTerm - Search term to set
+     */
+    setSearchTerm(searchTerm) {
+        const sanitizedTerm = DataValidator.sanitizeSearchInput(searchTerm);
+        this.searchInput.value = sanitizedTerm;
+        this.updateClearButtonVisibility(sanitizedTerm);
+        this.performSearch(sanitizedTerm);
+    }
+
+    /**
+     * Show a search term that was applied elsewhere (e.g. restored from the URL) without searching
+     * @param {string} searchTerm - Search term already applied to DataManager
+     */
+    syncSearchInput(searchTerm) {
+        if (this.debounceTimer) {
+            clearTimeout(this.debounceTimer);
+        }
+
+        this.currentSearchTerm = searchTerm;
+        this.searchInput.value = searchTerm;
+        this.updateClearButtonVisibility(searchTerm);
+        this.hideQueryError();
+        this.closeSuggestions();
+    }
+
+    /**
+     * Get search suggestions based on current data
+     * @param {string} partialTerm - Partial search term
+     * @param {string|null} [field] - Field prefix typed before the term, narrows the kinds offered
+     * @returns {Array} Suggestions ({ kind, label, query, count }) grouped by kind
+     */
+    getSearchSuggestions(partialTerm, field = null) {
+        // Filing-type codes are one letter, so after a field prefix ("type:P") one is enough
+        if (!partialTerm || (partialTerm.length < 2 && !field)) {
+            return [];
+        }
+
+        const term = QueryParser.normalizeText(partialTerm);
+        const members = this.dataManager.getMembers();
+        const fieldName = field ? (this.dataManager.queryParser.aliases[field] || field) : null;
+        const offers = (kind) => !fieldName || {
+            member: ['last', 'first', 'name'],
+            location: ['state', 'dst'],
+            filingType: ['type']
+        }[kind].includes(fieldName);
+
+        const people = new Map();
+        const states = new Map();
+        const districts = new Map();
+        const types = new Map();
+        const tally = (map, key, build) => {
+            const entry = map.get(key) || build();
+            entry.count++;
+            map.set(key, entry);
+        };
+
+        // Collect suggestions from various fields
+        members.forEach(member => {
+            // Members (by last or first name)
+            const lastName = QueryParser.normalizeText(member.lastName);
+            const firstName = QueryParser.normalizeText(member.firstName);
+            if (offers('member') && (lastName.startsWith(term) || firstName.startsWith(term) ||
+                lastName.split(/[-\s]/).some(part => part.startsWith(term)))) {
+                tally(people, `${lastName}|${firstName}`, () => ({
+                    kind: 'member',
+                    label: [member.lastName, member.firstName].filter(Boolean).join(', '),
+                    query: [
+                        member.lastName && `last:${this.quoteQueryValue(member.lastName)}`,
+                        member.firstName && `first:${this.quoteQueryValue(member.firstName)}`
+                    ].filter(Boolean).join(' '),
+                    count: 0
+                }));
+            }
+
+            // States (by code, or by any word of the name from three letters) and districts
+            const { stateCode, stateName } = member;
+            const stateWords = QueryParser.normalizeText(stateName);
+            if (offers('location') && stateCode && fieldName !== 'dst' &&
+                (stateCode.toLowerCase().startsWith(term) ||
+                    (term.length > 2 && stateWords.split(' ').some(word => word.startsWith(term))))) {
+                tally(states, stateCode, () => ({
+                    kind: 'location',
+                    label: stateName ? `${stateCode} · ${stateName}` : stateCode,
+                    query: `state:${stateCode}`,
+                    count: 0
+                }));
+            }
+            if (offers('location') && stateCode && stateCode.toLowerCase().startsWith(term.substring(0, 2))) {
+                if (member.stateDst.toLowerCase().startsWith(term) && fieldName !== 'state') {
+                    tally(districts, member.stateDst, () => ({
+                        kind: 'location', label: member.stateDst, query: `dst:${member.stateDst}`, count: 0
+                    }));
+                }
+            }
+
+            // Filing types (by code or description)
+            const type = member.filingType;
+            const description = DataManager.filingTypeDescriptions[type] || '';
+            if (offers('filingType') && type &&
+                (type.toLowerCase() === term || QueryParser.normalizeText(description).split(' ').some(word => word.startsWith(term)))) {
+                tally(types, type, () => ({
+                    kind: 'filingType',
+                    label: description ? `${type} · ${description}` : type,
+                    query: `type:${type}`,
+                    count: 0
+                }));
+            }
+        });
+
+        const top = (map, limit) => Array.from(map.values())
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+            .slice(0, limit);
+
+        return [
+            ...top(people, 8),
+            ...top(states, 3),
+            ...top(districts, 5),
+            ...top(types, 3)
+        ];
+    }
+
+    /**
+     * Quote a value for use in a query when it contains spaces or syntax characters
+     * @param {string} value - Raw value
+     * @returns {string} Query-safe value
+     */
+    quoteQueryValue(value) {
+        const clean = String(value).replace(/"/g, '');
+        return /[\s()]/.test(clean) ? `"${clean}"` : clean;
+    }
+}/**
+ * So
+rt controller for handling table column sorting
+ */
+class SortController {
+    /**
+     * @param {HTMLTableElement} tableElement - Table whose th.sortable headers sort the results
+     * @param {DataManager} dataManager - Records to sort
+     * @param {TableRenderer} tableRenderer - Table showing the results
+     * @param {Object} [elements] - Relevance and reset buttons; the filings view's are looked up when omitted
+     */
+    constructor(tableElement, dataManager, tableRenderer, elements = {}) {
+        this.table = tableElement;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+
+        const element = (key, id) => (key in elements ? elements[key] : document.getElementById(id));
+        this.relevanceButton = element('relevanceButton', 'relevanceSortBtn');
+        this.resetButton = element('resetButton', 'resetSortBtn');
+
+        // Sort keys in priority order; the first is the primary sort
+        this.sortCriteria = [];
+        this.listeners = new Set();
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for sorting functionality
+     */
+    setupEventListeners() {
+        // Add click listeners to sortable headers
+        const sortableHeaders = this.table.querySelectorAll('th.sortable');
+
+        sortableHeaders.forEach(header => {
+            header.addEventListener('click', this.handleHeaderClick.bind(this));
+            header.addEventListener('keydown', this.handleHeaderKeydown.bind(this));
+        });
+
+        // Relevance sort is only offered while a query is active
+        if (this.relevanceButton) {
+            this.relevanceButton.addEventListener('click', () => this.sortByRelevance());
+            this.dataManager.subscribe(() => this.updateRelevanceButton());
+        }
+
+        // Reset sort is only offered while a sort is applied
+        if (this.resetButton) {
+            this.resetButton.addEventListener('click', () => this.clearSort());
+        }
+    }
+
+    /**
+     * Sort by relevance to the current query, closest matches first
+     */
+    sortByRelevance() {
+        this.applySort([{ column: 'relevance', direction: 'desc' }]);
+        this.tableRenderer.scrollToTop();
+    }
+
+    /**
+     * Show the relevance sort button while a query is active and mark it when in use
+     */
+    updateRelevanceButton() {
+        if (!this.relevanceButton) return;
+
+        const isActive = this.getCurrentSort().column === 'relevance';
+        this.relevanceButton.hidden = !this.dataManager.currentQuery;
+        this.relevanceButton.setAttribute('aria-pressed', String(isActive));
+        this.relevanceButton.classList.toggle('active', isActive);
+    }
+
+    /**
+     * Handle header click events
+     * @param {MouseEvent} event - Click event; Shift adds the column as a further sort key
+     */
+    handleHeaderClick(event) {
+        const header = event.currentTarget;
+        const column = header.getAttribute('data-column');
+
+        if (column) {
+            this.handleSort(column, event.shiftKey);
+        }
+    }
+
+    /**
+     * Handle header keydown events for accessibility
+     * Enter/Space sorts, Shift+Enter/Space adds a sort key, Delete removes the column's key
+     * and Escape resets sorting.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleHeaderKeydown(event) {
+        const header = event.currentTarget;
+        const column = header.getAttribute('data-column');
+
+        if (!column) return;
+
+        switch (event.key) {
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                this.handleSort(column, event.shiftKey);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                event.preventDefault();
+                this.removeSortColumn(column);
+                break;
+            case 'Escape':
+                if (this.sortCriteria.length > 0) {
+                    event.preventDefault();
+                    this.clearSort();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Handle sort operation
+     * A plain sort replaces all keys, toggling direction when the column is already the
+     * only key. An additive sort appends the column, or cycles an existing key from
+     * ascending to descending to removed.
+     * @param {string} column - Column to sort by
+     * @param {boolean} [additive] - Whether to keep the existing sort keys
+     */
+    handleSort(column, additive = false) {
+        const existing = this.sortCriteria.find(criterion => criterion.column === column);
+        let criteria;
+
+        if (!additive) {
+            // Toggle direction if same column
+            const isOnlyKey = existing && this.sortCriteria.length === 1;
+            const direction = isOnlyKey && existing.direction === 'asc' ? 'desc' : 'asc';
+            criteria = [{ column, direction }];
+        } else if (!existing) {
+            criteria = [...this.sortCriteria, { column, direction: 'asc' }];
+        } else if (existing.direction === 'asc') {
+            criteria = this.sortCriteria.map(criterion =>
+                criterion.column === column ? { column, direction: 'desc' } : criterion);
+        } else {
+            criteria = this.sortCriteria.filter(criterion => criterion.column !== column);
+        }
+
+        if (criteria.length === 0) {
+            this.clearSort();
+        } else {
+            this.applySort(criteria);
+        }
+    }
+
+    /**
+     * Remove a single column from the sort keys
+     * @param {string} column - Column to remove
+     */
+    removeSortColumn(column) {
+        const criteria = this.sortCriteria.filter(criterion => criterion.column !== column);
+
+        if (criteria.length === this.sortCriteria.length) return;
+
+        if (criteria.length === 0) {
+            this.clearSort();
+        } else {
+            this.applySort(criteria);
+        }
+    }
+
+    /**
+     * Sort the results by the given keys and refresh the table
+     * @param {Array<Object>} criteria - Sort keys ({ column, direction }) in priority order
+     */
+    applySort(criteria) {
+        performanceMonitor.startTimer('sort-operation');
+
+        try {
+            // Update current sort state
+            this.sortCriteria = criteria.map(({ column, direction }) => ({ column, direction }));
+
+            // Show loading state for large datasets
+            this.showSortLoading();
+
+            // Perform sort
+            const sortedMembers = this.dataManager.sortMembersBy(this.sortCriteria);
+
+            // Update visual indicators
+            this.updateSortIndicators();
+            this.updateRelevanceButton();
+
+            // Update table display
+            this.tableRenderer.updateDisplay(sortedMembers);
+
+            // Hide loading state
+            this.hideSortLoading();
+
+            // Log sort analytics
+            this.logSortAnalytics(this.sortCriteria, sortedMembers.length);
+
+            this.notifyListeners();
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Sorting');
+            this.hideSortLoading();
+        } finally {
+            performanceMonitor.endTimer('sort-operation');
+        }
+    }
+
+    /**
+     * Update sort indicators and priority numbers in table headers
+     */
+    updateSortIndicators() {
+        const headers = this.table.querySelectorAll('th.sortable');
+        const showPriority = this.sortCriteria.length > 1;
+
+        headers.forEach(header => {
+            const column = header.getAttribute('data-column');
+            const index = this.sortCriteria.findIndex(criterion => criterion.column === column);
+            const criterion = this.sortCriteria[index];
+
+            // Keep the static label so the sort state can be appended to it
+            if (!header.hasAttribute('data-label')) {
+                header.setAttribute('data-label', header.getAttribute('aria-label') || '');
+            }
+            const label = header.getAttribute('data-label');
+
+            // Remove existing sort classes
+            header.classList.remove('sort-asc', 'sort-desc');
+
+            let priority = header.querySelector('.sort-priority');
+            if (priority) priority.remove();
+
+            if (!criterion) {
+                header.setAttribute('aria-sort', 'none');
+                header.setAttribute('aria-label', label);
+                return;
+            }
+
+            const directionName = criterion.direction === 'asc' ? 'ascending' : 'descending';
+            header.classList.add(`sort-${criterion.direction}`);
+
+            // aria-sort belongs to the primary column only
+            header.setAttribute('aria-sort', index === 0 ? directionName : 'none');
+            header.setAttribute('aria-label', showPriority
+                ? `${label} (sorted ${directionName}, priority ${index + 1})`
+                : `${label} (sorted ${directionName})`);
+
+            if (showPriority) {
+                priority = document.createElement('span');
+                priority.className = 'sort-priority';
+                priority.setAttribute('aria-hidden', 'true');
+                priority.textContent = String(index + 1);
+                header.querySelector('.sort-indicator')?.before(priority);
+            }
+        });
+
+        if (this.resetButton) {
+            this.resetButton.hidden = this.sortCriteria.length === 0;
+        }
+    }
+
+    /**
+     * Show sort loading indicator
+     */
+    showSortLoading() {
+        // Add loading class to table
+        this.table.classList.add('sorting');
+
+        // Disable sort headers temporarily
+        const headers = this.table.querySelectorAll('th.sortable');
+        headers.forEach(header => {
+            header.style.pointerEvents = 'none';
+            header.style.opacity = '0.7';
+        });
+    }
+
+    /**
+     * Hide sort loading indicator
+     */
+    hideSortLoading() {
+        // Remove loading class
+        this.table.classList.remove('sorting');
+
+        // Re-enable sort headers
+        const headers = this.table.querySelectorAll('th.sortable');
+        headers.forEach(header => {
+            header.style.pointerEvents = '';
+            header.style.opacity = '';
+        });
+    }
+
+    /**
+     * Log sort analytics for performance monitoring
+     * @param {Array<Object>} criteria - Sort keys applied
+     * @param {number} recordCount - Number of records sorted
+     */
+    logSortAnalytics(criteria, recordCount) {
+        const keys = criteria.map(({ column, direction }) => `${column} (${direction})`).join(', ');
+        console.log(`Sorted by ${keys} - ${recordCount} records`);
+
+        // Track sort performance for large datasets
+        if (recordCount > 1000) {
+            console.log('Large dataset sort completed successfully');
+        }
+    }
+
+    /**
+     * Get current sort state
+     * @returns {Object} Primary column and direction, plus all keys as criteria
+     */
+    getCurrentSort() {
+        const [primary] = this.sortCriteria;
+        return {
+            column: primary ? primary.column : null,
+            direction: primary ? primary.direction : 'asc',
+            criteria: this.sortCriteria.map(criterion => ({ ...criterion }))
+        };
+    }
+
+    /**
+     * Set sort programmatically
+     * @param {string} column - Column to sort by
+     * @param {string} direction - Sort direction
+     */
+    setSort(column, direction = 'asc') {
+        this.handleMultiSort([{ column, direction }]);
+    }
+
+    /**
+     * Clear current sort and return to original order
+     */
+    clearSort() {
+        this.sortCriteria = [];
+
+        // Remove all sort indicators
+        this.updateSortIndicators();
+        this.updateRelevanceButton();
+
+        // Reset to original order (or current filtered results)
+        const members = this.dataManager.clearSort();
+        this.tableRenderer.updateDisplay(members);
+
+        this.notifyListeners();
+    }
+
+    /**
+     * Adopt the sort keys DataManager already applied and refresh the header indicators
+     */
+    syncWithDataManager() {
+        this.sortCriteria = this.dataManager.getSortCriteria();
+        this.updateSortIndicators();
+        this.updateRelevanceButton();
+    }
+
+    /**
+     * Register a callback run after the user changes the sort
+     * @param {Function} listener - Called with the sort keys
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notify listeners that the sort changed
+     */
+    notifyListeners() {
+        const criteria = this.getCurrentSort().criteria;
+        this.listeners.forEach(listener => {
+            try {
+                listener(criteria);
+            } catch (error) {
+                console.error('Sort listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Get sortable columns information
+     * @returns {Array} Array of sortable column information
+     */
+    getSortableColumns() {
+        const headers = this.table.querySelectorAll('th.sortable');
+        const columns = [];
+
+        headers.forEach(header => {
+            const column = header.getAttribute('data-column');
+            const label = header.getAttribute('data-label') || header.getAttribute('aria-label') ||
+                header.textContent.trim().replace(/\s+/g, ' ');
+            const index = this.sortCriteria.findIndex(criterion => criterion.column === column);
+
+            if (column) {
+                columns.push({
+                    column,
+                    label,
+                    sortable: true,
+                    currentSort: index >= 0 ? this.sortCriteria[index].direction : null,
+                    priority: index >= 0 ? index + 1 : null
+                });
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Handle multi-column sorting
+     * @param {Array} sortCriteria - Array of sort criteria objects ({ column, direction })
+     */
+    handleMultiSort(sortCriteria) {
+        const columns = new Set(['relevance', ...this.getSortableColumns().map(info => info.column)]);
+
+        sortCriteria.forEach(({ column, direction }) => {
+            if (!columns.has(column)) {
+                throw new Error(`Invalid sort column "${column}"`);
+            }
+            if (!['asc', 'desc'].includes(direction)) {
+                throw new Error('Invalid sort direction. Must be "asc" or "desc"');
+            }
+        });
+
+        // Each column may appear once; the first occurrence wins
+        const criteria = sortCriteria.filter((criterion, index) =>
+            sortCriteria.findIndex(other => other.column === criterion.column) === index);
+
+        if (criteria.length === 0) {
+            this.clearSort();
+        } else {
+            this.applySort(criteria);
+        }
+    }
+}/**
+ *
+ CSV Export utility class
+ */
+class CSVExporter {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Export filtered data to CSV
+     * @param {string} filename - Optional filename for the export
+     * @returns {Promise} Promise that resolves when export is complete
+     */
+    async exportToCSV(filename = null) {
+        performanceMonitor.startTimer('csv-export');
+
+        try {
+            const members = this.dataManager.getFilteredMembers();
+
+            if (members.length === 0) {
+                throw new Error('No data to export');
+            }
+
+            // Generate CSV content
+            const csvContent = this.generateCSVContent(members);
+
+            // Create filename if not provided
+            const exportFilename = filename || this.generateFilename();
+
+            // Trigger download
+            this.downloadCSV(csvContent, exportFilename);
+
+            console.log(`Exported ${members.length} records to ${exportFilename}`);
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'CSV Export');
+            throw error;
+        } finally {
+            performanceMonitor.endTimer('csv-export');
+        }
+    }
+
+    /**
+     * Generate CSV content from member data
+     * @param {Array} members - Array of member objects
+     * @returns {string} CSV content string
+     */
+    generateCSVContent(members) {
+        // Define CSV headers
+        const headers = [
+            'Prefix',
+            'Last Name',
+            'First Name',
+            'Suffix',
+            'Filing Type',
+            'State/District',
+            'State',
+            'District',
+            'Year',
+            'Filing Date',
+            'Document ID',
+            'Filer ID'
+        ];
+
+        // Create CSV rows
+        const rows = [headers];
+
+        members.forEach(member => {
+            const row = [
+                this.escapeCsvValue(member.prefix),
+                this.escapeCsvValue(member.lastName),
+                this.escapeCsvValue(member.firstName),
+                this.escapeCsvValue(member.suffix),
+                this.escapeCsvValue(member.filingType),
+                this.escapeCsvValue(member.stateDst),
+                this.escapeCsvValue(member.stateName),
+                this.escapeCsvValue(DataManager.formatDistrict(member)),
+                this.escapeCsvValue(member.year || ''),
+                this.escapeCsvValue(this.formatDateForCSV(member.filingDate, member.filingDateString)),
+                this.escapeCsvValue(member.docID),
+                this.escapeCsvValue(member.filerId || '')
+            ];
+
+            rows.push(row);
+        });
+
+        // Convert to CSV string
+        return rows.map(row => row.join(',')).join('\n');
+    }
+
+    /**
+     * Escape CSV value to handle commas, quotes, and newlines
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped CSV value
+     */
+    escapeCsvValue(value) {
+        if (value == null) {
+            return '';
+        }
+
+        const stringValue = String(value);
+
+        // If value contains comma, quote, or newline, wrap in quotes and escape internal quotes
+        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+            return `"${stringValue.replace(/"/g, '""')}"`;
+        }
+
+        return stringValue;
+    }
+
+    /**
+     * Format date for CSV export
+     * @param {Date} date - Date object
+     * @param {string} fallback - Fallback string
+     * @returns {string} Formatted date string
+     */
+    formatDateForCSV(date, fallback) {
+        if (date instanceof Date && !isNaN(date.getTime())) {
+            // Use ISO format for CSV (YYYY-MM-DD)
+            return date.toISOString().split('T')[0];
+        }
+        return fallback || '';
+    }
+
+    /**
+     * Generate filename for export
+     * @param {string} [extension] - File extension without the dot
+     * @returns {string} Generated filename
+     */
+    generateFilename(extension = 'csv') {
+        const now = new Date();
+        const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+        const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
+
+        const recordCount = this.dataManager.getFilteredMembers().length;
+        const totalCount = this.dataManager.getMembers().length;
+
+        let filename = `financial-disclosure-${dateStr}-${timeStr}`;
+
+        // Add filter indicator if data is filtered
+        if (recordCount < totalCount) {
+            filename += `-filtered-${recordCount}-of-${totalCount}`;
+        } else {
+            filename += `-all-${recordCount}`;
+        }
+
+        return `${filename}.${extension}`;
+    }
+
+    /**
+     * Trigger CSV download in browser
+     * @param {string|Uint8Array} csvContent - CSV content string, or the bytes of another format
+     * @param {string} filename - Filename for download
+     * @param {string} [mimeType] - Content type, for other formats
+     */
+    downloadCSV(csvContent, filename, mimeType = 'text/csv;charset=utf-8;') {
+        // Create blob with CSV content
+        const blob = new Blob([csvContent], { type: mimeType });
+
+        // Create download link
+        const link = document.createElement('a');
+
+        if (link.download !== undefined) {
+            // Modern browsers
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            // Clean up object URL
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } else {
+            // Fallback for older browsers
+            const reader = new FileReader();
+            reader.onload = function () {
+                const dataUrl = reader.result;
+                const link = document.createElement('a');
+                link.href = dataUrl;
+                link.download = filename;
+                link.click();
+            };
+            reader.readAsDataURL(blob);
+        }
+    }
+
+    /**
+     * Get export statistics
+     * @returns {Object} Export statistics
+     */
+    getExportStats() {
+        const filteredCount = this.dataManager.getFilteredMembers().length;
+        const totalCount = this.dataManager.getMembers().length;
+
+        return {
+            recordsToExport: filteredCount,
+            totalRecords: totalCount,
+            isFiltered: filteredCount < totalCount,
+            estimatedFileSize: this.estimateFileSize(filteredCount)
+        };
+    }
+
+    /**
+     * Estimate CSV file size
+     * @param {number} recordCount - Number of records
+     * @returns {string} Estimated file size
+     */
+    estimateFileSize(recordCount) {
+        // Rough estimate: ~150 bytes per record (including headers)
+        const estimatedBytes = recordCount * 150 + 200; // +200 for headers
+
+        if (estimatedBytes < 1024) {
+            return `${estimatedBytes} bytes`;
+        } else if (estimatedBytes < 1024 * 1024) {
+            return `${(estimatedBytes / 1024).toFixed(1)} KB`;
+        } else {
+            return `${(estimatedBytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+    }
+}
+
+/**
+ * JSON and NDJSON export of the filtered records, typed for downstream tools: ISO dates,
+ * numeric year and document ID, and the filing type spelled out
+ */
+class JSONExporter {
+    /**
+     * @param {DataManager} dataManager - Filtered records, datasets and view state
+     * @param {CSVExporter} [csvExporter] - Shared filename and download helpers
+     */
+    constructor(dataManager, csvExporter = null) {
+        this.dataManager = dataManager;
+        this.csvExporter = csvExporter || new CSVExporter(dataManager);
+    }
+
+    /**
+     * Export the filtered records
+     * @param {string} format - 'json' (metadata header plus record array) or 'ndjson' (one record per line)
+     * @param {string} [filename] - Optional filename for the export
+     * @returns {Promise} Promise that resolves when export is complete
+     */
+    async export(format, filename = null) {
+        performanceMonitor.startTimer(`${format}-export`);
+
+        try {
+            const members = this.dataManager.getFilteredMembers();
+
+            if (members.length === 0) {
+                throw new Error('No data to export');
+            }
+
+            const content = format === 'ndjson'
+                ? this.generateNDJSONContent(members)
+                : this.generateJSONContent(members);
+            const mimeType = format === 'ndjson' ? 'application/x-ndjson' : 'application/json';
+            const exportFilename = filename || this.csvExporter.generateFilename(format === 'ndjson' ? 'ndjson' : 'json');
+
+            this.csvExporter.downloadCSV(content, exportFilename, `${mimeType};charset=utf-8;`);
+
+            console.log(`Exported ${members.length} records to ${exportFilename}`);
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'JSON Export');
+            throw error;
+        } finally {
+            performanceMonitor.endTimer(`${format}-export`);
+        }
+    }
+
+    /**
+     * Generate a JSON document: metadata header plus the record array
+     * @param {Array} members - Array of member objects
+     * @returns {string} JSON content string
+     */
+    generateJSONContent(members) {
+        return JSON.stringify({
+            metadata: this.getMetadata(members),
+            records: members.map(member => this.toRecord(member))
+        }, null, 2);
+    }
+
+    /**
+     * Generate newline-delimited JSON, one record per line and no header, so every line
+     * parses to the same shape
+     * @param {Array} members - Array of member objects
+     * @returns {string} NDJSON content string
+     */
+    generateNDJSONContent(members) {
+        return members.map(member => JSON.stringify(this.toRecord(member))).join('\n') + '\n';
+    }
+
+    /**
+     * Convert a member to a typed export record
+     * @param {Object} member - Member object
+     * @returns {Object} Record with ISO dates, numeric year/docID and the filing type description
+     */
+    toRecord(member) {
+        return {
+            prefix: member.prefix || null,
+            lastName: member.lastName || null,
+            firstName: member.firstName || null,
+            suffix: member.suffix || null,
+            filingType: DataManager.filingTypeDescriptions[member.filingType] || member.filingType || null,
+            filingTypeCode: member.filingType || null,
+            stateDst: member.stateDst || null,
+            state: member.stateCode || null,
+            stateName: member.stateName || null,
+            district: member.districtNumber ?? null,
+            year: JSONExporter.toNumber(member.year),
+            filingDate: JSONExporter.toISODate(member.filingDate),
+            docID: JSONExporter.toNumber(member.docID),
+            filerId: member.filerId || null
+        };
+    }
+
+    /**
+     * Describe where the records came from and how they were filtered
+     * @param {Array} members - Exported member objects
+     * @returns {Object} Metadata: source files, filters, record counts and generated-at
+     */
+    getMetadata(members) {
+        const { searchTerm, facets, dateRange, sortCriteria } = this.dataManager.getViewState();
+        const activeYears = new Set(this.dataManager.getActiveYears());
+        const datasets = this.dataManager.getDatasets().filter(dataset => activeYears.has(dataset.year));
+
+        return {
+            source: datasets.map(dataset => ({ year: dataset.year, file: dataset.file })),
+            filters: {
+                search: searchTerm || null,
+                facets: Object.fromEntries(Object.entries(facets).filter(([, values]) => values.length > 0)),
+                filingDate: {
+                    from: JSONExporter.toISODate(dateRange.from),
+                    to: JSONExporter.toISODate(dateRange.to),
+                    preset: dateRange.preset || null
+                },
+                sort: sortCriteria.map(({ column, direction }) => ({ column, direction }))
+            },
+            recordCount: members.length,
+            totalRecords: this.dataManager.getMembers().length,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Format a date as an ISO calendar date
+     * @param {Date} date - Date object
+     * @returns {string|null} YYYY-MM-DD, or null when missing or invalid
+     */
+    static toISODate(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+        return DateRangeController.toInputValue(date);
+    }
+
+    /**
+     * Convert an all-digit value to a number
+     * @param {*} value - Value such as "2026" or "10056789"
+     * @returns {number|string|null} Number, the original string when not all digits, or null when empty
+     */
+    static toNumber(value) {
+        if (value == null || value === '') return null;
+        const text = String(value).trim();
+        return /^\d+$/.test(text) ? Number(text) : text;
+    }
+}
+
+/**
+ * Minimal ZIP archive writer for generated documents such as XLSX
+ * Entries are deflated with CompressionStream where the browser has it, and stored otherwise.
+ */
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * CRC-32 lookup table
+     * @returns {Uint32Array} 256 entries
+     */
+    static get crcTable() {
+        if (!ZipWriter.table) {
+            ZipWriter.table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.table[n] = c >>> 0;
+            }
+        }
+        return ZipWriter.table;
+    }
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    static crc32(bytes) {
+        const table = ZipWriter.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Raw-deflate some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {Promise<Uint8Array|null>} Deflated data, or null when the browser cannot compress
+     */
+    static async deflate(bytes) {
+        if (typeof CompressionStream === 'undefined') return null;
+
+        try {
+            const stream = new Response(bytes).body.pipeThrough(new CompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        } catch (error) {
+            console.warn('Deflate unavailable, storing ZIP entries uncompressed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {string|Uint8Array} content - File content; strings are UTF-8 encoded
+     */
+    addFile(name, content) {
+        const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+        this.entries.push({ name, data });
+    }
+
+    /**
+     * Build the archive
+     * @param {Date} [date] - Modification time recorded for every entry
+     * @returns {Promise<Uint8Array>} ZIP bytes
+     */
+    async build(date = new Date()) {
+        const encoder = new TextEncoder();
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        for (const { name, data } of this.entries) {
+            const nameBytes = encoder.encode(name);
+            const crc = ZipWriter.crc32(data);
+            const deflated = await ZipWriter.deflate(data);
+            const compressed = deflated && deflated.length < data.length;
+            const body = compressed ? deflated : data;
+
+            // Local file header: version 2.0, UTF-8 names, deflate (8) or store (0)
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, compressed ? 8 : 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, body.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            parts.push(new Uint8Array(local.buffer), nameBytes, body);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, compressed ? 8 : 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, body.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, nameBytes.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + body.length;
+        }
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const chunks = [...parts, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, position);
+            position += chunk.length;
+        });
+        return output;
+    }
+}
+
+/**
+ * XLSX export of the filtered records, written in the browser as a minimal OOXML workbook:
+ * a "Filings" sheet with typed date and number cells, frozen header, autofilter and fitted
+ * column widths, and a "Query" sheet recording the filters used
+ */
+class XLSXExporter {
+    /**
+     * @param {DataManager} dataManager - Filtered records, datasets and view state
+     * @param {CSVExporter} [csvExporter] - Shared filename and download helpers
+     * @param {JSONExporter} [jsonExporter] - Builds the export metadata for the Query sheet
+     */
+    constructor(dataManager, csvExporter = null, jsonExporter = null) {
+        this.dataManager = dataManager;
+        this.csvExporter = csvExporter || new CSVExporter(dataManager);
+        this.jsonExporter = jsonExporter || new JSONExporter(dataManager, this.csvExporter);
+    }
+
+    /**
+     * Columns of the Filings sheet
+     * @returns {Array<Object>} Columns { header, type, value(member) }; type is string, number or date
+     */
+    static get columns() {
+        return [
+            { header: 'Prefix', type: 'string', value: member => member.prefix },
+            { header: 'Last Name', type: 'string', value: member => member.lastName },
+            { header: 'First Name', type: 'string', value: member => member.firstName },
+            { header: 'Suffix', type: 'string', value: member => member.suffix },
+            { header: 'Filing Type', type: 'string', value: member => member.filingType },
+            {
+                header: 'Filing Type Description',
+                type: 'string',
+                value: member => DataManager.filingTypeDescriptions[member.filingType] || ''
+            },
+            { header: 'State/District', type: 'string', value: member => member.stateDst },
+            { header: 'State', type: 'string', value: member => member.stateName },
+            // Numbered seats as numbers, "At-large" and "Delegate" as text
+            { header: 'District', type: 'number', value: member => member.districtNumber || DataManager.formatDistrict(member) },
+            { header: 'Year', type: 'number', value: member => member.year },
+            { header: 'Filing Date', type: 'date', value: member => member.filingDate || member.filingDateString },
+            { header: 'Document ID', type: 'number', value: member => member.docID },
+            { header: 'Filer ID', type: 'string', value: member => member.filerId }
+        ];
+    }
+
+    /**
+     * Cell style indexes into the cellXfs of styles.xml
+     * @returns {Object} Style indexes
+     */
+    static get styles() {
+        return { general: 0, date: 1, integer: 2, header: 3, dateTime: 4 };
+    }
+
+    /**
+     * Export the filtered records
+     * @param {string} [filename] - Optional filename for the export
+     * @returns {Promise} Promise that resolves when export is complete
+     */
+    async exportToXLSX(filename = null) {
+        performanceMonitor.startTimer('xlsx-export');
+
+        try {
+            const members = this.dataManager.getFilteredMembers();
+
+            if (members.length === 0) {
+                throw new Error('No data to export');
+            }
+
+            const bytes = await this.generateWorkbook(members);
+            const exportFilename = filename || this.csvExporter.generateFilename('xlsx');
+
+            this.csvExporter.downloadCSV(bytes, exportFilename,
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+            console.log(`Exported ${members.length} records to ${exportFilename}`);
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'XLSX Export');
+            throw error;
+        } finally {
+            performanceMonitor.endTimer('xlsx-export');
+        }
+    }
+
+    /**
+     * Generate the workbook
+     * @param {Array} members - Array of member objects
+     * @returns {Promise<Uint8Array>} XLSX bytes
+     */
+    async generateWorkbook(members) {
+        const zip = new ZipWriter();
+        const rowCount = members.length + 1;
+        const lastColumn = XLSXExporter.columnName(XLSXExporter.columns.length - 1);
+
+        zip.addFile('[Content_Types].xml', XLSXExporter.xml(
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>'));
+
+        zip.addFile('_rels/.rels', XLSXExporter.xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>'));
+
+        // The hidden _FilterDatabase name is how Excel itself records a sheet's autofilter range
+        zip.addFile('xl/workbook.xml', XLSXExporter.xml(
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets><sheet name="Filings" sheetId="1" r:id="rId1"/><sheet name="Query" sheetId="2" r:id="rId2"/></sheets>' +
+            '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+            `Filings!$A$1:$${lastColumn}$${rowCount}</definedName></definedNames>` +
+            '</workbook>'));
+
+        zip.addFile('xl/_rels/workbook.xml.rels', XLSXExporter.xml(
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>' +
+            '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>'));
+
+        zip.addFile('xl/styles.xml', XLSXExporter.generateStyles());
+        zip.addFile('xl/worksheets/sheet1.xml', this.generateFilingsSheet(members));
+        zip.addFile('xl/worksheets/sheet2.xml', this.generateQuerySheet(members));
+
+        return zip.build();
+    }
+
+    /**
+     * Generate styles.xml: general, yyyy-mm-dd date, integer, bold header and date-time cells
+     * @returns {string} Styles part
+     */
+    static generateStyles() {
+        return XLSXExporter.xml(
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>' +
+            '<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+            '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="5">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>');
+    }
+
+    /**
+     * Generate the Filings sheet
+     * @param {Array} members - Array of member objects
+     * @returns {string} Worksheet part
+     */
+    generateFilingsSheet(members) {
+        const columns = XLSXExporter.columns;
+        const widths = columns.map(column => column.header.length);
+        const rows = [];
+
+        rows.push(XLSXExporter.row(1, columns.map(column => ({ value: column.header, style: XLSXExporter.styles.header }))));
+
+        members.forEach((member, index) => {
+            const cells = columns.map((column, columnIndex) => {
+                const cell = XLSXExporter.typedCell(column.value(member), column.type);
+                widths[columnIndex] = Math.max(widths[columnIndex], cell.width);
+                return cell;
+            });
+            rows.push(XLSXExporter.row(index + 2, cells));
+        });
+
+        const lastColumn = XLSXExporter.columnName(columns.length - 1);
+        return XLSXExporter.xml(
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<dimension ref="A1:${lastColumn}${members.length + 1}"/>` +
+            '<sheetViews><sheetView tabSelected="1" workbookViewId="0">' +
+            '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+            '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+            '</sheetView></sheetViews>' +
+            XLSXExporter.cols(widths) +
+            `<sheetData>${rows.join('')}</sheetData>` +
+            `<autoFilter ref="A1:${lastColumn}${members.length + 1}"/>` +
+            '</worksheet>');
+    }
+
+    /**
+     * Generate the Query sheet from the export metadata
+     * @param {Array} members - Exported member objects
+     * @returns {string} Worksheet part
+     */
+    generateQuerySheet(members) {
+        const metadata = this.jsonExporter.getMetadata(members);
+        const { search, facets, filingDate, sort } = metadata.filters;
+        const styles = XLSXExporter.styles;
+
+        const entries = [
+            ['Source', metadata.source.map(({ year, file }) => `${file} (${year})`).join(', ')],
+            ['Search', search || ''],
+            ...Object.entries(facets).map(([facet, values]) => [`Filter: ${facet}`, values.join(', ')]),
+            ['Filing date from', filingDate.from ? { value: this.dataManager.parseDate(filingDate.from), style: styles.date } : ''],
+            ['Filing date to', filingDate.to ? { value: this.dataManager.parseDate(filingDate.to), style: styles.date } : ''],
+            ['Filing date preset', filingDate.preset || ''],
+            ['Sort', sort.map(({ column, direction }) => `${column} ${direction}`).join(', ')],
+            ['Records', metadata.recordCount],
+            ['Total records', metadata.totalRecords],
+            ['Generated at', { value: new Date(metadata.generatedAt), style: styles.dateTime }],
+            ['View URL', window.location.href]
+        ];
+
+        const rows = [XLSXExporter.row(1, [
+            { value: 'Field', style: styles.header },
+            { value: 'Value', style: styles.header }
+        ])];
+        const widths = [5, 5];
+
+        entries.forEach(([label, value], index) => {
+            const cell = value !== null && typeof value === 'object' && !(value instanceof Date)
+                ? value
+                : { value };
+            widths[0] = Math.max(widths[0], label.length);
+            widths[1] = Math.max(widths[1], cell.value instanceof Date ? 19 : String(cell.value).length);
+            rows.push(XLSXExporter.row(index + 2, [{ value: label }, cell]));
+        });
+
+        return XLSXExporter.xml(
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"/></sheetViews>' +
+            XLSXExporter.cols(widths) +
+            `<sheetData>${rows.join('')}</sheetData>` +
+            '</worksheet>');
+    }
+
+    /**
+     * Convert a value to a cell of the column's type, falling back to text when it does not parse
+     * @param {*} value - Raw value
+     * @param {string} type - string, number or date
+     * @returns {Object} Cell { value, style, width }
+     */
+    static typedCell(value, type) {
+        const styles = XLSXExporter.styles;
+
+        if (type === 'date' && value instanceof Date && !isNaN(value.getTime())) {
+            return { value, style: styles.date, width: 10 };
+        }
+
+        // Document IDs keep all their digits with the integer format rather than "2.00E+07"
+        if (type === 'number' && /^\d{1,15}$/.test(String(value ?? '').trim())) {
+            const text = String(value).trim();
+            return { value: Number(text), style: styles.integer, width: text.length };
+        }
+
+        const text = value == null ? '' : String(value);
+        return { value: text, style: styles.general, width: text.length };
+    }
+
+    /**
+     * Render a worksheet row
+     * @param {number} rowNumber - 1-based row number
+     * @param {Array<Object>} cells - Cells { value, style }
+     * @returns {string} Row XML
+     */
+    static row(rowNumber, cells) {
+        const xml = cells.map((cell, index) => {
+            const ref = `${XLSXExporter.columnName(index)}${rowNumber}`;
+            const style = cell.style ? ` s="${cell.style}"` : '';
+            const { value } = cell;
+
+            if (value instanceof Date) {
+                return `<c r="${ref}"${style}><v>${XLSXExporter.toSerial(value)}</v></c>`;
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            if (value == null || value === '') {
+                return style ? `<c r="${ref}"${style}/>` : '';
+            }
+            return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${XLSXExporter.escapeXml(value)}</t></is></c>`;
+        }).join('');
+
+        return `<row r="${rowNumber}">${xml}</row>`;
+    }
+
+    /**
+     * Render column widths, a little wider than the longest value
+     * @param {Array<number>} widths - Longest value per column, in characters
+     * @returns {string} Cols XML
+     */
+    static cols(widths) {
+        const cols = widths.map((width, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${Math.min(Math.max(width, 6) + 2, 60)}" customWidth="1"/>`);
+        return `<cols>${cols.join('')}</cols>`;
+    }
+
+    /**
+     * Convert a date to an Excel serial number, keeping its local calendar date and time
+     * @param {Date} date - Date object
+     * @returns {number} Days since 1899-12-30
+     */
+    static toSerial(date) {
+        const local = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds());
+        return (local - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    /**
+     * Get the spreadsheet column name of an index
+     * @param {number} index - 0-based column index
+     * @returns {string} Column name, e.g. "A", "M", "AA"
+     */
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Prefix an XML part with its declaration
+     * @param {string} body - Root element
+     * @returns {string} XML document
+     */
+    static xml(body) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+    }
+}
+
+/**
+ * Export controller for handling export functionality
+ */
+class ExportController {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.csvExporter = new CSVExporter(dataManager);
+        this.jsonExporter = new JSONExporter(dataManager, this.csvExporter);
+        this.xlsxExporter = new XLSXExporter(dataManager, this.csvExporter, this.jsonExporter);
+        this.formatSelect = document.getElementById('exportFormat');
+        this.format = 'csv';
+
+        this.renderFormats();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Export formats offered in the format picker
+     * @returns {Array<Object>} Formats { value, label, description }
+     */
+    static get formats() {
+        return [
+            { value: 'csv', label: 'CSV', description: 'Spreadsheet-friendly, dates as text' },
+            { value: 'xlsx', label: 'XLSX', description: 'Excel workbook with typed cells and a Query sheet' },
+            { value: 'json', label: 'JSON', description: 'Records array with a metadata header' },
+            { value: 'ndjson', label: 'NDJSON', description: 'One JSON record per line' }
+        ];
+    }
+
+    /**
+     * Fill the format picker
+     */
+    renderFormats() {
+        if (!this.formatSelect) return;
+
+        this.formatSelect.innerHTML = '';
+        ExportController.formats.forEach(({ value, label, description }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.title = description;
+            this.formatSelect.appendChild(option);
+        });
+        this.formatSelect.value = this.format;
+    }
+
+    /**
+     * Get the label of the selected format
+     * @returns {string} Format label, e.g. "JSON"
+     */
+    getFormatLabel() {
+        const format = ExportController.formats.find(({ value }) => value === this.format);
+        return format ? format.label : this.format.toUpperCase();
+    }
+
+    /**
+     * Setup event listeners for export functionality
+     */
+    setupEventListeners() {
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', this.handleExportClick.bind(this));
+        }
+
+        this.formatSelect?.addEventListener('change', () => {
+            this.format = this.formatSelect.value;
+            if (exportBtn) {
+                exportBtn.textContent = `Export ${this.getFormatLabel()}`;
+                exportBtn.setAttribute('aria-label', `Export filtered results to ${this.getFormatLabel()}`);
+            }
+        });
+    }
+
+    /**
+     * Handle export button click
+     * @param {Event} event - Click event
+     */
+    async handleExportClick(event) {
+        const button = event.currentTarget;
+
+        try {
+            // Show loading state
+            this.showExportLoading(button);
+
+            // Get export stats
+            const stats = this.csvExporter.getExportStats();
+
+            // Confirm export for large datasets
+            if (stats.recordsToExport > 10000) {
+                const confirmed = confirm(
+                    `You are about to export ${stats.recordsToExport.toLocaleString()} records (${stats.estimatedFileSize}). This may take a moment. Continue?`
+                );
+
+                if (!confirmed) {
+                    this.hideExportLoading(button);
+                    return;
+                }
+            }
+
+            // Perform export
+            if (this.format === 'csv') {
+                await this.csvExporter.exportToCSV();
+            } else if (this.format === 'xlsx') {
+                await this.xlsxExporter.exportToXLSX();
+            } else {
+                await this.jsonExporter.export(this.format);
+            }
+
+            // Show success message
+            this.showExportSuccess(stats.recordsToExport);
+
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Export');
+        } finally {
+            this.hideExportLoading(button);
+        }
+    }
+
+    /**
+     * Show export loading state
+     * @param {HTMLElement} button - Export button element
+     */
+    showExportLoading(button) {
+        button.classList.add('btn--loading');
+        button.disabled = true;
+        button.setAttribute('aria-label', 'Exporting data...');
+    }
+
+    /**
+     * Hide export loading state
+     * @param {HTMLElement} button - Export button element
+     */
+    hideExportLoading(button) {
+        button.classList.remove('btn--loading');
+        button.disabled = false;
+        button.setAttribute('aria-label', `Export filtered results to ${this.getFormatLabel()}`);
+    }
+
+    /**
+     * Show export success message
+     * @param {number} recordCount - Number of exported records
+     */
+    showExportSuccess(recordCount) {
+        // Create success message
+        const message = `Successfully exported ${recordCount.toLocaleString()} records to ${this.getFormatLabel()} file.`;
+
+        // Show temporary success indicator
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) {
+            const originalText = exportBtn.textContent;
+            exportBtn.textContent = '✓ Exported';
+            exportBtn.classList.add('btn--success');
+
+            setTimeout(() => {
+                exportBtn.textContent = originalText;
+                exportBtn.classList.remove('btn--success');
+            }, 2000);
+        }
+
+        console.log(message);
+    }
+}/**
+ * M
+odal controller for handling modal dialogs
+ */
+class ModalController {
+    constructor() {
+        this.currentModal = null;
+        this.returnFocusTo = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup global modal event listeners
+     */
+    setupEventListeners() {
+        // Close modal on backdrop click
+        document.addEventListener('click', (event) => {
+            if (event.target.classList.contains('modal__backdrop')) {
+                this.closeModal();
+            }
+        });
+
+        // Close modal on escape key
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.currentModal) {
+                this.closeModal();
+            }
+        });
+
+        // Legend button
+        const legendBtn = document.getElementById('legendBtn');
+        if (legendBtn) {
+            legendBtn.addEventListener('click', () => this.openLegendModal());
+        }
+
+        // Modal close buttons
+        document.addEventListener('click', (event) => {
+            if (event.target.classList.contains('modal__close')) {
+                this.closeModal();
+            }
+        });
+    }
+
+    /**
+     * Open filing type legend modal
+     */
+    openLegendModal() {
+        const modal = document.getElementById('legendModal');
+        if (modal) {
+            this.openModal(modal);
+        }
+    }
+
+    /**
+     * Open a modal
+     * @param {HTMLElement} modal - Modal element to open
+     */
+    openModal(modal) {
+        this.returnFocusTo = document.activeElement;
+        this.currentModal = modal;
+        modal.style.display = 'flex';
+        modal.setAttribute('aria-hidden', 'false');
+
+        // Focus management
+        const firstFocusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+        if (firstFocusable) {
+            firstFocusable.focus();
+        }
+
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close current modal
+     */
+    closeModal() {
+        if (this.currentModal) {
+            this.currentModal.style.display = 'none';
+            this.currentModal.setAttribute('aria-hidden', 'true');
+            this.currentModal = null;
+
+            // Restore body scroll
+            document.body.style.overflow = '';
+
+            // Return focus to the element that opened the modal (legend button by default)
+            const trigger = this.returnFocusTo && this.returnFocusTo !== document.body
+                ? this.returnFocusTo
+                : document.getElementById('legendBtn');
+            this.returnFocusTo = null;
+            if (trigger && typeof trigger.focus === 'function') {
+                trigger.focus();
+            }
+        }
+    }
+}
+
+/**
+ * Tooltip controller for handling hover tooltips
+ */
+class TooltipController {
+    constructor() {
+        this.currentTooltip = null;
+        this.showDelay = 500;
+        this.hideDelay = 100;
+        this.showTimer = null;
+        this.hideTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup tooltip event listeners
+     */
+    setupEventListeners() {
+        // Use event delegation for dynamic content
+        document.addEventListener('mouseenter', this.handleMouseEnter.bind(this), true);
+        document.addEventListener('mouseleave', this.handleMouseLeave.bind(this), true);
+        document.addEventListener('focus', this.handleFocus.bind(this), true);
+        document.addEventListener('blur', this.handleBlur.bind(this), true);
+    }
+
+    /**
+     * Handle mouse enter events
+     * @param {Event} event - Mouse enter event
+     */
+    handleMouseEnter(event) {
+        const element = event.target;
+
+        // Check if element has tooltip content
+        if (this.shouldShowTooltip(element)) {
+            this.clearHideTimer();
+            this.showTimer = setTimeout(() => {
+                this.showTooltip(element);
+            }, this.showDelay);
+        }
+    }
+
+    /**
+     * Handle mouse leave events
+     * @param {Event} event - Mouse leave event
+     */
+    handleMouseLeave(event) {
+        const element = event.target;
+
+        if (this.shouldShowTooltip(element)) {
+            this.clearShowTimer();
+            this.hideTimer = setTimeout(() => {
+                this.hideTooltip();
+            }, this.hideDelay);
+        }
+    }
+
+    /**
+     * Handle focus events for keyboard accessibility
+     * @param {Event} event - Focus event
+     */
+    handleFocus(event) {
+        const element = event.target;
+
+        if (this.shouldShowTooltip(element)) {
+            this.clearHideTimer();
+            this.showTooltip(element);
+        }
+    }
+
+    /**
+     * Handle blur events
+     * @param {Event} event - Blur event
+     */
+    handleBlur(event) {
+        const element = event.target;
+
+        if (this.shouldShowTooltip(element)) {
+            this.hideTooltip();
+        }
+    }
+
+    /**
+     * Check if element should show tooltip
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean} Whether tooltip should be shown
+     */
+    shouldShowTooltip(element) {
+        return element &&
+            element.classList &&
+            element.classList.contains('truncated') &&
+            element.title &&
+            element.title.trim().length > 0;
+    }
+
+    /**
+     * Show tooltip for element
+     * @param {HTMLElement} element - Element to show tooltip for
+     */
+    showTooltip(element) {
+        this.hideTooltip(); // Hide any existing tooltip
+
+        const tooltipText = element.title;
+        if (!tooltipText) return;
+
+        // Create tooltip element
+        const tooltip = document.createElement('div');
+        tooltip.className = 'tooltip';
+        tooltip.textContent = tooltipText;
+        tooltip.setAttribute('role', 'tooltip');
+
+        // Add to DOM
+        document.body.appendChild(tooltip);
+
+        // Position tooltip
+        this.positionTooltip(tooltip, element);
+
+        // Show tooltip
+        requestAnimationFrame(() => {
+            tooltip.classList.add('show');
+        });
+
+        this.currentTooltip = tooltip;
+
+        // Temporarily remove title to prevent browser tooltip
+        element.setAttribute('data-original-title', tooltipText);
+        element.removeAttribute('title');
+    }
+
+    /**
+     * Position tooltip relative to element
+     * @param {HTMLElement} tooltip - Tooltip element
+     * @param {HTMLElement} element - Target element
+     */
+    positionTooltip(tooltip, element) {
+        const elementRect = element.getBoundingClientRect();
+        const tooltipRect = tooltip.getBoundingClientRect();
+
+        // Calculate position
+        let left = elementRect.left + (elementRect.width / 2) - (tooltipRect.width / 2);
+        let top = elementRect.top - tooltipRect.height - 8;
+
+        // Adjust for viewport boundaries
+        const viewportWidth = window.innerWidth;
+        const viewportHeight = window.innerHeight;
+
+        // Horizontal adjustment
+        if (left < 8) {
+            left = 8;
+        } else if (left + tooltipRect.width > viewportWidth - 8) {
+            left = viewportWidth - tooltipRect.width - 8;
+        }
+
+        // Vertical adjustment (show below if not enough space above)
+        if (top < 8) {
+            top = elementRect.bottom + 8;
+            tooltip.classList.add('tooltip-below');
+        }
+
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${top}px`;
+    }
+
+    /**
+     * Hide current tooltip
+     */
+    hideTooltip() {
+        if (this.currentTooltip) {
+            this.currentTooltip.classList.remove('show');
+
+            setTimeout(() => {
+                if (this.currentTooltip && this.currentTooltip.parentNode) {
+                    this.currentTooltip.parentNode.removeChild(this.currentTooltip);
+                }
+                this.currentTooltip = null;
+            }, 150);
+        }
+
+        // Restore original titles
+        const elementsWithOriginalTitle = document.querySelectorAll('[data-original-title]');
+        elementsWithOriginalTitle.forEach(element => {
+            const originalTitle = element.getAttribute('data-original-title');
+            element.setAttribute('title', originalTitle);
+            element.removeAttribute('data-original-title');
+        });
+    }
+
+    /**
+     * Clear show timer
+     */
+    clearShowTimer() {
+        if (this.showTimer) {
+            clearTimeout(this.showTimer);
+            this.showTimer = null;
+        }
+    }
+
+    /**
+     * Clear hide timer
+     */
+    clearHideTimer() {
+        if (this.hideTimer) {
+            clearTimeout(this.hideTimer);
+            this.hideTimer = null;
+        }
+    }
+}
+
+/**
+ * Statistics controller for managing summary statistics
+ */
+class StatisticsController {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    /**
+     * Update all statistics displays
+     */
+    updateStatistics() {
+        const stats = this.dataManager.getStatistics();
+
+        this.updateTotalRecords(stats.totalRecords);
+        this.updateFilteredRecords(stats.filteredRecords);
+        this.updateDateRange(stats.dateRange);
+    }
+
+    /**
+     * Update total records display
+     * @param {number} count - Total record count
+     */
+    updateTotalRecords(count) {
+        const element = document.getElementById('totalRecords');
+        if (element) {
+            element.textContent = count.toLocaleString();
+        }
+    }
+
+    /**
+     * Update filtered records display
+     * @param {number} count - Filtered record count
+     */
+    updateFilteredRecords(count) {
+        const element = document.getElementById('filteredRecords');
+        if (element) {
+            element.textContent = count.toLocaleString();
+
+            // Add filtered indicator if different from total
+            const totalCount = this.dataManager.getMembers().length;
+            if (count < totalCount) {
+                element.classList.add('filtered');
+                element.title = `Showing ${count.toLocaleString()} of ${totalCount.toLocaleString()} total records`;
+            } else {
+                element.classList.remove('filtered');
+                element.title = '';
+            }
+        }
+
+        this.updateUniqueFilers();
+    }
+
+    /**
+     * Update the number of distinct filers in the filtered results
+     */
+    updateUniqueFilers() {
+        const element = document.getElementById('uniqueFilers');
+        if (element) {
+            const filers = new Set(this.dataManager.getFilteredMembers().map(member => member.filerId).filter(Boolean));
+            element.textContent = filers.size.toLocaleString();
+        }
+    }
+
+    /**
+     * Update date range display
+     * @param {string} dateRange - Date range string
+     */
+    updateDateRange(dateRange) {
+        const element = document.getElementById('dateRange');
+        if (element) {
+            element.textContent = dateRange;
+        }
+    }
+
+    /**
+     * Get detailed statistics for display
+     * @param {Array} [members] - Members to summarize (defaults to all loaded members)
+     * @returns {Object} Detailed statistics
+     */
+    getDetailedStatistics(members = this.dataManager.getMembers()) {
+        const stats = this.dataManager.getStatistics();
+
+        // Calculate additional statistics
+        const stateDistribution = {};
+        const districtDistribution = {};
+        const filingTypeDistribution = {};
+        const yearDistribution = {};
+        const monthDistribution = {};
+        const changeDistribution = {};
+        const watchDistribution = {};
+
+        const count = (distribution, key) => {
+            distribution[key] = (distribution[key] || 0) + 1;
+        };
+
+        members.forEach(member => {
+            count(stateDistribution, this.dataManager.getFacetKey(member, 'state'));
+            count(districtDistribution, this.dataManager.getFacetKey(member, 'district'));
+            count(filingTypeDistribution, this.dataManager.getFacetKey(member, 'filingType'));
+            count(yearDistribution, this.dataManager.getFacetKey(member, 'year'));
+            count(monthDistribution, this.dataManager.getFacetKey(member, 'month'));
+            count(changeDistribution, this.dataManager.getFacetKey(member, 'change'));
+            count(watchDistribution, this.dataManager.getFacetKey(member, 'watch'));
+        });
+
+        return {
+            ...stats,
+            stateDistribution,
+            districtDistribution,
+            filingTypeDistribution,
+            yearDistribution,
+            monthDistribution,
+            changeDistribution,
+            watchDistribution
+        };
+    }
+}
+
+/**
+ * Dataset controller for choosing which year files are loaded
+ */
+class DatasetController {
+    constructor(container, dataManager, tableRenderer, statisticsController, modalController = null) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.statisticsController = statisticsController;
+        this.modalController = modalController;
+        this.isUpdating = false;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for dataset toggles
+     */
+    setupEventListeners() {
+        // Checkboxes are re-rendered, so delegate from the container
+        this.container.addEventListener('change', this.handleToggle.bind(this));
+
+        const checkBtn = document.getElementById('consistencyCheckBtn');
+        if (checkBtn) {
+            checkBtn.addEventListener('click', this.handleConsistencyCheck.bind(this));
+        }
+    }
+
+    /**
+     * Render one toggle per registered dataset
+     */
+    render() {
+        const activeYears = new Set(this.dataManager.getActiveYears());
+        const list = this.container.querySelector('.dataset-picker__list') || this.container;
+
+        list.innerHTML = '';
+
+        this.dataManager.getDatasets().forEach(dataset => {
+            const label = document.createElement('label');
+            label.className = 'dataset-toggle';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(dataset.year);
+            checkbox.checked = activeYears.has(dataset.year);
+            checkbox.setAttribute('aria-label', `Include ${dataset.label} filings`);
+
+            const text = document.createElement('span');
+            text.className = 'dataset-toggle__label';
+            text.textContent = dataset.label;
+
+            const count = document.createElement('span');
+            count.className = 'dataset-toggle__count';
+            count.textContent = dataset.members ? dataset.members.length.toLocaleString() : '';
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            label.appendChild(count);
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Handle dataset checkbox changes
+     * @param {Event} event - Change event
+     */
+    async handleToggle(event) {
+        const checkbox = event.target;
+        if (!checkbox.matches('input[type="checkbox"]') || this.isUpdating) return;
+
+        const selectedYears = Array.from(this.container.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => parseInt(input.value, 10));
+
+        // Keep at least one dataset active so the table never goes blank
+        if (selectedYears.length === 0) {
+            checkbox.checked = true;
+            return;
+        }
+
+        await this.setActiveYears(selectedYears, checkbox.closest('.dataset-toggle'));
+    }
+
+    /**
+     * Activate the given dataset years and refresh the view
+     * @param {Array<number>} years - Dataset years to activate
+     * @param {HTMLElement} [toggle] - Toggle to mark as loading
+     */
+    async setActiveYears(years, toggle = null) {
+        performanceMonitor.startTimer('dataset-switch');
+        this.isUpdating = true;
+        this.container.classList.add('updating');
+        if (toggle) toggle.classList.add('loading');
+
+        try {
+            const members = await this.dataManager.setActiveDatasets(years);
+            console.log(`Active datasets: ${this.dataManager.getActiveYears().join(', ')} (${members.length} records)`);
+
+            this.tableRenderer.updateDisplay(this.dataManager.getFilteredMembers());
+            this.statisticsController.updateStatistics();
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Dataset Loading');
+        } finally {
+            this.isUpdating = false;
+            this.container.classList.remove('updating');
+            this.render();
+            performanceMonitor.endTimer('dataset-switch');
+        }
+    }
+
+    /**
+     * Compare XML and TXT versions of every active year and show the report
+     * @param {Event} event - Click event
+     */
+    async handleConsistencyCheck(event) {
+        const button = event.currentTarget;
+        const years = this.dataManager.getActiveYears()
+            .filter(year => this.dataManager.datasets.get(year).alternateFile);
+
+        if (years.length === 0) {
+            ErrorHandler.showErrorMessage('None of the selected datasets has an alternate file to compare against.');
+            return;
+        }
+
+        button.classList.add('btn--loading');
+        button.disabled = true;
+
+        try {
+            const reports = await Promise.all(years.map(year => this.dataManager.checkDatasetConsistency(year)));
+            reports.forEach(report => {
+                console.log(`Consistency ${report.primaryFile} vs ${report.secondaryFile}:`, report.isConsistent ? 'OK' : report);
+            });
+            this.showConsistencyReport(reports);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Consistency Check');
+        } finally {
+            button.classList.remove('btn--loading');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Render consistency reports into the report modal
+     * @param {Array} reports - Reports from DataManager.checkDatasetConsistency
+     */
+    showConsistencyReport(reports) {
+        const modal = document.getElementById('consistencyModal');
+        const body = modal ? modal.querySelector('.modal__body') : null;
+        if (!body) return;
+
+        // Cap the listing; the console log carries the full report
+        const maxRows = 50;
+        body.innerHTML = '';
+
+        reports.forEach(report => {
+            const section = document.createElement('section');
+            section.className = 'consistency-report';
+
+            const heading = document.createElement('h3');
+            heading.textContent = `${report.year}: ${report.primaryFile} vs ${report.secondaryFile}`;
+            section.appendChild(heading);
+
+            const summary = document.createElement('p');
+            summary.className = report.isConsistent ? 'consistency-report__ok' : 'consistency-report__warning';
+            summary.textContent = report.isConsistent
+                ? `All ${report.primaryCount.toLocaleString()} rows match.`
+                : `${report.changed.length} changed, ${report.onlyInPrimary.length} only in ${report.primaryFile}, ` +
+                  `${report.onlyInSecondary.length} only in ${report.secondaryFile}.`;
+            section.appendChild(summary);
+
+            const rows = [
+                ...report.changed.map(change => ({
+                    docID: change.docID,
+                    name: `${change.member.lastName}, ${change.member.firstName}`,
+                    detail: change.differences
+                        .map(diff => `${diff.field}: "${diff.primary ?? ''}" → "${diff.secondary ?? ''}"`)
+                        .join('; ')
+                })),
+                ...report.onlyInPrimary.map(member => ({
+                    docID: member.docID,
+                    name: `${member.lastName}, ${member.firstName}`,
+                    detail: `Missing from ${report.secondaryFile}`
+                })),
+                ...report.onlyInSecondary.map(member => ({
+                    docID: member.docID,
+                    name: `${member.lastName}, ${member.firstName}`,
+                    detail: `Missing from ${report.primaryFile}`
+                }))
+            ];
+
+            if (rows.length > 0) {
+                const list = document.createElement('ul');
+                list.className = 'consistency-report__list';
+                rows.slice(0, maxRows).forEach(row => {
+                    const item = document.createElement('li');
+                    item.textContent = `${row.docID || '(no DocID)'} — ${row.name}: ${row.detail}`;
+                    list.appendChild(item);
+                });
+                section.appendChild(list);
+
+                if (rows.length > maxRows) {
+                    const more = document.createElement('p');
+                    more.className = 'consistency-report__more';
+                    more.textContent = `…and ${rows.length - maxRows} more (see console).`;
+                    section.appendChild(more);
+                }
+            }
+
+            body.appendChild(section);
+        });
+
+        if (this.modalController) {
+            this.modalController.openModal(modal);
+        }
+    }
+}
+
+/**
+ * Facet controller for the filter sidebar and active filter chips
+ */
+class FacetController {
+    constructor(container, chipsContainer, dataManager, tableRenderer, statisticsController) {
+        this.container = container;
+        this.chipsContainer = chipsContainer;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.statisticsController = statisticsController;
+
+        // Facets whose long option lists are expanded
+        this.expanded = new Set();
+        this.collapsedLimit = 8;
+
+        // Optional facets are hidden until they could narrow the results
+        this.facets = [
+            { name: 'watch', label: 'Watchlist', distribution: 'watchDistribution', order: 'count', optional: true },
+            { name: 'change', label: 'Changes', distribution: 'changeDistribution', order: 'count', optional: true },
+            { name: 'filingType', label: 'Filing Type', distribution: 'filingTypeDistribution', order: 'count' },
+            { name: 'state', label: 'State', distribution: 'stateDistribution', order: 'count' },
+            { name: 'district', label: 'District', distribution: 'districtDistribution', order: 'count' },
+            { name: 'year', label: 'Year', distribution: 'yearDistribution', order: 'key-desc' },
+            { name: 'month', label: 'Filing Month', distribution: 'monthDistribution', order: 'key-desc' }
+        ];
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners for facet options and chips
+     */
+    setupEventListeners() {
+        this.container.addEventListener('change', this.handleOptionChange.bind(this));
+        this.container.addEventListener('click', this.handleContainerClick.bind(this));
+
+        if (this.chipsContainer) {
+            this.chipsContainer.addEventListener('click', this.handleChipClick.bind(this));
+        }
+
+        // Counts follow every change to the result set (search, datasets, facets)
+        this.dataManager.subscribe(() => this.render());
+    }
+
+    /**
+     * Handle facet checkbox changes
+     * @param {Event} event - Change event
+     */
+    handleOptionChange(event) {
+        const checkbox = event.target;
+        const group = checkbox.closest('[data-facet]');
+        if (!group || checkbox.type !== 'checkbox') return;
+
+        const values = Array.from(group.querySelectorAll('input[type="checkbox"]:checked'))
+            .map(input => input.value);
+
+        this.applyFacet(group.getAttribute('data-facet'), values);
+    }
+
+    /**
+     * Handle "show all" and "clear" buttons in the sidebar
+     * @param {Event} event - Click event
+     */
+    handleContainerClick(event) {
+        const moreButton = event.target.closest('.facet__more');
+        if (moreButton) {
+            const facet = moreButton.closest('[data-facet]').getAttribute('data-facet');
+            if (this.expanded.has(facet)) {
+                this.expanded.delete(facet);
+            } else {
+                this.expanded.add(facet);
+            }
+            this.render();
+            return;
+        }
+
+        if (event.target.closest('#clearFacets')) {
+            this.clearAll();
+        }
+    }
+
+    /**
+     * Handle clicks on active filter chips
+     * @param {Event} event - Click event
+     */
+    handleChipClick(event) {
+        const chip = event.target.closest('.filter-chip');
+        if (!chip) return;
+
+        if (chip.classList.contains('filter-chip--clear')) {
+            this.clearAll();
+            return;
+        }
+
+        if (chip.classList.contains('filter-chip--date')) {
+            this.refreshTable(this.dataManager.setDateRange(null, null));
+            return;
+        }
+
+        const facet = chip.getAttribute('data-facet');
+        const value = chip.getAttribute('data-value');
+        const remaining = this.dataManager.getFacetFilters()[facet].filter(selected => selected !== value);
+        this.applyFacet(facet, remaining);
+    }
+
+    /**
+     * Apply a facet selection and refresh the table
+     * @param {string} facet - Facet name
+     * @param {Array<string>} values - Selected values
+     */
+    applyFacet(facet, values) {
+        try {
+            const members = this.dataManager.setFacetFilter(facet, values);
+            this.refreshTable(members);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Filtering');
+        }
+    }
+
+    /**
+     * Clear every facet selection and the date range
+     */
+    clearAll() {
+        try {
+            const members = this.dataManager.clearFilters();
+            this.refreshTable(members);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Filtering');
+        }
+    }
+
+    /**
+     * Update table and counters after the facet selection changed
+     * @param {Array} members - Filtered members
+     */
+    refreshTable(members) {
+        this.tableRenderer.updateDisplay(members);
+        this.tableRenderer.scrollToTop();
+        this.statisticsController.updateFilteredRecords(members.length);
+    }
+
+    /**
+     * Render facet groups and chips from the current result set
+     */
+    render() {
+        const selected = this.dataManager.getFacetFilters();
+        const groupsEl = this.container.querySelector('.facets__groups') || this.container;
+
+        // Re-rendering replaces the inputs, so remember which one had focus
+        const focused = document.activeElement;
+        const focusKey = focused && focused.closest && focused.closest('[data-facet]') && this.container.contains(focused)
+            ? { facet: focused.closest('[data-facet]').getAttribute('data-facet'), value: focused.value, more: focused.classList.contains('facet__more') }
+            : null;
+
+        // Facets without a selection share the results as their base, so each distinct
+        // base is summarized once
+        const statistics = new Map();
+        const fragment = document.createDocumentFragment();
+        this.facets.forEach(facet => {
+            const base = this.dataManager.getFacetBase(facet.name);
+            if (!statistics.has(base)) {
+                statistics.set(base, this.statisticsController.getDetailedStatistics(base));
+            }
+            const counts = { ...statistics.get(base)[facet.distribution] };
+            if (facet.optional && selected[facet.name].length === 0 && Object.keys(counts).length < 2) return;
+            fragment.appendChild(this.renderFacet(facet, counts, new Set(selected[facet.name])));
+        });
+
+        groupsEl.innerHTML = '';
+        groupsEl.appendChild(fragment);
+
+        if (focusKey) {
+            const group = groupsEl.querySelector(`[data-facet="${focusKey.facet}"]`);
+            const target = focusKey.more
+                ? group && group.querySelector('.facet__more')
+                : group && Array.from(group.querySelectorAll('input')).find(input => input.value === focusKey.value);
+            if (target) target.focus();
+        }
+
+        this.renderChips(selected);
+    }
+
+    /**
+     * Render a single facet group
+     * @param {Object} facet - Facet definition
+     * @param {Object} counts - Count per facet key
+     * @param {Set<string>} selected - Selected keys
+     * @returns {HTMLElement} Facet fieldset
+     */
+    renderFacet(facet, counts, selected) {
+        const group = document.createElement('fieldset');
+        group.className = 'facet';
+        group.setAttribute('data-facet', facet.name);
+
+        const legend = document.createElement('legend');
+        legend.className = 'facet__title';
+        legend.textContent = facet.label;
+        group.appendChild(legend);
+
+        // Keep selected options visible even when nothing matches them any more
+        selected.forEach(key => {
+            if (!(key in counts)) counts[key] = 0;
+        });
+
+        const keys = Object.keys(counts)
+            .filter(key => counts[key] > 0 || selected.has(key))
+            .sort((a, b) => {
+                if (a === 'Unknown') return 1;
+                if (b === 'Unknown') return -1;
+                if (facet.order === 'key-desc') return b.localeCompare(a);
+                return counts[b] - counts[a] || a.localeCompare(b);
+            });
+
+        const isExpanded = this.expanded.has(facet.name);
+        const visibleKeys = isExpanded ? keys : keys.filter((key, index) => index < this.collapsedLimit || selected.has(key));
+
+        const list = document.createElement('ul');
+        list.className = 'facet__options';
+
+        visibleKeys.forEach(key => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'facet__option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = key;
+            checkbox.checked = selected.has(key);
+
+            const text = document.createElement('span');
+            text.className = 'facet__label';
+            text.textContent = this.getOptionLabel(facet.name, key);
+
+            const count = document.createElement('span');
+            count.className = 'facet__count';
+            count.textContent = counts[key].toLocaleString();
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            label.appendChild(count);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        if (keys.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'facet__empty';
+            empty.textContent = 'No values';
+            list.appendChild(empty);
+        }
+
+        group.appendChild(list);
+
+        if (keys.length > this.collapsedLimit) {
+            const more = document.createElement('button');
+            more.type = 'button';
+            more.className = 'facet__more';
+            more.textContent = isExpanded ? 'Show fewer' : `Show all ${keys.length}`;
+            more.setAttribute('aria-expanded', String(isExpanded));
+            group.appendChild(more);
+        }
+
+        return group;
+    }
+
+    /**
+     * Render removable chips for every selected facet value
+     * @param {Object} selected - Selected keys keyed by facet
+     */
+    renderChips(selected) {
+        if (!this.chipsContainer) return;
+
+        this.chipsContainer.innerHTML = '';
+        let chipCount = 0;
+
+        this.facets.forEach(facet => {
+            selected[facet.name].forEach(key => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'filter-chip';
+                chip.setAttribute('data-facet', facet.name);
+                chip.setAttribute('data-value', key);
+                chip.setAttribute('aria-label', `Remove filter ${facet.label}: ${this.getOptionLabel(facet.name, key)}`);
+                chip.textContent = `${facet.label}: ${this.getOptionLabel(facet.name, key, true)}`;
+
+                const remove = document.createElement('span');
+                remove.className = 'filter-chip__remove';
+                remove.setAttribute('aria-hidden', 'true');
+                remove.textContent = '×';
+                chip.appendChild(remove);
+
+                this.chipsContainer.appendChild(chip);
+                chipCount++;
+            });
+        });
+
+        const dateRange = this.dataManager.getDateRange();
+        if (dateRange.from || dateRange.to) {
+            const label = DateRangeController.describeRange(dateRange);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip filter-chip--date';
+            chip.setAttribute('aria-label', `Remove filter Filed: ${label}`);
+            chip.textContent = `Filed: ${label}`;
+
+            const remove = document.createElement('span');
+            remove.className = 'filter-chip__remove';
+            remove.setAttribute('aria-hidden', 'true');
+            remove.textContent = '×';
+            chip.appendChild(remove);
+
+            this.chipsContainer.appendChild(chip);
+            chipCount++;
+        }
+
+        if (chipCount > 1) {
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'filter-chip filter-chip--clear';
+            clear.textContent = 'Clear all';
+            this.chipsContainer.appendChild(clear);
+        }
+
+        this.chipsContainer.hidden = chipCount === 0;
+    }
+
+    /**
+     * Get the display label of a facet option
+     * @param {string} facet - Facet name
+     * @param {string} key - Facet key
+     * @param {boolean} [short] - Omit descriptions (used for chips)
+     * @returns {string} Display label
+     */
+    getOptionLabel(facet, key, short = false) {
+        if (key === 'Unknown') {
+            if (facet === 'district') return 'No district';
+            return facet === 'state' ? 'No state' : 'Unknown';
+        }
+
+        if (facet === 'state') {
+            const name = DataManager.stateNames[key];
+            return name && !short ? `${key} · ${name}` : key;
+        }
+
+        if (facet === 'district' && !short) {
+            const district = DataManager.formatDistrict(DataManager.parseStateDst(key));
+            return /^\d+$/.test(district) ? `${key.substring(0, 2)} ${district}` : `${key.substring(0, 2)} ${district.toLowerCase()}`;
+        }
+
+        if (facet === 'filingType') {
+            const description = DataManager.filingTypeDescriptions[key];
+            return description && !short ? `${key} · ${description}` : key;
+        }
+
+        if (facet === 'month') {
+            const [year, month] = key.split('-').map(Number);
+            return new Date(year, month - 1, 1).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+        }
+
+        if (facet === 'watch') {
+            return key === 'watched' ? 'Watched' : 'Not watched';
+        }
+
+        if (facet === 'change') {
+            return { new: 'New since last visit', modified: 'Modified since last visit', unchanged: 'Unchanged' }[key] || key;
+        }
+
+        return key;
+    }
+}
+
+/**
+ * Visit tracker remembering when the viewer was last opened
+ */
+class VisitTracker {
+    static get storageKey() {
+        return 'financialDisclosure.lastVisit';
+    }
+
+    static get sessionKey() {
+        return 'financialDisclosure.previousVisit';
+    }
+
+    /**
+     * Record this visit once per browser session and return the visit before it
+     * @returns {Date|null} Previous visit, or null on a first visit
+     */
+    static getPreviousVisit() {
+        try {
+            // Pin the previous visit for the whole session so reloads don't move it
+            let previous = sessionStorage.getItem(this.sessionKey);
+            if (previous === null) {
+                previous = localStorage.getItem(this.storageKey) || '';
+                sessionStorage.setItem(this.sessionKey, previous);
+                localStorage.setItem(this.storageKey, new Date().toISOString());
+            }
+
+            const date = previous ? new Date(previous) : null;
+            return date && !isNaN(date.getTime()) ? date : null;
+        } catch (error) {
+            console.warn('Visit tracking unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get when this visit started, as recorded by getPreviousVisit
+     * @returns {Date} Start of this visit (now, when storage is unavailable)
+     */
+    static getCurrentVisit() {
+        try {
+            this.getPreviousVisit();
+            const date = new Date(localStorage.getItem(this.storageKey));
+            return isNaN(date.getTime()) ? new Date() : date;
+        } catch (error) {
+            return new Date();
+        }
+    }
+}
+
+/**
+ * Dataset snapshots kept in IndexedDB, one record per dataset year
+ */
+class SnapshotStore {
+    static get databaseName() {
+        return 'financialDisclosure';
+    }
+
+    static get storeName() {
+        return 'snapshots';
+    }
+
+    /**
+     * Open the database once per page
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    static open() {
+        if (!this.opening) {
+            this.opening = new Promise(resolve => {
+                try {
+                    const request = indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.storeName, { keyPath: 'year' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('Snapshot storage unavailable:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('Snapshot storage unavailable:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run one request against the snapshot store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable
+     */
+    static async request(mode, operation) {
+        const database = await this.open();
+        if (!database) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result ?? null);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the snapshot of a dataset year
+     * @param {number} year - Dataset year
+     * @returns {Promise<Object|null>} Snapshot { year, savedAt, records, events }
+     */
+    static get(year) {
+        return this.request('readonly', store => store.get(year));
+    }
+
+    /**
+     * Get the snapshots of every dataset year seen so far
+     * @returns {Promise<Array>} Snapshots
+     */
+    static async getAll() {
+        return (await this.request('readonly', store => store.getAll())) || [];
+    }
+
+    /**
+     * Replace the snapshot of a dataset year
+     * @param {Object} snapshot - Snapshot keyed by its year
+     * @returns {Promise} Promise that resolves once stored
+     */
+    static put(snapshot) {
+        return this.request('readwrite', store => store.put(snapshot));
+    }
+}
+
+/**
+ * Diffs each freshly loaded dataset against its last snapshot: records first seen or modified
+ * after the previous visit are marked 'new' or 'modified', and every load that changed
+ * something is logged with the records added, removed and modified.
+ */
+class ChangeTracker {
+    /**
+     * @param {Date|null} [previousVisit] - Visit before this one; null on a first visit
+     * @param {Date} [currentVisit] - Start of this visit, stamped on records first seen now
+     */
+    constructor(previousVisit = VisitTracker.getPreviousVisit(), currentVisit = VisitTracker.getCurrentVisit()) {
+        this.previousVisit = previousVisit;
+        this.currentVisit = currentVisit;
+        this.maxEvents = 200;
+    }
+
+    /**
+     * Labels of the summary fields reported when a record is modified
+     * @returns {Object} Label keyed by summary field
+     */
+    static get summaryFields() {
+        return {
+            name: 'Name',
+            filingType: 'Filing type',
+            stateDst: 'State/District',
+            filingDate: 'Filing date'
+        };
+    }
+
+    /**
+     * Hash the compared fields of a record (32-bit FNV-1a)
+     * @param {Object} member - Member object
+     * @returns {string} Eight hex digits
+     */
+    static hashRecord(member) {
+        const text = DataManager.recordFields.map(field => String(member[field] ?? '')).join('\u001f');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Describe a record well enough to list it after it has left the dataset
+     * @param {Object} member - Member object
+     * @returns {Object} { docID, name, filingType, stateDst, filingDate }
+     */
+    static summarize(member) {
+        return {
+            docID: member.docID,
+            name: [member.prefix, member.firstName, member.lastName, member.suffix].filter(Boolean).join(' '),
+            filingType: member.filingType,
+            stateDst: member.stateDst,
+            filingDate: member.filingDateString
+        };
+    }
+
+    /**
+     * List the summary fields that differ between two versions of a record
+     * @param {Object} before - Stored summary
+     * @param {Object} after - Fresh summary
+     * @returns {Array<Object>} Changes { label, before, after }; empty when only other fields changed
+     */
+    static describeChanges(before = {}, after = {}) {
+        return Object.entries(ChangeTracker.summaryFields)
+            .filter(([field]) => (before[field] || '') !== (after[field] || ''))
+            .map(([field, label]) => ({ label, before: before[field] || '', after: after[field] || '' }));
+    }
+
+    /**
+     * Whether a stored timestamp falls after the previous visit
+     * @param {string|null} time - ISO timestamp
+     * @returns {boolean} True when the change is new to this visit
+     */
+    isSinceLastVisit(time) {
+        return Boolean(this.previousVisit && time && new Date(time) > this.previousVisit);
+    }
+
+    /**
+     * Diff a freshly loaded dataset against its snapshot, mark its records and store the new snapshot.
+     * The first load of a year only records a baseline.
+     * @param {number} year - Dataset year
+     * @param {Array} members - Freshly parsed members; changeStatus, firstSeen and modifiedAt are set on them
+     * @returns {Promise<Object|null>} Logged event { at, year, added, removed, modified }, or null
+     *     when nothing changed or snapshots are unavailable
+     */
+    async track(year, members) {
+        performanceMonitor.startTimer('change-tracking');
+
+        try {
+            const snapshot = await SnapshotStore.get(year);
+            const previous = snapshot ? snapshot.records : null;
+            const stamp = this.currentVisit.toISOString();
+            const event = { at: new Date().toISOString(), year, added: [], removed: [], modified: [] };
+            const records = {};
+
+            DataManager.keyRecords(members).forEach((member, key) => {
+                const hash = ChangeTracker.hashRecord(member);
+                const summary = ChangeTracker.summarize(member);
+                const known = previous ? previous[key] : null;
+                const record = known
+                    ? { hash, firstSeen: known.firstSeen, modifiedAt: known.modifiedAt, summary }
+                    : { hash, firstSeen: previous ? stamp : null, modifiedAt: null, summary };
+
+                if (previous && !known) {
+                    event.added.push(summary);
+                } else if (known && known.hash !== hash) {
+                    record.modifiedAt = stamp;
+                    event.modified.push({ ...summary, changes: ChangeTracker.describeChanges(known.summary, summary) });
+                }
+
+                records[key] = record;
+                member.firstSeen = record.firstSeen ? new Date(record.firstSeen) : null;
+                member.modifiedAt = record.modifiedAt ? new Date(record.modifiedAt) : null;
+                member.changeStatus = this.isSinceLastVisit(record.firstSeen) ? 'new'
+                    : this.isSinceLastVisit(record.modifiedAt) ? 'modified' : null;
+            });
+
+            if (previous) {
+                Object.entries(previous).forEach(([key, record]) => {
+                    if (!(key in records)) event.removed.push(record.summary);
+                });
+            }
+
+            const changed = event.added.length + event.removed.length + event.modified.length > 0;
+            const events = snapshot ? snapshot.events || [] : [];
+            if (changed) events.unshift(event);
+
+            await SnapshotStore.put({ year, savedAt: event.at, records, events: events.slice(0, this.maxEvents) });
+
+            if (changed) {
+                console.log(`${year} dataset: ${event.added.length} added, ${event.removed.length} removed, ${event.modified.length} modified`);
+            }
+            return changed ? event : null;
+        } catch (error) {
+            // Change tracking is an extra; never let it block loading the data
+            console.warn('Change tracking failed:', error);
+            return null;
+        } finally {
+            performanceMonitor.endTimer('change-tracking');
+        }
+    }
+
+    /**
+     * Every logged event across dataset years, newest first
+     * @returns {Promise<Array>} Events { at, year, added, removed, modified }
+     */
+    async getChangelog() {
+        try {
+            const snapshots = await SnapshotStore.getAll();
+            return snapshots
+                .flatMap(snapshot => snapshot.events || [])
+                .sort((a, b) => b.at.localeCompare(a.at));
+        } catch (error) {
+            console.warn('Changelog unavailable:', error);
+            return [];
+        }
+    }
+}
+
+/**
+ * "What's new" dialog listing logged changes by day, plus the "new only" toggle
+ */
+class ChangelogController {
+    /**
+     * @param {HTMLElement} modal - Changelog dialog
+     * @param {DataManager} dataManager - Filing records carrying changeStatus
+     * @param {ChangeTracker} changeTracker - Source of the changelog
+     * @param {ModalController} modalController - Opens and closes the dialog
+     * @param {Object} [elements] - Optional open button, "new only" button, summary, list and the
+     *     facet controller that applies the "new only" filter
+     */
+    constructor(modal, dataManager, changeTracker, modalController, elements = {}) {
+        this.modal = modal;
+        this.dataManager = dataManager;
+        this.changeTracker = changeTracker;
+        this.modalController = modalController;
+        this.openButton = elements.openButton || null;
+        this.newOnlyButton = elements.newOnlyButton || null;
+        this.summary = elements.summary || null;
+        this.list = elements.list || modal.querySelector('.changelog__days');
+        this.facetController = elements.facetController || null;
+
+        this.maxItemsPerDay = 100;
+        this.dayFormat = new Intl.DateTimeFormat('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' });
+
+        this.setupEventListeners();
+        this.updateButtons();
+    }
+
+    /**
+     * Setup listeners for opening the dialog, the toggle and result changes
+     */
+    setupEventListeners() {
+        this.openButton?.addEventListener('click', () => this.open());
+        this.newOnlyButton?.addEventListener('click', () => this.toggleNewOnly());
+        this.dataManager.subscribe(() => this.updateButtons());
+    }
+
+    /**
+     * Count the loaded records new or modified since the last visit
+     * @returns {Object} { new, modified }
+     */
+    getCounts() {
+        const counts = { new: 0, modified: 0 };
+        this.dataManager.getMembers().forEach(member => {
+            if (member.changeStatus) counts[member.changeStatus]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Reflect the counts and the active filter in the buttons
+     */
+    updateButtons() {
+        const counts = this.getCounts();
+        const active = this.dataManager.getFacetFilters().change.includes('new');
+
+        if (this.newOnlyButton) {
+            this.newOnlyButton.hidden = counts.new === 0 && !active;
+            this.newOnlyButton.textContent = `New Only (${counts.new.toLocaleString()})`;
+            this.newOnlyButton.setAttribute('aria-pressed', String(active));
+            this.newOnlyButton.classList.toggle('active', active);
+        }
+
+        if (this.openButton) {
+            const total = counts.new + counts.modified;
+            this.openButton.textContent = total > 0 ? `What's New (${total.toLocaleString()})` : "What's New";
+        }
+    }
+
+    /**
+     * Show only records new since the last visit, or everything again
+     */
+    toggleNewOnly() {
+        const active = this.dataManager.getFacetFilters().change.includes('new');
+        this.facetController?.applyFacet('change', active ? [] : ['new']);
+    }
+
+    /**
+     * Open the dialog and render the changelog
+     */
+    async open() {
+        this.modalController.openModal(this.modal);
+        await this.render();
+    }
+
+    /**
+     * Render the summary and the logged changes grouped by day
+     */
+    async render() {
+        try {
+            const events = await this.changeTracker.getChangelog();
+            this.renderSummary(events);
+            this.renderDays(events);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Changelog');
+        }
+    }
+
+    /**
+     * Summarize what changed since the last visit
+     * @param {Array} events - Logged events, newest first
+     */
+    renderSummary(events) {
+        if (!this.summary) return;
+
+        const { previousVisit } = this.changeTracker;
+        if (!previousVisit) {
+            this.summary.textContent = 'Changes are tracked from this visit on. Records the nightly update adds, removes or edits will be flagged next time.';
+            return;
+        }
+
+        const recent = events.filter(event => this.changeTracker.isSinceLastVisit(event.at));
+        const total = (key) => recent.reduce((sum, event) => sum + event[key].length, 0);
+        const parts = [
+            `${total('added').toLocaleString()} new`,
+            `${total('modified').toLocaleString()} modified`,
+            `${total('removed').toLocaleString()} removed`
+        ];
+
+        this.summary.textContent = `Since your last visit on ${this.dayFormat.format(previousVisit)}: ${parts.join(', ')}.`;
+    }
+
+    /**
+     * Render one section per day with the records added, removed and modified that day
+     * @param {Array} events - Logged events, newest first
+     */
+    renderDays(events) {
+        this.list.innerHTML = '';
+
+        if (events.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'changelog__empty';
+            empty.textContent = 'No changes recorded yet.';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        const days = new Map();
+        events.forEach(event => {
+            const day = DateRangeController.toInputValue(new Date(event.at));
+            if (!days.has(day)) days.set(day, { date: new Date(event.at), added: [], removed: [], modified: [] });
+            const entry = days.get(day);
+            ['added', 'removed', 'modified'].forEach(key => {
+                entry[key].push(...event[key].map(record => ({ ...record, year: event.year })));
+            });
+        });
+
+        days.forEach(day => {
+            const section = document.createElement('section');
+            section.className = 'changelog__day';
+
+            const heading = document.createElement('h3');
+            heading.className = 'changelog__date';
+            heading.textContent = this.dayFormat.format(day.date);
+            section.appendChild(heading);
+
+            const counts = document.createElement('p');
+            counts.className = 'changelog__counts';
+            counts.textContent = `${day.added.length.toLocaleString()} added · ${day.removed.length.toLocaleString()} removed · ${day.modified.length.toLocaleString()} modified`;
+            section.appendChild(counts);
+
+            const items = [
+                ...day.added.map(record => ['new', record]),
+                ...day.removed.map(record => ['removed', record]),
+                ...day.modified.map(record => ['modified', record])
+            ];
+
+            const list = document.createElement('ul');
+            list.className = 'changelog__list';
+            items.slice(0, this.maxItemsPerDay).forEach(([status, record]) => {
+                list.appendChild(this.createItem(status, record));
+            });
+            section.appendChild(list);
+
+            if (items.length > this.maxItemsPerDay) {
+                const more = document.createElement('p');
+                more.className = 'changelog__more';
+                more.textContent = `…and ${(items.length - this.maxItemsPerDay).toLocaleString()} more`;
+                section.appendChild(more);
+            }
+
+            this.list.appendChild(section);
+        });
+    }
+
+    /**
+     * Create a changelog entry for one record
+     * @param {string} status - 'new', 'removed' or 'modified'
+     * @param {Object} record - Record summary with its dataset year (and changes when modified)
+     * @returns {HTMLElement} List item
+     */
+    createItem(status, record) {
+        const item = document.createElement('li');
+        item.className = 'changelog__item';
+
+        item.appendChild(TableRenderer.createChangeBadge(status));
+
+        const name = document.createElement('span');
+        name.className = 'changelog__name';
+        name.textContent = record.name || 'Unnamed filer';
+        item.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'changelog__meta';
+        meta.textContent = [
+            record.filingType,
+            record.stateDst,
+            record.filingDate && `filed ${record.filingDate}`,
+            record.docID && `doc ${record.docID}`,
+            `${record.year} dataset`
+        ].filter(Boolean).join(' · ');
+        item.appendChild(meta);
+
+        if (status === 'modified') {
+            const changes = document.createElement('span');
+            changes.className = 'changelog__changes';
+            changes.textContent = record.changes && record.changes.length > 0
+                ? record.changes.map(change => `${change.label}: ${change.before || '—'} → ${change.after || '—'}`).join('; ')
+                : 'Other fields changed';
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+}
+
+/**
+ * Watched filers, kept in localStorage
+ */
+class WatchlistStore {
+    static get storageKey() {
+        return 'financialDisclosure.watchlist';
+    }
+
+    /**
+     * Load the watchlist
+     * @returns {Array<Object>} Entries { id, keys, name, stateDst, addedAt, seenAt }
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved || saved.version !== 1 || !Array.isArray(saved.filers)) return [];
+            return saved.filers.filter(entry => entry && typeof entry.id === 'string');
+        } catch (error) {
+            console.warn('Watchlist unavailable:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the watchlist
+     * @param {Array<Object>} entries - Entries { id, keys, name, stateDst, addedAt, seenAt }
+     */
+    static save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, filers: entries }));
+        } catch (error) {
+            console.warn('Could not save the watchlist:', error);
+        }
+    }
+}
+
+/**
+ * Watchlist of filers: star toggles in the table and profiles, a quick filter, and a sidebar
+ * list counting each watched filer's filings added since the last visit and not yet seen
+ *
+ * Entries keep the filer ID they were starred under and count for whichever filer that ID
+ * leads to now, so undoing a merge brings the star back to each filer. They also keep the
+ * filer's name variant keys, in case the ID goes away (see resolveEntries).
+ */
+class WatchlistController {
+    /**
+     * @param {DataManager} dataManager - Filing records and filer entities
+     * @param {TableRenderer} tableRenderer - Filings table holding the row stars
+     * @param {Object} [elements] - Optional sidebar list, empty-state note, quick filter button
+     *     and the facet controller that applies the quick filter
+     */
+    constructor(dataManager, tableRenderer, elements = {}) {
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.list = elements.list || null;
+        this.emptyNote = elements.emptyNote || null;
+        this.filterButton = elements.filterButton || null;
+        this.facetController = elements.facetController || null;
+
+        this.entries = new Map(WatchlistStore.load().map(entry => [entry.id, entry]));
+        // Current filer IDs last passed to the data manager
+        this.watchedIds = null;
+        this.syncWatchedFilers();
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Create a star toggle for a filer
+     * @param {string} filerId - Filer ID
+     * @param {boolean} watched - Whether the filer is watched
+     * @param {string} name - Filer name for the accessible label
+     * @returns {HTMLButtonElement} Star button
+     */
+    static createStar(filerId, watched, name) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'watch-toggle';
+        button.dataset.filer = filerId;
+        button.dataset.name = name;
+        WatchlistController.updateStar(button, watched);
+        return button;
+    }
+
+    /**
+     * Reflect the watched state in a star toggle
+     * @param {HTMLButtonElement} button - Star button with data-name
+     * @param {boolean} watched - Whether the filer is watched
+     */
+    static updateStar(button, watched) {
+        const name = button.dataset.name || 'this filer';
+        button.textContent = watched ? '★' : '☆';
+        button.classList.toggle('watch-toggle--on', watched);
+        button.setAttribute('aria-pressed', String(watched));
+        button.setAttribute('aria-label', watched ? `Stop watching ${name}` : `Watch ${name}`);
+        button.title = watched ? 'Remove from watchlist' : 'Add to watchlist';
+    }
+
+    /**
+     * Setup listeners for the stars, the quick filter and result changes
+     */
+    setupEventListeners() {
+        // Rows are re-rendered while scrolling, so delegate from the table body
+        this.tableRenderer?.tbody.addEventListener('click', (event) => {
+            const star = event.target.closest('.watch-toggle');
+            if (star) this.toggle(star.dataset.filer);
+        });
+
+        this.list?.addEventListener('click', (event) => {
+            const star = event.target.closest('.watch-toggle');
+            if (star) this.toggle(star.dataset.filer);
+        });
+
+        this.filterButton?.addEventListener('click', () => this.toggleFilter());
+
+        // A loaded year or a merge can lead a watched ID to another filer
+        this.dataManager.subscribe(() => {
+            this.syncWatchedFilers();
+            this.render();
+        });
+    }
+
+    /**
+     * Re-key entries whose ID no longer leads to a filer to the one holding their name
+     * variant keys, and remember each watched filer's variant keys for the next visit
+     *
+     * IDs follow from the loaded records (see DataManager.deriveFilerIds), so one can go
+     * away, e.g. once a year with a namesake or an earlier filing loads.
+     */
+    resolveEntries() {
+        let variantFilers = null;
+        let updated = false;
+        const entries = new Map();
+
+        this.entries.forEach(entry => {
+            const keys = Array.isArray(entry.keys) ? entry.keys : [];
+            let filer = this.dataManager.getFiler(entry.id);
+            let id = entry.id;
+
+            if (!filer && keys.length > 0) {
+                if (!variantFilers) {
+                    variantFilers = new Map();
+                    this.dataManager.getFilers().forEach(candidate => {
+                        candidate.variants.forEach(variant => variantFilers.set(variant.key, candidate));
+                    });
+                }
+                filer = variantFilers.get(keys.find(key => variantFilers.has(key))) || null;
+                if (filer) {
+                    id = filer.id;
+                    updated = true;
+                }
+            }
+
+            // Only the filer an ID heads adds its variants, not one it was merged into
+            const added = filer && filer.id === id
+                ? filer.variants.map(variant => variant.key).filter(key => !keys.includes(key))
+                : [];
+            if (added.length > 0) updated = true;
+
+            const existing = entries.get(id);
+            if (existing) {
+                existing.keys = Array.from(new Set([...existing.keys, ...keys, ...added]));
+            } else {
+                entries.set(id, { ...entry, id, keys: [...keys, ...added] });
+            }
+        });
+
+        this.entries = entries;
+        if (updated) {
+            WatchlistStore.save(Array.from(this.entries.values()));
+        }
+    }
+
+    /**
+     * Get entries by the current ID of the filer they lead to; after a merge, entries for
+     * the merged filers share one
+     * @returns {Map<string, Object>} Entries keyed by current filer ID
+     */
+    getWatchedEntries() {
+        const watched = new Map();
+        this.entries.forEach(entry => {
+            const filer = this.dataManager.getFiler(entry.id);
+            const id = filer ? filer.id : entry.id;
+            if (!watched.has(id)) watched.set(id, entry);
+        });
+        return watched;
+    }
+
+    /**
+     * Get the entries that lead to a filer
+     * @param {string} filerId - Filer ID, current or taken over by another filer
+     * @returns {Array<Object>} Entries
+     */
+    getEntries(filerId) {
+        const filer = this.dataManager.getFiler(filerId);
+        const id = filer ? filer.id : filerId;
+        return Array.from(this.entries.values()).filter(entry => {
+            const watched = this.dataManager.getFiler(entry.id);
+            return (watched ? watched.id : entry.id) === id;
+        });
+    }
+
+    /**
+     * Pass the watched filers' current IDs to the data manager when they changed, refreshing
+     * a watchlist-filtered table
+     */
+    syncWatchedFilers() {
+        this.resolveEntries();
+        const ids = Array.from(this.getWatchedEntries().keys());
+        if (ids.join('\n') === this.watchedIds) return;
+
+        this.watchedIds = ids.join('\n');
+        const members = this.dataManager.setWatchedFilers(ids);
+        // Only a watchlist-filtered table changes rows; otherwise just flip the stars
+        if (this.dataManager.getFacetFilters().watch.length > 0) {
+            this.facetController?.refreshTable(members);
+        }
+    }
+
+    /**
+     * Whether a filer is on the watchlist
+     * @param {string} filerId - Filer ID
+     * @returns {boolean} True when watched
+     */
+    isWatched(filerId) {
+        return this.getEntries(filerId).length > 0;
+    }
+
+    /**
+     * Add a filer to the watchlist, or remove it
+     * @param {string} filerId - Filer ID
+     */
+    toggle(filerId) {
+        if (!filerId) return;
+
+        const watched = this.getEntries(filerId);
+        if (watched.length > 0) {
+            watched.forEach(entry => this.entries.delete(entry.id));
+        } else {
+            const filer = this.dataManager.getFiler(filerId);
+            const now = new Date().toISOString();
+            this.entries.set(filerId, {
+                id: filerId,
+                keys: filer ? filer.variants.map(variant => variant.key) : [],
+                name: filer ? filer.name : filerId,
+                stateDst: filer ? filer.stateDsts[filer.stateDsts.length - 1] || '' : '',
+                addedAt: now,
+                // Filings already listed when the star is set count as seen
+                seenAt: now
+            });
+        }
+
+        this.save();
+    }
+
+    /**
+     * Clear a watched filer's unseen count, e.g. after opening their profile
+     * @param {string} filerId - Filer ID
+     */
+    markSeen(filerId) {
+        const watched = this.getEntries(filerId);
+        if (watched.length === 0) return;
+
+        const now = new Date().toISOString();
+        watched.forEach(entry => {
+            entry.seenAt = now;
+        });
+        WatchlistStore.save(Array.from(this.entries.values()));
+        this.render();
+    }
+
+    /**
+     * Persist the watchlist and bring the filter, stars and sidebar up to date
+     */
+    save() {
+        WatchlistStore.save(Array.from(this.entries.values()));
+
+        try {
+            this.syncWatchedFilers();
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Watchlist');
+        }
+
+        document.querySelectorAll('.watch-toggle[data-filer]').forEach(button => {
+            WatchlistController.updateStar(button, this.isWatched(button.dataset.filer));
+        });
+    }
+
+    /**
+     * Show only the watched filers' records, or everything again
+     */
+    toggleFilter() {
+        const active = this.dataManager.getFacetFilters().watch.includes('watched');
+        this.facetController?.applyFacet('watch', active ? [] : ['watched']);
+    }
+
+    /**
+     * Count each watched filer's filings added since the last visit that came after the
+     * filer was last seen
+     * @returns {Map<string, number>} Unseen filings by filer ID
+     */
+    getUnseenCounts() {
+        const watched = this.getWatchedEntries();
+        const counts = new Map();
+        this.dataManager.getDatasets().forEach(dataset => {
+            (dataset.members || []).forEach(member => {
+                const entry = watched.get(member.filerId);
+                if (!entry || member.changeStatus !== 'new') return;
+                if (entry.seenAt && member.firstSeen && member.firstSeen <= new Date(entry.seenAt)) return;
+                counts.set(entry.id, (counts.get(entry.id) || 0) + 1);
+            });
+        });
+        return counts;
+    }
+
+    /**
+     * Render the quick filter button and the sidebar list
+     */
+    render() {
+        const watched = this.getWatchedEntries();
+        const unseen = this.getUnseenCounts();
+        const totalUnseen = Array.from(unseen.values()).reduce((sum, count) => sum + count, 0);
+
+        if (this.filterButton) {
+            const active = this.dataManager.getFacetFilters().watch.includes('watched');
+            this.filterButton.textContent = `★ Watchlist (${watched.size.toLocaleString()})` +
+                (totalUnseen > 0 ? ` · ${totalUnseen.toLocaleString()} new` : '');
+            this.filterButton.disabled = watched.size === 0 && !active;
+            this.filterButton.setAttribute('aria-pressed', String(active));
+            this.filterButton.classList.toggle('active', active);
+        }
+
+        if (this.emptyNote) {
+            this.emptyNote.hidden = this.entries.size > 0;
+        }
+
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        const entries = Array.from(watched.values()).map(entry => {
+            const filer = this.dataManager.getFiler(entry.id);
+            return { ...entry, name: filer ? filer.name : entry.name, loaded: Boolean(filer), unseen: unseen.get(entry.id) || 0 };
+        });
+        entries.sort((a, b) => b.unseen - a.unseen || this.dataManager.collator.compare(a.name, b.name));
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `watchlist__item${entry.loaded ? '' : ' watchlist__item--missing'}`;
+
+            item.appendChild(WatchlistController.createStar(entry.id, true, entry.name));
+
+            const link = document.createElement('a');
+            link.className = 'member-link watchlist__name';
+            link.href = `${MemberProfileController.routePrefix}${entry.id}`;
+            link.textContent = entry.name;
+            if (!entry.loaded) link.title = 'No filings in the loaded datasets';
+            item.appendChild(link);
+
+            if (entry.unseen > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'change-badge change-badge--new';
+                badge.textContent = `${entry.unseen.toLocaleString()} new`;
+                badge.title = `${entry.unseen.toLocaleString()} ${entry.unseen === 1 ? 'filing' : 'filings'} added since your last visit`;
+                item.appendChild(badge);
+            }
+
+            this.list.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Minimal SVG bar charts; each bar is a focusable button carrying its key
+ */
+class SvgChart {
+    static get namespace() {
+        return 'http://www.w3.org/2000/svg';
+    }
+
+    /**
+     * Create an SVG element
+     * @param {string} name - Tag name
+     * @param {Object} [attributes] - Attributes to set
+     * @returns {SVGElement} SVG element
+     */
+    static createElement(name, attributes = {}) {
+        const element = document.createElementNS(SvgChart.namespace, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+        return element;
+    }
+
+    /**
+     * Create an interactive bar: a focusable group with a tooltip and accessible label
+     * @param {Object} datum - { key, label, value, selected, title }
+     * @param {Object} rect - Bar geometry { x, y, width, height }
+     * @returns {SVGElement} Bar group
+     */
+    static createBar(datum, rect) {
+        const group = SvgChart.createElement('g', {
+            class: `chart__bar${datum.selected ? ' chart__bar--selected' : ''}`,
+            'data-key': datum.key,
+            tabindex: 0,
+            role: 'button',
+            'aria-pressed': datum.selected ? 'true' : 'false',
+            'aria-label': datum.title
+        });
+
+        const title = SvgChart.createElement('title');
+        title.textContent = datum.title;
+        group.appendChild(title);
+
+        // A full-height hit area keeps short bars easy to click
+        if (rect.hitArea) {
+            group.appendChild(SvgChart.createElement('rect', { class: 'chart__hit', ...rect.hitArea }));
+        }
+        group.appendChild(SvgChart.createElement('rect', {
+            class: 'chart__rect', x: rect.x, y: rect.y, width: rect.width, height: Math.max(rect.height, 0)
+        }));
+
+        return group;
+    }
+
+    /**
+     * Vertical bars over time, with the first, middle and last labels on the axis
+     * @param {Array<Object>} data - Bars in order: { key, label, value, selected, title }
+     * @param {Object} [options] - { width, height, label }
+     * @returns {SVGElement} SVG element
+     */
+    static columnChart(data, options = {}) {
+        const width = options.width || 640;
+        const height = options.height || 180;
+        const margin = { top: 16, right: 8, bottom: 24, left: 40 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const max = Math.max(1, ...data.map(datum => datum.value));
+        const step = plotWidth / Math.max(data.length, 1);
+        const gap = step > 6 ? 1 : 0;
+
+        const svg = SvgChart.createElement('svg', {
+            class: 'chart__svg', viewBox: `0 0 ${width} ${height}`, role: 'group', 'aria-label': options.label || ''
+        });
+
+        // Baseline and maximum gridlines
+        [0, max].forEach(value => {
+            const y = margin.top + plotHeight - (value / max) * plotHeight;
+            svg.appendChild(SvgChart.createElement('line', {
+                class: 'chart__grid', x1: margin.left, x2: width - margin.right, y1: y, y2: y
+            }));
+            const text = SvgChart.createElement('text', {
+                class: 'chart__axis-label', x: margin.left - 4, y: y + 4, 'text-anchor': 'end'
+            });
+            text.textContent = value.toLocaleString();
+            svg.appendChild(text);
+        });
+
+        data.forEach((datum, index) => {
+            const barHeight = (datum.value / max) * plotHeight;
+            const x = margin.left + index * step;
+            svg.appendChild(SvgChart.createBar(datum, {
+                x: x + gap / 2,
+                y: margin.top + plotHeight - barHeight,
+                width: Math.max(step - gap, 1),
+                height: barHeight,
+                hitArea: { x, y: margin.top, width: step, height: plotHeight }
+            }));
+        });
+
+        const labelled = new Set([0, Math.floor((data.length - 1) / 2), data.length - 1]);
+        labelled.forEach(index => {
+            if (!data[index]) return;
+            const anchor = index === 0 ? 'start' : index === data.length - 1 ? 'end' : 'middle';
+            const x = margin.left + index * step + (anchor === 'start' ? 0 : anchor === 'end' ? step : step / 2);
+            const text = SvgChart.createElement('text', {
+                class: 'chart__axis-label', x, y: height - 6, 'text-anchor': anchor
+            });
+            text.textContent = data[index].label;
+            svg.appendChild(text);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Horizontal bars with the label on the left and the value on the right
+     * @param {Array<Object>} data - Bars in order: { key, label, value, selected, title }
+     * @param {Object} [options] - { width, labelWidth, rowHeight, label }
+     * @returns {SVGElement} SVG element
+     */
+    static barChart(data, options = {}) {
+        const width = options.width || 320;
+        const labelWidth = options.labelWidth || 48;
+        const valueWidth = 48;
+        const rowHeight = options.rowHeight || 18;
+        const height = Math.max(data.length, 1) * rowHeight;
+        const plotWidth = width - labelWidth - valueWidth;
+        const max = Math.max(1, ...data.map(datum => datum.value));
+
+        const svg = SvgChart.createElement('svg', {
+            class: 'chart__svg', viewBox: `0 0 ${width} ${height}`, role: 'group', 'aria-label': options.label || ''
+        });
+
+        data.forEach((datum, index) => {
+            const y = index * rowHeight;
+
+            const label = SvgChart.createElement('text', {
+                class: 'chart__label', x: labelWidth - 6, y: y + rowHeight / 2 + 4, 'text-anchor': 'end'
+            });
+            label.textContent = datum.label;
+            svg.appendChild(label);
+
+            svg.appendChild(SvgChart.createBar(datum, {
+                x: labelWidth,
+                y: y + 2,
+                width: Math.max((datum.value / max) * plotWidth, 1),
+                height: rowHeight - 4,
+                hitArea: { x: 0, y, width, height: rowHeight }
+            }));
+
+            const value = SvgChart.createElement('text', {
+                class: 'chart__value', x: width - 2, y: y + rowHeight / 2 + 4, 'text-anchor': 'end'
+            });
+            value.textContent = datum.value.toLocaleString();
+            svg.appendChild(value);
+        });
+
+        return svg;
+    }
+}
+
+/**
+ * Dashboard of SVG charts over the current results; clicking a bar filters by it
+ */
+class DashboardController {
+    /**
+     * @param {HTMLElement} container - Dashboard section holding [data-chart] figures
+     * @param {DataManager} dataManager - Filing records
+     * @param {StatisticsController} statisticsController - Computes the distributions
+     * @param {Object} [elements] - Optional toggle button, charts body, facet controller and
+     *     date range controller (used to apply bar clicks)
+     */
+    constructor(container, dataManager, statisticsController, elements = {}) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.statisticsController = statisticsController;
+        this.toggleButton = elements.toggleButton || null;
+        this.body = elements.body || container;
+        this.facetController = elements.facetController || null;
+        this.dateRangeController = elements.dateRangeController || null;
+
+        this.expanded = !this.toggleButton;
+        this.topStates = 20;
+        this.monthFormat = new Intl.DateTimeFormat('en-US', { month: 'short', year: 'numeric' });
+        this.dayFormat = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup listeners for the toggle, bar clicks and result changes
+     */
+    setupEventListeners() {
+        this.toggleButton?.addEventListener('click', () => this.setExpanded(!this.expanded));
+
+        this.body.addEventListener('click', (event) => {
+            const bar = event.target.closest('.chart__bar');
+            if (bar) this.handleBarClick(bar);
+        });
+        this.body.addEventListener('keydown', (event) => {
+            const bar = event.target.closest('.chart__bar');
+            if (bar && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                this.handleBarClick(bar);
+            }
+        });
+
+        this.dataManager.subscribe(() => this.render());
+    }
+
+    /**
+     * Show or hide the charts
+     * @param {boolean} expanded - Whether the charts are shown
+     */
+    setExpanded(expanded) {
+        this.expanded = expanded;
+        this.body.hidden = !expanded;
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', String(expanded));
+            this.toggleButton.textContent = expanded ? 'Hide Charts' : 'Show Charts';
+        }
+
+        this.render();
+    }
+
+    /**
+     * Get the Monday starting the week of a date
+     * @param {Date} date - Date
+     * @returns {Date} Start of the week, at midnight
+     */
+    static weekStart(date) {
+        const offset = (date.getDay() + 6) % 7;
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+    }
+
+    /**
+     * Redraw every chart from the current results
+     */
+    render() {
+        if (!this.expanded) return;
+
+        performanceMonitor.startTimer('dashboard-render');
+
+        try {
+            this.renderChart('weekly', this.getWeeklyData(), data => SvgChart.columnChart(data, { label: 'Filings per week' }));
+            this.renderChart('ptr', this.getPtrData(), data => SvgChart.columnChart(data, { label: 'PTR filings per month' }));
+            this.renderChart('types', this.getTypeData(), data => SvgChart.barChart(data, { label: 'Filings by type', labelWidth: 32 }));
+            this.renderChart('states', this.getStateData(), data => SvgChart.barChart(data, { label: `Top ${this.topStates} states` }));
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Dashboard');
+        } finally {
+            performanceMonitor.endTimer('dashboard-render');
+        }
+    }
+
+    /**
+     * Replace a chart's drawing, or note that there is nothing to draw
+     * @param {string} name - data-chart name of the figure
+     * @param {Array<Object>} data - Bars
+     * @param {Function} draw - Builds the SVG from the bars
+     */
+    renderChart(name, data, draw) {
+        const canvas = this.body.querySelector(`[data-chart="${name}"] .chart__canvas`);
+        if (!canvas) return;
+
+        canvas.innerHTML = '';
+        if (data.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'chart__empty';
+            empty.textContent = 'No filings in the current results';
+            canvas.appendChild(empty);
+            return;
+        }
+        canvas.appendChild(draw(data));
+    }
+
+    /**
+     * Filings per week of the current results, including empty weeks
+     * @returns {Array<Object>} Bars keyed by the week's Monday (YYYY-MM-DD)
+     */
+    getWeeklyData() {
+        const counts = new Map();
+        this.dataManager.getFilteredMembers().forEach(member => {
+            if (!(member.filingDate instanceof Date)) return;
+            const time = DashboardController.weekStart(member.filingDate).getTime();
+            counts.set(time, (counts.get(time) || 0) + 1);
+        });
+        if (counts.size === 0) return [];
+
+        const { from, to } = this.dataManager.getDateRange();
+        const selected = from && to ? from.getTime() : null;
+        const times = Array.from(counts.keys());
+        const data = [];
+
+        for (let week = new Date(Math.min(...times)); week.getTime() <= Math.max(...times);
+            week = new Date(week.getFullYear(), week.getMonth(), week.getDate() + 7)) {
+            const value = counts.get(week.getTime()) || 0;
+            data.push({
+                key: DateRangeController.toInputValue(week),
+                label: this.dayFormat.format(week),
+                value,
+                selected: week.getTime() === selected,
+                title: `Week of ${this.dayFormat.format(week)}: ${value.toLocaleString()} ${value === 1 ? 'filing' : 'filings'}`
+            });
+        }
+
+        return data;
+    }
+
+    /**
+     * PTR filings per month, ignoring any filing type selection
+     * @returns {Array<Object>} Bars keyed by month (YYYY-MM), oldest first
+     */
+    getPtrData() {
+        const ptrs = this.dataManager.getFacetBase('filingType').filter(member => member.filingType === 'P');
+        const { monthDistribution } = this.statisticsController.getDetailedStatistics(ptrs);
+        const selected = new Set(this.dataManager.getFacetFilters().month);
+
+        return Object.entries(monthDistribution)
+            .filter(([month]) => month !== 'Unknown')
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([month, value]) => {
+                const [year, monthNumber] = month.split('-').map(Number);
+                const label = this.monthFormat.format(new Date(year, monthNumber - 1, 1));
+                return {
+                    key: month,
+                    label,
+                    value,
+                    selected: selected.has(month),
+                    title: `${label}: ${value.toLocaleString()} ${value === 1 ? 'PTR' : 'PTRs'}`
+                };
+            });
+    }
+
+    /**
+     * Filings per type, ignoring the type selection so other types stay clickable
+     * @returns {Array<Object>} Bars keyed by filing type code, largest first
+     */
+    getTypeData() {
+        const { filingTypeDistribution } = this.statisticsController.getDetailedStatistics(this.dataManager.getFacetBase('filingType'));
+        const selected = new Set(this.dataManager.getFacetFilters().filingType);
+
+        return Object.entries(filingTypeDistribution)
+            .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+            .map(([type, value]) => ({
+                key: type,
+                label: type,
+                value,
+                selected: selected.has(type),
+                title: `${DataManager.filingTypeDescriptions[type] || type}: ${value.toLocaleString()} ${value === 1 ? 'filing' : 'filings'}`
+            }));
+    }
+
+    /**
+     * The states with the most filings, ignoring the state selection
+     * @returns {Array<Object>} Bars keyed by state code, largest first
+     */
+    getStateData() {
+        const { stateDistribution } = this.statisticsController.getDetailedStatistics(this.dataManager.getFacetBase('state'));
+        const selected = new Set(this.dataManager.getFacetFilters().state);
+
+        return Object.entries(stateDistribution)
+            .filter(([state]) => state !== 'Unknown')
+            .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+            .slice(0, this.topStates)
+            .map(([state, value]) => ({
+                key: state,
+                label: state,
+                value,
+                selected: selected.has(state),
+                title: `${state}: ${value.toLocaleString()} ${value === 1 ? 'filing' : 'filings'}`
+            }));
+    }
+
+    /**
+     * Apply the filter of a clicked bar; clicking a selected bar removes it
+     * @param {SVGElement} bar - Bar group with data-key inside a [data-chart] figure
+     */
+    handleBarClick(bar) {
+        const chart = bar.closest('[data-chart]').getAttribute('data-chart');
+        const key = bar.getAttribute('data-key');
+        const selected = bar.getAttribute('aria-pressed') === 'true';
+
+        switch (chart) {
+            case 'weekly': {
+                if (selected) {
+                    this.dateRangeController?.applyRange(null, null, null);
+                    break;
+                }
+                const from = this.dataManager.parseDate(key);
+                const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6);
+                this.dateRangeController?.applyRange(from, to, null);
+                break;
+            }
+            case 'ptr':
+                // A month of PTRs narrows to PTRs as well as the month
+                if (!selected) {
+                    this.dataManager.setFacetFilter('filingType', ['P']);
+                }
+                this.toggleFacetValue('month', key);
+                break;
+            case 'types':
+                this.toggleFacetValue('filingType', key);
+                break;
+            case 'states':
+                this.toggleFacetValue('state', key);
+                break;
+            default:
+                return;
+        }
+
+        // Keep keyboard focus on the redrawn bar
+        this.body.querySelector(`[data-chart="${chart}"] .chart__bar[data-key="${key}"]`)?.focus();
+    }
+
+    /**
+     * Add a value to a facet selection, or remove it when already selected
+     * @param {string} facet - Facet name
+     * @param {string} value - Facet key
+     */
+    toggleFacetValue(facet, value) {
+        const values = this.dataManager.getFacetFilters()[facet];
+        const next = values.includes(value) ? values.filter(selected => selected !== value) : [...values, value];
+        this.facetController?.applyFacet(facet, next);
+    }
+}
+
+/**
+ * State choropleth of filing or PTR counts with a district drill-down. State shapes come from the
+ * bundled us-atlas states-albers-10m.json (ISC licence, US Census cartographic boundaries), already
+ * projected to Albers USA, so the map works offline. District boundaries are not bundled, so a
+ * state's districts are drawn as shaded tiles.
+ */
+class ChoroplethController {
+    static get geometryUrl() {
+        return 'us-states-albers-10m.json';
+    }
+
+    /**
+     * Areas with no shape on the map, or too small to click, drawn as tiles below the Gulf of Mexico
+     * @returns {Array<Object>} Tiles { state, x, y } in map coordinates
+     */
+    static get insetTiles() {
+        return ['DC', 'PR', 'VI', 'GU', 'MP', 'AS'].map((state, index) => ({
+            state, x: 600 + index * 56, y: 560
+        }));
+    }
+
+    /**
+     * Counts the map can shade by
+     * @returns {Object} Metric { label, unit, includes(member) } keyed by name
+     */
+    static get metrics() {
+        return {
+            filings: { label: 'All filings', unit: ['filing', 'filings'], includes: () => true },
+            ptrs: { label: 'PTRs', unit: ['PTR', 'PTRs'], includes: member => member.filingType === 'P' }
+        };
+    }
+
+    static get levels() {
+        return 5;
+    }
+
+    /**
+     * @param {HTMLElement} container - Map section
+     * @param {DataManager} dataManager - Filing records
+     * @param {Object} [elements] - Optional toggle button, body, metric select, map, legend, district
+     *     panel elements and the facet controller that applies clicks to the table
+     */
+    constructor(container, dataManager, elements = {}) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.toggleButton = elements.toggleButton || null;
+        this.body = elements.body || container;
+        this.metricSelect = elements.metricSelect || null;
+        this.mapElement = elements.map || null;
+        this.legendElement = elements.legend || null;
+        this.districtPanel = elements.districtPanel || null;
+        this.districtTitle = elements.districtTitle || null;
+        this.districtGrid = elements.districtGrid || null;
+        this.allStatesButton = elements.allStatesButton || null;
+        this.facetController = elements.facetController || null;
+
+        this.expanded = !this.toggleButton;
+        this.metric = 'filings';
+        this.shapes = null;
+        this.loadPromise = null;
+
+        this.renderMetricOptions();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Fill the metric select from the available metrics
+     */
+    renderMetricOptions() {
+        if (!this.metricSelect) return;
+
+        this.metricSelect.innerHTML = '';
+        Object.entries(ChoroplethController.metrics).forEach(([name, metric]) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = metric.label;
+            option.selected = name === this.metric;
+            this.metricSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Setup listeners for the toggle, metric, region clicks and result changes
+     */
+    setupEventListeners() {
+        this.toggleButton?.addEventListener('click', () => this.setExpanded(!this.expanded));
+
+        this.metricSelect?.addEventListener('change', () => {
+            this.metric = this.metricSelect.value;
+            this.render();
+        });
+
+        this.allStatesButton?.addEventListener('click', () => this.selectState(null));
+
+        this.body.addEventListener('click', (event) => {
+            const region = event.target.closest('[data-state], [data-district]');
+            if (region) this.handleRegionClick(region);
+        });
+        this.body.addEventListener('keydown', (event) => {
+            const region = event.target.closest('[data-state], [data-district]');
+            if (region && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                this.handleRegionClick(region);
+            }
+        });
+
+        this.dataManager.subscribe(() => this.render());
+    }
+
+    /**
+     * Show or hide the map, loading the state shapes the first time
+     * @param {boolean} expanded - Whether the map is shown
+     * @returns {Promise} Promise that resolves once the map is drawn
+     */
+    async setExpanded(expanded) {
+        this.expanded = expanded;
+        this.body.hidden = !expanded;
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', String(expanded));
+            this.toggleButton.textContent = expanded ? 'Hide Map' : 'Show Map';
+        }
+
+        if (expanded) {
+            await this.load();
+        }
+        this.render();
+    }
+
+    /**
+     * Load and decode the bundled state shapes once
+     * @returns {Promise<Array>} Promise resolving to the state shapes
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                try {
+                    const response = await fetch(ChoroplethController.geometryUrl);
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    this.shapes = ChoroplethController.decodeStates(await response.json());
+                    console.log(`Loaded ${this.shapes.length} state shapes`);
+                } catch (error) {
+                    this.loadPromise = null;
+                    ErrorHandler.handleError(error, 'Map Load');
+                }
+                return this.shapes;
+            })();
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Convert the states object of a TopoJSON topology into SVG paths
+     * @param {Object} topology - TopoJSON topology with quantized, delta-encoded arcs
+     * @returns {Array<Object>} Shapes { state, name, path }; names without a postal code are skipped
+     */
+    static decodeStates(topology) {
+        const [scaleX, scaleY] = topology.transform ? topology.transform.scale : [1, 1];
+        const [translateX, translateY] = topology.transform ? topology.transform.translate : [0, 0];
+
+        const arcs = topology.arcs.map(arc => {
+            let x = 0;
+            let y = 0;
+            return arc.map(([dx, dy]) => {
+                x += dx;
+                y += dy;
+                return [x * scaleX + translateX, y * scaleY + translateY];
+            });
+        });
+
+        // Negative indexes (~index) walk an arc backwards; each arc repeats the previous arc's end point
+        const ringPath = ring => {
+            const points = [];
+            ring.forEach(index => {
+                const arc = index < 0 ? arcs[~index].slice().reverse() : arcs[index];
+                arc.forEach((point, position) => {
+                    if (position > 0 || points.length === 0) points.push(point);
+                });
+            });
+            return `M${points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join('L')}Z`;
+        };
+
+        const postalCodes = Object.fromEntries(
+            Object.entries(DataManager.stateNames).map(([code, name]) => [name, code])
+        );
+
+        return topology.objects.states.geometries
+            .map(geometry => {
+                const polygons = geometry.type === 'Polygon' ? [geometry.arcs] : geometry.arcs || [];
+                return {
+                    state: postalCodes[geometry.properties?.name],
+                    name: geometry.properties?.name,
+                    path: polygons.map(polygon => polygon.map(ringPath).join('')).join('')
+                };
+            })
+            .filter(shape => shape.state);
+    }
+
+    /**
+     * Shading level of a count; square-root scaled so large delegations don't wash out the rest
+     * @param {number} count - Count
+     * @param {number} max - Largest count on the map
+     * @returns {number} Level from 0 (none) to ChoroplethController.levels
+     */
+    static getLevel(count, max) {
+        if (!count || !max) return 0;
+        return Math.max(1, Math.ceil(Math.sqrt(count / max) * ChoroplethController.levels));
+    }
+
+    /**
+     * Describe a count in the current metric's unit
+     * @param {number} count - Count
+     * @returns {string} e.g. "12 PTRs"
+     */
+    describeCount(count) {
+        const [singular, plural] = ChoroplethController.metrics[this.metric].unit;
+        return `${count.toLocaleString()} ${count === 1 ? singular : plural}`;
+    }
+
+    /**
+     * Count the current results per facet key, ignoring that facet's own selection
+     * @param {string} facet - 'state' or 'district'
+     * @returns {Map<string, number>} Count by facet key
+     */
+    getCounts(facet) {
+        const { includes } = ChoroplethController.metrics[this.metric];
+        const counts = new Map();
+
+        this.dataManager.getFacetBase(facet).forEach(member => {
+            if (!includes(member)) return;
+            const key = this.dataManager.getFacetKey(member, facet);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        return counts;
+    }
+
+    /**
+     * State drilled into: the only selected state, if exactly one is selected
+     * @returns {string|null} Postal code
+     */
+    getActiveState() {
+        const states = this.dataManager.getFacetFilters().state;
+        return states.length === 1 ? states[0] : null;
+    }
+
+    /**
+     * Redraw the map, legend and district tiles
+     */
+    render() {
+        if (!this.expanded || !this.shapes) return;
+
+        performanceMonitor.startTimer('choropleth-render');
+
+        try {
+            const counts = this.getCounts('state');
+            const max = Math.max(0, ...counts.values());
+            const selected = new Set(this.dataManager.getFacetFilters().state);
+
+            this.renderMap(counts, max, selected);
+            this.renderLegend(max);
+            this.renderDistricts();
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Map');
+        } finally {
+            performanceMonitor.endTimer('choropleth-render');
+        }
+    }
+
+    /**
+     * Build a focusable, shaded region for a state
+     * @param {string} tag - 'path' or 'rect'
+     * @param {Object} attributes - Geometry attributes
+     * @param {string} state - Postal code
+     * @param {number} count - Count for the state
+     * @param {number} max - Largest count on the map
+     * @param {boolean} selected - Whether the state is in the state filter
+     * @returns {SVGElement} Region element
+     */
+    createRegion(tag, attributes, state, count, max, selected) {
+        const label = `${DataManager.stateNames[state] || state}: ${this.describeCount(count)}`;
+        const classes = [
+            'choropleth__region',
+            `choropleth__region--level-${ChoroplethController.getLevel(count, max)}`,
+            selected ? 'choropleth__region--selected' : ''
+        ].filter(Boolean).join(' ');
+
+        const region = SvgChart.createElement(tag, {
+            ...attributes,
+            class: classes,
+            'data-state': state,
+            tabindex: 0,
+            role: 'button',
+            'aria-pressed': selected ? 'true' : 'false',
+            'aria-label': label
+        });
+        const title = SvgChart.createElement('title');
+        title.textContent = label;
+        region.appendChild(title);
+
+        return region;
+    }
+
+    /**
+     * Draw the state shapes and the inset tiles
+     * @param {Map<string, number>} counts - Count by state
+     * @param {number} max - Largest count
+     * @param {Set<string>} selected - Selected states
+     */
+    renderMap(counts, max, selected) {
+        if (!this.mapElement) return;
+
+        const svg = SvgChart.createElement('svg', {
+            class: 'choropleth__svg',
+            viewBox: '0 0 975 610',
+            role: 'group',
+            'aria-label': `Map of ${ChoroplethController.metrics[this.metric].label.toLowerCase()} by state`
+        });
+
+        this.shapes.forEach(({ state, path }) => {
+            svg.appendChild(this.createRegion('path', { d: path }, state, counts.get(state) || 0, max, selected.has(state)));
+        });
+
+        ChoroplethController.insetTiles.forEach(({ state, x, y }) => {
+            const group = SvgChart.createElement('g', { class: 'choropleth__inset' });
+            group.appendChild(this.createRegion('rect', { x, y, width: 44, height: 28, rx: 3 },
+                state, counts.get(state) || 0, max, selected.has(state)));
+            const text = SvgChart.createElement('text', { class: 'choropleth__inset-label', x: x + 22, y: y + 18, 'text-anchor': 'middle' });
+            text.textContent = state;
+            group.appendChild(text);
+            svg.appendChild(group);
+        });
+
+        this.mapElement.innerHTML = '';
+        this.mapElement.appendChild(svg);
+    }
+
+    /**
+     * Show the count range of each shading level
+     * @param {number} max - Largest count
+     */
+    renderLegend(max) {
+        if (!this.legendElement) return;
+
+        this.legendElement.innerHTML = '';
+        const levels = ChoroplethController.levels;
+        let lower = 1;
+
+        for (let level = 0; level <= levels; level++) {
+            // Level n covers counts up to max * (n / levels)^2
+            const upper = level === 0 ? 0 : Math.floor(max * (level / levels) ** 2);
+            if (level > 0 && upper < lower) continue;
+
+            const item = document.createElement('li');
+            item.className = 'choropleth__legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = `choropleth__swatch choropleth__region--level-${level}`;
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(
+                level === 0 ? '0' : lower === upper ? lower.toLocaleString() : `${lower.toLocaleString()}–${upper.toLocaleString()}`
+            ));
+            this.legendElement.appendChild(item);
+
+            if (level > 0) lower = upper + 1;
+        }
+    }
+
+    /**
+     * Draw the district tiles of the drilled-into state
+     */
+    renderDistricts() {
+        if (!this.districtPanel) return;
+
+        const state = this.getActiveState();
+        this.districtPanel.hidden = !state;
+        if (!state) return;
+
+        const counts = this.getCounts('district');
+        const districts = Array.from(counts.keys())
+            .filter(key => key !== 'Unknown' && key.substring(0, 2) === state)
+            .sort((a, b) => DataManager.parseStateDst(a).districtNumber - DataManager.parseStateDst(b).districtNumber);
+        const max = Math.max(0, ...districts.map(key => counts.get(key)));
+        const selected = new Set(this.dataManager.getFacetFilters().district);
+
+        if (this.districtTitle) {
+            this.districtTitle.textContent = `${DataManager.stateNames[state] || state} by district`;
+        }
+        if (!this.districtGrid) return;
+
+        this.districtGrid.innerHTML = '';
+        if (districts.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'choropleth__empty';
+            empty.textContent = `No ${ChoroplethController.metrics[this.metric].unit[1]} in the current results`;
+            this.districtGrid.appendChild(empty);
+            return;
+        }
+
+        districts.forEach(key => {
+            const count = counts.get(key);
+            const district = DataManager.formatDistrict(DataManager.parseStateDst(key));
+            const name = /^\d+$/.test(district) ? `District ${district}` : district;
+            const isSelected = selected.has(key);
+
+            const tile = document.createElement('button');
+            tile.type = 'button';
+            tile.className = [
+                'choropleth__district',
+                `choropleth__region--level-${ChoroplethController.getLevel(count, max)}`,
+                isSelected ? 'choropleth__district--selected' : ''
+            ].filter(Boolean).join(' ');
+            tile.dataset.district = key;
+            tile.setAttribute('aria-pressed', String(isSelected));
+            tile.title = `${key}: ${this.describeCount(count)}`;
+
+            const label = document.createElement('span');
+            label.className = 'choropleth__district-name';
+            label.textContent = name;
+            const value = document.createElement('span');
+            value.className = 'choropleth__district-count';
+            value.textContent = count.toLocaleString();
+            tile.append(label, value);
+
+            this.districtGrid.appendChild(tile);
+        });
+    }
+
+    /**
+     * Filter the table by a clicked state or district; clicking the selection again removes it
+     * @param {Element} region - Element with data-state or data-district
+     */
+    handleRegionClick(region) {
+        const district = region.getAttribute('data-district');
+        if (district) {
+            const values = this.dataManager.getFacetFilters().district;
+            this.facetController?.applyFacet('district', values.includes(district) ? [] : [district]);
+            this.body.querySelector(`[data-district="${district}"]`)?.focus();
+            return;
+        }
+
+        const state = region.getAttribute('data-state');
+        this.selectState(this.getActiveState() === state ? null : state);
+        this.body.querySelector(`[data-state="${state}"]`)?.focus();
+    }
+
+    /**
+     * Drill into a state, or back out to all states, updating the table's state filter
+     * @param {string|null} state - Postal code, or null for all states
+     */
+    selectState(state) {
+        // A district selection from another state would leave the table empty
+        this.dataManager.setFacetFilter('district', []);
+        this.facetController?.applyFacet('state', state ? [state] : []);
+    }
+}
+
+/**
+ * Reviewer decisions about filer identities, kept in localStorage
+ *
+ * Decisions refer to name variant keys (normalized name, suffix and StateDst), which stay
+ * the same as new years load: confirmed clusters, variants split off their cluster and
+ * merged pairs of variants.
+ */
+class FilerDecisionStore {
+    static get storageKey() {
+        return 'financialDisclosure.filerDecisions';
+    }
+
+    /**
+     * Load the saved decisions
+     * @returns {Object} { confirmed, split, merged }
+     */
+    static load() {
+        const empty = { confirmed: [], split: [], merged: [] };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved || saved.version !== 1) return empty;
+
+            return {
+                confirmed: Array.isArray(saved.confirmed) ? saved.confirmed : [],
+                split: Array.isArray(saved.split) ? saved.split : [],
+                merged: Array.isArray(saved.merged) ? saved.merged.filter(pair => Array.isArray(pair) && pair.length === 2) : []
+            };
+        } catch (error) {
+            console.warn('Filer decisions unavailable:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Save decisions
+     * @param {Object} decisions - { confirmed, split, merged }
+     */
+    static save(decisions) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, ...decisions }));
+        } catch (error) {
+            console.warn('Could not save filer decisions:', error);
+        }
+    }
+
+    /**
+     * Forget every decision
+     */
+    static clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not clear filer decisions:', error);
+        }
+    }
+}
+
+/**
+ * IDs issued for filers the reviewer split off, kept in localStorage
+ *
+ * Other filer IDs follow from the records (see DataManager.deriveFilerIds). A split-off
+ * part's ID lists its name variant keys, so once the split is undone, watchlists and
+ * #/member/ links holding it lead to the filer those variants rejoined.
+ */
+class FilerIdStore {
+    static get storageKey() {
+        return 'financialDisclosure.filerIds';
+    }
+
+    /**
+     * Load the issued IDs
+     * @returns {Map<string, Set<string>>} Variant keys keyed by filer ID, in issue order
+     */
+    static load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!saved || saved.version !== 1 || !saved.ids) return new Map();
+
+            return new Map(Object.entries(saved.ids)
+                .filter(([, keys]) => Array.isArray(keys))
+                .map(([id, keys]) => [id, new Set(keys)]));
+        } catch (error) {
+            console.warn('Filer IDs unavailable:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * Save the issued IDs
+     * @param {Map<string, Set<string>>} ids - Variant keys keyed by filer ID
+     */
+    static save(ids) {
+        const entries = Array.from(ids, ([id, keys]) => [id, Array.from(keys)]);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, ids: Object.fromEntries(entries) }));
+        } catch (error) {
+            console.warn('Could not save filer IDs:', error);
+        }
+    }
+}
+
+/**
+ * Date range controller for filtering by filing date
+ */
+class DateRangeController {
+    constructor(container, dataManager, tableRenderer, statisticsController) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.statisticsController = statisticsController;
+
+        this.presetSelect = container.querySelector('#datePreset');
+        this.fromInput = container.querySelector('#dateFrom');
+        this.toInput = container.querySelector('#dateTo');
+        this.previousVisit = VisitTracker.getPreviousVisit();
+
+        this.renderPresets();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Preset ranges offered in the picker
+     * @returns {Array} Preset definitions
+     */
+    static get presets() {
+        return [
+            { value: '', label: 'Any date' },
+            { value: 'yesterday', label: 'Since yesterday' },
+            { value: 'last7', label: 'Last 7 days' },
+            { value: 'last30', label: 'Last 30 days' },
+            { value: 'quarter', label: 'This quarter' },
+            { value: 'lastVisit', label: 'Since my last visit' }
+        ];
+    }
+
+    /**
+     * Compute the date range of a preset
+     * @param {string} preset - Preset value
+     * @param {Date} [now] - Reference time
+     * @param {Date|null} [previousVisit] - Previous visit, for the lastVisit preset
+     * @returns {Object} Range with from/to dates (null when open)
+     */
+    static computePreset(preset, now = new Date(), previousVisit = null) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const daysAgo = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+
+        switch (preset) {
+            case 'yesterday':
+                return { from: daysAgo(1), to: today };
+            case 'last7':
+                return { from: daysAgo(6), to: today };
+            case 'last30':
+                return { from: daysAgo(29), to: today };
+            case 'quarter':
+                return { from: new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1), to: today };
+            case 'lastVisit':
+                return previousVisit ? { from: previousVisit, to: null } : { from: null, to: null };
+            default:
+                return { from: null, to: null };
+        }
+    }
+
+    /**
+     * Describe a date range for chips and announcements
+     * @param {Object} range - Range from DataManager.getDateRange
+     * @returns {string} Human readable description
+     */
+    static describeRange(range) {
+        const preset = this.presets.find(option => option.value && option.value === range.preset);
+        if (preset) return preset.label;
+
+        const format = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+        if (range.from && range.to) return `${format(range.from)} – ${format(range.to)}`;
+        if (range.from) return `from ${format(range.from)}`;
+        if (range.to) return `until ${format(range.to)}`;
+        return 'Any date';
+    }
+
+    /**
+     * Format a date as the value of a date input
+     * @param {Date|null} date - Date to format
+     * @returns {string} YYYY-MM-DD, or an empty string
+     */
+    static toInputValue(date) {
+        if (!(date instanceof Date)) return '';
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Fill the preset dropdown
+     */
+    renderPresets() {
+        if (!this.presetSelect) return;
+
+        this.presetSelect.innerHTML = '';
+        DateRangeController.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.value;
+            option.textContent = preset.label;
+
+            if (preset.value === 'lastVisit') {
+                if (this.previousVisit) {
+                    option.title = `Filed on or after ${this.previousVisit.toLocaleString('en-US')}`;
+                } else {
+                    option.disabled = true;
+                    option.textContent += ' (first visit)';
+                }
+            }
+
+            this.presetSelect.appendChild(option);
+        });
+
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom range';
+        custom.hidden = true;
+        this.presetSelect.appendChild(custom);
+    }
+
+    /**
+     * Setup event listeners for the preset picker and date inputs
+     */
+    setupEventListeners() {
+        if (this.presetSelect) {
+            this.presetSelect.addEventListener('change', this.handlePresetChange.bind(this));
+        }
+        [this.fromInput, this.toInput].forEach(input => {
+            if (input) input.addEventListener('change', this.handleInputChange.bind(this));
+        });
+
+        // Keep the inputs in sync when the range is cleared elsewhere (chips, clear button)
+        this.dataManager.subscribe(() => this.syncInputs());
+    }
+
+    /**
+     * Handle preset selection
+     */
+    handlePresetChange() {
+        const preset = this.presetSelect.value;
+        const { from, to } = DateRangeController.computePreset(preset, new Date(), this.previousVisit);
+        this.applyRange(from, to, preset || null);
+    }
+
+    /**
+     * Handle manual edits of the from/to inputs
+     */
+    handleInputChange() {
+        let from = this.dataManager.parseDate(this.fromInput.value);
+        let to = this.dataManager.parseDate(this.toInput.value);
+
+        // Accept ranges entered backwards
+        if (from && to && from.getTime() > to.getTime()) {
+            [from, to] = [to, from];
+        }
+
+        this.applyRange(from, to, null);
+    }
+
+    /**
+     * Apply a date range and refresh the table
+     * @param {Date|null} from - First day to include
+     * @param {Date|null} to - Last day to include
+     * @param {string|null} preset - Preset name
+     */
+    applyRange(from, to, preset) {
+        try {
+            const members = this.dataManager.setDateRange(from, to, preset);
+            this.tableRenderer.updateDisplay(members);
+            this.tableRenderer.scrollToTop();
+            this.statisticsController.updateFilteredRecords(members.length);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Date Filter');
+        }
+    }
+
+    /**
+     * Reflect the active date range in the inputs
+     */
+    syncInputs() {
+        const range = this.dataManager.getDateRange();
+
+        if (this.fromInput) this.fromInput.value = DateRangeController.toInputValue(range.from);
+        if (this.toInput) this.toInput.value = DateRangeController.toInputValue(range.to);
+
+        if (this.presetSelect) {
+            const isOpen = !range.from && !range.to;
+            this.presetSelect.value = range.preset || (isOpen ? '' : 'custom');
+        }
+
+        this.container.classList.toggle('active', Boolean(range.from || range.to));
+    }
+}
+
+/**
+ * Mirrors search, filters, sort, datasets and scroll position in the query string
+ * so a view can be bookmarked, shared and walked with back/forward
+ */
+class UrlStateController {
+    constructor(dataManager, tableRenderer, statisticsController, searchController, sortController, datasetController = null) {
         this.dataManager = dataManager;
-        this.isVirtualScrolling = false;
-        this.virtualScrollThreshold = 1000;
-        this.visibleRowCount = 50;
-        this.scrollTop = 0;
-        this.rowHeight = 41; // Approximate row height in pixels
+        this.tableRenderer = tableRenderer;
+        this.statisticsController = statisticsController;
+        this.searchController = searchController;
+        this.sortController = sortController;
+        this.datasetController = datasetController;
 
-        this.setupVirtualScrolling();
+        this.isRestoring = false;
+        this.lastChange = null;
+        this.scrollTimer = null;
+        this.scrollDelay = 300;
     }
 
     /**
-     * Setup virtual scrolling container
+     * Query string keys of each facet
+     * @returns {Object} Parameter name keyed by facet
      */
-    setupVirtualScrolling() {
-        const tableContainer = this.table.closest('.table-container');
+    static get facetParams() {
+        return {
+            filingType: 'type',
+            state: 'state',
+            district: 'district',
+            year: 'year',
+            month: 'month',
+            change: 'changes',
+            watch: 'watch'
+        };
+    }
+
+    /**
+     * Restore the view from the current URL, then start tracking changes
+     */
+    async start() {
+        await this.restore(window.location.search);
+
+        // Normalize the entry we landed on without adding a history step
+        window.history.replaceState({ viewState: true }, '', this.buildUrl(this.serialize(), true));
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup listeners for state changes, scrolling and history navigation
+     */
+    setupEventListeners() {
+        this.dataManager.subscribe(() => this.update());
+        this.sortController?.subscribe(() => this.update());
+
+        const tableContainer = this.tableRenderer.table.closest('.table-container');
         if (tableContainer) {
             tableContainer.addEventListener('scroll', this.handleScroll.bind(this));
         }
+
+        window.addEventListener('popstate', this.handlePopState.bind(this));
     }
 
     /**
-     * Handle scroll events for virtual scrolling
-     * @param {Event} event - Scroll event
+     * Serialize the current view into query parameters
+     * @returns {URLSearchParams} Parameters, without the scroll anchor
      */
-    handleScroll(event) {
-        if (!this.isVirtualScrolling) return;
+    serialize() {
+        const state = this.dataManager.getViewState();
+        const params = new URLSearchParams();
 
-        this.scrollTop = event.target.scrollTop;
-        this.renderVisibleRows();
+        if (state.searchTerm) {
+            params.set('q', state.searchTerm);
+        }
+
+        Object.entries(UrlStateController.facetParams).forEach(([facet, name]) => {
+            if (state.facets[facet].length > 0) {
+                params.set(name, state.facets[facet].join(','));
+            }
+        });
+
+        // Presets are relative to today, so share the preset rather than its dates
+        const { from, to, preset } = state.dateRange;
+        if (preset) {
+            params.set('date', preset);
+        } else {
+            if (from) params.set('from', DateRangeController.toInputValue(from));
+            if (to) params.set('to', DateRangeController.toInputValue(to));
+        }
+
+        if (state.sortCriteria.length > 0) {
+            params.set('sort', state.sortCriteria
+                .map(({ column, direction }) => (direction === 'desc' ? '-' : '') + column)
+                .join(','));
+        }
+
+        // Datasets are spelled out once anything else is set, so a shared link keeps its
+        // meaning after a new year becomes the default
+        const activeYears = this.dataManager.getActiveYears();
+        const defaultYears = this.dataManager.getDefaultYears().sort((a, b) => b - a);
+        if (params.toString() || activeYears.join(',') !== defaultYears.join(',')) {
+            params.set('datasets', activeYears.join(','));
+        }
+
+        return params;
     }
 
     /**
-     * Render all members in the table
-     * @param {Array} members - Array of member objects to render
+     * Parse query parameters into a view state
+     * @param {string} search - Query string (with or without the leading "?")
+     * @returns {Object} View state plus dataset years and scroll anchor
      */
-    render(members) {
-        performanceMonitor.startTimer('table-render');
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const list = (name) => (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+
+        const facets = {};
+        Object.entries(UrlStateController.facetParams).forEach(([facet, name]) => {
+            facets[facet] = list(name);
+        });
+
+        let dateRange = { from: null, to: null, preset: null };
+        const preset = params.get('date');
+        if (preset && DateRangeController.presets.some(option => option.value === preset)) {
+            const range = DateRangeController.computePreset(preset, new Date(), VisitTracker.getPreviousVisit());
+            dateRange = { ...range, preset };
+        } else {
+            dateRange.from = params.get('from') ? this.dataManager.parseDate(params.get('from')) : null;
+            dateRange.to = params.get('to') ? this.dataManager.parseDate(params.get('to')) : null;
+        }
+
+        const sortable = new Set(['relevance', ...(this.sortController?.getSortableColumns() || []).map(info => info.column)]);
+        const sortCriteria = list('sort')
+            .map(key => ({
+                column: key.replace(/^-/, ''),
+                direction: key.startsWith('-') ? 'desc' : 'asc'
+            }))
+            .filter(({ column }, index, criteria) => sortable.has(column) &&
+                criteria.findIndex(other => other.column === column) === index);
+
+        return {
+            searchTerm: DataValidator.sanitizeSearchInput(params.get('q') || ''),
+            facets,
+            dateRange,
+            sortCriteria,
+            years: list('datasets').map(year => parseInt(year, 10)).filter(year => !isNaN(year)),
+            anchor: params.get('at')
+        };
+    }
+
+    /**
+     * Build a URL for the given parameters, keeping the path and hash
+     * @param {URLSearchParams} params - View parameters
+     * @param {boolean} [withAnchor] - Whether to include the current scroll anchor
+     * @returns {string} Relative URL
+     */
+    buildUrl(params, withAnchor = false) {
+        if (withAnchor) {
+            const anchor = this.getScrollAnchor();
+            if (anchor) params.set('at', anchor);
+        }
+
+        // Commas and colons are legal in a query string and keep shared links readable
+        const query = params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+
+    /**
+     * Apply a URL's view state to the app
+     * @param {string} search - Query string
+     */
+    async restore(search) {
+        const state = this.parse(search);
+        this.isRestoring = true;
 
         try {
-            if (!members || members.length === 0) {
-                this.renderEmptyState();
-                return;
+            // Load requested datasets first so filters apply to the right records
+            const years = state.years.length > 0 ? state.years : this.dataManager.getDefaultYears();
+            const activeYears = this.dataManager.getActiveYears();
+            if (years.some(year => !activeYears.includes(year)) || years.length !== activeYears.length) {
+                try {
+                    await this.dataManager.setActiveDatasets(years);
+                } catch (error) {
+                    console.warn('Ignoring datasets from URL:', error.message);
+                }
+                this.datasetController?.render();
             }
 
-            // Decide whether to use virtual scrolling
-            this.isVirtualScrolling = members.length > this.virtualScrollThreshold;
+            let members;
+            let queryError = null;
+            try {
+                members = this.dataManager.setViewState(state);
+            } catch (error) {
+                if (!(error instanceof QuerySyntaxError)) throw error;
 
-            if (this.isVirtualScrolling) {
-                this.renderVirtualTable(members);
-            } else {
-                this.renderStandardTable(members);
+                // Keep the rest of the link working and point at the bad query
+                queryError = error;
+                members = this.dataManager.setViewState({ ...state, searchTerm: '' });
             }
 
-            this.showTable();
+            this.searchController?.syncSearchInput(state.searchTerm);
+            if (queryError) {
+                this.searchController?.showQueryError(queryError, state.searchTerm);
+            }
+            this.sortController?.syncWithDataManager();
+
+            this.tableRenderer.render(members);
+            this.statisticsController.updateStatistics();
+
+            const anchorIndex = state.anchor ? members.findIndex(member => member.docID === state.anchor) : -1;
+            if (anchorIndex > 0) {
+                this.tableRenderer.scrollToIndex(anchorIndex);
+            } else {
+                this.tableRenderer.scrollToTop();
+            }
         } catch (error) {
-            ErrorHandler.handleError(error, 'Table Rendering');
+            ErrorHandler.handleError(error, 'Restoring View');
         } finally {
-            performanceMonitor.endTimer('table-render');
+            this.isRestoring = false;
         }
     }
 
     /**
-     * Render table using standard DOM manipulation
-     * @param {Array} members - Array of member objects
+     * Record a changed view as a history entry
      */
-    renderStandardTable(members) {
-        // Clear existing content
-        this.tbody.innerHTML = '';
+    update() {
+        if (this.isRestoring) return;
+
+        const current = new URLSearchParams(window.location.search);
+        current.delete('at');
+        const params = this.serialize();
+        if (params.toString() === current.toString()) return;
+
+        // Typing a search refines one entry instead of adding one per keystroke
+        const changed = new Set([...current.keys(), ...params.keys()]);
+        changed.forEach(key => {
+            if (current.get(key) === params.get(key)) changed.delete(key);
+        });
+        const change = changed.size === 1 && changed.has('q') ? 'search' : 'view';
 
-        // Create document fragment for efficient DOM manipulation
-        const fragment = document.createDocumentFragment();
+        const url = this.buildUrl(params);
+        if (change === 'search' && this.lastChange === 'search') {
+            window.history.replaceState({ viewState: true }, '', url);
+        } else {
+            // Remember where the outgoing view was scrolled before leaving it
+            this.saveScrollAnchor();
+            window.history.pushState({ viewState: true }, '', url);
+        }
+
+        this.lastChange = change;
+    }
+
+    /**
+     * Get the docID of the first row in view
+     * @returns {string|null} Scroll anchor, or null at the top
+     */
+    getScrollAnchor() {
+        const index = this.tableRenderer.getFirstVisibleIndex();
+        if (index <= 0) return null;
+
+        const member = (this.tableRenderer.renderedMembers || [])[index];
+        return member && member.docID ? member.docID : null;
+    }
+
+    /**
+     * Store the scroll anchor in the current history entry
+     */
+    saveScrollAnchor() {
+        clearTimeout(this.scrollTimer);
+
+        const params = new URLSearchParams(window.location.search);
+        params.delete('at');
+        window.history.replaceState(window.history.state, '', this.buildUrl(params, true));
+    }
+
+    /**
+     * Handle table scrolling, debounced
+     */
+    handleScroll() {
+        if (this.isRestoring) return;
+
+        clearTimeout(this.scrollTimer);
+        this.scrollTimer = setTimeout(() => this.saveScrollAnchor(), this.scrollDelay);
+    }
+
+    /**
+     * Handle back/forward navigation
+     */
+    async handlePopState() {
+        clearTimeout(this.scrollTimer);
+        this.lastChange = null;
+        await this.restore(window.location.search);
+    }
+}
+
+/**
+ * Side drawer previewing the selected filing's metadata and PDF
+ */
+class PreviewDrawerController {
+    constructor(drawer, dataManager, tableRenderer, linkResolver) {
+        this.drawer = drawer;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.linkResolver = linkResolver;
+
+        this.title = drawer.querySelector('#drawerTitle');
+        this.position = drawer.querySelector('#drawerPosition');
+        this.meta = drawer.querySelector('#drawerMeta');
+        this.preview = drawer.querySelector('#pdfPreview');
+        this.pageInput = drawer.querySelector('#pdfPage');
+        this.pageCount = drawer.querySelector('#pdfPageCount');
+        this.zoomSelect = drawer.querySelector('#pdfZoom');
+        this.openLink = drawer.querySelector('#pdfOpen');
+        this.resizer = drawer.querySelector('.drawer__resizer');
+
+        this.member = null;
+        this.page = 1;
+        this.totalPages = null;
+        this.zoom = 'width';
+        this.pdfUrl = null;
+        this.objectUrl = null;
+        this.loadToken = 0;
+        this.returnFocusTo = null;
+
+        this.widthKey = 'financialDisclosure.drawerWidth';
+        this.minWidth = 320;
+
+        this.renderZoomOptions();
+        this.restoreWidth();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Zoom levels offered in the toolbar
+     * @returns {Array} Zoom definitions; value is a PDF open parameter
+     */
+    static get zoomLevels() {
+        return [
+            { value: 'width', label: 'Fit width' },
+            { value: 'page', label: 'Fit page' },
+            { value: '50', label: '50%' },
+            { value: '75', label: '75%' },
+            { value: '100', label: '100%' },
+            { value: '125', label: '125%' },
+            { value: '150', label: '150%' },
+            { value: '200', label: '200%' }
+        ];
+    }
+
+    /**
+     * Setup event listeners for rows, drawer controls, keys and resizing
+     */
+    setupEventListeners() {
+        // Rows are re-rendered, so delegate from the table body
+        this.tableRenderer.tbody.addEventListener('click', this.handleRowClick.bind(this));
+
+        this.drawer.querySelector('#drawerClose')?.addEventListener('click', () => this.close());
+        this.drawer.querySelector('#drawerPrev')?.addEventListener('click', () => this.step(-1));
+        this.drawer.querySelector('#drawerNext')?.addEventListener('click', () => this.step(1));
+        this.drawer.querySelector('#pdfPagePrev')?.addEventListener('click', () => this.goToPage(this.page - 1));
+        this.drawer.querySelector('#pdfPageNext')?.addEventListener('click', () => this.goToPage(this.page + 1));
+        this.drawer.querySelector('#pdfZoomOut')?.addEventListener('click', () => this.stepZoom(-1));
+        this.drawer.querySelector('#pdfZoomIn')?.addEventListener('click', () => this.stepZoom(1));
+
+        if (this.pageInput) {
+            this.pageInput.addEventListener('change', () => this.goToPage(parseInt(this.pageInput.value, 10)));
+        }
+        if (this.zoomSelect) {
+            this.zoomSelect.addEventListener('change', () => this.setZoom(this.zoomSelect.value));
+        }
+
+        // Registered before the app shortcuts, so Escape closes the drawer before it clears the search
+        document.addEventListener('keydown', this.handleKeydown.bind(this));
+
+        if (this.resizer) {
+            this.resizer.addEventListener('pointerdown', this.handleResizeStart.bind(this));
+            this.resizer.addEventListener('keydown', this.handleResizerKeydown.bind(this));
+        }
+
+        // Keep the position counter and row highlight right as the results change
+        this.dataManager.subscribe(() => {
+            if (this.isOpen()) this.updatePosition();
+        });
+    }
+
+    /**
+     * Open the drawer for a clicked row
+     * @param {MouseEvent} event - Click event
+     */
+    handleRowClick(event) {
+        // Links in the row (the PDF link) keep their own behaviour
+        if (event.target.closest('a, button, input')) return;
+
+        const row = event.target.closest('tr[data-index]');
+        if (!row) return;
+
+        const member = this.tableRenderer.renderedMembers[parseInt(row.getAttribute('data-index'), 10)];
+        if (member) {
+            this.open(member);
+        }
+    }
+
+    /**
+     * Handle drawer keyboard shortcuts
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        if (!this.isOpen() || event.ctrlKey || event.metaKey || event.altKey) return;
+
+        // Leave typing and open dialogs alone
+        const target = event.target;
+        if (target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])') ||
+            document.querySelector('.modal[aria-hidden="false"]')) {
+            return;
+        }
+
+        // Stepping through rows only applies while focus is in the drawer or the table, so
+        // arrow keys elsewhere (autocomplete, tabs, the page) keep their own meaning
+        const inScope = this.drawer.contains(target) || this.tableRenderer.table.contains(target);
+        if (!inScope && event.key !== 'Escape') return;
+
+        switch (event.key) {
+            case 'j':
+            case 'J':
+            case 'ArrowDown':
+                event.preventDefault();
+                this.step(1);
+                break;
+            case 'k':
+            case 'K':
+            case 'ArrowUp':
+                event.preventDefault();
+                this.step(-1);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * Check whether the drawer is showing
+     * @returns {boolean} Whether the drawer is open
+     */
+    isOpen() {
+        return !this.drawer.hidden;
+    }
+
+    /**
+     * Show a filing in the drawer
+     * @param {Object} member - Member object
+     */
+    open(member) {
+        if (!this.isOpen()) {
+            this.returnFocusTo = document.activeElement;
+            this.drawer.hidden = false;
+        }
+
+        // Take focus so J/K and the arrow keys step through the results; close() hands it back
+        if (!this.drawer.contains(document.activeElement)) {
+            this.drawer.focus({ preventScroll: true });
+        }
+
+        this.member = member;
+        this.page = 1;
+        this.totalPages = null;
+
+        this.renderMeta();
+        this.updatePosition();
+        this.loadPreview();
+    }
+
+    /**
+     * Close the drawer and release the loaded PDF
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.drawer.hidden = true;
+        this.member = null;
+        this.loadToken++;
+        this.preview.innerHTML = '';
+        this.releaseObjectUrl();
+        this.tableRenderer.setSelectedMember(null);
+
+        if (this.returnFocusTo && this.returnFocusTo !== document.body && typeof this.returnFocusTo.focus === 'function') {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
 
-        members.forEach((member, index) => {
-            const row = this.createTableRow(member, index);
-            fragment.appendChild(row);
-        });
+    /**
+     * Move to the previous or next filing of the current results
+     * @param {number} offset - -1 for previous, 1 for next
+     */
+    step(offset) {
+        const members = this.dataManager.getFilteredMembers();
+        if (!this.member || members.length === 0) return;
 
-        this.tbody.appendChild(fragment);
+        // A filing filtered out since it was opened continues from the top
+        const index = members.indexOf(this.member);
+        const nextIndex = index === -1 ? 0 : index + offset;
+        if (nextIndex < 0 || nextIndex >= members.length) return;
+
+        this.open(members[nextIndex]);
     }
 
     /**
-     * Render table using virtual scrolling
-     * @param {Array} members - Array of member objects
+     * Update the "n of m" counter, navigation buttons and the selected row
      */
-    renderVirtualTable(members) {
-        this.currentMembers = members;
+    updatePosition() {
+        const members = this.dataManager.getFilteredMembers();
+        const index = members.indexOf(this.member);
 
-        // Set up virtual scrolling container height
-        const totalHeight = members.length * this.rowHeight;
-        const tableContainer = this.table.closest('.table-container');
+        this.position.textContent = index >= 0
+            ? `${(index + 1).toLocaleString()} of ${members.length.toLocaleString()} results`
+            : 'Not in current results';
 
-        if (tableContainer) {
-            tableContainer.style.height = '600px'; // Fixed height for virtual scrolling
-            this.tbody.style.height = `${totalHeight}px`;
-            this.tbody.style.position = 'relative';
-        }
+        const prev = this.drawer.querySelector('#drawerPrev');
+        const next = this.drawer.querySelector('#drawerNext');
+        if (prev) prev.disabled = index <= 0;
+        if (next) next.disabled = index === -1 ? members.length === 0 : index >= members.length - 1;
 
-        this.renderVisibleRows();
+        const rowIndex = this.tableRenderer.setSelectedMember(this.member);
+        this.tableRenderer.ensureIndexVisible(rowIndex);
     }
 
     /**
-     * Render only visible rows for virtual scrolling
+     * Render the selected filing's metadata
      */
-    renderVisibleRows() {
-        if (!this.currentMembers) return;
+    renderMeta() {
+        const member = this.member;
+        const name = [member.prefix, member.firstName, member.lastName, member.suffix].filter(Boolean).join(' ');
+        const description = DataManager.filingTypeDescriptions[member.filingType];
+        const link = this.linkResolver ? this.linkResolver.resolve(member) : null;
+
+        this.title.textContent = name || 'Unnamed filer';
+
+        const fields = [
+            ['Filing type', member.filingType ? `${member.filingType} — ${description || 'Unknown type'}` : ''],
+            ['State/District', member.stateDst ? `${member.stateDst} (${DataManager.describeStateDst(member)})` : ''],
+            ['Year', member.year ? String(member.year) : ''],
+            ['Filing date', this.tableRenderer.formatDateForDisplay(member.filingDate, member.filingDateString)],
+            ['Document ID', member.docID],
+            ['PDF source', link ? (link.mirrored ? 'Local mirror (pdfs/)' : 'House Clerk') : 'Unavailable']
+        ];
 
-        const containerHeight = 600; // Fixed container height
-        const startIndex = Math.floor(this.scrollTop / this.rowHeight);
-        const endIndex = Math.min(
-            startIndex + Math.ceil(containerHeight / this.rowHeight) + 5, // Buffer rows
-            this.currentMembers.length
-        );
+        this.meta.innerHTML = '';
+        fields.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value || '—';
+            this.meta.appendChild(dt);
+            this.meta.appendChild(dd);
+        });
+    }
 
-        // Clear existing rows
-        this.tbody.innerHTML = '';
+    /**
+     * Load the selected filing's PDF into the preview
+     * Mirrored PDFs are fetched so their page count is known; clerk PDFs are embedded directly.
+     */
+    async loadPreview() {
+        const token = ++this.loadToken;
+        const link = this.linkResolver ? this.linkResolver.resolve(this.member) : null;
+
+        this.releaseObjectUrl();
+        this.pdfUrl = null;
+        this.updatePageControls();
+
+        if (!link) {
+            this.showPreviewMessage('No PDF is available for this filing.');
+            if (this.openLink) this.openLink.hidden = true;
+            return;
+        }
 
-        // Create spacer for rows above viewport
-        if (startIndex > 0) {
-            const topSpacer = document.createElement('tr');
-            topSpacer.style.height = `${startIndex * this.rowHeight}px`;
-            topSpacer.innerHTML = '<td colspan="9"></td>';
-            this.tbody.appendChild(topSpacer);
+        if (this.openLink) {
+            this.openLink.hidden = false;
+            this.openLink.href = link.url;
         }
 
-        // Create document fragment for visible rows
-        const fragment = document.createDocumentFragment();
+        if (!link.mirrored) {
+            this.pdfUrl = link.url;
+            this.renderPreview();
+            return;
+        }
 
-        for (let i = startIndex; i < endIndex; i++) {
-            const member = this.currentMembers[i];
-            if (member) {
-                const row = this.createTableRow(member, i);
-                fragment.appendChild(row);
+        this.showPreviewMessage('Loading PDF…');
+
+        try {
+            const response = await fetch(link.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
-        }
+            const buffer = await response.arrayBuffer();
 
-        this.tbody.appendChild(fragment);
+            // A newer selection started while this one was loading
+            if (token !== this.loadToken) return;
 
-        // Create spacer for rows below viewport
-        const remainingRows = this.currentMembers.length - endIndex;
-        if (remainingRows > 0) {
-            const bottomSpacer = document.createElement('tr');
-            bottomSpacer.style.height = `${remainingRows * this.rowHeight}px`;
-            bottomSpacer.innerHTML = '<td colspan="9"></td>';
-            this.tbody.appendChild(bottomSpacer);
+            this.totalPages = PreviewDrawerController.countPages(buffer);
+            this.objectUrl = URL.createObjectURL(new Blob([buffer], { type: 'application/pdf' }));
+            this.pdfUrl = this.objectUrl;
+            this.renderPreview();
+        } catch (error) {
+            if (token !== this.loadToken) return;
+
+            // The mirror may lag the index; the clerk's copy still works
+            console.warn(`Failed to load mirrored PDF ${this.member.docID}:`, error.message);
+            this.pdfUrl = link.clerkUrl;
+            if (this.pdfUrl) {
+                this.renderPreview();
+            } else {
+                this.showPreviewMessage('The PDF could not be loaded.');
+            }
         }
     }
 
     /**
-     * Create a table row element for a member
-     * @param {Object} member - Member object
-     * @param {number} index - Row index
-     * @returns {HTMLElement} Table row element
+     * Count the pages of a PDF from its page objects
+     * @param {ArrayBuffer} buffer - PDF bytes
+     * @returns {number|null} Page count, or null when it cannot be determined
      */
-    createTableRow(member, index) {
-        const row = document.createElement('tr');
-        row.setAttribute('data-index', index);
-
-        // Add alternating row classes for styling
-        if (index % 2 === 0) {
-            row.classList.add('even-row');
+    static countPages(buffer) {
+        const text = new TextDecoder('latin1').decode(buffer);
+
+        // The page tree root's /Count is the total; fall back to counting page objects
+        const counts = Array.from(text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)|\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g))
+            .map(match => parseInt(match[1] || match[2], 10));
+        if (counts.length > 0) {
+            return Math.max(...counts);
         }
 
-        // Create cells
-        const cells = [
-            this.createCell(member.prefix, 'prefix'),
-            this.createCell(member.lastName, 'last-name'),
-            this.createCell(member.firstName, 'first-name'),
-            this.createCell(member.suffix, 'suffix'),
-            this.createCell(member.filingType, 'filing-type'),
-            this.createCell(member.stateDst, 'state-dst'),
-            this.createCell(member.year || '', 'year'),
-            this.createCell(this.formatDateForDisplay(member.filingDate, member.filingDateString), 'filing-date'),
-            this.createCell(member.docID, 'doc-id')
-        ];
+        const pages = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+        return pages > 0 ? pages : null;
+    }
 
-        cells.forEach(cell => row.appendChild(cell));
+    /**
+     * Embed the PDF at the current page and zoom
+     * The browser's PDF viewer reads both from the URL fragment.
+     */
+    renderPreview() {
+        const zoom = this.zoom === 'width' ? 'view=FitH' : this.zoom === 'page' ? 'view=Fit' : `zoom=${this.zoom}`;
 
-        return row;
+        // A fresh frame makes every viewer honour the new fragment
+        const frame = document.createElement('iframe');
+        frame.title = `PDF of filing ${this.member.docID}`;
+        frame.src = `${this.pdfUrl}#page=${this.page}&${zoom}`;
+
+        this.preview.innerHTML = '';
+        this.preview.appendChild(frame);
+        this.updatePageControls();
     }
 
     /**
-     * Create a table cell element
-     * @param {string} content - Cell content
-     * @param {string} className - CSS class name
-     * @returns {HTMLElement} Table cell element
+     * Replace the preview with a message
+     * @param {string} message - Message to show
      */
-    createCell(content, className) {
-        const cell = document.createElement('td');
-        cell.className = className;
+    showPreviewMessage(message) {
+        this.preview.innerHTML = '';
+        const paragraph = document.createElement('p');
+        paragraph.className = 'drawer__message';
+        paragraph.textContent = message;
+        this.preview.appendChild(paragraph);
+    }
 
-        // Sanitize content
-        const sanitizedContent = DataValidator.sanitizeHTML(content || '');
+    /**
+     * Go to a page of the PDF
+     * @param {number} page - 1-based page number
+     */
+    goToPage(page) {
+        if (!this.pdfUrl || isNaN(page)) {
+            this.updatePageControls();
+            return;
+        }
 
-        // Handle empty content
-        if (!sanitizedContent.trim()) {
-            cell.innerHTML = '<span class="empty-cell">—</span>';
-            cell.classList.add('empty');
+        const lastPage = this.totalPages || Infinity;
+        const clamped = Math.min(Math.max(1, page), lastPage);
+        if (clamped !== this.page) {
+            this.page = clamped;
+            this.renderPreview();
         } else {
-            cell.textContent = sanitizedContent;
+            this.updatePageControls();
+        }
+    }
 
-            // Add tooltip for long content
-            if (sanitizedContent.length > 20) {
-                cell.title = sanitizedContent;
-                cell.classList.add('truncated');
+    /**
+     * Set the zoom level
+     * @param {string} zoom - Value from zoomLevels
+     */
+    setZoom(zoom) {
+        this.zoom = zoom;
+        if (this.zoomSelect) this.zoomSelect.value = zoom;
+        if (this.pdfUrl) this.renderPreview();
+    }
+
+    /**
+     * Zoom in or out to the next percentage level
+     * @param {number} direction - 1 to zoom in, -1 to zoom out
+     */
+    stepZoom(direction) {
+        const percentages = PreviewDrawerController.zoomLevels
+            .map(level => parseInt(level.value, 10))
+            .filter(value => !isNaN(value));
+
+        // Fit modes zoom from 100%
+        const current = parseInt(this.zoom, 10) || 100;
+        const next = direction > 0
+            ? percentages.find(value => value > current)
+            : percentages.slice().reverse().find(value => value < current);
+
+        if (next) {
+            this.setZoom(String(next));
+        }
+    }
+
+    /**
+     * Reflect page and zoom state in the toolbar
+     */
+    updatePageControls() {
+        const hasPdf = Boolean(this.pdfUrl);
+
+        if (this.pageInput) {
+            this.pageInput.value = String(this.page);
+            this.pageInput.disabled = !hasPdf;
+            if (this.totalPages) {
+                this.pageInput.max = String(this.totalPages);
+            } else {
+                this.pageInput.removeAttribute('max');
             }
         }
+        if (this.pageCount) {
+            this.pageCount.textContent = this.totalPages ? `of ${this.totalPages}` : '';
+        }
 
-        return cell;
+        const prev = this.drawer.querySelector('#pdfPagePrev');
+        const next = this.drawer.querySelector('#pdfPageNext');
+        if (prev) prev.disabled = !hasPdf || this.page <= 1;
+        if (next) next.disabled = !hasPdf || (this.totalPages !== null && this.page >= this.totalPages);
+        if (this.zoomSelect) this.zoomSelect.value = this.zoom;
     }
 
     /**
-     * Format date for display
-     * @param {Date} date - Date object
-     * @param {string} fallback - Fallback string if date is invalid
-     * @returns {string} Formatted date string
+     * Fill the zoom dropdown
      */
-    formatDateForDisplay(date, fallback) {
-        if (date instanceof Date && !isNaN(date.getTime())) {
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
+    renderZoomOptions() {
+        if (!this.zoomSelect) return;
+
+        this.zoomSelect.innerHTML = '';
+        PreviewDrawerController.zoomLevels.forEach(level => {
+            const option = document.createElement('option');
+            option.value = level.value;
+            option.textContent = level.label;
+            this.zoomSelect.appendChild(option);
+        });
+        this.zoomSelect.value = this.zoom;
+    }
+
+    /**
+     * Revoke the object URL of the previously loaded PDF
+     */
+    releaseObjectUrl() {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
         }
-        return fallback || '';
     }
 
     /**
-     * Update table display with new data
-     * @param {Array} members - Array of member objects
+     * Apply the drawer width saved by a previous resize
      */
-    updateDisplay(members) {
-        // Add updating class for smooth transition
-        this.table.classList.add('table-updating');
+    restoreWidth() {
+        try {
+            const width = parseInt(localStorage.getItem(this.widthKey), 10);
+            if (!isNaN(width)) this.setWidth(width);
+        } catch (error) {
+            // Storage may be unavailable (private mode); keep the default width
+        }
+    }
 
-        setTimeout(() => {
-            this.render(members);
-            this.table.classList.remove('table-updating');
-            this.table.classList.add('table-updated');
+    /**
+     * Set the drawer width, keeping it within the viewport
+     * @param {number} width - Width in pixels
+     * @returns {number} Width applied
+     */
+    setWidth(width) {
+        const clamped = Math.round(Math.min(Math.max(this.minWidth, width), window.innerWidth * 0.9));
+        this.drawer.style.setProperty('--drawer-width', `${clamped}px`);
+        this.resizer?.setAttribute('aria-valuenow', String(clamped));
+        return clamped;
+    }
 
-            setTimeout(() => {
-                this.table.classList.remove('table-updated');
-            }, 300);
-        }, 50);
+    /**
+     * Save the drawer width for later visits
+     * @param {number} width - Width in pixels
+     */
+    saveWidth(width) {
+        try {
+            localStorage.setItem(this.widthKey, String(width));
+        } catch (error) {
+            // Storage may be unavailable (private mode); the width just isn't remembered
+        }
     }
 
     /**
-     * Show loading state
+     * Start dragging the resize handle
+     * @param {PointerEvent} event - Pointerdown event
      */
-    showLoading() {
-        const loadingState = document.getElementById('loadingState');
-        const tableSection = document.getElementById('tableSection');
+    handleResizeStart(event) {
+        event.preventDefault();
+        this.resizer.setPointerCapture?.(event.pointerId);
+        this.drawer.classList.add('resizing');
 
-        if (loadingState) loadingState.style.display = 'flex';
-        if (tableSection) tableSection.style.display = 'none';
+        let width = this.drawer.getBoundingClientRect().width;
+        const onMove = (moveEvent) => {
+            width = this.setWidth(window.innerWidth - moveEvent.clientX);
+        };
+        const onEnd = () => {
+            this.drawer.classList.remove('resizing');
+            this.resizer.removeEventListener('pointermove', onMove);
+            this.resizer.removeEventListener('pointerup', onEnd);
+            this.resizer.removeEventListener('pointercancel', onEnd);
+            this.saveWidth(width);
+        };
 
-        // Show skeleton loading in table
-        this.renderSkeletonRows();
+        this.resizer.addEventListener('pointermove', onMove);
+        this.resizer.addEventListener('pointerup', onEnd);
+        this.resizer.addEventListener('pointercancel', onEnd);
     }
 
     /**
-     * Hide loading state and show table
+     * Resize with the arrow keys while the handle has focus
+     * @param {KeyboardEvent} event - Keydown event
      */
-    hideLoading() {
-        const loadingState = document.getElementById('loadingState');
-        if (loadingState) loadingState.style.display = 'none';
-        this.showTable();
+    handleResizerKeydown(event) {
+        const step = event.shiftKey ? 128 : 32;
+        const width = this.drawer.getBoundingClientRect().width;
+
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.saveWidth(this.setWidth(width + (event.key === 'ArrowLeft' ? step : -step)));
+        }
     }
+}
 
+/**
+ * Review dialog for filer identities: confirm clusters, split off name variants or merge
+ * filers the resolver kept apart
+ */
+class FilerReviewController {
     /**
-     * Show the table section
+     * @param {HTMLElement} modal - Review dialog
+     * @param {DataManager} dataManager - Filing records and filer entities
+     * @param {TableRenderer} tableRenderer - Filings table, re-rendered after a decision
+     * @param {ModalController} modalController - Opens and closes the dialog
+     * @param {Object} [elements] - Optional open button, list, summary, filter select,
+     *     search input and reset button
      */
-    showTable() {
-        const tableSection = document.getElementById('tableSection');
-        const emptyState = document.getElementById('emptyState');
+    constructor(modal, dataManager, tableRenderer, modalController, elements = {}) {
+        this.modal = modal;
+        this.dataManager = dataManager;
+        this.tableRenderer = tableRenderer;
+        this.modalController = modalController;
+        this.openButton = elements.openButton || null;
+        this.list = elements.list || modal.querySelector('ul');
+        this.summary = elements.summary || null;
+        this.filterSelect = elements.filterSelect || null;
+        this.searchInput = elements.searchInput || null;
+        this.resetButton = elements.resetButton || null;
+
+        this.filter = 'review';
+        this.term = '';
+        this.decisions = FilerDecisionStore.load();
+        this.maxItems = 50;
+
+        this.renderFilterOptions();
+        this.setupEventListeners();
+    }
 
-        if (tableSection) tableSection.style.display = 'block';
-        if (emptyState) emptyState.style.display = 'none';
+    /**
+     * Views offered in the filter select
+     * @returns {Object} Label keyed by filter
+     */
+    static get filters() {
+        return {
+            review: 'Needs review',
+            merged: 'Merged name variants',
+            confirmed: 'Confirmed',
+            all: 'All filers'
+        };
     }
 
     /**
-     * Render empty state when no data is available
+     * Setup listeners for opening, filtering and the decision buttons
      */
-    renderEmptyState() {
-        const tableSection = document.getElementById('tableSection');
-        const emptyState = document.getElementById('emptyState');
+    setupEventListeners() {
+        this.openButton?.addEventListener('click', () => this.open());
 
-        if (tableSection) tableSection.style.display = 'block';
-        if (emptyState) emptyState.style.display = 'block';
+        this.filterSelect?.addEventListener('change', () => {
+            this.filter = this.filterSelect.value;
+            this.render();
+        });
 
-        // Clear table body
-        this.tbody.innerHTML = '';
+        this.searchInput?.addEventListener('input', () => {
+            this.term = QueryParser.normalizeText(this.searchInput.value.trim());
+            this.render();
+        });
+
+        this.resetButton?.addEventListener('click', () => {
+            FilerDecisionStore.clear();
+            this.applyDecisions({ confirmed: [], split: [], merged: [] }, false);
+        });
+
+        // Items are re-rendered, so delegate from the list
+        this.list.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (button) this.handleAction(button);
+        });
     }
 
     /**
-     * Render skeleton loading rows
+     * Open the dialog, loading every dataset year so all name variants are compared
      */
-    renderSkeletonRows() {
-        this.tbody.innerHTML = '';
+    async open() {
+        this.modalController.openModal(this.modal);
 
-        const fragment = document.createDocumentFragment();
+        try {
+            await Promise.all(this.dataManager.getDatasets().map(({ year }) => this.dataManager.loadDataset(year)));
+            this.render();
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Filer Review');
+        }
+    }
 
-        // Create 10 skeleton rows
-        for (let i = 0; i < 10; i++) {
-            const row = document.createElement('tr');
-            row.className = 'skeleton-loading';
+    /**
+     * Record the decision of a clicked button
+     * @param {HTMLElement} button - Button with data-action and data-filer
+     */
+    handleAction(button) {
+        const filer = this.dataManager.getFiler(button.getAttribute('data-filer'));
+        if (!filer) return;
+
+        const decisions = {
+            confirmed: [...this.decisions.confirmed],
+            split: [...this.decisions.split],
+            merged: [...this.decisions.merged]
+        };
 
-            // Create 9 skeleton cells (matching column count)
-            for (let j = 0; j < 9; j++) {
-                const cell = document.createElement('td');
-                const skeleton = document.createElement('div');
-                skeleton.className = 'skeleton-row';
-                skeleton.style.width = `${60 + Math.random() * 40}%`; // Random width for variety
-                cell.appendChild(skeleton);
-                row.appendChild(cell);
+        switch (button.getAttribute('data-action')) {
+            case 'confirm':
+                decisions.confirmed.push(filer.key);
+                break;
+            case 'unconfirm':
+                decisions.confirmed = decisions.confirmed.filter(key => key !== filer.key);
+                break;
+            case 'split': {
+                // The variant stops joining its namesakes; merges made by hand are undone
+                const variant = button.getAttribute('data-variant');
+                decisions.split.push(variant);
+                decisions.merged = decisions.merged.filter(pair => !pair.includes(variant));
+                break;
+            }
+            case 'merge': {
+                const target = this.dataManager.getFiler(button.getAttribute('data-target'));
+                if (!target) return;
+                decisions.merged.push([filer.variants[0].key, target.variants[0].key]);
+                break;
             }
+            default:
+                return;
+        }
 
-            fragment.appendChild(row);
+        this.applyDecisions(decisions);
+    }
+
+    /**
+     * Save decisions, re-cluster and refresh the dialog and the filings table
+     * @param {Object} decisions - { confirmed, split, merged }
+     * @param {boolean} [save] - Whether to persist the decisions
+     */
+    applyDecisions(decisions, save = true) {
+        this.decisions = decisions;
+        if (save) {
+            FilerDecisionStore.save(decisions);
         }
 
-        this.tbody.appendChild(fragment);
+        this.dataManager.setFilerDecisions(decisions);
+        this.tableRenderer.updateDisplay(this.dataManager.getFilteredMembers());
+        this.render();
     }
 
     /**
-     * Get current scroll position for virtual scrolling
-     * @returns {number} Current scroll position
+     * Get the filers shown for the current filter and search, least certain first
+     * @returns {Array<Object>} Filer entities
      */
-    getScrollPosition() {
-        const tableContainer = this.table.closest('.table-container');
-        return tableContainer ? tableContainer.scrollTop : 0;
+    getVisibleFilers() {
+        const matchesFilter = {
+            review: filer => !filer.confirmed && filer.reasons.length > 0,
+            merged: filer => filer.variants.length > 1,
+            confirmed: filer => filer.confirmed,
+            all: () => true
+        }[this.filter];
+
+        return this.dataManager.getFilers()
+            .filter(filer => matchesFilter(filer) &&
+                (!this.term || QueryParser.normalizeText(`${filer.name} ${filer.id}`).includes(this.term)))
+            .sort((a, b) => a.confidence - b.confidence || this.dataManager.collator.compare(a.name, b.name));
+    }
+
+    /**
+     * Render the summary and the filer list
+     */
+    render() {
+        const filers = this.getVisibleFilers();
+        const all = this.dataManager.getFilers();
+
+        if (this.summary) {
+            const pending = all.filter(filer => !filer.confirmed && filer.reasons.length > 0).length;
+            const records = all.reduce((total, filer) => total + filer.members.length, 0);
+            this.summary.textContent = `${all.length.toLocaleString()} filers from ${records.toLocaleString()} records; ` +
+                `${pending.toLocaleString()} to review. Decisions are saved in this browser.` +
+                (filers.length > this.maxItems ? ` Showing the first ${this.maxItems} of ${filers.length.toLocaleString()}.` : '');
+        }
+
+        const fragment = document.createDocumentFragment();
+        filers.slice(0, this.maxItems).forEach(filer => fragment.appendChild(this.createItem(filer)));
+
+        if (filers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'filer-review__empty';
+            empty.textContent = 'No filers match.';
+            fragment.appendChild(empty);
+        }
+
+        this.list.innerHTML = '';
+        this.list.appendChild(fragment);
     }
 
     /**
-     * Scroll to top of table
+     * Create the review item of a filer
+     * @param {Object} filer - Filer entity
+     * @returns {HTMLElement} List item element
      */
-    scrollToTop() {
-        const tableContainer = this.table.closest('.table-container');
-        if (tableContainer) {
-            tableContainer.scrollTop = 0;
+    createItem(filer) {
+        const item = document.createElement('li');
+        item.className = 'filer-review__item';
+
+        const header = document.createElement('div');
+        header.className = 'filer-review__header';
+
+        const name = document.createElement('a');
+        name.className = 'filer-review__name';
+        name.href = `${MemberProfileController.routePrefix}${encodeURIComponent(filer.id)}`;
+        name.textContent = filer.name;
+        name.addEventListener('click', () => this.modalController.closeModal());
+        header.appendChild(name);
+
+        const id = document.createElement('code');
+        id.className = 'filer-review__id';
+        id.textContent = filer.id;
+        header.appendChild(id);
+
+        header.appendChild(this.createConfidenceBadge(filer));
+        item.appendChild(header);
+
+        if (filer.reasons.length > 0) {
+            const reasons = document.createElement('ul');
+            reasons.className = 'filer-review__reasons';
+            filer.reasons.forEach(reason => {
+                const li = document.createElement('li');
+                li.textContent = reason;
+                reasons.appendChild(li);
+            });
+            item.appendChild(reasons);
         }
+
+        item.appendChild(this.createVariantTable(filer));
+        item.appendChild(this.createActions(filer));
+        return item;
     }
 
     /**
-     * Get table statistics
-     * @returns {Object} Table statistics
+     * Create the confidence badge of a filer
+     * @param {Object} filer - Filer entity
+     * @returns {HTMLElement} Badge element
      */
-    getTableStats() {
-        const rows = this.tbody.querySelectorAll('tr:not(.skeleton-loading)');
-        return {
-            visibleRows: rows.length,
-            isVirtualScrolling: this.isVirtualScrolling,
-            scrollPosition: this.getScrollPosition()
-        };
+    createConfidenceBadge(filer) {
+        const badge = document.createElement('span');
+        const level = filer.confirmed ? 'confirmed' : filer.confidence >= 0.9 ? 'high' : filer.confidence >= 0.75 ? 'medium' : 'low';
+        badge.className = `confidence-badge confidence-badge--${level}`;
+        badge.textContent = filer.confirmed ? 'Confirmed' : `${Math.round(filer.confidence * 100)}%`;
+        badge.title = filer.confirmed ? 'Confirmed by a reviewer' : 'Confidence that these records are one person';
+        return badge;
     }
-}/**
- * 
-Search controller for handling search functionality
- */
-class SearchController {
-    constructor(searchInput, dataManager, tableRenderer) {
-        this.searchInput = searchInput;
-        this.dataManager = dataManager;
-        this.tableRenderer = tableRenderer;
-        this.currentSearchTerm = '';
-        this.debounceDelay = 300;
-        this.debounceTimer = null;
 
-        this.setupEventListeners();
+    /**
+     * Create the table of a filer's name variants, with a split button when there are several
+     * @param {Object} filer - Filer entity
+     * @returns {HTMLElement} Table element
+     */
+    createVariantTable(filer) {
+        const table = document.createElement('table');
+        table.className = 'filer-review__variants';
+
+        const tbody = table.createTBody();
+        filer.variants.forEach(variant => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = variant.name;
+            row.insertCell().textContent = variant.stateDst || 'No state/district';
+            row.insertCell().textContent = `${variant.count} ${variant.count === 1 ? 'filing' : 'filings'}`;
+            row.insertCell().textContent = variant.years.join(', ');
+
+            const actionCell = row.insertCell();
+            if (filer.variants.length > 1) {
+                actionCell.appendChild(this.createButton('Split', 'split', filer, {
+                    variant: variant.key,
+                    label: `Split ${variant.name} (${variant.stateDst || 'no state/district'}) into a separate filer`
+                }));
+            }
+        });
+
+        return table;
     }
 
     /**
-     * Setup event listeners for search functionality
+     * Create the confirm button and the merge buttons of possible matches
+     * @param {Object} filer - Filer entity
+     * @returns {HTMLElement} Actions element
      */
-    setupEventListeners() {
-        // Search input event
-        this.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
-
-        // Clear search button
-        const clearButton = document.getElementById('clearSearch');
-        if (clearButton) {
-            clearButton.addEventListener('click', this.clearSearch.bind(this));
+    createActions(filer) {
+        const actions = document.createElement('div');
+        actions.className = 'filer-review__actions';
+
+        actions.appendChild(filer.confirmed
+            ? this.createButton('Unconfirm', 'unconfirm', filer)
+            : this.createButton('Confirm', 'confirm', filer, { label: `Confirm that these records are ${filer.name}` }));
+
+        const candidates = this.dataManager.getFilerCandidates(filer.id);
+        if (candidates.length > 0) {
+            const label = document.createElement('span');
+            label.className = 'filer-review__candidates-label';
+            label.textContent = 'Possible matches:';
+            actions.appendChild(label);
+
+            candidates.forEach(candidate => {
+                actions.appendChild(this.createButton(
+                    `Merge ${candidate.name} (${candidate.stateDsts.join(', ') || 'no state/district'})`, 'merge', filer, {
+                        target: candidate.id,
+                        label: `Merge ${candidate.name} into ${filer.name}`
+                    }
+                ));
+            });
         }
 
-        // Keyboard shortcuts
-        this.searchInput.addEventListener('keydown', this.handleKeydown.bind(this));
-
-        // Focus management
-        this.searchInput.addEventListener('focus', this.handleFocus.bind(this));
-        this.searchInput.addEventListener('blur', this.handleBlur.bind(this));
+        return actions;
     }
 
     /**
-     * Handle search input events
-     * @param {Event} event - Input event
+     * Create a decision button
+     * @param {string} text - Button text
+     * @param {string} action - Decision: confirm, unconfirm, split or merge
+     * @param {Object} filer - Filer entity the decision applies to
+     * @param {Object} [options] - Variant key, merge target ID and accessible label
+     * @returns {HTMLElement} Button element
      */
-    handleSearchInput(event) {
-        const searchTerm = DataValidator.sanitizeSearchInput(event.target.value);
+    createButton(text, action, filer, options = {}) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn--secondary btn--small';
+        button.textContent = text;
+        button.setAttribute('data-action', action);
+        button.setAttribute('data-filer', filer.id);
+        if (options.variant) button.setAttribute('data-variant', options.variant);
+        if (options.target) button.setAttribute('data-target', options.target);
+        if (options.label) button.setAttribute('aria-label', options.label);
+        return button;
+    }
 
-        // Clear existing debounce timer
-        if (this.debounceTimer) {
-            clearTimeout(this.debounceTimer);
-        }
+    /**
+     * Fill the filter select
+     */
+    renderFilterOptions() {
+        if (!this.filterSelect) return;
+
+        this.filterSelect.innerHTML = '';
+        Object.entries(FilerReviewController.filters).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === this.filter;
+            this.filterSelect.appendChild(option);
+        });
+    }
+}
 
-        // Set new debounce timer
-        this.debounceTimer = setTimeout(() => {
-            this.performSearch(searchTerm);
-        }, this.debounceDelay);
+/**
+ * Profile of one filer at #/member/<filerId>, gathering their filings across every dataset year
+ *
+ * The route holds the resolved filer ID (#/member/cohen-steve-tn), so people sharing a
+ * surname get separate profiles and one person's name variants share one. A record's own
+ * slug of last name, first name and state/district (#/member/cohen-steve-tn09) also works.
+ */
+class MemberProfileController {
+    /**
+     * @param {HTMLElement} container - Profile view, shown in place of the tab panels
+     * @param {DataManager} dataManager - Filing records and datasets
+     * @param {PdfLinkResolver} [linkResolver] - Links document IDs to their PDFs
+     * @param {Object} [elements] - Optional heading, summary, body, back button, view tabs,
+     *     tab view controller, preview drawer controller, and watch button with the
+     *     watchlist controller it toggles
+     */
+    constructor(container, dataManager, linkResolver = null, elements = {}) {
+        this.container = container;
+        this.dataManager = dataManager;
+        this.linkResolver = linkResolver;
+        this.nameElement = elements.name || container.querySelector('h2');
+        this.summaryElement = elements.summary || null;
+        this.body = elements.body || container;
+        this.backButton = elements.backButton || null;
+        this.viewTabs = elements.viewTabs || null;
+        this.viewController = elements.viewController || null;
+        this.previewDrawerController = elements.previewDrawerController || null;
+        this.watchButton = elements.watchButton || null;
+        this.watchlistController = elements.watchlistController || null;
+
+        this.slug = null;
+        this.filer = null;
+        this.filings = [];
+        // Whether the profile was opened from within the app, so Back can return to it
+        this.openedInApp = false;
+        this.dateFormat = new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
 
-        // Update clear button visibility
-        this.updateClearButtonVisibility(searchTerm);
+        this.setupEventListeners();
     }
 
     /**
-     * Handle keydown events for keyboard shortcuts
-     * @param {KeyboardEvent} event - Keydown event
+     * Prefix of profile routes in the URL hash
+     * @returns {string} Route prefix
      */
-    handleKeydown(event) {
-        switch (event.key) {
-            case 'Escape':
-                this.clearSearch();
-                event.preventDefault();
-                break;
-            case 'Enter':
-                // Immediate search on Enter
-                if (this.debounceTimer) {
-                    clearTimeout(this.debounceTimer);
-                }
-                const searchTerm = DataValidator.sanitizeSearchInput(event.target.value);
-                this.performSearch(searchTerm);
-                event.preventDefault();
-                break;
-        }
+    static get routePrefix() {
+        return '#/member/';
     }
 
     /**
-     * Handle focus events
-     * @param {Event} event - Focus event
+     * Build the profile slug of a filer
+     * @param {Object} member - Member object
+     * @returns {string} Slug, e.g. "cohen-steve-tn09"
      */
-    handleFocus(event) {
-        event.target.classList.add('focused');
+    static slugFor(member) {
+        return [member.lastName, member.firstName, member.stateDst]
+            .map(part => QueryParser.normalizeText(part))
+            .join(' ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
     }
 
     /**
-     * Handle blur events
-     * @param {Event} event - Blur event
+     * Build the profile route of a filer
+     * @param {Object} member - Member object
+     * @returns {string} URL hash, e.g. "#/member/cohen-steve-tn"
      */
-    handleBlur(event) {
-        event.target.classList.remove('focused');
+    static routeFor(member) {
+        return `${MemberProfileController.routePrefix}${member.filerId || MemberProfileController.slugFor(member)}`;
     }
 
     /**
-     * Perform search operation
-     * @param {string} searchTerm - Search term to filter by
+     * Read the profile slug from a URL hash
+     * @param {string} hash - URL hash
+     * @returns {string|null} Slug, or null when the hash is not a profile route
      */
-    performSearch(searchTerm) {
-        performanceMonitor.startTimer('search-operation');
+    static parseRoute(hash) {
+        if (!hash.startsWith(MemberProfileController.routePrefix)) return null;
 
-        try {
-            this.currentSearchTerm = searchTerm;
+        const slug = decodeURIComponent(hash.slice(MemberProfileController.routePrefix.length)).toLowerCase();
+        return slug || null;
+    }
 
-            // Show loading state for long searches
-            if (searchTerm.length > 0) {
-                this.showSearchLoading();
-            }
+    /**
+     * Setup listeners for route changes and leaving the profile
+     */
+    setupEventListeners() {
+        window.addEventListener('hashchange', () => {
+            this.openedInApp = true;
+            this.route();
+        });
 
-            // Filter members
-            const filteredMembers = this.dataManager.filterMembers(searchTerm);
+        this.backButton?.addEventListener('click', () => this.close());
 
-            // Update table display
-            this.tableRenderer.updateDisplay(filteredMembers);
+        this.watchButton?.addEventListener('click', () => {
+            if (!this.filer || !this.watchlistController) return;
+            this.watchlistController.toggle(this.filer.id);
+            this.renderWatchButton();
+        });
 
-            // Update statistics
-            this.updateSearchStats(filteredMembers.length);
+        // Picking a tab leaves the profile for that tab's view
+        this.viewTabs?.addEventListener('click', (event) => {
+            if (this.slug && event.target.closest('[role="tab"]')) {
+                this.close(false);
+            }
+        });
+    }
 
-            // Hide loading state
-            this.hideSearchLoading();
+    /**
+     * Show or hide the profile for the current URL hash
+     * @returns {Promise} Resolves once the profile is rendered or hidden
+     */
+    async route() {
+        const slug = MemberProfileController.parseRoute(window.location.hash);
+        if (slug) {
+            await this.open(slug);
+        } else {
+            this.hide();
+        }
+    }
 
-            // Scroll to top of results
-            this.tableRenderer.scrollToTop();
+    /**
+     * Open the profile of a filer, loading every dataset year first
+     * @param {string} slug - Filer ID or record slug
+     */
+    async open(slug) {
+        performanceMonitor.startTimer('member-profile');
+        this.slug = slug;
+        this.show();
 
-            // Log search analytics
-            this.logSearchAnalytics(searchTerm, filteredMembers.length);
+        try {
+            const datasets = this.dataManager.getDatasets();
+            await Promise.all(datasets.map(({ year }) => this.dataManager.loadDataset(year)));
+            this.filer = this.findFiler(slug);
+
+            // Newest dataset first, so a docID re-published in a later year's file is listed
+            // once, as in the table
+            const seen = new Set();
+            this.filings = [];
+            datasets.forEach(dataset => {
+                (dataset.members || []).forEach(member => {
+                    if (!this.filer || member.filerId !== this.filer.id) return;
+                    if (member.docID && seen.has(member.docID)) return;
+                    if (member.docID) seen.add(member.docID);
+                    this.filings.push(member);
+                });
+            });
 
+            // A newer route may have replaced this one while the datasets loaded
+            if (this.slug === slug) {
+                this.render();
+            }
         } catch (error) {
-            ErrorHandler.handleError(error, 'Search');
-            this.hideSearchLoading();
+            ErrorHandler.handleError(error, 'Member Profile');
         } finally {
-            performanceMonitor.endTimer('search-operation');
+            performanceMonitor.endTimer('member-profile');
         }
     }
 
     /**
-     * Clear search and reset to all results
+     * Find the filer a route points at
+     * @param {string} slug - Filer ID or record slug
+     * @returns {Object|null} Filer entity
      */
-    clearSearch() {
-        this.searchInput.value = '';
-        this.currentSearchTerm = '';
-
-        // Clear debounce timer
-        if (this.debounceTimer) {
-            clearTimeout(this.debounceTimer);
-        }
+    findFiler(slug) {
+        const filer = this.dataManager.getFiler(slug);
+        if (filer) return filer;
 
-        // Reset to all members
-        const allMembers = this.dataManager.getMembers();
-        this.dataManager.filteredMembers = [...allMembers];
+        const member = this.dataManager.getDatasets()
+            .flatMap(dataset => dataset.members || [])
+            .find(candidate => MemberProfileController.slugFor(candidate) === slug);
+        return member ? this.dataManager.getFiler(member.filerId) : null;
+    }
 
-        // Update display
-        this.tableRenderer.updateDisplay(allMembers);
+    /**
+     * Leave the profile
+     * @param {boolean} [restoreView] - Whether to show the tab view the profile replaced
+     */
+    close(restoreView = true) {
+        if (this.openedInApp && restoreView) {
+            // Return to the results the profile was opened from, scroll position included
+            window.history.back();
+            return;
+        }
 
-        // Update statistics
-        this.updateSearchStats(allMembers.length);
+        window.history.pushState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+        this.hide(restoreView);
+    }
 
-        // Update clear button visibility
-        this.updateClearButtonVisibility('');
+    /**
+     * Show the profile view in place of the tab panels
+     */
+    show() {
+        this.previewDrawerController?.close();
 
-        // Focus search input
-        this.searchInput.focus();
+        document.querySelectorAll('.view[role="tabpanel"]').forEach(panel => {
+            panel.hidden = true;
+        });
+        this.container.hidden = false;
     }
 
     /**
-     * Update search statistics display
-     * @param {number} resultCount - Number of filtered results
+     * Hide the profile view
+     * @param {boolean} [restoreView] - Whether to show the tab view the profile replaced
      */
-    updateSearchStats(resultCount) {
-        const filteredRecordsEl = document.getElementById('filteredRecords');
-        if (filteredRecordsEl) {
-            filteredRecordsEl.textContent = resultCount.toLocaleString();
+    hide(restoreView = true) {
+        if (!this.slug) return;
 
-            // Add visual indicator for filtered results
-            if (this.currentSearchTerm && resultCount < this.dataManager.getMembers().length) {
-                filteredRecordsEl.classList.add('filtered');
-                filteredRecordsEl.title = `Showing ${resultCount} of ${this.dataManager.getMembers().length} total records`;
+        this.slug = null;
+        this.filer = null;
+        this.filings = [];
+        this.container.hidden = true;
+
+        if (restoreView) {
+            if (this.viewController) {
+                this.viewController.selectView(this.viewController.activeView);
             } else {
-                filteredRecordsEl.classList.remove('filtered');
-                filteredRecordsEl.title = '';
+                const filingsView = document.getElementById('filingsView');
+                if (filingsView) filingsView.hidden = false;
             }
         }
     }
 
     /**
-     * Update clear button visibility
-     * @param {string} searchTerm - Current search term
+     * Render the profile of the current filer
      */
-    updateClearButtonVisibility(searchTerm) {
-        const clearButton = document.getElementById('clearSearch');
-        if (clearButton) {
-            if (searchTerm.trim().length > 0) {
-                clearButton.style.display = 'inline-flex';
-                clearButton.disabled = false;
-            } else {
-                clearButton.style.display = 'none';
-                clearButton.disabled = true;
+    render() {
+        this.body.innerHTML = '';
+        this.renderWatchButton();
+
+        if (this.filings.length === 0) {
+            this.nameElement.textContent = 'Member not found';
+            if (this.summaryElement) {
+                this.summaryElement.textContent = `No filings match "${this.slug}" in ${this.describeYears()}.`;
             }
+            return;
         }
-    }
 
-    /**
-     * Show search loading indicator
-     */
-    showSearchLoading() {
-        this.searchInput.classList.add('searching');
+        // Chronological, with undated filings last
+        const filings = [...this.filings].sort((a, b) => {
+            const timeA = a.filingDate instanceof Date ? a.filingDate.getTime() : Infinity;
+            const timeB = b.filingDate instanceof Date ? b.filingDate.getTime() : Infinity;
+            return timeA - timeB || this.dataManager.collator.compare(a.docID, b.docID);
+        });
 
-        // Add loading indicator to search input
-        if (!this.searchInput.parentNode.querySelector('.search-loading')) {
-            const loadingIndicator = document.createElement('div');
-            loadingIndicator.className = 'search-loading';
-            loadingIndicator.innerHTML = '<div class="search-spinner"></div>';
-            this.searchInput.parentNode.appendChild(loadingIndicator);
+        // The latest filing carries the current form of the name
+        const latest = filings[filings.length - 1];
+        const name = [latest.prefix, latest.firstName, latest.lastName, latest.suffix].filter(Boolean).join(' ');
+        this.nameElement.textContent = latest.stateDst ? `${name} (${latest.stateDst})` : name;
+
+        if (this.summaryElement) {
+            this.summaryElement.textContent = `${filings.length.toLocaleString()} ` +
+                `${filings.length === 1 ? 'filing' : 'filings'} in ${this.describeYears()}. ${this.describeCadence(filings)} ` +
+                this.describeIdentity();
         }
+
+        this.body.appendChild(this.renderYearCounts(filings));
+        this.body.appendChild(this.renderTimeline(filings));
+        this.body.appendChild(this.renderTypeGroups(filings));
+
+        // Viewing the profile catches up on the filer's new filings
+        this.watchlistController?.markSeen(this.filer.id);
     }
 
     /**
-     * Hide search loading indicator
+     * Show the watch star for the current filer
      */
-    hideSearchLoading() {
-        this.searchInput.classList.remove('searching');
+    renderWatchButton() {
+        if (!this.watchButton) return;
 
-        const loadingIndicator = this.searchInput.parentNode.querySelector('.search-loading');
-        if (loadingIndicator) {
-            loadingIndicator.remove();
-        }
+        this.watchButton.hidden = !this.filer || !this.watchlistController;
+        if (this.watchButton.hidden) return;
+
+        this.watchButton.dataset.name = this.filer.name;
+        WatchlistController.updateStar(this.watchButton, this.watchlistController.isWatched(this.filer.id));
     }
 
     /**
-     * Log search analytics for performance monitoring
-     * @param {string} searchTerm - Search term used
-     * @param {number} resultCount - Number of results found
+     * Describe the filer ID and, when records were clustered, how certain that is
+     * @returns {string} Identity sentence
      */
-    logSearchAnalytics(searchTerm, resultCount) {
-        if (searchTerm.trim().length > 0) {
-            console.log(`Search: "${searchTerm}" returned ${resultCount} results`);
+    describeIdentity() {
+        const { id, variants, confidence, confirmed } = this.filer;
+        if (variants.length === 1) {
+            return `Filer ID ${id}.`;
+        }
 
-            // Track search performance
-            const totalRecords = this.dataManager.getMembers().length;
-            const filterRatio = resultCount / totalRecords;
+        const names = variants.map(variant => `${variant.name} (${variant.stateDst || 'no state/district'})`);
+        const certainty = confirmed ? 'confirmed' : `${Math.round(confidence * 100)}% confidence`;
+        return `Filer ID ${id}, filed as ${names.join(', ')}; ${certainty}.`;
+    }
 
-            if (filterRatio < 0.1 && resultCount > 0) {
-                console.log('Highly specific search - good filtering');
-            } else if (resultCount === 0) {
-                console.log('No results found - consider search suggestions');
-            }
-        }
+    /**
+     * Describe the dataset years searched
+     * @returns {string} e.g. "2026 and 2025"
+     */
+    describeYears() {
+        const years = this.dataManager.getDatasets().map(({ year }) => String(year));
+        return years.length > 1
+            ? `${years.slice(0, -1).join(', ')} and ${years[years.length - 1]}`
+            : years.join('') || 'the loaded datasets';
     }
 
     /**
-     * Get current search term
-     * @returns {string} Current search term
+     * Describe how often the filer reports transactions
+     * @param {Array} filings - Filings in chronological order
+     * @returns {string} Cadence sentence, empty with fewer than two dated PTRs
      */
-    getCurrentSearchTerm() {
-        return this.currentSearchTerm;
+    describeCadence(filings) {
+        const gaps = this.getGaps(filings.filter(filing => filing.filingType === 'P'));
+        if (gaps.length === 0) return '';
+
+        const sorted = [...gaps].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+        return `Files a PTR every ${median.toLocaleString()} ${median === 1 ? 'day' : 'days'} (median).`;
     }
 
     /**
-     * Set search term programmatically
-     * @param {string} searchTerm - Search term to set
+     * Days between consecutive dated filings
+     * @param {Array} filings - Filings in chronological order
+     * @returns {Array<number>} Gaps in days
      */
-    setSearchTerm(searchTerm) {
-        const sanitizedTerm = DataValidator.sanitizeSearchInput(searchTerm);
-        this.searchInput.value = sanitizedTerm;
-        this.performSearch(sanitizedTerm);
+    getGaps(filings) {
+        const dates = filings.map(filing => filing.filingDate).filter(date => date instanceof Date);
+        return dates.slice(1).map((date, index) => Math.round((date - dates[index]) / 86400000));
     }
 
     /**
-     * Get search suggestions based on current data
-     * @param {string} partialTerm - Partial search term
-     * @returns {Array} Array of search suggestions
+     * Render filing counts per year and filing type
+     * @param {Array} filings - Filings of the filer
+     * @returns {HTMLElement} Section element
      */
-    getSearchSuggestions(partialTerm) {
-        if (!partialTerm || partialTerm.length < 2) {
-            return [];
-        }
+    renderYearCounts(filings) {
+        const types = Array.from(new Set(filings.map(filing => filing.filingType || 'Unknown'))).sort();
+        const counts = new Map();
+        filings.forEach(filing => {
+            const year = filing.year || filing.datasetYear || 'Unknown';
+            if (!counts.has(year)) counts.set(year, {});
+            const row = counts.get(year);
+            const type = filing.filingType || 'Unknown';
+            row[type] = (row[type] || 0) + 1;
+        });
 
-        const term = partialTerm.toLowerCase();
-        const suggestions = new Set();
-        const members = this.dataManager.getMembers();
+        const table = document.createElement('table');
+        table.className = 'data-table data-table--summary member-profile__counts';
 
-        // Collect suggestions from various fields
-        members.forEach(member => {
-            // Last names
-            if (member.lastName && member.lastName.toLowerCase().startsWith(term)) {
-                suggestions.add(member.lastName);
+        const headerRow = table.createTHead().insertRow();
+        ['Year', ...types, 'Total'].forEach((label, index) => {
+            const header = document.createElement('th');
+            header.textContent = label;
+            if (index > 0) {
+                header.className = 'numeric';
+                header.title = DataManager.filingTypeDescriptions[label] || '';
             }
+            headerRow.appendChild(header);
+        });
 
-            // First names
-            if (member.firstName && member.firstName.toLowerCase().startsWith(term)) {
-                suggestions.add(member.firstName);
-            }
+        const tbody = table.createTBody();
+        Array.from(counts.keys()).sort((a, b) => String(b).localeCompare(String(a))).forEach(year => {
+            const row = tbody.insertRow();
+            const values = types.map(type => counts.get(year)[type] || 0);
+            [year, ...values, values.reduce((total, value) => total + value, 0)].forEach((value, index) => {
+                const cell = row.insertCell();
+                cell.textContent = String(value);
+                if (index > 0) cell.className = 'numeric';
+            });
+        });
+
+        return this.createSection('Filings per Year', table);
+    }
 
-            // States
-            if (member.stateDst && member.stateDst.toLowerCase().startsWith(term)) {
-                suggestions.add(member.stateDst);
+    /**
+     * Render the filings as a timeline, noting the days since the previous filing of each type
+     * @param {Array} filings - Filings in chronological order
+     * @returns {HTMLElement} Section element
+     */
+    renderTimeline(filings) {
+        const list = document.createElement('ol');
+        list.className = 'member-timeline';
+        const previousByType = new Map();
+
+        filings.forEach(filing => {
+            const type = filing.filingType || '';
+            const item = document.createElement('li');
+            item.className = `member-timeline__item member-timeline__item--${type.toLowerCase() || 'unknown'}`;
+
+            const date = document.createElement('span');
+            date.className = 'member-timeline__date';
+            date.textContent = this.formatDate(filing);
+            item.appendChild(date);
+
+            const label = document.createElement('span');
+            label.className = 'member-timeline__type';
+            label.textContent = DataManager.filingTypeDescriptions[type] || type || 'Unknown filing type';
+            item.appendChild(label);
+
+            item.appendChild(this.createDocLink(filing));
+
+            const previous = previousByType.get(type);
+            if (previous && filing.filingDate instanceof Date) {
+                const days = this.getGaps([previous, filing])[0];
+                const gap = document.createElement('span');
+                gap.className = 'member-timeline__gap';
+                gap.textContent = `${days.toLocaleString()} ${days === 1 ? 'day' : 'days'} after the previous one`;
+                item.appendChild(gap);
+            } else if (type === 'A' && previousByType.has('X')) {
+                // Annual reports usually follow an extension request
+                const gap = document.createElement('span');
+                gap.className = 'member-timeline__gap';
+                gap.textContent = `after the extension of ${this.formatDate(previousByType.get('X'))}`;
+                item.appendChild(gap);
             }
 
-            // Filing types
-            if (member.filingType && member.filingType.toLowerCase().startsWith(term)) {
-                suggestions.add(member.filingType);
+            if (filing.filingDate instanceof Date) {
+                previousByType.set(type, filing);
             }
+            list.appendChild(item);
         });
 
-        return Array.from(suggestions).slice(0, 10); // Limit to 10 suggestions
+        return this.createSection('Timeline', list);
     }
 
     /**
-     * Highlight search terms in results
-     * @param {string} text - Text to highlight
-     * @param {string} searchTerm - Term to highlight
-     * @returns {string} HTML with highlighted terms
+     * Render the filings grouped by filing type, newest first within each group
+     * @param {Array} filings - Filings in chronological order
+     * @returns {HTMLElement} Section element
      */
-    highlightSearchTerm(text, searchTerm) {
-        if (!searchTerm || !text) {
-            return DataValidator.sanitizeHTML(text);
-        }
-
-        const sanitizedText = DataValidator.sanitizeHTML(text);
-        const sanitizedTerm = DataValidator.sanitizeHTML(searchTerm);
+    renderTypeGroups(filings) {
+        const groups = new Map();
+        filings.forEach(filing => {
+            const type = filing.filingType || '';
+            if (!groups.has(type)) groups.set(type, []);
+            groups.get(type).push(filing);
+        });
 
-        // Case-insensitive highlighting
-        const regex = new RegExp(`(${sanitizedTerm})`, 'gi');
-        return sanitizedText.replace(regex, '<mark class="search-highlight">$1</mark>');
-    }
-}/**
- * So
-rt controller for handling table column sorting
- */
-class SortController {
-    constructor(tableElement, dataManager, tableRenderer) {
-        this.table = tableElement;
-        this.dataManager = dataManager;
-        this.tableRenderer = tableRenderer;
-        this.currentSort = { column: null, direction: 'asc' };
+        const wrapper = document.createElement('div');
+        wrapper.className = 'member-profile__groups';
+
+        Array.from(groups.keys()).sort().forEach(type => {
+            const group = groups.get(type);
+            const heading = document.createElement('h4');
+            heading.className = 'member-profile__group-title';
+            heading.textContent = `${DataManager.filingTypeDescriptions[type] || type || 'Unknown filing type'} (${group.length})`;
+            wrapper.appendChild(heading);
+
+            const list = document.createElement('ul');
+            list.className = 'member-profile__filings';
+            [...group].reverse().forEach(filing => {
+                const item = document.createElement('li');
+                const date = document.createElement('span');
+                date.className = 'member-timeline__date';
+                date.textContent = this.formatDate(filing);
+                item.appendChild(date);
+                item.appendChild(this.createDocLink(filing));
+                list.appendChild(item);
+            });
+            wrapper.appendChild(list);
+        });
 
-        this.setupEventListeners();
+        return this.createSection('Filings by Type', wrapper);
     }
 
     /**
-     * Setup event listeners for sorting functionality
+     * Wrap content in a titled profile section
+     * @param {string} title - Section title
+     * @param {HTMLElement} content - Section content
+     * @returns {HTMLElement} Section element
      */
-    setupEventListeners() {
-        // Add click listeners to sortable headers
-        const sortableHeaders = this.table.querySelectorAll('th.sortable');
+    createSection(title, content) {
+        const section = document.createElement('section');
+        section.className = 'member-profile__section';
 
-        sortableHeaders.forEach(header => {
-            header.addEventListener('click', this.handleHeaderClick.bind(this));
-            header.addEventListener('keydown', this.handleHeaderKeydown.bind(this));
-        });
+        const heading = document.createElement('h3');
+        heading.className = 'member-profile__section-title';
+        heading.textContent = title;
+
+        section.appendChild(heading);
+        section.appendChild(content);
+        return section;
     }
 
     /**
-     * Handle header click events
-     * @param {Event} event - Click event
+     * Create a link to a filing's PDF, or its plain document ID when none can be built
+     * @param {Object} filing - Member object
+     * @returns {HTMLElement} Link or span element
      */
-    handleHeaderClick(event) {
-        const header = event.currentTarget;
-        const column = header.getAttribute('data-column');
-
-        if (column) {
-            this.handleSort(column);
+    createDocLink(filing) {
+        const link = this.linkResolver ? this.linkResolver.resolve(filing) : null;
+        if (!link) {
+            const span = document.createElement('span');
+            span.className = 'member-timeline__doc';
+            span.textContent = filing.docID || '—';
+            return span;
         }
+
+        const anchor = document.createElement('a');
+        anchor.className = 'member-timeline__doc doc-link';
+        anchor.href = link.url;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.textContent = filing.docID;
+        anchor.setAttribute('aria-label',
+            `Open PDF of filing ${filing.docID} (${link.mirrored ? 'local mirror' : 'House Clerk'})`);
+        return anchor;
     }
 
     /**
-     * Handle header keydown events for accessibility
-     * @param {KeyboardEvent} event - Keydown event
+     * Format a filing's date for display
+     * @param {Object} filing - Member object
+     * @returns {string} Formatted date, the raw value when unparseable, or "Undated"
      */
-    handleHeaderKeydown(event) {
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            const header = event.currentTarget;
-            const column = header.getAttribute('data-column');
-
-            if (column) {
-                this.handleSort(column);
-            }
+    formatDate(filing) {
+        if (filing.filingDate instanceof Date && !isNaN(filing.filingDate.getTime())) {
+            return this.dateFormat.format(filing.filingDate);
         }
+        return filing.filingDateString || 'Undated';
     }
+}
 
+/**
+ * Query language of the Transactions tab
+ *
+ * Same syntax as the filings search, with transaction fields
+ * (ticker:NVDA type:S owner:SP amount:>=50000 traded:>=2025-06).
+ */
+class TransactionQueryParser extends QueryParser {
     /**
-     * Handle sort operation
-     * @param {string} column - Column to sort by
+     * Query fields and the transaction properties they match
+     * @returns {Object} Field definitions keyed by field name
      */
-    handleSort(column) {
-        performanceMonitor.startTimer('sort-operation');
-
-        try {
-            // Determine sort direction
-            let direction = 'asc';
-
-            if (this.currentSort.column === column) {
-                // Toggle direction if same column
-                direction = this.currentSort.direction === 'asc' ? 'desc' : 'asc';
-            }
-
-            // Update current sort state
-            this.currentSort = { column, direction };
-
-            // Show loading state for large datasets
-            this.showSortLoading();
-
-            // Perform sort
-            const sortedMembers = this.dataManager.sortMembers(column, direction);
-
-            // Update visual indicators
-            this.updateSortIndicators(column, direction);
-
-            // Update table display
-            this.tableRenderer.updateDisplay(sortedMembers);
-
-            // Hide loading state
-            this.hideSortLoading();
+    static get fields() {
+        return {
+            ticker: { kind: 'code', properties: ['ticker'] },
+            asset: { kind: 'text', properties: ['asset'] },
+            assettype: { kind: 'code', properties: ['assetType'] },
+            type: { kind: 'code', properties: ['type', 'typeLabel'] },
+            owner: { kind: 'code', properties: ['owner', 'ownerLabel'] },
+            amount: { kind: 'number', properties: ['amountMin'] },
+            filer: { kind: 'text', properties: ['filer'] },
+            state: { kind: 'code', properties: ['stateCode', 'stateName'] },
+            dst: { kind: 'code', properties: ['stateDst'] },
+            doc: { kind: 'code', properties: ['docID'] },
+            traded: { kind: 'date', properties: ['transactionDate'] },
+            notified: { kind: 'date', properties: ['notificationDate'] },
+            filed: { kind: 'date', properties: ['filingDate'] },
+            late: { kind: 'number', properties: ['daysLate'] }
+        };
+    }
 
-            // Log sort analytics
-            this.logSortAnalytics(column, direction, sortedMembers.length);
+    /**
+     * Field name aliases accepted in queries
+     * @returns {Object} Alias to field name map
+     */
+    static get aliases() {
+        return {
+            symbol: 'ticker',
+            name: 'filer',
+            member: 'filer',
+            district: 'dst',
+            statedst: 'dst',
+            docid: 'doc',
+            date: 'traded',
+            notification: 'notified',
+            dayslate: 'late'
+        };
+    }
 
-        } catch (error) {
-            ErrorHandler.handleError(error, 'Sorting');
-            this.hideSortLoading();
-        } finally {
-            performanceMonitor.endTimer('sort-operation');
+    /**
+     * Build a term node; amounts and days late are numbers rather than years
+     * @param {Object} token - Term token
+     * @returns {Object} Term node
+     */
+    static buildTerm(token) {
+        switch (token.field) {
+            case 'amount':
+                return this.buildAmountTerm(token);
+            case 'late':
+                return this.buildDaysLateTerm(token);
+            default:
+                return super.buildTerm(token);
         }
     }
 
     /**
-     * Update sort indicators in table headers
-     * @param {string} activeColumn - Currently sorted column
-     * @param {string} direction - Sort direction
+     * Build an amount term, a dollar value compared with the band's lower bound
+     * @param {Object} token - Term token
+     * @returns {Object} Term node
      */
-    updateSortIndicators(activeColumn, direction) {
-        const headers = this.table.querySelectorAll('th.sortable');
-
-        headers.forEach(header => {
-            const column = header.getAttribute('data-column');
+    static buildAmountTerm(token) {
+        // Accepts 50000, $50,000 and 50k, optionally after a comparison operator
+        const match = token.value.trim().match(/^(>=|<=|>|<|=)?\s*\$?(\d[\d,]*(?:\.\d+)?)\s*([km])?$/i);
+        if (!match) {
+            const message = token.value.trim() ? `Invalid amount "${token.value}" (e.g. amount:>=50000)` : 'Missing value after "amount:"';
+            throw new QuerySyntaxError(message, token.position);
+        }
 
-            // Remove existing sort classes
-            header.classList.remove('sort-asc', 'sort-desc');
+        const multiplier = { k: 1e3, m: 1e6 }[(match[3] || '').toLowerCase()] || 1;
 
-            // Add appropriate class to active column
-            if (column === activeColumn) {
-                header.classList.add(`sort-${direction}`);
-                header.setAttribute('aria-sort', direction === 'asc' ? 'ascending' : 'descending');
-            } else {
-                header.setAttribute('aria-sort', 'none');
-            }
-        });
+        return {
+            type: 'term',
+            field: 'amount',
+            kind: 'number',
+            op: match[1] || '=',
+            value: this.normalizeText(token.value),
+            number: parseFloat(match[2].replace(/,/g, '')) * multiplier,
+            phrase: token.phrase,
+            position: token.position
+        };
     }
 
     /**
-     * Show sort loading indicator
+     * Build a days-late term; late:>0 finds every late disclosure, late:0 the timely ones
+     * @param {Object} token - Term token
+     * @returns {Object} Term node
      */
-    showSortLoading() {
-        // Add loading class to table
-        this.table.classList.add('sorting');
+    static buildDaysLateTerm(token) {
+        const match = token.value.trim().match(/^(>=|<=|>|<|=)?\s*(\d+)$/);
+        if (!match) {
+            const message = token.value.trim() ? `Invalid number of days "${token.value}" (e.g. late:>30)` : 'Missing value after "late:"';
+            throw new QuerySyntaxError(message, token.position);
+        }
 
-        // Disable sort headers temporarily
-        const headers = this.table.querySelectorAll('th.sortable');
-        headers.forEach(header => {
-            header.style.pointerEvents = 'none';
-            header.style.opacity = '0.7';
-        });
+        return {
+            type: 'term',
+            field: 'late',
+            kind: 'number',
+            op: match[1] || '=',
+            value: this.normalizeText(token.value),
+            number: parseInt(match[2], 10),
+            phrase: token.phrase,
+            position: token.position
+        };
     }
+}
 
+/**
+ * Dollar ranges of PTR amount bands
+ *
+ * Filings report amounts as bands ("$1,001 - $15,000", "Over $50,000,000",
+ * "Spouse/DC Over $1,000,000"); a few report an exact figure ("$2,000.00"). Analysts also
+ * type the paper form's column letters (A-K) or shorthand like "1k-15k".
+ */
+class AmountBand {
     /**
-     * Hide sort loading indicator
+     * Amount columns of the paper PTR form
+     * @returns {Object} Band label keyed by column letter
      */
-    hideSortLoading() {
-        // Remove loading class
-        this.table.classList.remove('sorting');
-
-        // Re-enable sort headers
-        const headers = this.table.querySelectorAll('th.sortable');
-        headers.forEach(header => {
-            header.style.pointerEvents = '';
-            header.style.opacity = '';
-        });
+    static get codes() {
+        return {
+            A: '$1,001 - $15,000',
+            B: '$15,001 - $50,000',
+            C: '$50,001 - $100,000',
+            D: '$100,001 - $250,000',
+            E: '$250,001 - $500,000',
+            F: '$500,001 - $1,000,000',
+            G: '$1,000,001 - $5,000,000',
+            H: '$5,000,001 - $25,000,000',
+            I: '$25,000,001 - $50,000,000',
+            J: 'Over $50,000,000',
+            K: 'Spouse/DC Over $1,000,000'
+        };
     }
 
     /**
-     * Log sort analytics for performance monitoring
-     * @param {string} column - Column sorted
-     * @param {string} direction - Sort direction
-     * @param {number} recordCount - Number of records sorted
+     * Normalize an amount band into numbers
+     * Open-ended bands ("Over $X") have no maximum, so their midpoint is their minimum.
+     * @param {string} text - Amount as filed or typed
+     * @returns {Object|null} { min, max, midpoint } in dollars (max is null when open-ended),
+     *     or null when the text holds no amount
      */
-    logSortAnalytics(column, direction, recordCount) {
-        console.log(`Sorted by ${column} (${direction}) - ${recordCount} records`);
+    static parse(text) {
+        let value = String(text || '').trim();
+        if (AmountBand.codes[value.toUpperCase()]) {
+            value = AmountBand.codes[value.toUpperCase()];
+        }
 
-        // Track sort performance for large datasets
-        if (recordCount > 1000) {
-            console.log('Large dataset sort completed successfully');
+        const amounts = Array.from(value.matchAll(/\$?\s*(\d[\d,]*(?:\.\d+)?)\s*([km](?![a-z]))?/gi))
+            .map(match => parseFloat(match[1].replace(/,/g, '')) * ({ k: 1e3, m: 1e6 }[(match[2] || '').toLowerCase()] || 1));
+
+        if (amounts.length === 0) {
+            return null;
+        }
+
+        // "Over $50,000,000" starts one dollar above the figure, like the closed bands
+        if (/\b(over|above|more than)\b|\+\s*$/i.test(value)) {
+            const min = Math.floor(amounts[0]) + 1;
+            return { min, max: null, midpoint: min };
         }
+
+        const min = amounts[0];
+        const max = amounts.length > 1 ? amounts[1] : amounts[0];
+        return { min, max, midpoint: (min + max) / 2 };
     }
+}
 
+/**
+ * Per-transaction records parsed from Periodic Transaction Reports, shown in the Transactions tab
+ *
+ * JSON files (transactions.json is written by scripts/build_transactions.js) group
+ * transactions by filing:
+ *
+ *     { "version": 1, "filings": {
+ *         "20016861": { "filer": "Hon. John McGuire", "stateDst": "VA05", "year": 2025,
+ *                       "filingDate": "2025-05-16", "transactions": [ { ... } ] } } }
+ *
+ * A transaction has owner (SP, JT or DC; omitted when the filer owns the asset), asset,
+ * assetType, ticker, type (P, S or E), partial (true for partial sales), transactionDate
+ * and notificationDate (YYYY-MM-DD), amount (the band as filed, e.g. "$1,001 - $15,000"),
+ * capitalGains, filingStatus, subholdingOf, description and comments. Empty fields may be
+ * omitted; asset is required.
+ *
+ * CSV files have a header row naming the same fields (see csvColumns) and one row per
+ * transaction, repeating the filing's docID, filer, stateDst, year and filingDate.
+ */
+class TransactionManager extends DataManager {
     /**
-     * Get current sort state
-     * @returns {Object} Current sort state
+     * CSV columns and the transaction fields they hold
+     * @returns {Array<string>} Field names in column order
      */
-    getCurrentSort() {
-        return { ...this.currentSort };
+    static get csvColumns() {
+        return [
+            'docID', 'filer', 'stateDst', 'year', 'filingDate',
+            'owner', 'asset', 'ticker', 'assetType', 'type', 'partial',
+            'transactionDate', 'notificationDate', 'amount', 'capitalGains',
+            'filingStatus', 'subholdingOf', 'description', 'comments'
+        ];
     }
 
     /**
-     * Set sort programmatically
-     * @param {string} column - Column to sort by
-     * @param {string} direction - Sort direction
+     * Days after being notified of a transaction within which a PTR must be filed
+     * @returns {number} STOCK Act notification window
      */
-    setSort(column, direction = 'asc') {
-        if (!['asc', 'desc'].includes(direction)) {
-            throw new Error('Invalid sort direction. Must be "asc" or "desc"');
-        }
-
-        this.handleSort(column);
-
-        // If direction doesn't match, sort again to toggle
-        if (this.currentSort.direction !== direction) {
-            this.handleSort(column);
-        }
+    static get notificationWindow() {
+        return 30;
     }
 
     /**
-     * Clear current sort and return to original order
+     * Days after a transaction within which a PTR must be filed, however late the
+     * notification
+     * @returns {number} STOCK Act transaction window
      */
-    clearSort() {
-        this.currentSort = { column: null, direction: 'asc' };
-
-        // Remove all sort indicators
-        const headers = this.table.querySelectorAll('th.sortable');
-        headers.forEach(header => {
-            header.classList.remove('sort-asc', 'sort-desc');
-            header.setAttribute('aria-sort', 'none');
-        });
+    static get transactionWindow() {
+        return 45;
+    }
 
-        // Reset to original order (or current filtered results)
-        const members = this.dataManager.getFilteredMembers();
-        this.tableRenderer.updateDisplay(members);
+    constructor() {
+        super();
+        this.queryParser = TransactionQueryParser;
+        // The Transactions tab has no facet sidebar; lateness backs the "Late only" toggle
+        this.facetFilters = {
+            lateness: new Set()
+        };
+        // Files merged into the records, in load order ({ name, filings, transactions })
+        this.sources = [];
+        this.isLoaded = false;
+        // Optional DataManager holding the filing records, which name each docID's member
+        this.filingManager = null;
     }
 
     /**
-     * Get sortable columns information
-     * @returns {Array} Array of sortable column information
+     * Detect the format of a transactions file from its content
+     * @param {string} text - File content
+     * @returns {string} 'json' or 'csv'
      */
-    getSortableColumns() {
-        const headers = this.table.querySelectorAll('th.sortable');
-        const columns = [];
+    detectFormat(text) {
+        const head = text.replace(/^\uFEFF/, '').trimStart();
 
-        headers.forEach(header => {
-            const column = header.getAttribute('data-column');
-            const label = header.textContent.trim().replace(/\s+/g, ' ');
+        if (head.startsWith('{')) {
+            return 'json';
+        }
 
-            if (column) {
-                columns.push({
-                    column,
-                    label,
-                    sortable: true,
-                    currentSort: this.currentSort.column === column ? this.currentSort.direction : null
-                });
-            }
-        });
+        const firstLine = head.split(/\r\n|\n|\r/, 1)[0];
+        if (/\bdocID\b/i.test(firstLine) && firstLine.includes(',')) {
+            return 'csv';
+        }
 
-        return columns;
+        throw new Error('Unrecognized transactions format (expected JSON or CSV with a docID column)');
     }
 
     /**
-     * Handle multi-column sorting (future enhancement)
-     * @param {Array} sortCriteria - Array of sort criteria objects
+     * Parse transactions file content in either supported format
+     * @param {string} text - File content
+     * @returns {Array} Array of transaction objects
      */
-    handleMultiSort(sortCriteria) {
-        // This is a placeholder for future multi-column sorting functionality
-        console.log('Multi-column sorting not yet implemented', sortCriteria);
-    }
-}/**
- *
- CSV Export utility class
- */
-class CSVExporter {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
+    parse(text) {
+        return this.detectFormat(text) === 'json' ? this.parseJSON(text) : this.parseCSV(text);
     }
 
     /**
-     * Export filtered data to CSV
-     * @param {string} filename - Optional filename for the export
-     * @returns {Promise} Promise that resolves when export is complete
+     * Parse transactions grouped by filing
+     * @param {string} jsonString - The JSON content as string
+     * @returns {Array} Array of transaction objects
      */
-    async exportToCSV(filename = null) {
-        performanceMonitor.startTimer('csv-export');
+    parseJSON(jsonString) {
+        try {
+            const data = JSON.parse(jsonString.replace(/^\uFEFF/, ''));
+            if (!data || typeof data.filings !== 'object' || Array.isArray(data.filings)) {
+                throw new Error('missing "filings" object');
+            }
+            if (data.version !== 1) {
+                console.warn(`Unknown transactions file version ${data.version}; reading as version 1`);
+            }
+
+            const transactions = [];
+
+            Object.entries(data.filings).forEach(([docID, filing]) => {
+                const { transactions: entries = [], ...filingFields } = filing;
+                entries.forEach((entry, index) => {
+                    try {
+                        transactions.push(this.createTransaction({ ...entry, ...filingFields, docID }));
+                    } catch (error) {
+                        console.warn(`Skipping transaction ${index + 1} of filing ${docID}:`, error.message);
+                    }
+                });
+            });
+
+            console.log(`Successfully parsed ${transactions.length} transaction records`);
+            return transactions;
+        } catch (error) {
+            console.error('Transactions JSON parsing error:', error);
+            throw new Error(`Failed to parse transactions JSON: ${error.message}`);
+        }
+    }
 
+    /**
+     * Parse one transaction per CSV row
+     * @param {string} csvString - The CSV content as string
+     * @returns {Array} Array of transaction objects
+     */
+    parseCSV(csvString) {
         try {
-            const members = this.dataManager.getFilteredMembers();
+            const rows = this.splitCSV(csvString.replace(/^\uFEFF/, ''));
+            const columns = new Map(TransactionManager.csvColumns.map(name => [name.toLowerCase(), name]));
+            const header = rows.shift().map(name => columns.get(name.trim().toLowerCase()) || null);
 
-            if (members.length === 0) {
-                throw new Error('No data to export');
+            if (!header.includes('docID') || !header.includes('asset')) {
+                throw new Error('missing docID or asset column');
             }
 
-            // Generate CSV content
-            const csvContent = this.generateCSVContent(members);
+            const transactions = [];
 
-            // Create filename if not provided
-            const exportFilename = filename || this.generateFilename();
+            rows.forEach((values, rowIndex) => {
+                if (values.every(value => value.trim() === '')) return;
 
-            // Trigger download
-            this.downloadCSV(csvContent, exportFilename);
+                try {
+                    const fields = {};
+                    header.forEach((name, column) => {
+                        if (name) fields[name] = (values[column] || '').trim();
+                    });
 
-            console.log(`Exported ${members.length} records to ${exportFilename}`);
+                    transactions.push(this.createTransaction(fields));
+                } catch (error) {
+                    console.warn(`Failed to parse CSV row ${rowIndex + 2}:`, error.message);
+                }
+            });
 
+            console.log(`Successfully parsed ${transactions.length} transaction records`);
+            return transactions;
         } catch (error) {
-            ErrorHandler.handleError(error, 'CSV Export');
-            throw error;
-        } finally {
-            performanceMonitor.endTimer('csv-export');
+            console.error('Transactions CSV parsing error:', error);
+            throw new Error(`Failed to parse transactions CSV: ${error.message}`);
+        }
+    }
+
+    /**
+     * Split CSV text into rows of fields
+     * Quoted fields may contain commas, newlines and doubled quotes.
+     * @param {string} text - CSV content
+     * @returns {Array<Array<string>>} Rows of field values
+     */
+    splitCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
         }
+
+        return rows;
     }
 
     /**
-     * Generate CSV content from member data
-     * @param {Array} members - Array of member objects
-     * @returns {string} CSV content string
+     * Build a transaction object from raw fields, shared by the JSON and CSV parsers
+     * @param {Object} fields - Transaction fields merged with its filing's fields
+     * @returns {Object} Transaction object
      */
-    generateCSVContent(members) {
-        // Define CSV headers
-        const headers = [
-            'Prefix',
-            'Last Name',
-            'First Name',
-            'Suffix',
-            'Filing Type',
-            'State/District',
-            'Year',
-            'Filing Date',
-            'Document ID'
-        ];
+    createTransaction(fields) {
+        const text = (value) => (value == null ? '' : String(value).trim());
+        const docID = text(fields.docID);
+        const asset = text(fields.asset);
 
-        // Create CSV rows
-        const rows = [headers];
+        if (!docID) {
+            throw new Error('Transaction missing docID');
+        }
+        if (!asset) {
+            throw new Error('Transaction missing asset');
+        }
 
-        members.forEach(member => {
-            const row = [
-                this.escapeCsvValue(member.prefix),
-                this.escapeCsvValue(member.lastName),
-                this.escapeCsvValue(member.firstName),
-                this.escapeCsvValue(member.suffix),
-                this.escapeCsvValue(member.filingType),
-                this.escapeCsvValue(member.stateDst),
-                this.escapeCsvValue(member.year || ''),
-                this.escapeCsvValue(this.formatDateForCSV(member.filingDate, member.filingDateString)),
-                this.escapeCsvValue(member.docID)
-            ];
+        const owner = text(fields.owner).toUpperCase();
+        const type = text(fields.type).toUpperCase();
+        const amount = text(fields.amount);
+        const band = AmountBand.parse(amount);
+        const year = fields.year ? parseInt(fields.year, 10) : null;
+        const transactionDate = text(fields.transactionDate);
+        const notificationDate = text(fields.notificationDate);
+        const filingDate = text(fields.filingDate);
+
+        const transaction = {
+            docID,
+            filer: text(fields.filer),
+            stateDst: text(fields.stateDst),
+            ...DataManager.parseStateDst(fields.stateDst),
+            year: isNaN(year) ? null : year,
+            // Every transaction comes from a PTR, which is how its PDF is linked
+            filingType: 'P',
+            filingDate: filingDate ? this.parseDate(filingDate) : null,
+            filingDateString: filingDate,
+            owner,
+            ownerLabel: PtrParser.ownerCodes[owner] || (owner ? owner : 'Self'),
+            asset,
+            ticker: text(fields.ticker).toUpperCase(),
+            assetType: text(fields.assetType).toUpperCase(),
+            type,
+            typeLabel: PtrParser.transactionTypes[type] || type,
+            partial: fields.partial === true || /^(true|yes|1)$/i.test(text(fields.partial)),
+            transactionDate: transactionDate ? this.parseDate(transactionDate) : null,
+            transactionDateString: transactionDate,
+            notificationDate: notificationDate ? this.parseDate(notificationDate) : null,
+            notificationDateString: notificationDate,
+            amount,
+            amountMin: band ? band.min : null,
+            amountMax: band ? band.max : null,
+            amountMid: band ? band.midpoint : null,
+            capitalGains: text(fields.capitalGains),
+            filingStatus: text(fields.filingStatus),
+            subholdingOf: text(fields.subholdingOf),
+            description: text(fields.description),
+            comments: text(fields.comments)
+        };
 
-            rows.push(row);
+        this.computeLateness(transaction);
+
+        transaction.searchIndex = this.createSearchIndex({
+            docID,
+            filer: transaction.filer,
+            stateDst: transaction.stateDst,
+            stateName: transaction.stateName,
+            owner: transaction.ownerLabel,
+            asset,
+            ticker: transaction.ticker,
+            type: transaction.typeLabel,
+            transactionDate,
+            amount
         });
+        transaction.searchWords = this.createSearchWords(transaction.searchIndex);
 
-        // Convert to CSV string
-        return rows.map(row => row.join(',')).join('\n');
+        return transaction;
     }
 
     /**
-     * Escape CSV value to handle commas, quotes, and newlines
-     * @param {*} value - Value to escape
-     * @returns {string} Escaped CSV value
+     * Work out how late a transaction was disclosed
+     * A PTR is due 30 days after the filer is notified of a transaction and no later than
+     * 45 days after it. daysLate is the larger overrun (0 when on time), or null when the
+     * filing date or both trade dates are unknown. A notification dated before the trade is
+     * a typo on the form and is ignored.
+     * @param {Object} transaction - Transaction object, updated in place
+     * @returns {Object} The same transaction
      */
-    escapeCsvValue(value) {
-        if (value == null) {
-            return '';
+    computeLateness(transaction) {
+        const daysBetween = (from, to) => Math.round((to - from) / 86400000);
+        const { filingDate, transactionDate } = transaction;
+        const notificationDate = transactionDate && transaction.notificationDate < transactionDate
+            ? null
+            : transaction.notificationDate;
+
+        transaction.notificationDaysLate = filingDate && notificationDate
+            ? Math.max(daysBetween(notificationDate, filingDate) - TransactionManager.notificationWindow, 0)
+            : null;
+        transaction.transactionDaysLate = filingDate && transactionDate
+            ? Math.max(daysBetween(transactionDate, filingDate) - TransactionManager.transactionWindow, 0)
+            : null;
+
+        const overruns = [transaction.notificationDaysLate, transaction.transactionDaysLate]
+            .filter(days => days !== null);
+        transaction.daysLate = overruns.length > 0 ? Math.max(...overruns) : null;
+
+        return transaction;
+    }
+
+    /**
+     * Get the facet bucket a transaction falls into
+     * @param {Object} transaction - Transaction object
+     * @param {string} facet - 'lateness'
+     * @returns {string} 'late', 'on-time' or 'unknown'
+     */
+    getFacetKey(transaction, facet) {
+        if (facet !== 'lateness') {
+            return super.getFacetKey(transaction, facet);
         }
 
-        const stringValue = String(value);
+        if (transaction.daysLate === null) return 'unknown';
+        return transaction.daysLate > 0 ? 'late' : 'on-time';
+    }
 
-        // If value contains comma, quote, or newline, wrap in quotes and escape internal quotes
-        if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-            return `"${stringValue.replace(/"/g, '""')}"`;
+    /**
+     * Fill in filing dates the transactions file lacked from the filings XML
+     * Imported files often carry only the docID; the clerk's index has the date each PTR
+     * was filed.
+     * @param {Array} filings - Filing records loaded by the filings DataManager
+     * @returns {number} Number of transactions updated
+     */
+    applyFilingDates(filings) {
+        const missing = this.members.filter(transaction => !transaction.filingDate);
+        if (missing.length === 0) return 0;
+
+        const byDocID = new Map(filings.map(filing => [filing.docID, filing]));
+        let updated = 0;
+
+        missing.forEach(transaction => {
+            const filing = byDocID.get(transaction.docID);
+            if (!filing || !filing.filingDate) return;
+
+            transaction.filingDate = filing.filingDate;
+            transaction.filingDateString = filing.filingDateString;
+            transaction.year = transaction.year || filing.year || null;
+            this.computeLateness(transaction);
+            updated++;
+        });
+
+        if (updated > 0) {
+            console.log(`Filled filing dates of ${updated} transactions from the filings index`);
+            this.filterMembers(this.currentSearchTerm, this.currentQuery);
         }
 
-        return stringValue;
+        return updated;
     }
 
     /**
-     * Format date for CSV export
-     * @param {Date} date - Date object
-     * @param {string} fallback - Fallback string
-     * @returns {string} Formatted date string
+     * Load a transactions file and merge it into the records
+     * @param {string} url - Transactions file URL
+     * @returns {Promise<Array>} Promise resolving to all transactions
      */
-    formatDateForCSV(date, fallback) {
-        if (date instanceof Date && !isNaN(date.getTime())) {
-            // Use ISO format for CSV (YYYY-MM-DD)
-            return date.toISOString().split('T')[0];
+    async loadTransactions(url) {
+        const transactions = await this.load(url);
+        this.isLoaded = true;
+        return this.mergeTransactions(transactions, url.split('/').pop());
+    }
+
+    /**
+     * Import a transactions file chosen by the user
+     * @param {File} file - JSON or CSV file
+     * @returns {Promise<Array>} Promise resolving to all transactions
+     */
+    async importFile(file) {
+        const transactions = this.parse(await file.text());
+        if (transactions.length === 0) {
+            throw new Error(`No valid transactions in ${file.name}`);
         }
-        return fallback || '';
+
+        this.isLoaded = true;
+        return this.mergeTransactions(transactions, file.name);
     }
 
     /**
-     * Generate filename for export
-     * @returns {string} Generated filename
+     * Merge transactions into the records; a filing's transactions replace any loaded
+     * earlier for the same docID
+     * @param {Array} transactions - Transaction objects
+     * @param {string} name - Name of the file they came from
+     * @returns {Array} All transactions
      */
-    generateFilename() {
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-        const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-'); // HH-MM-SS
+    mergeTransactions(transactions, name) {
+        const docIDs = new Set(transactions.map(transaction => transaction.docID));
 
-        const recordCount = this.dataManager.getFilteredMembers().length;
-        const totalCount = this.dataManager.getMembers().length;
+        this.members = this.members
+            .filter(transaction => !docIDs.has(transaction.docID))
+            .concat(transactions);
+        this.sources.push({ name, filings: docIDs.size, transactions: transactions.length });
 
-        let filename = `financial-disclosure-${dateStr}-${timeStr}`;
+        this.filterMembers(this.currentSearchTerm, this.currentQuery);
+        return this.members;
+    }
 
-        // Add filter indicator if data is filtered
-        if (recordCount < totalCount) {
-            filename += `-filtered-${recordCount}-of-${totalCount}`;
-        } else {
-            filename += `-all-${recordCount}`;
-        }
+    /**
+     * Count the filings the loaded transactions come from
+     * @returns {number} Number of distinct docIDs
+     */
+    getFilingCount() {
+        return new Set(this.members.map(transaction => transaction.docID)).size;
+    }
+
+    /**
+     * Identify the member behind each transaction by its filing's docID
+     * The filer names in transactions files vary by source ("Hon. John McGuire" parsed from
+     * the PDF, "John McGuire" typed into a CSV), so the filing record names the member, by
+     * its filer entity when it has one, which joins the member's name variants; transactions
+     * of filings that are not loaded fall back to the filer name.
+     * @param {Array} transactions - Transactions to identify
+     * @returns {function(Object): Object} Lookup from a transaction to its member's { key, label }
+     */
+    getMemberLookup(transactions) {
+        const filings = new Map();
+        const docIDs = new Set(transactions.map(transaction => transaction.docID));
+        (this.filingManager ? this.filingManager.getDatasets() : []).forEach(dataset => {
+            (dataset.members || []).forEach(filing => {
+                if (docIDs.has(filing.docID) && !filings.has(filing.docID)) filings.set(filing.docID, filing);
+            });
+        });
+
+        return (transaction) => {
+            const filing = filings.get(transaction.docID);
+            const filer = filing && filing.filerId ? this.filingManager.getFiler(filing.filerId) : null;
+            if (filer) {
+                return {
+                    key: filer.id,
+                    label: filer.stateDsts.length > 0 ? `${filer.name} (${filer.stateDsts.join(', ')})` : filer.name
+                };
+            }
+
+            const name = filing
+                ? [filing.firstName, filing.lastName, filing.suffix].filter(Boolean).join(' ')
+                : transaction.filer.replace(/^Hon\.?\s+/i, '');
+            const stateDst = filing ? filing.stateDst : transaction.stateDst;
 
-        return `${filename}.csv`;
+            return {
+                key: `${QueryParser.normalizeText(name)}|${stateDst}`,
+                label: stateDst ? `${name} (${stateDst})` : name
+            };
+        };
     }
 
     /**
-     * Trigger CSV download in browser
-     * @param {string} csvContent - CSV content string
-     * @param {string} filename - Filename for download
+     * Roll up estimated buy and sell volume of the filtered transactions
+     * Purchases are buys and sales (full or partial) are sells; exchanges only count as
+     * trades. Estimates use band midpoints, with min and max bounding the true volume.
+     * @param {string} groupBy - 'member', 'ticker' or 'month'
+     * @param {Array} [transactions] - Transactions to roll up, the filtered ones by default
+     * @returns {Array<Object>} One row per group: key, label, trades, buys, sells, buyMin,
+     *     buyMax, buyEstimate, sellMin, sellMax, sellEstimate, totalEstimate, netEstimate, and
+     *     buyOpenEnded/sellOpenEnded when an "Over $X" band leaves the maximum unknown
      */
-    downloadCSV(csvContent, filename) {
-        // Create blob with CSV content
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    getVolumeSummary(groupBy, transactions = this.filteredMembers) {
+        const groups = new Map();
+        const memberOf = groupBy === 'member' ? this.getMemberLookup(transactions) : null;
+
+        transactions.forEach(transaction => {
+            let key, label;
+            switch (groupBy) {
+                case 'member':
+                    ({ key, label } = memberOf(transaction));
+                    break;
+                case 'ticker':
+                    // Assets without a ticker (bonds, funds, private holdings) group by name
+                    key = transaction.ticker || transaction.asset;
+                    label = transaction.ticker || transaction.asset;
+                    break;
+                case 'month': {
+                    const date = transaction.transactionDate;
+                    key = date instanceof Date
+                        ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+                        : 'Unknown';
+                    label = key;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown volume grouping "${groupBy}"`);
+            }
 
-        // Create download link
-        const link = document.createElement('a');
+            let row = groups.get(key);
+            if (!row) {
+                row = {
+                    key, label, trades: 0, buys: 0, sells: 0,
+                    buyMin: 0, buyMax: 0, buyEstimate: 0,
+                    sellMin: 0, sellMax: 0, sellEstimate: 0,
+                    buyOpenEnded: false, sellOpenEnded: false
+                };
+                groups.set(key, row);
+            }
 
-        if (link.download !== undefined) {
-            // Modern browsers
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', filename);
-            link.style.visibility = 'hidden';
+            row.trades++;
+            const side = transaction.type === 'P' ? 'buy' : transaction.type === 'S' ? 'sell' : null;
+            if (!side || transaction.amountMin == null) return;
 
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            row[`${side}s`]++;
+            row[`${side}Min`] += transaction.amountMin;
+            row[`${side}Estimate`] += transaction.amountMid;
+            if (transaction.amountMax == null) {
+                row[`${side}OpenEnded`] = true;
+            } else {
+                row[`${side}Max`] += transaction.amountMax;
+            }
+        });
 
-            // Clean up object URL
-            setTimeout(() => URL.revokeObjectURL(url), 100);
-        } else {
-            // Fallback for older browsers
-            const reader = new FileReader();
-            reader.onload = function () {
-                const dataUrl = reader.result;
-                const link = document.createElement('a');
-                link.href = dataUrl;
-                link.download = filename;
-                link.click();
+        return Array.from(groups.values()).map(row => ({
+            ...row,
+            totalEstimate: row.buyEstimate + row.sellEstimate,
+            netEstimate: row.buyEstimate - row.sellEstimate
+        }));
+    }
+
+    /**
+     * Summarize late disclosures of the filtered transactions per member
+     * A filing counts as late when any of its transactions was disclosed late.
+     * @param {Array} [transactions] - Transactions to summarize, the filtered ones by default
+     * @returns {Array<Object>} One row per member: key, label, filings, lateFilings, lateShare,
+     *     transactions, lateTransactions, maxDaysLate and medianDaysLate (null when none late)
+     */
+    getLatenessSummary(transactions = this.filteredMembers) {
+        const groups = new Map();
+        const memberOf = this.getMemberLookup(transactions);
+
+        transactions.forEach(transaction => {
+            const { key, label } = memberOf(transaction);
+            let group = groups.get(key);
+            if (!group) {
+                group = {
+                    key,
+                    label,
+                    docIDs: new Set(),
+                    lateDocIDs: new Set(),
+                    transactions: 0,
+                    lateDays: []
+                };
+                groups.set(key, group);
+            }
+
+            group.docIDs.add(transaction.docID);
+            group.transactions++;
+            if (transaction.daysLate > 0) {
+                group.lateDocIDs.add(transaction.docID);
+                group.lateDays.push(transaction.daysLate);
+            }
+        });
+
+        return Array.from(groups.values()).map(group => {
+            const lateDays = group.lateDays.sort((a, b) => a - b);
+            const middle = Math.floor(lateDays.length / 2);
+
+            return {
+                key: group.key,
+                label: group.label,
+                filings: group.docIDs.size,
+                lateFilings: group.lateDocIDs.size,
+                lateShare: group.lateDocIDs.size / group.docIDs.size,
+                transactions: group.transactions,
+                lateTransactions: lateDays.length,
+                maxDaysLate: lateDays.length > 0 ? lateDays[lateDays.length - 1] : null,
+                medianDaysLate: lateDays.length === 0 ? null
+                    : lateDays.length % 2 ? lateDays[middle]
+                        : Math.round((lateDays[middle - 1] + lateDays[middle]) / 2)
             };
-            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+/**
+ * Table renderer for the Transactions tab
+ */
+class TransactionTableRenderer extends TableRenderer {
+    /**
+     * Create a table row element for a transaction
+     * @param {Object} transaction - Transaction object
+     * @param {number} index - Row index
+     * @returns {HTMLElement} Table row element
+     */
+    createTableRow(transaction, index) {
+        const row = document.createElement('tr');
+        row.setAttribute('data-index', index);
+
+        if (index % 2 === 0) {
+            row.classList.add('even-row');
         }
+
+        const type = transaction.partial ? `${transaction.typeLabel} (partial)` : transaction.typeLabel;
+
+        // Create cells, highlighting what the current search matched
+        const columns = [
+            ['transactionDate', this.formatDateForDisplay(transaction.transactionDate, transaction.transactionDateString), 'transaction-date'],
+            ['ticker', transaction.ticker, 'ticker'],
+            ['asset', transaction.asset, 'asset'],
+            ['type', type, `transaction-type transaction-type--${transaction.type.toLowerCase() || 'unknown'}`],
+            ['ownerLabel', transaction.ownerLabel, 'owner'],
+            ['amountMin', transaction.amount, 'amount'],
+            ['daysLate', null, 'days-late'],
+            ['filer', transaction.filer, 'filer'],
+            ['docID', transaction.docID, 'doc-id']
+        ];
+
+        columns.forEach(([property, content, className]) => {
+            const highlights = this.dataManager.getHighlightRanges(transaction, property, content || '');
+
+            if (property === 'docID') {
+                row.appendChild(this.createDocIdCell(transaction, highlights));
+            } else if (property === 'daysLate') {
+                row.appendChild(this.createDaysLateCell(transaction));
+            } else if (property === 'filer') {
+                row.appendChild(this.createFilerCell(transaction, highlights));
+            } else {
+                row.appendChild(this.createCell(content, className, highlights));
+            }
+        });
+
+        return row;
     }
 
     /**
-     * Get export statistics
-     * @returns {Object} Export statistics
+     * Create the filer cell, linking to the filing's row in the Filings tab
+     * @param {Object} transaction - Transaction object
+     * @param {Array<Array<number>>} [highlights] - [start, end) offsets to mark as search matches
+     * @returns {HTMLElement} Table cell element
      */
-    getExportStats() {
-        const filteredCount = this.dataManager.getFilteredMembers().length;
-        const totalCount = this.dataManager.getMembers().length;
+    createFilerCell(transaction, highlights = []) {
+        if (!transaction.filer) {
+            return this.createCell('', 'filer');
+        }
 
-        return {
-            recordsToExport: filteredCount,
-            totalRecords: totalCount,
-            isFiltered: filteredCount < totalCount,
-            estimatedFileSize: this.estimateFileSize(filteredCount)
-        };
+        const cell = document.createElement('td');
+        cell.className = 'filer';
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filing-link';
+        button.setAttribute('data-doc-id', transaction.docID);
+        button.setAttribute('aria-label', `Show filing ${transaction.docID} by ${transaction.filer} in the Filings table`);
+        this.appendHighlightedText(button, transaction.filer, highlights);
+
+        cell.appendChild(button);
+        return cell;
     }
 
     /**
-     * Estimate CSV file size
-     * @param {number} recordCount - Number of records
-     * @returns {string} Estimated file size
+     * Create the days-late cell; blank when the filing or trade dates are unknown
+     * @param {Object} transaction - Transaction object
+     * @returns {HTMLElement} Table cell element
      */
-    estimateFileSize(recordCount) {
-        // Rough estimate: ~150 bytes per record (including headers)
-        const estimatedBytes = recordCount * 150 + 200; // +200 for headers
+    createDaysLateCell(transaction) {
+        const { daysLate } = transaction;
+        if (daysLate === null) {
+            return this.createCell('', 'days-late');
+        }
+        if (daysLate === 0) {
+            return this.createCell('On time', 'days-late days-late--on-time');
+        }
 
-        if (estimatedBytes < 1024) {
-            return `${estimatedBytes} bytes`;
-        } else if (estimatedBytes < 1024 * 1024) {
-            return `${(estimatedBytes / 1024).toFixed(1)} KB`;
-        } else {
-            return `${(estimatedBytes / (1024 * 1024)).toFixed(1)} MB`;
+        const cell = this.createCell(`${daysLate.toLocaleString()} ${daysLate === 1 ? 'day' : 'days'}`, 'days-late days-late--late');
+        const reasons = [];
+        if (transaction.notificationDaysLate > 0) {
+            reasons.push(`${transaction.notificationDaysLate} days past the ${TransactionManager.notificationWindow}-day notification window`);
+        }
+        if (transaction.transactionDaysLate > 0) {
+            reasons.push(`${transaction.transactionDaysLate} days past the ${TransactionManager.transactionWindow}-day transaction window`);
         }
+        cell.title = reasons.join('; ');
+        return cell;
     }
 }
 
 /**
- * Export controller for handling export functionality
+ * Search controller for the Transactions tab, suggesting tickers, filers and codes
  */
-class ExportController {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
-        this.csvExporter = new CSVExporter(dataManager);
-
-        this.setupEventListeners();
+class TransactionSearchController extends SearchController {
+    /**
+     * Suggestion groups in display order
+     * @returns {Array<Object>} Groups ({ kind, label }) matching the kinds from getSearchSuggestions
+     */
+    getSuggestionGroups() {
+        return [
+            { kind: 'ticker', label: 'Ticker' },
+            { kind: 'filer', label: 'Filer' },
+            { kind: 'type', label: 'Transaction type' },
+            { kind: 'owner', label: 'Owner' }
+        ];
     }
 
     /**
-     * Setup event listeners for export functionality
+     * Get search suggestions based on the loaded transactions
+     * @param {string} partialTerm - Partial search term
+     * @param {string|null} [field] - Field prefix typed before the term, narrows the kinds offered
+     * @returns {Array} Suggestions ({ kind, label, query, count }) grouped by kind
      */
-    setupEventListeners() {
-        const exportBtn = document.getElementById('exportBtn');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', this.handleExportClick.bind(this));
+    getSearchSuggestions(partialTerm, field = null) {
+        // Type and owner codes are one or two letters, so after a field prefix one is enough
+        if (!partialTerm || (partialTerm.length < 2 && !field)) {
+            return [];
         }
+
+        const term = QueryParser.normalizeText(partialTerm);
+        const fieldName = field ? (this.dataManager.queryParser.aliases[field] || field) : null;
+        const offers = (kind) => !fieldName || {
+            ticker: ['ticker', 'asset'],
+            filer: ['filer'],
+            type: ['type'],
+            owner: ['owner']
+        }[kind].includes(fieldName);
+        const startsWord = (value) => QueryParser.normalizeText(value).split(/[\s.,()-]+/).some(word => word.startsWith(term));
+
+        const tickers = new Map();
+        const filers = new Map();
+        const types = new Map();
+        const owners = new Map();
+        const tally = (map, key, build) => {
+            const entry = map.get(key) || build();
+            entry.count++;
+            map.set(key, entry);
+        };
+
+        this.dataManager.getMembers().forEach(transaction => {
+            // Tickers, by symbol or a word of the asset name
+            if (offers('ticker') && transaction.ticker &&
+                (transaction.ticker.toLowerCase().startsWith(term) || startsWord(transaction.asset))) {
+                tally(tickers, transaction.ticker, () => ({
+                    kind: 'ticker',
+                    label: `${transaction.ticker} · ${transaction.asset.replace(/\s*\([^)]*\)\s*$/, '')}`,
+                    query: `ticker:${transaction.ticker}`,
+                    count: 0
+                }));
+            }
+
+            if (offers('filer') && transaction.filer && startsWord(transaction.filer)) {
+                tally(filers, transaction.filer, () => ({
+                    kind: 'filer',
+                    label: transaction.filer,
+                    query: `filer:${this.quoteQueryValue(transaction.filer)}`,
+                    count: 0
+                }));
+            }
+
+            if (offers('type') && transaction.type &&
+                (transaction.type.toLowerCase() === term || startsWord(transaction.typeLabel))) {
+                tally(types, transaction.type, () => ({
+                    kind: 'type',
+                    label: `${transaction.type} · ${transaction.typeLabel}`,
+                    query: `type:${transaction.type}`,
+                    count: 0
+                }));
+            }
+
+            if (offers('owner') && (transaction.owner.toLowerCase() === term || startsWord(transaction.ownerLabel))) {
+                tally(owners, transaction.ownerLabel, () => ({
+                    kind: 'owner',
+                    label: transaction.owner ? `${transaction.owner} · ${transaction.ownerLabel}` : transaction.ownerLabel,
+                    query: `owner:${transaction.owner || 'self'}`,
+                    count: 0
+                }));
+            }
+        });
+
+        const top = (map, limit) => Array.from(map.values())
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+            .slice(0, limit);
+
+        return [
+            ...top(tickers, 8),
+            ...top(filers, 5),
+            ...top(types, 3),
+            ...top(owners, 4)
+        ];
     }
+}
 
+/**
+ * Switches between the Filings and Transactions tabs, loads the transactions dataset on
+ * first open, imports transaction files and links each trade back to its filing row
+ */
+class TransactionViewController {
     /**
-     * Handle export button click
-     * @param {Event} event - Click event
+     * @param {HTMLElement} tabList - Element with role="tablist" holding the view tabs
+     * @param {TransactionManager} transactionManager - Transaction records
+     * @param {TransactionTableRenderer} tableRenderer - Transactions table
+     * @param {Object} filings - The Filings tab's dataManager, tableRenderer, searchController,
+     *     datasetController and previewDrawerController
      */
-    async handleExportClick(event) {
-        const button = event.currentTarget;
+    constructor(tabList, transactionManager, tableRenderer, filings) {
+        this.tabList = tabList;
+        this.transactionManager = transactionManager;
+        this.tableRenderer = tableRenderer;
+        this.filings = filings;
 
-        try {
-            // Show loading state
-            this.showExportLoading(button);
+        this.tabs = Array.from(tabList.querySelectorAll('[role="tab"]'));
+        this.dataUrl = 'transactions.json';
+        this.activeView = 'filings';
+        this.loadPromise = null;
 
-            // Get export stats
-            const stats = this.csvExporter.getExportStats();
+        this.tabCount = document.getElementById('transactionsTabCount');
+        this.totalElement = document.getElementById('transactionTotal');
+        this.filteredElement = document.getElementById('transactionFiltered');
+        this.sourceElement = document.getElementById('transactionSource');
+        this.fileInput = document.getElementById('transactionFileInput');
+        this.lateOnlyButton = document.getElementById('lateOnlyBtn');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup listeners for the tabs, import and filing links
+     */
+    setupEventListeners() {
+        this.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.selectView(tab.getAttribute('data-view')));
+        });
+        this.tabList.addEventListener('keydown', this.handleTabKeydown.bind(this));
 
-            // Confirm export for large datasets
-            if (stats.recordsToExport > 10000) {
-                const confirmed = confirm(
-                    `You are about to export ${stats.recordsToExport.toLocaleString()} records (${stats.estimatedFileSize}). This may take a moment. Continue?`
-                );
+        document.getElementById('importTransactionsBtn')?.addEventListener('click', () => this.fileInput?.click());
+        this.fileInput?.addEventListener('change', this.handleImport.bind(this));
+        this.lateOnlyButton?.addEventListener('click', () => this.toggleLateOnly());
 
-                if (!confirmed) {
-                    this.hideExportLoading(button);
-                    return;
-                }
+        // Rows are re-rendered, so delegate from the table body
+        this.tableRenderer.tbody.addEventListener('click', (event) => {
+            const link = event.target.closest('.filing-link');
+            if (link) {
+                this.showFiling(link.getAttribute('data-doc-id'));
             }
+        });
 
-            // Perform export
-            await this.csvExporter.exportToCSV();
+        this.transactionManager.subscribe(() => this.updateStatistics());
 
-            // Show success message
-            this.showExportSuccess(stats.recordsToExport);
+        // Newly activated dataset years may hold the filing dates of imported transactions
+        this.filings.dataManager.subscribe(() => this.applyFilingDates());
+    }
+
+    /**
+     * Show only late disclosures, or every transaction again
+     */
+    toggleLateOnly() {
+        try {
+            const lateOnly = this.lateOnlyButton.getAttribute('aria-pressed') !== 'true';
+            const transactions = this.transactionManager.setFacetFilter('lateness', lateOnly ? ['late'] : []);
 
+            this.lateOnlyButton.setAttribute('aria-pressed', String(lateOnly));
+            this.tableRenderer.updateDisplay(transactions);
+            this.tableRenderer.scrollToTop();
         } catch (error) {
-            ErrorHandler.handleError(error, 'Export');
-        } finally {
-            this.hideExportLoading(button);
+            ErrorHandler.handleError(error, 'Filtering');
         }
     }
 
     /**
-     * Show export loading state
-     * @param {HTMLElement} button - Export button element
+     * Fill in missing filing dates of the transactions from the loaded filings
      */
-    showExportLoading(button) {
-        button.classList.add('btn--loading');
-        button.disabled = true;
-        button.setAttribute('aria-label', 'Exporting data...');
+    applyFilingDates() {
+        if (!this.transactionManager.isLoaded) return;
+
+        if (this.transactionManager.applyFilingDates(this.filings.dataManager.getMembers()) > 0) {
+            this.tableRenderer.updateDisplay(this.transactionManager.getFilteredMembers());
+        }
     }
 
     /**
-     * Hide export loading state
-     * @param {HTMLElement} button - Export button element
+     * Move between tabs with the arrow, Home and End keys
+     * @param {KeyboardEvent} event - Keydown event
      */
-    hideExportLoading(button) {
-        button.classList.remove('btn--loading');
-        button.disabled = false;
-        button.setAttribute('aria-label', 'Export filtered results to CSV');
+    handleTabKeydown(event) {
+        const index = this.tabs.indexOf(event.target);
+        if (index === -1) return;
+
+        let next;
+        switch (event.key) {
+            case 'ArrowLeft': next = (index - 1 + this.tabs.length) % this.tabs.length; break;
+            case 'ArrowRight': next = (index + 1) % this.tabs.length; break;
+            case 'Home': next = 0; break;
+            case 'End': next = this.tabs.length - 1; break;
+            default: return;
+        }
+
+        event.preventDefault();
+        this.tabs[next].focus();
+        this.selectView(this.tabs[next].getAttribute('data-view'));
     }
 
     /**
-     * Show export success message
-     * @param {number} recordCount - Number of exported records
+     * Show a view, loading the transactions the first time their tab opens
+     * @param {string} view - 'filings' or 'transactions'
+     * @returns {Promise} Resolves once the view's data is ready
      */
-    showExportSuccess(recordCount) {
-        // Create success message
-        const message = `Successfully exported ${recordCount.toLocaleString()} records to CSV file.`;
+    async selectView(view) {
+        this.activeView = view;
 
-        // Show temporary success indicator
-        const exportBtn = document.getElementById('exportBtn');
-        if (exportBtn) {
-            const originalText = exportBtn.textContent;
-            exportBtn.textContent = '✓ Exported';
-            exportBtn.classList.add('btn--success');
+        this.tabs.forEach(tab => {
+            const selected = tab.getAttribute('data-view') === view;
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            tab.classList.toggle('view-tabs__tab--active', selected);
 
-            setTimeout(() => {
-                exportBtn.textContent = originalText;
-                exportBtn.classList.remove('btn--success');
-            }, 2000);
-        }
+            const panel = document.getElementById(tab.getAttribute('aria-controls'));
+            if (panel) panel.hidden = !selected;
+        });
 
-        console.log(message);
-    }
-}/**
- * M
-odal controller for handling modal dialogs
- */
-class ModalController {
-    constructor() {
-        this.currentModal = null;
-        this.setupEventListeners();
+        // The preview drawer steps through filing rows, which are now out of sight
+        if (view === 'transactions') {
+            this.filings.previewDrawerController?.close();
+            await this.ensureLoaded();
+        }
     }
 
     /**
-     * Setup global modal event listeners
+     * Load the bundled transactions dataset unless already loaded
+     * @returns {Promise} Resolves once loaded; failures are shown in the view
      */
-    setupEventListeners() {
-        // Close modal on backdrop click
-        document.addEventListener('click', (event) => {
-            if (event.target.classList.contains('modal__backdrop')) {
-                this.closeModal();
-            }
-        });
+    ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadTransactions();
+        }
+        return this.loadPromise;
+    }
 
-        // Close modal on escape key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.currentModal) {
-                this.closeModal();
-            }
-        });
+    /**
+     * Load the bundled transactions dataset
+     */
+    async loadTransactions() {
+        performanceMonitor.startTimer('transactions-load');
+        this.tableRenderer.showLoading();
 
-        // Legend button
-        const legendBtn = document.getElementById('legendBtn');
-        if (legendBtn) {
-            legendBtn.addEventListener('click', () => this.openLegendModal());
+        try {
+            const transactions = await this.transactionManager.loadTransactions(this.dataUrl);
+            this.transactionManager.applyFilingDates(this.filings.dataManager.getMembers());
+            this.tableRenderer.hideLoading();
+            this.tableRenderer.render(this.transactionManager.getFilteredMembers());
+            console.log(`Loaded ${transactions.length} transactions`);
+        } catch (error) {
+            console.error('Failed to load transactions:', error);
+            this.tableRenderer.hideLoading();
+            this.showLoadError(error);
+        } finally {
+            this.updateStatistics();
+            performanceMonitor.endTimer('transactions-load');
         }
-
-        // Modal close buttons
-        document.addEventListener('click', (event) => {
-            if (event.target.classList.contains('modal__close')) {
-                this.closeModal();
-            }
-        });
     }
 
     /**
-     * Open filing type legend modal
+     * Explain in the empty state that the bundled dataset could not be loaded
+     * @param {Error} error - Error that occurred
      */
-    openLegendModal() {
-        const modal = document.getElementById('legendModal');
-        if (modal) {
-            this.openModal(modal);
+    showLoadError(error) {
+        this.tableRenderer.renderEmptyState();
+
+        const emptyState = this.tableRenderer.emptyState;
+        if (!emptyState) return;
+
+        const heading = emptyState.querySelector('h3');
+        const paragraph = emptyState.querySelector('p');
+        if (heading) heading.textContent = 'Transactions not available';
+        if (paragraph) {
+            paragraph.textContent = `${ErrorHandler.getUserFriendlyMessage(error, 'Data Loading')} ` +
+                'You can still import a transactions JSON or CSV file.';
         }
     }
 
     /**
-     * Open a modal
-     * @param {HTMLElement} modal - Modal element to open
+     * Import the file chosen in the file input
+     * @param {Event} event - Change event
      */
-    openModal(modal) {
-        this.currentModal = modal;
-        modal.style.display = 'flex';
-        modal.setAttribute('aria-hidden', 'false');
+    async handleImport(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
 
-        // Focus management
-        const firstFocusable = modal.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-        if (firstFocusable) {
-            firstFocusable.focus();
+        performanceMonitor.startTimer('transactions-import');
+
+        try {
+            // Load the bundled dataset first so the import overrides it rather than the reverse
+            await this.ensureLoaded();
+
+            const before = this.transactionManager.getMembers().length;
+            await this.transactionManager.importFile(file);
+            this.transactionManager.applyFilingDates(this.filings.dataManager.getMembers());
+            const source = this.transactionManager.sources[this.transactionManager.sources.length - 1];
+            console.log(`Imported ${source.transactions} transactions from ${file.name} ` +
+                `(${this.transactionManager.getMembers().length - before} net new)`);
+
+            this.tableRenderer.render(this.transactionManager.getFilteredMembers());
+            if (this.activeView !== 'transactions') {
+                await this.selectView('transactions');
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Transaction Import');
+        } finally {
+            // Allow importing the same file again after editing it
+            event.target.value = '';
+            this.updateStatistics();
+            performanceMonitor.endTimer('transactions-import');
         }
+    }
 
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+    /**
+     * Update the tab badge and the Transactions tab statistics
+     */
+    updateStatistics() {
+        const manager = this.transactionManager;
+        const total = manager.getMembers().length;
+        const filtered = manager.getFilteredMembers().length;
+
+        if (this.tabCount) {
+            this.tabCount.textContent = manager.isLoaded ? total.toLocaleString() : '';
+        }
+        if (this.totalElement) {
+            this.totalElement.textContent = manager.isLoaded
+                ? `${total.toLocaleString()} in ${manager.getFilingCount().toLocaleString()} filings`
+                : '—';
+        }
+        if (this.filteredElement) {
+            this.filteredElement.textContent = filtered.toLocaleString();
+            this.filteredElement.classList.toggle('filtered', filtered < total);
+        }
+        if (this.sourceElement) {
+            this.sourceElement.textContent = manager.sources.map(source => source.name).join(', ') || '—';
+        }
     }
 
     /**
-     * Close current modal
+     * Show a transaction's filing in the Filings tab and open it in the preview drawer
+     * Activates the dataset year holding the filing and, if the current search or filters
+     * hide it, searches for its document ID.
+     * @param {string} docID - Document ID of the filing
+     * @returns {Promise<boolean>} Whether the filing was found
      */
-    closeModal() {
-        if (this.currentModal) {
-            this.currentModal.style.display = 'none';
-            this.currentModal.setAttribute('aria-hidden', 'true');
-            this.currentModal = null;
+    async showFiling(docID) {
+        const { dataManager, tableRenderer, searchController, datasetController, previewDrawerController } = this.filings;
 
-            // Restore body scroll
-            document.body.style.overflow = '';
+        try {
+            let member = dataManager.getMembers().find(candidate => candidate.docID === docID);
+
+            // Look through the inactive years, loading them as needed
+            if (!member) {
+                const activeYears = dataManager.getActiveYears();
+                for (const { year } of dataManager.getDatasets()) {
+                    if (activeYears.includes(year)) continue;
+
+                    const members = await dataManager.loadDataset(year);
+                    if (members.some(candidate => candidate.docID === docID)) {
+                        await datasetController.setActiveYears([...activeYears, year]);
+                        member = dataManager.getMembers().find(candidate => candidate.docID === docID);
+                        break;
+                    }
+                }
+            }
+
+            await this.selectView('filings');
+
+            if (!member) {
+                ErrorHandler.showErrorMessage(`Filing ${docID} is not in any of the loaded datasets.`);
+                return false;
+            }
 
-            // Return focus to trigger element (legend button)
-            const legendBtn = document.getElementById('legendBtn');
-            if (legendBtn) {
-                legendBtn.focus();
+            if (!dataManager.getFilteredMembers().includes(member)) {
+                searchController.setSearchTerm(`doc:${docID}`);
             }
+
+            // Render now rather than after the pending update so the drawer can select the row
+            tableRenderer.render(dataManager.getFilteredMembers());
+            previewDrawerController?.open(member);
+            return true;
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Filing Link');
+            return false;
         }
     }
 }
 
 /**
- * Tooltip controller for handling hover tooltips
+ * Sortable summary table over the filtered transactions, with CSV export
+ * Subclasses supply the rows, columns and export layout.
  */
-class TooltipController {
-    constructor() {
-        this.currentTooltip = null;
-        this.showDelay = 500;
-        this.hideDelay = 100;
-        this.showTimer = null;
-        this.hideTimer = null;
+class SummaryTableController {
+    /**
+     * @param {HTMLElement} container - Section holding the table; hidden until transactions load
+     * @param {TransactionManager} transactionManager - Transactions to summarize
+     * @param {Object} [elements] - Optional note and export button elements
+     */
+    constructor(container, transactionManager, elements = {}) {
+        this.container = container;
+        this.transactionManager = transactionManager;
+        this.table = container.querySelector('table');
+        this.note = elements.note || null;
+        this.exportButton = elements.exportButton || null;
+        this.csvExporter = new CSVExporter(transactionManager);
+
+        this.sort = this.getDefaultSort();
+        this.rows = [];
+        this.compactCurrency = new Intl.NumberFormat('en-US', {
+            style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1
+        });
+        this.currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
 
         this.setupEventListeners();
     }
 
     /**
-     * Setup tooltip event listeners
+     * Sort applied until the user picks a column
+     * @returns {Object} { column, direction }
      */
-    setupEventListeners() {
-        // Use event delegation for dynamic content
-        document.addEventListener('mouseenter', this.handleMouseEnter.bind(this), true);
-        document.addEventListener('mouseleave', this.handleMouseLeave.bind(this), true);
-        document.addEventListener('focus', this.handleFocus.bind(this), true);
-        document.addEventListener('blur', this.handleBlur.bind(this), true);
+    getDefaultSort() {
+        return { column: 'label', direction: 'asc' };
     }
 
     /**
-     * Handle mouse enter events
-     * @param {Event} event - Mouse enter event
+     * Table columns in display order
+     * @returns {Array<Object>} Columns ({ key, label, format }); format is 'text', 'count',
+     *     'money', 'days' or 'percent'
      */
-    handleMouseEnter(event) {
-        const element = event.target;
-
-        // Check if element has tooltip content
-        if (this.shouldShowTooltip(element)) {
-            this.clearHideTimer();
-            this.showTimer = setTimeout(() => {
-                this.showTooltip(element);
-            }, this.showDelay);
-        }
+    getColumns() {
+        throw new Error('getColumns() must be implemented by a subclass');
     }
 
     /**
-     * Handle mouse leave events
-     * @param {Event} event - Mouse leave event
+     * Compute the summary rows
+     * @returns {Array<Object>} Rows with a label plus one value per column key
      */
-    handleMouseLeave(event) {
-        const element = event.target;
+    getRows() {
+        throw new Error('getRows() must be implemented by a subclass');
+    }
 
-        if (this.shouldShowTooltip(element)) {
-            this.clearShowTimer();
-            this.hideTimer = setTimeout(() => {
-                this.hideTooltip();
-            }, this.hideDelay);
-        }
+    /**
+     * Describe what the table shows
+     * @param {Array<Object>} rows - Summary rows
+     * @returns {string} Note shown above the table
+     */
+    getNote(rows) {
+        return '';
     }
 
     /**
-     * Handle focus events for keyboard accessibility
-     * @param {Event} event - Focus event
+     * Header and cells of the CSV export
+     * @param {Array<Object>} rows - Summary rows in display order
+     * @returns {Object} { headers, rows } with raw values
      */
-    handleFocus(event) {
-        const element = event.target;
+    getExportData(rows) {
+        const columns = this.getColumns();
+        return {
+            headers: columns.map(column => column.label),
+            rows: rows.map(row => columns.map(column => row[column.key]))
+        };
+    }
 
-        if (this.shouldShowTooltip(element)) {
-            this.clearHideTimer();
-            this.showTooltip(element);
-        }
+    /**
+     * Name of the downloaded CSV file, without the date and extension
+     * @returns {string} File name stem
+     */
+    getExportName() {
+        return 'summary';
     }
 
     /**
-     * Handle blur events
-     * @param {Event} event - Blur event
+     * Setup listeners for sorting, export and result changes
      */
-    handleBlur(event) {
-        const element = event.target;
+    setupEventListeners() {
+        // Headers are re-rendered, so delegate from the table head
+        const thead = this.table.querySelector('thead');
+        thead.addEventListener('click', (event) => {
+            const header = event.target.closest('th[data-column]');
+            if (header) this.handleSort(header.getAttribute('data-column'));
+        });
+        thead.addEventListener('keydown', (event) => {
+            const header = event.target.closest('th[data-column]');
+            if (header && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                this.handleSort(header.getAttribute('data-column'));
+            }
+        });
 
-        if (this.shouldShowTooltip(element)) {
-            this.hideTooltip();
+        this.exportButton?.addEventListener('click', () => this.exportToCSV());
+
+        this.transactionManager.subscribe(() => this.render());
+    }
+
+    /**
+     * Sort by a column, reversing the direction when it is already the sort column
+     * @param {string} column - Column key
+     */
+    handleSort(column) {
+        if (this.sort.column === column) {
+            this.sort = { column, direction: this.sort.direction === 'asc' ? 'desc' : 'asc' };
+        } else {
+            // Names read best A-Z, figures largest first
+            this.sort = { column, direction: column === 'label' ? 'asc' : 'desc' };
         }
+        this.render();
     }
 
     /**
-     * Check if element should show tooltip
-     * @param {HTMLElement} element - Element to check
-     * @returns {boolean} Whether tooltip should be shown
+     * Sort summary rows by the current sort column
+     * @param {Array<Object>} rows - Summary rows
+     * @returns {Array<Object>} The same rows, sorted
      */
-    shouldShowTooltip(element) {
-        return element &&
-            element.classList &&
-            element.classList.contains('truncated') &&
-            element.title &&
-            element.title.trim().length > 0;
+    sortRows(rows) {
+        const { column, direction } = this.sort;
+        const sign = direction === 'asc' ? 1 : -1;
+        const collator = this.transactionManager.collator;
+
+        return rows.sort((a, b) => {
+            let result;
+            if (column === 'label') {
+                result = collator.compare(a.label, b.label);
+            } else if (a[column] == null || b[column] == null) {
+                // Missing values sort last in either direction
+                return (a[column] == null) - (b[column] == null) || collator.compare(a.label, b.label);
+            } else {
+                result = a[column] - b[column];
+            }
+            // Ties fall back to the group name so the order is stable
+            return sign * result || collator.compare(a.label, b.label);
+        });
     }
 
     /**
-     * Show tooltip for element
-     * @param {HTMLElement} element - Element to show tooltip for
+     * Recompute and render the summary for the filtered transactions
      */
-    showTooltip(element) {
-        this.hideTooltip(); // Hide any existing tooltip
+    render() {
+        const manager = this.transactionManager;
+        this.container.hidden = !manager.isLoaded;
+        if (!manager.isLoaded) return;
 
-        const tooltipText = element.title;
-        if (!tooltipText) return;
+        performanceMonitor.startTimer('summary-table');
+
+        try {
+            this.rows = this.sortRows(this.getRows());
+            this.renderHeader();
+            this.renderBody();
+
+            if (this.note) {
+                this.note.textContent = this.getNote(this.rows);
+            }
+            if (this.exportButton) {
+                this.exportButton.disabled = this.rows.length === 0;
+            }
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Summary Table');
+        } finally {
+            performanceMonitor.endTimer('summary-table');
+        }
+    }
+
+    /**
+     * Render the sortable header row
+     */
+    renderHeader() {
+        const row = document.createElement('tr');
 
-        // Create tooltip element
-        const tooltip = document.createElement('div');
-        tooltip.className = 'tooltip';
-        tooltip.textContent = tooltipText;
-        tooltip.setAttribute('role', 'tooltip');
+        this.getColumns().forEach(({ key, label, format }) => {
+            const sorted = this.sort.column === key;
+            const directionName = this.sort.direction === 'asc' ? 'ascending' : 'descending';
+
+            const header = document.createElement('th');
+            header.className = 'sortable';
+            if (format !== 'text') header.classList.add('numeric');
+            if (sorted) header.classList.add(`sort-${this.sort.direction}`);
+            header.setAttribute('data-column', key);
+            header.setAttribute('tabindex', '0');
+            header.setAttribute('role', 'button');
+            header.setAttribute('aria-sort', sorted ? directionName : 'none');
+            header.setAttribute('aria-label', sorted
+                ? `Sort by ${label.toLowerCase()} (sorted ${directionName})`
+                : `Sort by ${label.toLowerCase()}`);
+            header.textContent = label;
+
+            const indicator = document.createElement('span');
+            indicator.className = 'sort-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            header.appendChild(indicator);
+
+            row.appendChild(header);
+        });
 
-        // Add to DOM
-        document.body.appendChild(tooltip);
+        const thead = this.table.querySelector('thead');
+        thead.innerHTML = '';
+        thead.appendChild(row);
+    }
 
-        // Position tooltip
-        this.positionTooltip(tooltip, element);
+    /**
+     * Render one row per summary row
+     */
+    renderBody() {
+        const columns = this.getColumns();
+        const fragment = document.createDocumentFragment();
 
-        // Show tooltip
-        requestAnimationFrame(() => {
-            tooltip.classList.add('show');
+        this.rows.forEach(summary => {
+            const row = document.createElement('tr');
+            columns.forEach(column => row.appendChild(this.createCell(summary, column)));
+            fragment.appendChild(row);
         });
 
-        this.currentTooltip = tooltip;
-
-        // Temporarily remove title to prevent browser tooltip
-        element.setAttribute('data-original-title', tooltipText);
-        element.removeAttribute('title');
+        const tbody = this.table.querySelector('tbody');
+        tbody.innerHTML = '';
+        tbody.appendChild(fragment);
     }
 
     /**
-     * Position tooltip relative to element
-     * @param {HTMLElement} tooltip - Tooltip element
-     * @param {HTMLElement} element - Target element
+     * Create a summary cell
+     * @param {Object} summary - Summary row
+     * @param {Object} column - Column definition
+     * @returns {HTMLElement} Table cell element
      */
-    positionTooltip(tooltip, element) {
-        const elementRect = element.getBoundingClientRect();
-        const tooltipRect = tooltip.getBoundingClientRect();
-
-        // Calculate position
-        let left = elementRect.left + (elementRect.width / 2) - (tooltipRect.width / 2);
-        let top = elementRect.top - tooltipRect.height - 8;
+    createCell(summary, column) {
+        const cell = document.createElement('td');
+        const value = summary[column.key];
 
-        // Adjust for viewport boundaries
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
+        if (column.format === 'text') {
+            cell.className = 'summary-table__group';
+            cell.textContent = value;
+            cell.title = value;
+            return cell;
+        }
 
-        // Horizontal adjustment
-        if (left < 8) {
-            left = 8;
-        } else if (left + tooltipRect.width > viewportWidth - 8) {
-            left = viewportWidth - tooltipRect.width - 8;
+        cell.className = 'numeric';
+        if (value == null) {
+            cell.textContent = '—';
+            cell.classList.add('empty');
+            return cell;
         }
 
-        // Vertical adjustment (show below if not enough space above)
-        if (top < 8) {
-            top = elementRect.bottom + 8;
-            tooltip.classList.add('tooltip-below');
+        switch (column.format) {
+            case 'money':
+                cell.textContent = this.compactCurrency.format(value);
+                break;
+            case 'percent':
+                cell.textContent = `${Math.round(value * 100)}%`;
+                break;
+            case 'days':
+                cell.textContent = `${value.toLocaleString()} ${value === 1 ? 'day' : 'days'}`;
+                break;
+            default:
+                cell.textContent = value.toLocaleString();
         }
 
-        tooltip.style.left = `${left}px`;
-        tooltip.style.top = `${top}px`;
+        return cell;
     }
 
     /**
-     * Hide current tooltip
+     * Download the summary, in its current order, as CSV
      */
-    hideTooltip() {
-        if (this.currentTooltip) {
-            this.currentTooltip.classList.remove('show');
+    exportToCSV() {
+        try {
+            if (this.rows.length === 0) {
+                throw new Error('No data to export');
+            }
 
-            setTimeout(() => {
-                if (this.currentTooltip && this.currentTooltip.parentNode) {
-                    this.currentTooltip.parentNode.removeChild(this.currentTooltip);
-                }
-                this.currentTooltip = null;
-            }, 150);
+            const { headers, rows } = this.getExportData(this.rows);
+            const csvContent = [headers, ...rows]
+                .map(row => row.map(value => this.csvExporter.escapeCsvValue(value)).join(','))
+                .join('\n');
+            const filename = `${this.getExportName()}-${new Date().toISOString().split('T')[0]}.csv`;
+
+            this.csvExporter.downloadCSV(csvContent, filename);
+            console.log(`Exported ${this.rows.length} summary rows to ${filename}`);
+        } catch (error) {
+            ErrorHandler.handleError(error, 'Summary Export');
         }
+    }
+}
 
-        // Restore original titles
-        const elementsWithOriginalTitle = document.querySelectorAll('[data-original-title]');
-        elementsWithOriginalTitle.forEach(element => {
-            const originalTitle = element.getAttribute('data-original-title');
-            element.setAttribute('title', originalTitle);
-            element.removeAttribute('data-original-title');
+/**
+ * Estimated buy and sell volume of the filtered transactions, grouped by member, ticker
+ * or month
+ */
+class VolumeSummaryController extends SummaryTableController {
+    /**
+     * @param {HTMLElement} container - Section holding the table
+     * @param {TransactionManager} transactionManager - Transactions to roll up
+     * @param {Object} [elements] - Optional note, export button and grouping select elements
+     */
+    constructor(container, transactionManager, elements = {}) {
+        super(container, transactionManager, elements);
+        this.groupSelect = elements.groupSelect || null;
+        this.groupBy = 'member';
+
+        this.renderGroupOptions();
+        this.groupSelect?.addEventListener('change', () => {
+            this.groupBy = this.groupSelect.value;
+            this.render();
         });
     }
 
     /**
-     * Clear show timer
+     * Groupings offered in the select
+     * @returns {Object} Label keyed by TransactionManager.getVolumeSummary grouping
      */
-    clearShowTimer() {
-        if (this.showTimer) {
-            clearTimeout(this.showTimer);
-            this.showTimer = null;
-        }
+    static get groupings() {
+        return {
+            member: 'Member',
+            ticker: 'Ticker',
+            month: 'Month'
+        };
     }
 
     /**
-     * Clear hide timer
+     * Largest volume first
+     * @returns {Object} { column, direction }
      */
-    clearHideTimer() {
-        if (this.hideTimer) {
-            clearTimeout(this.hideTimer);
-            this.hideTimer = null;
-        }
+    getDefaultSort() {
+        return { column: 'totalEstimate', direction: 'desc' };
     }
-}
 
-/**
- * Statistics controller for managing summary statistics
- */
-class StatisticsController {
-    constructor(dataManager) {
-        this.dataManager = dataManager;
+    /**
+     * Table columns in display order
+     * @returns {Array<Object>} Column definitions
+     */
+    getColumns() {
+        return [
+            { key: 'label', label: VolumeSummaryController.groupings[this.groupBy], format: 'text' },
+            { key: 'trades', label: 'Trades', format: 'count' },
+            { key: 'buys', label: 'Buys', format: 'count' },
+            { key: 'buyEstimate', label: 'Est. Bought', format: 'money' },
+            { key: 'sells', label: 'Sells', format: 'count' },
+            { key: 'sellEstimate', label: 'Est. Sold', format: 'money' },
+            { key: 'totalEstimate', label: 'Est. Volume', format: 'money' },
+            { key: 'netEstimate', label: 'Est. Net', format: 'money' }
+        ];
     }
 
     /**
-     * Update all statistics displays
+     * Compute volume rows for the current grouping
+     * @returns {Array<Object>} Rows from TransactionManager.getVolumeSummary
      */
-    updateStatistics() {
-        const stats = this.dataManager.getStatistics();
-
-        this.updateTotalRecords(stats.totalRecords);
-        this.updateFilteredRecords(stats.filteredRecords);
-        this.updateDateRange(stats.dateRange);
+    getRows() {
+        return this.transactionManager.getVolumeSummary(this.groupBy);
     }
 
     /**
-     * Update total records display
-     * @param {number} count - Total record count
+     * Describe what the table shows
+     * @param {Array<Object>} rows - Summary rows
+     * @returns {string} Note shown above the table
      */
-    updateTotalRecords(count) {
-        const element = document.getElementById('totalRecords');
-        if (element) {
-            element.textContent = count.toLocaleString();
-        }
+    getNote(rows) {
+        const count = this.transactionManager.getFilteredMembers().length;
+        return `${rows.length.toLocaleString()} ${VolumeSummaryController.groupings[this.groupBy].toLowerCase()}s from ` +
+            `${count.toLocaleString()} ${count === 1 ? 'transaction' : 'transactions'} in the current results. ` +
+            'Estimates use the midpoint of each amount band; hover an amount for its range.';
     }
 
     /**
-     * Update filtered records display
-     * @param {number} count - Filtered record count
+     * Create a summary cell, adding the min-max range to buy and sell estimates
+     * @param {Object} summary - Summary row
+     * @param {Object} column - Column definition
+     * @returns {HTMLElement} Table cell element
      */
-    updateFilteredRecords(count) {
-        const element = document.getElementById('filteredRecords');
-        if (element) {
-            element.textContent = count.toLocaleString();
+    createCell(summary, column) {
+        const cell = super.createCell(summary, column);
 
-            // Add filtered indicator if different from total
-            const totalCount = this.dataManager.getMembers().length;
-            if (count < totalCount) {
-                element.classList.add('filtered');
-                element.title = `Showing ${count.toLocaleString()} of ${totalCount.toLocaleString()} total records`;
-            } else {
-                element.classList.remove('filtered');
-                element.title = '';
-            }
+        if (column.key === 'buyEstimate' || column.key === 'sellEstimate') {
+            cell.title = this.describeRange(summary, column.key === 'buyEstimate' ? 'buy' : 'sell');
         }
+        if (column.key === 'netEstimate' && summary.netEstimate !== 0) {
+            cell.classList.add(summary.netEstimate > 0 ? 'summary-table__value--buy' : 'summary-table__value--sell');
+        }
+
+        return cell;
     }
 
     /**
-     * Update date range display
-     * @param {string} dateRange - Date range string
+     * Describe the range the true volume of one side lies in
+     * @param {Object} summary - Summary row
+     * @param {string} side - 'buy' or 'sell'
+     * @returns {string} Range, e.g. "$1,001 – $15,000"
      */
-    updateDateRange(dateRange) {
-        const element = document.getElementById('dateRange');
-        if (element) {
-            element.textContent = dateRange;
+    describeRange(summary, side) {
+        const min = this.currency.format(summary[`${side}Min`]);
+        if (summary[`${side}OpenEnded`]) {
+            return `${min} or more`;
         }
+        return `${min} – ${this.currency.format(summary[`${side}Max`])}`;
     }
 
     /**
-     * Get detailed statistics for display
-     * @returns {Object} Detailed statistics
+     * Header and cells of the CSV export, with the range behind each estimate
+     * @param {Array<Object>} rows - Summary rows in display order
+     * @returns {Object} { headers, rows }
      */
-    getDetailedStatistics() {
-        const stats = this.dataManager.getStatistics();
-        const members = this.dataManager.getMembers();
+    getExportData(rows) {
+        return {
+            headers: [
+                VolumeSummaryController.groupings[this.groupBy], 'Trades',
+                'Buys', 'Buy Min', 'Buy Max', 'Buy Estimate',
+                'Sells', 'Sell Min', 'Sell Max', 'Sell Estimate',
+                'Total Estimate', 'Net Estimate'
+            ],
+            // Open-ended bands have no maximum, so it is left blank
+            rows: rows.map(summary => [
+                summary.label, summary.trades,
+                summary.buys, summary.buyMin, summary.buyOpenEnded ? '' : summary.buyMax, summary.buyEstimate,
+                summary.sells, summary.sellMin, summary.sellOpenEnded ? '' : summary.sellMax, summary.sellEstimate,
+                summary.totalEstimate, summary.netEstimate
+            ])
+        };
+    }
 
-        // Calculate additional statistics
-        const stateDistribution = {};
-        const filingTypeDistribution = {};
-        const yearDistribution = {};
+    /**
+     * Name of the downloaded CSV file
+     * @returns {string} File name stem
+     */
+    getExportName() {
+        return `trade-volume-by-${this.groupBy}`;
+    }
 
-        members.forEach(member => {
-            // State distribution
-            const state = member.stateDst ? member.stateDst.substring(0, 2) : 'Unknown';
-            stateDistribution[state] = (stateDistribution[state] || 0) + 1;
+    /**
+     * Fill the grouping select
+     */
+    renderGroupOptions() {
+        if (!this.groupSelect) return;
+
+        this.groupSelect.innerHTML = '';
+        Object.entries(VolumeSummaryController.groupings).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === this.groupBy;
+            this.groupSelect.appendChild(option);
+        });
+    }
+}
 
-            // Filing type distribution
-            const filingType = member.filingType || 'Unknown';
-            filingTypeDistribution[filingType] = (filingTypeDistribution[filingType] || 0) + 1;
+/**
+ * Per-member summary of PTRs disclosed after the STOCK Act deadlines
+ */
+class LatenessSummaryController extends SummaryTableController {
+    /**
+     * Members with the most late filings first
+     * @returns {Object} { column, direction }
+     */
+    getDefaultSort() {
+        return { column: 'lateFilings', direction: 'desc' };
+    }
 
-            // Year distribution
-            const year = member.year || 'Unknown';
-            yearDistribution[year] = (yearDistribution[year] || 0) + 1;
-        });
+    /**
+     * Table columns in display order
+     * @returns {Array<Object>} Column definitions
+     */
+    getColumns() {
+        return [
+            { key: 'label', label: 'Member', format: 'text' },
+            { key: 'filings', label: 'Filings', format: 'count' },
+            { key: 'lateFilings', label: 'Late Filings', format: 'count' },
+            { key: 'lateShare', label: 'Share Late', format: 'percent' },
+            { key: 'transactions', label: 'Trades', format: 'count' },
+            { key: 'lateTransactions', label: 'Late Trades', format: 'count' },
+            { key: 'maxDaysLate', label: 'Most Days Late', format: 'days' },
+            { key: 'medianDaysLate', label: 'Median Days Late', format: 'days' }
+        ];
+    }
 
-        return {
-            ...stats,
-            stateDistribution,
-            filingTypeDistribution,
-            yearDistribution
-        };
+    /**
+     * Compute lateness rows per member
+     * @returns {Array<Object>} Rows from TransactionManager.getLatenessSummary
+     */
+    getRows() {
+        return this.transactionManager.getLatenessSummary();
+    }
+
+    /**
+     * Describe what the table shows
+     * @param {Array<Object>} rows - Summary rows
+     * @returns {string} Note shown above the table
+     */
+    getNote(rows) {
+        const late = rows.filter(row => row.lateFilings > 0).length;
+        return `${late.toLocaleString()} of ${rows.length.toLocaleString()} members in the current results filed late. ` +
+            `A PTR is late when filed more than ${TransactionManager.notificationWindow} days after the notification ` +
+            `or ${TransactionManager.transactionWindow} days after the transaction.`;
+    }
+
+    /**
+     * Name of the downloaded CSV file
+     * @returns {string} File name stem
+     */
+    getExportName() {
+        return 'late-disclosures-by-member';
     }
 }
 
@@ -2341,9 +12197,31 @@ class FinancialDisclosureApp {
         this.modalController = null;
         this.tooltipController = null;
         this.statisticsController = null;
+        this.datasetController = null;
+        this.facetController = null;
+        this.dateRangeController = null;
+        this.dashboardController = null;
+        this.choroplethController = null;
+        this.changeTracker = null;
+        this.changelogController = null;
+        this.watchlistController = null;
+        this.urlStateController = null;
+        this.pdfLinkResolver = null;
+        this.previewDrawerController = null;
+        this.transactionManager = null;
+        this.transactionTableRenderer = null;
+        this.transactionSearchController = null;
+        this.transactionSortController = null;
+        this.transactionViewController = null;
+        this.volumeSummaryController = null;
+        this.latenessSummaryController = null;
+        this.memberProfileController = null;
+        this.filerReviewController = null;
 
         this.isInitialized = false;
-        this.xmlFilename = '2026FD.xml';
+        this.manifestFilename = 'datasets.json';
+        // Used when the manifest cannot be fetched (e.g. opened from file://)
+        this.fallbackDatasets = [{ year: 2026, file: '2026FD.xml' }];
     }
 
     /**
@@ -2360,6 +12238,14 @@ class FinancialDisclosureApp {
             // Load and parse data
             await this.loadData();
 
+            // Apply search, filters and sort from the URL and keep it in sync
+            if (this.urlStateController) {
+                await this.urlStateController.start();
+            }
+
+            // Open the profile a shared link points at
+            await this.memberProfileController?.route();
+
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
 
@@ -2383,18 +12269,23 @@ class FinancialDisclosureApp {
      * Initialize all component instances
      */
     initializeComponents() {
-        // Initialize data manager
+        // Initialize data manager, diffing each dataset against the snapshot from the last visit
         this.dataManager = new DataManager();
+        this.changeTracker = new ChangeTracker();
+        this.dataManager.changeTracker = this.changeTracker;
+        // Keep the IDs of filers split off on earlier visits, which watchlists and profile links hold
+        this.dataManager.setFilerIdStore(FilerIdStore);
 
         // Initialize UI controllers
         this.modalController = new ModalController();
         this.tooltipController = new TooltipController();
         this.statisticsController = new StatisticsController(this.dataManager);
 
-        // Initialize table renderer
+        // Initialize table renderer, linking document IDs to their PDFs
+        this.pdfLinkResolver = new PdfLinkResolver();
         const tableElement = document.getElementById('dataTable');
         if (tableElement) {
-            this.tableRenderer = new TableRenderer(tableElement, this.dataManager);
+            this.tableRenderer = new TableRenderer(tableElement, this.dataManager, this.pdfLinkResolver);
         }
 
         // Initialize search controller
@@ -2411,21 +12302,216 @@ class FinancialDisclosureApp {
         // Initialize export controller
         this.exportController = new ExportController(this.dataManager);
 
+        // Initialize facet sidebar
+        const facetSidebar = document.getElementById('facetSidebar');
+        if (facetSidebar && this.tableRenderer) {
+            this.facetController = new FacetController(
+                facetSidebar, document.getElementById('filterChips'),
+                this.dataManager, this.tableRenderer, this.statisticsController
+            );
+        }
+
+        // Initialize filing date range filter
+        const dateFilter = document.getElementById('dateFilter');
+        if (dateFilter && this.tableRenderer) {
+            this.dateRangeController = new DateRangeController(
+                dateFilter, this.dataManager, this.tableRenderer, this.statisticsController
+            );
+        }
+
+        // Initialize the charts dashboard; bar clicks go through the facet and date filters
+        const dashboard = document.getElementById('dashboard');
+        if (dashboard) {
+            this.dashboardController = new DashboardController(dashboard, this.dataManager, this.statisticsController, {
+                toggleButton: document.getElementById('dashboardToggle'),
+                body: document.getElementById('dashboardCharts'),
+                facetController: this.facetController,
+                dateRangeController: this.dateRangeController
+            });
+        }
+
+        // Initialize the state map; clicks apply the state and district facets
+        const mapPanel = document.getElementById('mapPanel');
+        if (mapPanel) {
+            this.choroplethController = new ChoroplethController(mapPanel, this.dataManager, {
+                toggleButton: document.getElementById('mapToggle'),
+                body: document.getElementById('mapBody'),
+                metricSelect: document.getElementById('mapMetric'),
+                map: document.getElementById('mapCanvas'),
+                legend: document.getElementById('mapLegend'),
+                districtPanel: document.getElementById('mapDistricts'),
+                districtTitle: document.getElementById('mapDistrictTitle'),
+                districtGrid: document.getElementById('mapDistrictGrid'),
+                allStatesButton: document.getElementById('mapAllStatesBtn'),
+                facetController: this.facetController
+            });
+        }
+
+        // Initialize dataset picker
+        const datasetPicker = document.getElementById('datasetPicker');
+        if (datasetPicker && this.tableRenderer) {
+            this.datasetController = new DatasetController(
+                datasetPicker, this.dataManager, this.tableRenderer, this.statisticsController, this.modalController
+            );
+        }
+
+        // Initialize filing preview drawer
+        const previewDrawer = document.getElementById('previewDrawer');
+        if (previewDrawer && this.tableRenderer) {
+            this.previewDrawerController = new PreviewDrawerController(
+                previewDrawer, this.dataManager, this.tableRenderer, this.pdfLinkResolver
+            );
+        }
+
+        // Initialize the Transactions tab; its dataset loads when the tab is first opened
+        const transactionTable = document.getElementById('transactionTable');
+        const viewTabs = document.getElementById('viewTabs');
+        if (transactionTable && viewTabs && this.tableRenderer) {
+            this.transactionManager = new TransactionManager();
+            this.transactionManager.filingManager = this.dataManager;
+            this.transactionTableRenderer = new TransactionTableRenderer(
+                transactionTable, this.transactionManager, this.pdfLinkResolver, {
+                    section: document.getElementById('transactionTableSection'),
+                    emptyState: document.getElementById('transactionEmptyState'),
+                    loadingState: document.getElementById('transactionLoadingState')
+                }
+            );
+            this.transactionSearchController = new TransactionSearchController(
+                document.getElementById('transactionSearchInput'), this.transactionManager, this.transactionTableRenderer, {
+                    clearButton: document.getElementById('clearTransactionSearch'),
+                    errorElement: document.getElementById('transactionSearchError'),
+                    resultCount: document.getElementById('transactionFiltered'),
+                    suggestionList: document.getElementById('transactionSearchSuggestions')
+                }
+            );
+            this.transactionSortController = new SortController(
+                transactionTable, this.transactionManager, this.transactionTableRenderer, {
+                    relevanceButton: document.getElementById('transactionRelevanceSortBtn'),
+                    resetButton: document.getElementById('resetTransactionSortBtn')
+                }
+            );
+            this.transactionViewController = new TransactionViewController(
+                viewTabs, this.transactionManager, this.transactionTableRenderer, {
+                    dataManager: this.dataManager,
+                    tableRenderer: this.tableRenderer,
+                    searchController: this.searchController,
+                    datasetController: this.datasetController,
+                    previewDrawerController: this.previewDrawerController
+                }
+            );
+
+            const volumeSummary = document.getElementById('volumeSummary');
+            if (volumeSummary) {
+                this.volumeSummaryController = new VolumeSummaryController(volumeSummary, this.transactionManager, {
+                    groupSelect: document.getElementById('volumeGroupBy'),
+                    note: document.getElementById('volumeNote'),
+                    exportButton: document.getElementById('exportVolumeBtn')
+                });
+            }
+
+            const latenessSummary = document.getElementById('latenessSummary');
+            if (latenessSummary) {
+                this.latenessSummaryController = new LatenessSummaryController(latenessSummary, this.transactionManager, {
+                    note: document.getElementById('latenessNote'),
+                    exportButton: document.getElementById('exportLatenessBtn')
+                });
+            }
+        }
+
+        // Initialize the "what's new" changelog and the new-only toggle
+        const changelogModal = document.getElementById('changelogModal');
+        if (changelogModal) {
+            this.changelogController = new ChangelogController(
+                changelogModal, this.dataManager, this.changeTracker, this.modalController, {
+                    openButton: document.getElementById('changelogBtn'),
+                    newOnlyButton: document.getElementById('newOnlyBtn'),
+                    summary: document.getElementById('changelogSummary'),
+                    list: document.getElementById('changelogDays'),
+                    facetController: this.facetController
+                }
+            );
+        }
+
+        // Initialize filer identity review, applying the decisions saved in this browser
+        const filerReviewModal = document.getElementById('filerReviewModal');
+        this.dataManager.setFilerDecisions(FilerDecisionStore.load());
+        if (filerReviewModal && this.tableRenderer) {
+            this.filerReviewController = new FilerReviewController(
+                filerReviewModal, this.dataManager, this.tableRenderer, this.modalController, {
+                    openButton: document.getElementById('reviewFilersBtn'),
+                    list: document.getElementById('filerReviewList'),
+                    summary: document.getElementById('filerReviewSummary'),
+                    filterSelect: document.getElementById('filerReviewFilter'),
+                    searchInput: document.getElementById('filerReviewSearch'),
+                    resetButton: document.getElementById('resetFilerDecisionsBtn')
+                }
+            );
+        }
+
+        // Initialize the watchlist, after filer decisions so saved IDs match the clusters
+        this.watchlistController = new WatchlistController(this.dataManager, this.tableRenderer, {
+            list: document.getElementById('watchlistList'),
+            emptyNote: document.getElementById('watchlistEmpty'),
+            filterButton: document.getElementById('watchlistBtn'),
+            facetController: this.facetController
+        });
+
+        // Initialize member profiles, routed from the URL hash
+        const memberView = document.getElementById('memberView');
+        if (memberView) {
+            this.memberProfileController = new MemberProfileController(memberView, this.dataManager, this.pdfLinkResolver, {
+                name: document.getElementById('memberName'),
+                summary: document.getElementById('memberSummary'),
+                body: document.getElementById('memberProfileBody'),
+                backButton: document.getElementById('memberBackBtn'),
+                viewTabs,
+                viewController: this.transactionViewController,
+                previewDrawerController: this.previewDrawerController,
+                watchButton: document.getElementById('memberWatchBtn'),
+                watchlistController: this.watchlistController
+            });
+        }
+
+        // Initialize shareable URL state
+        if (this.tableRenderer) {
+            this.urlStateController = new UrlStateController(
+                this.dataManager, this.tableRenderer, this.statisticsController,
+                this.searchController, this.sortController, this.datasetController
+            );
+        }
+
         console.log('Components initialized');
     }
 
     /**
-     * Load and parse XML data
+     * Load the dataset manifest and the default year datasets
      */
     async loadData() {
         try {
-            console.log(`Loading data from ${this.xmlFilename}...`);
+            console.log(`Loading datasets from ${this.manifestFilename}...`);
 
             // Show loading state
             this.showLoadingState();
 
-            // Load XML data
-            const members = await this.dataManager.loadXMLFile(this.xmlFilename);
+            // Register available years, falling back to the bundled default
+            try {
+                await this.dataManager.loadManifest(this.manifestFilename);
+            } catch (error) {
+                console.warn('Using fallback dataset list:', error.message);
+                this.dataManager.registerDatasets(this.fallbackDatasets);
+            }
+
+            // Without the mirror index every document links to the clerk
+            try {
+                const mirroredCount = await this.pdfLinkResolver.loadMirrorIndex();
+                console.log(`${mirroredCount} PDFs mirrored locally`);
+            } catch (error) {
+                console.warn('Linking all PDFs to the clerk:', error.message);
+            }
+
+            // Load XML data for the default years
+            const members = await this.dataManager.setActiveDatasets(this.dataManager.getDefaultYears());
+            this.datasetController?.render();
 
             // Render initial table
             this.tableRenderer.render(members);
@@ -2521,9 +12607,9 @@ class FinancialDisclosureApp {
                 switch (event.key) {
                     case 'f':
                     case 'F':
-                        // Focus search input (Ctrl/Cmd + F)
+                        // Focus the current tab's search input (Ctrl/Cmd + F)
                         event.preventDefault();
-                        const searchInput = document.getElementById('searchInput');
+                        const searchInput = this.getActiveSearchController()?.searchInput;
                         if (searchInput) {
                             searchInput.focus();
                             searchInput.select();
@@ -2535,7 +12621,7 @@ class FinancialDisclosureApp {
                         // Export data (Ctrl/Cmd + E)
                         event.preventDefault();
                         const exportBtn = document.getElementById('exportBtn');
-                        if (exportBtn && !exportBtn.disabled) {
+                        if (exportBtn && !exportBtn.disabled && !exportBtn.closest('[hidden]')) {
                             exportBtn.click();
                         }
                         break;
@@ -2550,9 +12636,10 @@ class FinancialDisclosureApp {
 
                     case 'Escape':
                         // Clear search
-                        if (this.searchController?.getCurrentSearchTerm()) {
+                        const searchController = this.getActiveSearchController();
+                        if (searchController?.getCurrentSearchTerm()) {
                             event.preventDefault();
-                            this.searchController.clearSearch();
+                            searchController.clearSearch();
                         }
                         break;
                 }
@@ -2560,6 +12647,16 @@ class FinancialDisclosureApp {
         });
     }
 
+    /**
+     * Get the search controller of the tab being shown
+     * @returns {SearchController|null} Filings or transactions search controller
+     */
+    getActiveSearchController() {
+        return this.transactionViewController?.activeView === 'transactions'
+            ? this.transactionSearchController
+            : this.searchController;
+    }
+
     /**
      * Setup accessibility features
      */
@@ -2661,6 +12758,10 @@ class FinancialDisclosureApp {
             filteredCount: this.dataManager?.getFilteredMembers().length || 0,
             currentSearch: this.searchController?.getCurrentSearchTerm() || '',
             currentSort: this.sortController?.getCurrentSort() || { column: null, direction: 'asc' },
+            facetFilters: this.dataManager?.getFacetFilters() || {},
+            activeDatasets: this.dataManager?.getActiveYears() || [],
+            activeView: this.transactionViewController?.activeView || 'filings',
+            transactionCount: this.transactionManager?.getMembers().length || 0,
             components: {
                 dataManager: !!this.dataManager,
                 tableRenderer: !!this.tableRenderer,
@@ -2669,7 +12770,22 @@ class FinancialDisclosureApp {
                 exportController: !!this.exportController,
                 modalController: !!this.modalController,
                 tooltipController: !!this.tooltipController,
-                statisticsController: !!this.statisticsController
+                statisticsController: !!this.statisticsController,
+                datasetController: !!this.datasetController,
+                facetController: !!this.facetController,
+                dateRangeController: !!this.dateRangeController,
+                dashboardController: !!this.dashboardController,
+                choroplethController: !!this.choroplethController,
+                changelogController: !!this.changelogController,
+                watchlistController: !!this.watchlistController,
+                urlStateController: !!this.urlStateController,
+                pdfLinkResolver: !!this.pdfLinkResolver?.isIndexLoaded,
+                previewDrawerController: !!this.previewDrawerController,
+                transactionViewController: !!this.transactionViewController,
+                volumeSummaryController: !!this.volumeSummaryController,
+                latenessSummaryController: !!this.latenessSummaryController,
+                memberProfileController: !!this.memberProfileController,
+                filerReviewController: !!this.filerReviewController
             }
         };
     }
@@ -2679,9 +12795,11 @@ class FinancialDisclosureApp {
      */
     destroy() {
         // Clear any running timers
-        if (this.searchController?.debounceTimer) {
-            clearTimeout(this.searchController.debounceTimer);
-        }
+        [this.searchController, this.transactionSearchController].forEach(controller => {
+            if (controller?.debounceTimer) {
+                clearTimeout(controller.debounceTimer);
+            }
+        });
 
         if (this.tooltipController) {
             this.tooltipController.clearShowTimer();
@@ -2731,6 +12849,7 @@ if (typeof window !== 'undefined') {
         getStatus: () => app?.getStatus(),
         performanceMonitor,
         DataValidator,
-        ErrorHandler
+        ErrorHandler,
+        PtrParser
     };
 }
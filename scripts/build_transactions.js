@@ -0,0 +1,87 @@
+// Build financial-pdfs/transactions.json from the electronically filed PTR PDFs in pdfs/.
+// Reuses the browser parser (financial-pdfs/ptr-parser.js) so both produce identical records.
+// Scanned filings (non-200 DocIDs) have no text layer and are skipped.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const pdfDir = path.join(root, 'pdfs');
+const dataDir = path.join(root, 'financial-pdfs');
+const outputPath = path.join(dataDir, 'transactions.json');
+
+// Load PtrParser into this context
+const parserSource = fs.readFileSync(path.join(dataDir, 'ptr-parser.js'), 'utf8');
+vm.runInThisContext(`${parserSource}\nglobalThis.PtrParser = PtrParser;`);
+
+/**
+ * Index the clerk's tab-delimited filing lists by DocID
+ * @returns {Map<string, Object>} Dataset year and ISO filing date keyed by DocID
+ */
+function loadFilingIndex() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dataDir, 'datasets.json'), 'utf8'));
+    const index = new Map();
+
+    manifest.datasets.forEach(({ year, alternateFile }) => {
+        if (!alternateFile || !fs.existsSync(path.join(dataDir, alternateFile))) return;
+
+        const lines = fs.readFileSync(path.join(dataDir, alternateFile), 'utf8').replace(/^\uFEFF/, '').split(/\r\n|\n|\r/);
+
+        // Find columns by header name, as DataManager.parseTSV does, so a reordered file
+        // fails loudly instead of yielding wrong dates
+        const header = lines.shift().split('\t').map(name => name.trim());
+        const filingDateColumn = header.indexOf('FilingDate');
+        const docIDColumn = header.indexOf('DocID');
+        if (filingDateColumn === -1 || docIDColumn === -1) {
+            throw new Error(`${alternateFile}: missing FilingDate or DocID column`);
+        }
+
+        lines.forEach(line => {
+            const fields = line.split('\t');
+            const docID = (fields[docIDColumn] || '').trim();
+            if (!docID || index.has(docID)) return;
+
+            // FilingDate is M/D/YYYY
+            const date = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec((fields[filingDateColumn] || '').trim());
+            const filingDate = date ? `${date[3]}-${date[1].padStart(2, '0')}-${date[2].padStart(2, '0')}` : '';
+            index.set(docID, { year, filingDate });
+        });
+    });
+
+    return index;
+}
+
+async function main() {
+    const files = fs.readdirSync(pdfDir)
+        .filter(name => /^200\d+\.pdf$/.test(name))
+        .sort();
+
+    const reports = [];
+    let failures = 0;
+
+    for (const name of files) {
+        const docID = name.slice(0, -4);
+        try {
+            reports.push(await PtrParser.parse(fs.readFileSync(path.join(pdfDir, name)), docID));
+        } catch (error) {
+            failures++;
+            console.warn(`Skipping ${name}: ${error.message}`);
+        }
+    }
+
+    // The PDFs carry no filing date, so take it and the dataset year from the clerk's list
+    const dataset = PtrParser.toDataset(reports);
+    const filingIndex = loadFilingIndex();
+    Object.entries(dataset.filings).forEach(([docID, filing]) => {
+        Object.assign(filing, filingIndex.get(docID));
+    });
+    fs.writeFileSync(outputPath, JSON.stringify(dataset) + '\n');
+
+    const transactions = reports.reduce((total, report) => total + report.transactions.length, 0);
+    console.log(`Parsed ${reports.length} filings (${failures} failed), ${transactions} transactions -> ${path.relative(root, outputPath)}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -3,6 +3,7 @@ from selenium import webdriver
 from selenium.webdriver.chrome.options import Options
 import time
 import os
+import json
 
 # Parse the XML file
 xml_path = 'financial-pdfs/2026FD.xml'
@@ -51,3 +52,11 @@ for docid in docids:
 driver.quit()
 
 print(f"Downloaded {new_downloads} new PDFs to {download_dir}")
+
+# Write the index the viewer uses to link mirrored PDFs instead of the clerk's copy
+mirrored = sorted(name[:-4] for name in os.listdir(download_dir) if name.endswith('.pdf'))
+with open(os.path.join(download_dir, 'index.json'), 'w') as f:
+    json.dump({'docIDs': mirrored}, f, indent=1)
+    f.write('\n')
+
+print(f"Indexed {len(mirrored)} mirrored PDFs")
@@ -0,0 +1,196 @@
+// Fixture tests for financial-pdfs/ptr-parser.js against PTR PDFs committed in pdfs/.
+// Run with: node --test test/
+// Expected values were checked against the PDFs' text layer.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const pdfDir = path.join(root, 'pdfs');
+
+// Load the browser parser into this context, as scripts/build_transactions.js does
+const parserSource = fs.readFileSync(path.join(root, 'financial-pdfs', 'ptr-parser.js'), 'utf8');
+vm.runInThisContext(`${parserSource}\nglobalThis.PtrParser = PtrParser;\nglobalThis.PdfDocument = PdfDocument;\nglobalThis.PdfCrypto = PdfCrypto;`);
+
+/**
+ * Parse a committed PDF
+ * @param {string} docID - Document ID, also the file name
+ * @returns {Promise<Object>} Report { docID, filer, transactions }
+ */
+function parseFixture(docID) {
+    return PtrParser.parse(fs.readFileSync(path.join(pdfDir, `${docID}.pdf`)), docID);
+}
+
+/**
+ * Reduce transactions to the fields under test
+ * @param {Array<Object>} transactions - Parsed transactions
+ * @returns {Array<Array>} [ticker, owner, type, transactionDate, notificationDate, amount] rows
+ */
+function summarize(transactions) {
+    return transactions.map(record => [
+        record.ticker, record.owner, record.type, record.transactionDate, record.notificationDate, record.amount
+    ]);
+}
+
+/**
+ * Count transactions per value of a field
+ * @param {Array<Object>} transactions - Parsed transactions
+ * @param {string} field - Field name
+ * @returns {Object} Count per value
+ */
+function countBy(transactions, field) {
+    const counts = {};
+    transactions.forEach(record => {
+        counts[record[field]] = (counts[record[field]] || 0) + 1;
+    });
+    return counts;
+}
+
+test('single spouse purchase (20016861)', async () => {
+    const report = await parseFixture('20016861');
+
+    assert.deepEqual(report.filer, { name: 'Hon. John McGuire', status: 'Member', stateDst: 'VA05' });
+    assert.deepEqual(report.transactions, [{
+        docID: '20016861',
+        owner: 'SP',
+        asset: 'UnitedHealth Group Incorporated Common Stock (UNH)',
+        assetType: 'ST',
+        ticker: 'UNH',
+        type: 'P',
+        partial: false,
+        transactionDate: '2025-04-10',
+        notificationDate: '2025-05-15',
+        amount: '$1,001 - $15,000',
+        capitalGains: false,
+        filingStatus: 'New',
+        subholdingOf: 'Merrill Lynch SEP IRA',
+        description: '',
+        comments: ''
+    }]);
+});
+
+test('self, joint and spouse owners with wrapped amount bands (20034519)', async () => {
+    const report = await parseFixture('20034519');
+
+    assert.deepEqual(report.filer, { name: 'Hon. Jonathan Jackson', status: 'Member', stateDst: 'IL01' });
+    assert.deepEqual(summarize(report.transactions), [
+        ['ORLY', '', 'S', '2026-04-24', '2026-05-08', '$1,001 - $15,000'],
+        ['SPG', 'JT', 'P', '2026-04-20', '2026-05-08', '$15,001 - $50,000'],
+        ['THC', 'JT', 'S', '2026-04-20', '2026-05-08', '$15,001 - $50,000'],
+        ['THC', 'SP', 'S', '2026-04-15', '2026-05-08', '$1,001 - $15,000'],
+        ['V', 'JT', 'S', '2026-04-24', '2026-05-08', '$50,001 - $100,000']
+    ]);
+    assert.deepEqual(report.transactions.map(record => record.subholdingOf), [
+        'Morgan Stanley SEP IRA',
+        'Morgan Stanley Trust Account',
+        'Morgan Stanley Trust Account',
+        'Morgan Stanley - Rollover IRA',
+        'Morgan Stanley Trust Account'
+    ]);
+});
+
+test('partial sales across owners (20034113)', async () => {
+    const report = await parseFixture('20034113');
+
+    assert.equal(report.transactions.length, 14);
+    assert.deepEqual(summarize(report.transactions), [
+        ['AMZN', '', 'P', '2026-02-05', '2026-03-03', '$1,001 - $15,000'],
+        ['AMZN', 'SP', 'S', '2026-02-11', '2026-03-03', '$1,001 - $15,000'],
+        ['BRCM', '', 'S', '2026-02-04', '2026-03-03', '$1,001 - $15,000'],
+        ['C', '', 'P', '2026-02-04', '2026-03-03', '$1,001 - $15,000'],
+        ['C', 'SP', 'P', '2026-02-11', '2026-03-04', '$1,001 - $15,000'],
+        ['C', 'JT', 'P', '2026-02-05', '2026-03-03', '$50,001 - $100,000'],
+        ['IBM', 'JT', 'S', '2026-02-17', '2026-03-03', '$50,001 - $100,000'],
+        ['IBM', '', 'S', '2026-02-17', '2026-03-03', '$1,001 - $15,000'],
+        ['PANW', 'JT', 'S', '2026-02-05', '2026-03-03', '$50,001 - $100,000'],
+        ['SHOP', '', 'S', '2026-02-03', '2026-03-03', '$1,001 - $15,000'],
+        ['THC', 'SP', 'S', '2026-02-11', '2026-03-03', '$1,001 - $15,000'],
+        ['BK', '', 'P', '2026-02-17', '2026-03-03', '$1,001 - $15,000'],
+        ['BK', 'JT', 'P', '2026-02-17', '2026-03-03', '$50,001 - $100,000'],
+        ['WELL', 'SP', 'P', '2026-02-11', '2026-03-03', '$1,001 - $15,000']
+    ]);
+    assert.deepEqual(report.transactions.filter(record => record.partial).map(record => record.ticker), ['THC']);
+});
+
+test('private holdings without tickers, with descriptions (20026695)', async () => {
+    const report = await parseFixture('20026695');
+
+    assert.deepEqual(report.filer, { name: 'Hon. Kelly Louise Morrison', status: 'Member', stateDst: 'MN03' });
+    assert.deepEqual(report.transactions.map(record => [
+        record.asset, record.assetType, record.type, record.partial, record.transactionDate, record.amount, record.description
+    ]), [
+        ['Aero Engineering Holdings LLC', 'OI', 'P', false, '2025-01-27', '$50,001 - $100,000', 'Aviation parts manufacturer'],
+        ['Andersen Corporation', 'OI', 'S', true, '2025-01-24', '$500,001 - $1,000,000', 'Window Manufacturer'],
+        ['Pathfinder 360 v.2', 'HN', 'P', false, '2025-01-10', '$100,001 - $250,000', ''],
+        ['Pathfinder 360 v.2', 'HN', 'P', false, '2025-01-10', '$100,001 - $250,000', ''],
+        ['Urban SKY', 'OI', 'P', false, '2025-01-06', '$15,001 - $50,000', 'Stratospheric Flight Technology']
+    ]);
+    assert.ok(report.transactions.every(record => record.ticker === '' && record.owner === ''));
+});
+
+test('table continued over many pages (20030891)', async () => {
+    const report = await parseFixture('20030891');
+    const transactions = report.transactions;
+
+    assert.deepEqual(report.filer, { name: 'Hon. Lisa McClain', status: 'Member', stateDst: 'MI09' });
+    assert.equal(transactions.length, 722);
+    assert.deepEqual(countBy(transactions, 'type'), { S: 265, P: 457 });
+    assert.deepEqual(countBy(transactions, 'owner'), { SP: 722 });
+    assert.deepEqual(countBy(transactions, 'assetType'), { ST: 698, GS: 24 });
+    assert.deepEqual(countBy(transactions, 'amount'), {
+        '$1,001 - $15,000': 684,
+        '$15,001 - $50,000': 31,
+        '$50,001 - $100,000': 3,
+        '$100,001 - $250,000': 4
+    });
+
+    assert.deepEqual(summarize([transactions[0], transactions[721]]), [
+        ['ABT', 'SP', 'S', '2025-07-10', '2025-08-13', '$1,001 - $15,000'],
+        ['ZTS', 'SP', 'P', '2025-07-22', '2025-08-13', '$1,001 - $15,000']
+    ]);
+
+    // Trades reported well after the fact keep their own dates
+    assert.deepEqual(transactions.filter(record => record.transactionDate === '2024-03-11').map(record => record.ticker), ['AMD', 'NVDA', 'TSM']);
+});
+
+test('decrypts RC4-encrypted filings with the empty user password', async () => {
+    const bytes = fs.readFileSync(path.join(pdfDir, '20016861.pdf'));
+    const pdf = PdfDocument.load(bytes);
+    const encrypt = pdf.resolve(pdf.encryptRef);
+
+    assert.equal(encrypt.get('Filter'), 'Standard');
+    assert.equal(encrypt.get('V'), 2);
+    assert.equal(encrypt.get('R'), 3);
+    assert.equal(pdf.encryptionKey.length, 16);
+
+    // Page content only inflates once decrypted with the derived key
+    const contents = pdf.getPages()[0].get('Contents');
+    const ref = Array.isArray(contents) ? contents[0] : contents;
+    assert.ok((await pdf.getStreamData(ref)).length > 0);
+
+    pdf.encryptionKey = new Uint8Array(16);
+    await assert.rejects(pdf.getStreamData(ref));
+});
+
+test('RC4 and MD5 match published test vectors', () => {
+    const hex = (bytes) => Buffer.from(bytes).toString('hex');
+    const encode = (text) => new TextEncoder().encode(text);
+
+    assert.equal(hex(PdfCrypto.rc4(encode('Key'), encode('Plaintext'))), 'bbf316e8d940af0ad3');
+    assert.equal(hex(PdfCrypto.md5(encode('abc'))), '900150983cd24fb0d6963f7d28e17f72');
+});
+
+test('builds the same dataset from the same filings', async () => {
+    const reports = [await parseFixture('20016861'), await parseFixture('20034519')];
+    const dataset = PtrParser.toDataset(reports);
+
+    assert.deepEqual(Object.keys(dataset), ['version', 'filings']);
+    assert.deepEqual(Object.keys(dataset.filings), ['20016861', '20034519']);
+    assert.equal(JSON.stringify(PtrParser.toDataset(reports)), JSON.stringify(dataset));
+});
+
+test('rejects scanned paper filings (8220731)', async () => {
+    await assert.rejects(parseFixture('8220731'), /^Error: Unsupported PDF/);
+});